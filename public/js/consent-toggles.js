@@ -4,6 +4,12 @@
  * Communicates with backend endpoints:
  *   GET /consent/state - Fetch current consent state
  *   POST /consent/update - Update single consent
+ *   POST /consent/update-batch - Update all consents of a purpose at once
+ * Each successful update returns a signed consent receipt, which is added to
+ * the receipt list on the page
+ * While the Privacy API is unavailable the server answers with the last known
+ * (stale) state or none at all; a banner says so and the toggles are never
+ * switched off just because the state could not be read
  */
 
 const ConsentManager = (() => {
@@ -18,15 +24,8 @@ const ConsentManager = (() => {
     const init = async () => {
         console.log('[ConsentManager] Initializing...');
         
-        // Fetch current consent state from server
-        try {
-            const state = await fetchConsentState();
-            console.log('[ConsentManager] Current state:', state);
-            // Apply fetched state to all toggles
-            applyStateToToggles(state);
-        } catch (error) {
-            console.error('[ConsentManager] Error fetching initial state:', error);
-        }
+        // Fetch current consent state from server and apply it to all toggles
+        await refreshState();
 
         // Attach event listeners to all consent toggles (only once)
         const toggles = document.querySelectorAll('.consent-toggle');
@@ -34,12 +33,56 @@ const ConsentManager = (() => {
             toggles.forEach(toggle => {
                 toggle.addEventListener('change', handleToggleChange);
             });
+            document.querySelectorAll('.consent-batch').forEach(button => {
+                button.addEventListener('click', handleBatchClick);
+            });
+            document.querySelectorAll('.consent-renew').forEach(button => {
+                button.addEventListener('click', handleRenewClick);
+            });
             listenersAttached = true;
         }
 
         console.log(`[ConsentManager] Initialized ${toggles.length} consent toggles`);
     };
 
+    /**
+     * Fetch the consent state and apply it to the toggles
+     * If the state cannot be read, the toggles keep what the page was rendered
+     * with and the banner explains why
+     */
+    const refreshState = async () => {
+        try {
+            const data = await fetchConsentState();
+            console.log('[ConsentManager] Current state:', data.consentState, data.stale ? `(cached at ${data.cachedAt})` : '');
+            applyStateToToggles(data.consentState);
+            updateStateBanner(data);
+        } catch (error) {
+            console.error('[ConsentManager] Error fetching consent state:', error);
+            updateStateBanner({ unavailable: true });
+        }
+    };
+
+    /**
+     * Show or hide the banner above the consent sections
+     * The texts come translated from the banner's data attributes
+     * @param {Object} data - { stale, cachedAt } from /consent/state, or { unavailable: true }
+     */
+    const updateStateBanner = (data) => {
+        const banner = document.getElementById('consent-state-banner');
+        if (!banner) return;
+
+        const title = document.getElementById('consent-state-banner-title');
+        const message = document.getElementById('consent-state-banner-message');
+        if (data.unavailable) {
+            title.textContent = banner.dataset.unavailableTitle;
+            message.textContent = banner.dataset.unavailableMessage;
+        } else if (data.stale) {
+            title.textContent = banner.dataset.staleTitle;
+            message.textContent = banner.dataset.staleMessage.replace('{date}', new Date(data.cachedAt * 1000).toLocaleString(document.documentElement.lang || undefined));
+        }
+        banner.style.display = data.unavailable || data.stale ? '' : 'none';
+    };
+
     /**
      * Apply consent state object to toggle controls on the page
      * @param {Object} state - consentState returned from server
@@ -49,20 +92,29 @@ const ConsentManager = (() => {
 
         const toggles = document.querySelectorAll('.consent-toggle');
         toggles.forEach(toggle => {
-            const purpose = toggle.dataset.purpose;
-            const attribute = toggle.dataset.attribute;
             try {
-                const val = state[purpose] && state[purpose][attribute];
-                toggle.checked = val === true;
+                toggle.checked = isGranted(state, toggle);
             } catch (e) {
                 // if anything goes wrong, leave toggle as-is
             }
         });
     };
 
+    /**
+     * Whether the state grants the consent a toggle stands for
+     * @param {Object} state - consentState returned from server
+     * @param {Element} toggle - Toggle with data-purpose, data-attribute and data-access-type
+     */
+    const isGranted = (state, toggle) => {
+        const attributeState = state && state[toggle.dataset.purpose] && state[toggle.dataset.purpose][toggle.dataset.attribute];
+        return !!attributeState && attributeState[toggle.dataset.accessType || 'default'] === true;
+    };
+
     /**
      * Fetch current consent state from server
-     * Returns: { MARKETING_COMMUNICATIONS: { name: true, ... }, ITR_FILING: { ... } }
+     * Returns: { consentState, stale, cachedAt }
+     *   consentState: { MARKETING_COMMUNICATIONS: { name: { default: true }, ... }, ITR_FILING: { pan_id: { default: true, share: false }, ... } }
+     * Throws if the state is unavailable (503) or the request fails
      */
     const fetchConsentState = async () => {
         const response = await fetch(`${API_BASE}/consent/state`, {
@@ -77,7 +129,7 @@ const ConsentManager = (() => {
         }
 
         const data = await response.json();
-        return data.consentState;
+        return data;
     };
 
     /**
@@ -89,9 +141,10 @@ const ConsentManager = (() => {
         const toggle = event.target;
         const purposeId = toggle.dataset.purpose;
         const attributeId = toggle.dataset.attribute;
+        const accessTypeId = toggle.dataset.accessType || 'default';
         const isChecked = toggle.checked;
 
-        console.log(`[ConsentManager] Toggle changed - Purpose: ${purposeId}, Attribute: ${attributeId}, Checked: ${isChecked}`);
+        console.log(`[ConsentManager] Toggle changed - Purpose: ${purposeId}, Attribute: ${attributeId}, Access type: ${accessTypeId}, Checked: ${isChecked}`);
 
         // Show loading state
         const toggleLabel = toggle.closest('.toggle-switch');
@@ -110,6 +163,7 @@ const ConsentManager = (() => {
                 body: JSON.stringify({
                     purposeId: purposeId,
                     attributeId: attributeId,
+                    accessTypeId: accessTypeId,
                     state: isChecked ? 1 : 2
                 })
             });
@@ -120,6 +174,8 @@ const ConsentManager = (() => {
                 // Success
                 console.log(`[ConsentManager] Consent updated successfully`);
                 showToast(`Consent updated for ${attributeId}`, 'success');
+                addReceiptLink(data.receipt, purposeId);
+                warnIfReceiptPending(data);
             } else {
                 // Error from server
                 console.error('[ConsentManager] Server error:', data.error);
@@ -142,6 +198,133 @@ const ConsentManager = (() => {
         }
     };
 
+    /**
+     * Handle "Grant all" / "Withdraw all" click
+     * Sends every toggle of the purpose in one all-or-nothing request and only
+     * moves the toggles once the server confirms the whole batch
+     */
+    const handleBatchClick = async (event) => {
+        const button = event.currentTarget;
+        const purposeId = button.dataset.purpose;
+        const grant = button.dataset.state === '1';
+
+        const toggles = Array.from(document.querySelectorAll('.consent-toggle'))
+            .filter(toggle => toggle.dataset.purpose === purposeId && !toggle.disabled);
+        if (toggles.length === 0) return;
+
+        console.log(`[ConsentManager] Batch update - Purpose: ${purposeId}, Grant: ${grant}`);
+
+        button.disabled = true;
+        try {
+            const response = await fetch(`${API_BASE}/consent/update-batch`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    items: toggles.map(toggle => ({
+                        purposeId: purposeId,
+                        attributeId: toggle.dataset.attribute,
+                        accessTypeId: toggle.dataset.accessType || 'default',
+                        state: grant ? 1 : 2
+                    }))
+                })
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                toggles.forEach(toggle => {
+                    toggle.checked = grant;
+                });
+                showToast(grant ? 'All consents granted' : 'All consents withdrawn', 'success');
+                addReceiptLink(data.receipt, purposeId);
+                warnIfReceiptPending(data);
+            } else {
+                console.error('[ConsentManager] Batch error:', data.error, data.results);
+                showToast(data.error || 'Failed to update consents', 'error');
+            }
+        } catch (error) {
+            console.error('[ConsentManager] Network error:', error);
+            showToast('Network error. Please try again.', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    };
+
+    /**
+     * Handle "Renew" click on a consent that is about to expire
+     * Granting again starts a new validity window; the page is reloaded to
+     * show the new expiry date
+     */
+    const handleRenewClick = async (event) => {
+        const button = event.currentTarget;
+        button.disabled = true;
+
+        try {
+            const response = await fetch(`${API_BASE}/consent/update`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    purposeId: button.dataset.purpose,
+                    attributeId: button.dataset.attribute,
+                    accessTypeId: button.dataset.accessType || 'default',
+                    state: 1
+                })
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                showToast(`Consent renewed for ${button.dataset.attribute}`, 'success');
+                window.location.reload();
+            } else {
+                showToast(data.error || 'Failed to renew consent', 'error');
+                button.disabled = false;
+            }
+        } catch (error) {
+            console.error('[ConsentManager] Network error:', error);
+            showToast('Network error. Please try again.', 'error');
+            button.disabled = false;
+        }
+    };
+
+    /**
+     * Add a newly issued receipt to the top of the receipt list
+     * @param {Object} receipt - { id, issuedAt, url } from the update response
+     * @param {String} purposeId - Purpose the receipt covers
+     */
+    const addReceiptLink = (receipt, purposeId) => {
+        const list = document.getElementById('receipt-list');
+        if (!list || !receipt) return;
+
+        const empty = document.getElementById('receipt-list-empty');
+        if (empty) empty.remove();
+
+        const item = document.createElement('li');
+        item.append(`${new Date(receipt.issuedAt * 1000).toLocaleDateString()} – ${purposeId} (`);
+        const jws = document.createElement('a');
+        jws.href = receipt.url;
+        jws.textContent = 'signed receipt';
+        const json = document.createElement('a');
+        json.href = `${receipt.url}?format=json`;
+        json.textContent = 'JSON';
+        item.append(jws, ' · ', json, ')');
+        list.prepend(item);
+    };
+
+    /**
+     * Tell the user when a change was saved but its receipt could not be
+     * issued yet; the server queues it and issues it on a later visit
+     * @param {Object} data - Update response
+     */
+    const warnIfReceiptPending = (data) => {
+        if (!data.receiptPending) return;
+        showToast('Your change was saved, but its receipt could not be issued yet. It will be listed under your receipts once it is.', 'warning');
+    };
+
     /**
      * Show toast notification
      * @param {String} message - Message to display
@@ -165,6 +348,8 @@ const ConsentManager = (() => {
     return {
         init: init,
         fetchConsentState: fetchConsentState,
+        refreshState: refreshState,
+        applyStateToToggles: applyStateToToggles,
         showToast: showToast
     };
 })();
@@ -174,21 +359,8 @@ window.ConsentManager = ConsentManager;
 
 // Ensure the toggles are refreshed when the page is restored from bfcache
 window.addEventListener('pageshow', async (event) => {
-    try {
-        if (window.ConsentManager) {
-            const state = await window.ConsentManager.fetchConsentState();
-            // apply state without re-attaching listeners
-            const toggles = document.querySelectorAll('.consent-toggle');
-            toggles.forEach(toggle => {
-                const purpose = toggle.dataset.purpose;
-                const attribute = toggle.dataset.attribute;
-                try {
-                    const val = state && state[purpose] && state[purpose][attribute];
-                    toggle.checked = val === true;
-                } catch (e) {}
-            });
-        }
-    } catch (e) {
-        console.error('[ConsentManager] pageshow refresh failed', e);
+    if (window.ConsentManager) {
+        // apply state without re-attaching listeners
+        await window.ConsentManager.refreshState();
     }
 });
@@ -0,0 +1,82 @@
+/**
+ * evidence-upload.js
+ * Uploads the evidence files of a nominee request
+ * Communicates with backend endpoint:
+ *   POST /nominee/claims/:id/evidence?token= - One file per request; the body is
+ *       the file itself, its name goes in the X-File-Name header
+ * Files are sent one at a time and the page is reloaded once they are all
+ * stored, so the evidence list shows what the server accepted
+ */
+
+const EvidenceUpload = (() => {
+    /**
+     * Attach the handler to the upload form
+     * The form carries data-upload-url and data-max-bytes
+     */
+    const init = () => {
+        const form = document.getElementById('evidenceUploadForm');
+        if (!form) return;
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            upload(form);
+        });
+    };
+
+    const upload = async (form) => {
+        const input = form.querySelector('input[type="file"]');
+        const button = form.querySelector('button[type="submit"]');
+        const files = Array.from(input.files || []);
+        const maxBytes = parseInt(form.dataset.maxBytes, 10);
+
+        showError('');
+        if (files.length === 0) {
+            showError('Please choose a file to upload');
+            return;
+        }
+        const tooLarge = files.find(file => file.size > maxBytes);
+        if (tooLarge) {
+            showError(`${tooLarge.name} is larger than ${Math.floor(maxBytes / 1024 / 1024)} MB`);
+            return;
+        }
+
+        button.disabled = true;
+        try {
+            for (const file of files) {
+                const response = await fetch(form.dataset.uploadUrl, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': file.type || 'application/octet-stream',
+                        'X-File-Name': encodeURIComponent(file.name),
+                        'Accept': 'application/json'
+                    },
+                    body: file
+                });
+                const data = await response.json().catch(() => ({}));
+                if (!response.ok || !data.success) {
+                    throw new Error(data.error || `Could not upload ${file.name}`);
+                }
+                console.log(`[EvidenceUpload] Uploaded ${file.name}`);
+            }
+            window.location.reload();
+        } catch (error) {
+            console.error('[EvidenceUpload] Upload failed:', error);
+            showError(error.message);
+            button.disabled = false;
+        }
+    };
+
+    const showError = (message) => {
+        const element = document.getElementById('evidenceUploadError');
+        if (!element) return;
+        element.textContent = message;
+        element.style.display = message ? '' : 'none';
+    };
+
+    // Public API
+    return {
+        init: init
+    };
+})();
+
+// Export for use in HTML
+window.EvidenceUpload = EvidenceUpload;
@@ -0,0 +1,152 @@
+/**
+ * indian-identifiers.js
+ * Validation rules for Indian identifiers, shared by the browser (registration
+ * pages, see registration-validation.js) and the server (RegistrationController,
+ * ProfileService, NomineeService), so both apply exactly the same checks
+ *
+ *   Aadhaar  12 digits, never starting with 0 or 1, last digit a Verhoeff check digit
+ *   PAN      AAAAA9999A. The 4th character is the holder type (P = individual,
+ *            C = company, ...); for individuals the 5th character is the first
+ *            letter of the surname
+ *   Mobile   10 digits starting with 6, 7, 8 or 9; a +91, 91 or 0 prefix is dropped
+ *
+ * Every validator returns { valid: true, value } with the value normalized
+ * (PAN also has holderType: { code, label }), or { valid: false, code, message }
+ * with one of the codes in ERRORS, for the views to show next to the field.
+ *
+ * Loaded with require() on the server and as a plain <script> in the browser,
+ * where it defines window.IndianIdentifiers.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.IndianIdentifiers = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+
+    const ERRORS = {
+        AADHAAR_FORMAT: 'Aadhaar must be 12 digits',
+        AADHAAR_LEADING_DIGIT: 'Aadhaar numbers never start with 0 or 1',
+        AADHAAR_CHECKSUM: 'This is not a valid Aadhaar number. Please check it for typing mistakes',
+        PAN_FORMAT: 'PAN format: ABCDE1234F (5 letters, 4 digits, 1 letter)',
+        PAN_HOLDER_TYPE: 'The 4th character of a PAN shows the type of holder (P for individuals). Please check your PAN',
+        PAN_SURNAME_MISMATCH: 'The 5th character of an individual\'s PAN is the first letter of their surname. Please check your PAN and full name',
+        MOBILE_FORMAT: 'Mobile number must be 10 digits',
+        MOBILE_PREFIX: 'Indian mobile numbers start with 6, 7, 8 or 9'
+    };
+
+    // 4th character of a PAN
+    const PAN_HOLDER_TYPES = {
+        P: 'Individual',
+        C: 'Company',
+        H: 'Hindu Undivided Family (HUF)',
+        F: 'Firm or Limited Liability Partnership',
+        A: 'Association of Persons (AOP)',
+        T: 'Trust',
+        B: 'Body of Individuals (BOI)',
+        L: 'Local Authority',
+        J: 'Artificial Juridical Person',
+        G: 'Government Agency'
+    };
+
+    // Verhoeff check digit tables: multiplication in the dihedral group D5 and the position permutation
+    const VERHOEFF_D = [
+        [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+        [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+        [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+        [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+        [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+        [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+        [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+        [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+        [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+        [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+    ];
+    const VERHOEFF_P = [
+        [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+        [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+        [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+        [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+        [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+        [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+        [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+        [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+    ];
+
+    const invalid = (code) => ({ valid: false, code: code, message: ERRORS[code] });
+
+    /**
+     * Whether a string of digits ends in a correct Verhoeff check digit
+     */
+    const verhoeffValid = (digits) => {
+        let check = 0;
+        String(digits).split('').reverse().forEach((digit, i) => {
+            check = VERHOEFF_D[check][VERHOEFF_P[i % 8][parseInt(digit, 10)]];
+        });
+        return check === 0;
+    };
+
+    /**
+     * @param {String} value - Aadhaar number; spaces and hyphens are ignored
+     */
+    const validateAadhaar = (value) => {
+        const clean = String(value || '').replace(/[\s-]/g, '');
+        if (!/^\d{12}$/.test(clean)) return invalid('AADHAAR_FORMAT');
+        if (/^[01]/.test(clean)) return invalid('AADHAAR_LEADING_DIGIT');
+        if (!verhoeffValid(clean)) return invalid('AADHAAR_CHECKSUM');
+        return { valid: true, value: clean };
+    };
+
+    /**
+     * Last word of a full name, the initial an individual's PAN carries
+     * @returns {String} Upper-case surname, or '' for a single name
+     */
+    const surnameOf = (fullName) => {
+        const parts = String(fullName || '').trim().split(/\s+/).filter(part => part);
+        return parts.length > 1 ? parts[parts.length - 1].toUpperCase() : '';
+    };
+
+    /**
+     * @param {String} value - PAN; case is ignored
+     * @param {Object} options - Optional: { fullName } of the holder, to check an individual's surname initial
+     */
+    const validatePAN = (value, options = {}) => {
+        const clean = String(value || '').trim().toUpperCase();
+        if (!/^[A-Z]{5}[0-9]{4}[A-Z]$/.test(clean)) return invalid('PAN_FORMAT');
+
+        const holderType = clean.charAt(3);
+        if (!PAN_HOLDER_TYPES[holderType]) return invalid('PAN_HOLDER_TYPE');
+
+        const surname = surnameOf(options.fullName);
+        if (holderType === 'P' && surname && clean.charAt(4) !== surname.charAt(0)) {
+            return invalid('PAN_SURNAME_MISMATCH');
+        }
+        return { valid: true, value: clean, holderType: { code: holderType, label: PAN_HOLDER_TYPES[holderType] } };
+    };
+
+    /**
+     * @param {String} value - Mobile number; spaces, hyphens and a +91, 91 or 0 prefix are ignored
+     */
+    const validateMobile = (value) => {
+        let clean = String(value || '').replace(/[\s()-]/g, '');
+        if (/^\+91\d{10}$/.test(clean) || /^91\d{10}$/.test(clean)) {
+            clean = clean.slice(-10);
+        } else if (/^0\d{10}$/.test(clean)) {
+            clean = clean.slice(1);
+        }
+        if (!/^\d{10}$/.test(clean)) return invalid('MOBILE_FORMAT');
+        if (!/^[6-9]/.test(clean)) return invalid('MOBILE_PREFIX');
+        return { valid: true, value: clean };
+    };
+
+    return {
+        ERRORS: ERRORS,
+        PAN_HOLDER_TYPES: PAN_HOLDER_TYPES,
+        verhoeffValid: verhoeffValid,
+        surnameOf: surnameOf,
+        validateAadhaar: validateAadhaar,
+        validatePAN: validatePAN,
+        validateMobile: validateMobile
+    };
+});
@@ -1,9 +1,15 @@
 /**
  * registration-validation.js
  * Client-side validation for registration form
- * Validates email, mobile, passwords, Aadhaar, PAN formats
+ * Validates email, mobile, date of birth, passwords, Aadhaar, PAN formats
+ * Mobile, Aadhaar and PAN use the rules shared with the server
+ * (indian-identifiers.js, loaded first)
  */
 
+// Age below which a parent or guardian consents, unless the page gives
+// MINOR_AGE_YEARS from the server (data-minor-age on the minors notice)
+const MINOR_AGE_YEARS = 18;
+
 const RegistrationValidator = (() => {
     
     /**
@@ -16,6 +22,7 @@ const RegistrationValidator = (() => {
         const fullName = document.getElementById('fullName');
         const email = document.getElementById('email');
         const mobile = document.getElementById('mobile');
+        const dateOfBirth = document.getElementById('dateOfBirth');
         const password = document.getElementById('password');
         const confirmPassword = document.getElementById('confirmPassword');
 
@@ -23,23 +30,29 @@ const RegistrationValidator = (() => {
         if (fullName) fullName.addEventListener('blur', () => validateName(fullName));
         if (email) email.addEventListener('blur', () => validateEmail(email));
         if (mobile) mobile.addEventListener('blur', () => validateMobile(mobile));
+        if (dateOfBirth) {
+            dateOfBirth.addEventListener('blur', () => validateDateOfBirth(dateOfBirth));
+            dateOfBirth.addEventListener('change', () => toggleMinorMarketing(dateOfBirth));
+            toggleMinorMarketing(dateOfBirth);
+        }
         if (password) password.addEventListener('blur', () => validatePassword(password));
         if (confirmPassword) confirmPassword.addEventListener('blur', () => validatePasswordMatch(password, confirmPassword));
 
         // Form submit validation
         form.addEventListener('submit', (e) => {
-            if (!isStep1Valid(fullName, email, mobile, password, confirmPassword)) {
+            if (!isStep1Valid(fullName, email, mobile, dateOfBirth, password, confirmPassword)) {
                 e.preventDefault();
             }
         });
     };
 
-    const isStep1Valid = (fullName, email, mobile, password, confirmPassword) => {
+    const isStep1Valid = (fullName, email, mobile, dateOfBirth, password, confirmPassword) => {
         let valid = true;
 
         if (!validateName(fullName)) valid = false;
         if (!validateEmail(email)) valid = false;
         if (!validateMobile(mobile)) valid = false;
+        if (!validateDateOfBirth(dateOfBirth)) valid = false;
         if (!validatePassword(password)) valid = false;
         if (!validatePasswordMatch(password, confirmPassword)) valid = false;
 
@@ -67,16 +80,42 @@ const RegistrationValidator = (() => {
         return true;
     };
 
-    const validateMobile = (input) => {
-        const value = input.value.replace(/\D/g, '');
-        if (value.length !== 10) {
-            showError(input, 'Mobile number must be 10 digits');
+    const validateMobile = (input) => checkField(input, IndianIdentifiers.validateMobile(input.value));
+
+    const validateDateOfBirth = (input) => {
+        const age = ageFrom(input.value);
+        if (isNaN(age) || age < 0 || age > 120) {
+            showError(input, 'Please enter a valid date of birth');
             return false;
         }
         clearError(input);
         return true;
     };
 
+    const ageFrom = (value) => {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        if (!match) return NaN;
+        const today = new Date();
+        const [year, month, day] = match.slice(1).map(n => parseInt(n, 10));
+        let age = today.getFullYear() - year;
+        if (today.getMonth() + 1 < month || (today.getMonth() + 1 === month && today.getDate() < day)) {
+            age--;
+        }
+        return age;
+    };
+
+    // Minors cannot opt in to marketing; the server ignores these boxes for them too
+    const toggleMinorMarketing = (input) => {
+        const notice = document.getElementById('minorMarketingNotice');
+        const minorAge = notice && notice.dataset.minorAge ? parseInt(notice.dataset.minorAge, 10) : MINOR_AGE_YEARS;
+        const isMinor = ageFrom(input.value) < minorAge;
+        if (notice) notice.style.display = isMinor ? '' : 'none';
+        document.querySelectorAll('input[name^="marketing-"]').forEach(box => {
+            if (isMinor) box.checked = false;
+            box.disabled = isMinor;
+        });
+    };
+
     const validatePassword = (input) => {
         const value = input.value;
         if (value.length < 8) {
@@ -105,10 +144,12 @@ const RegistrationValidator = (() => {
 
         const aadhaar = document.getElementById('aadhaar');
         const pan = document.getElementById('pan');
+        // Name given in step 1, for the PAN surname check
+        const fullName = form.dataset.fullName;
 
         // Real-time validation
         if (aadhaar) aadhaar.addEventListener('blur', () => validateAadhaar(aadhaar));
-        if (pan) pan.addEventListener('blur', () => validatePAN(pan));
+        if (pan) pan.addEventListener('blur', () => validatePAN(pan, fullName));
 
         // Auto-format input
         if (aadhaar) {
@@ -124,44 +165,24 @@ const RegistrationValidator = (() => {
         }
 
         form.addEventListener('submit', (e) => {
-            if (!isStep2Valid(aadhaar, pan)) {
+            if (!isStep2Valid(aadhaar, pan, fullName)) {
                 e.preventDefault();
             }
         });
     };
 
-    const isStep2Valid = (aadhaar, pan) => {
+    const isStep2Valid = (aadhaar, pan, fullName) => {
         let valid = true;
 
         if (!validateAadhaar(aadhaar)) valid = false;
-        if (!validatePAN(pan)) valid = false;
+        if (!validatePAN(pan, fullName)) valid = false;
 
         return valid;
     };
 
-    const validateAadhaar = (input) => {
-        const value = input.value.replace(/\s/g, '');
-        const aadhaarRegex = /^\d{12}$/;
-        
-        if (!aadhaarRegex.test(value)) {
-            showError(input, 'Aadhaar must be 12 digits');
-            return false;
-        }
-        clearError(input);
-        return true;
-    };
+    const validateAadhaar = (input) => checkField(input, IndianIdentifiers.validateAadhaar(input.value));
 
-    const validatePAN = (input) => {
-        const value = input.value.toUpperCase();
-        const panRegex = /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/;
-        
-        if (!panRegex.test(value)) {
-            showError(input, 'PAN format: ABCDE1234F (5 letters, 4 digits, 1 letter)');
-            return false;
-        }
-        clearError(input);
-        return true;
-    };
+    const validatePAN = (input, fullName) => checkField(input, IndianIdentifiers.validatePAN(input.value, { fullName: fullName }));
 
     const formatAadhaar = (value) => {
         // Remove non-digits and format as XXXX XXXX XXXX
@@ -201,13 +222,25 @@ const RegistrationValidator = (() => {
     /**
      * UI Helpers
      */
-    const showError = (input, message) => {
+
+    // Show the result of an IndianIdentifiers validator on a field
+    const checkField = (input, result) => {
+        if (!result.valid) {
+            showError(input, result.message, result.code);
+            return false;
+        }
+        clearError(input);
+        return true;
+    };
+
+    const showError = (input, message, code) => {
         input.classList.add('invalid');
         input.classList.remove('valid');
         
         const errorElement = document.getElementById(`${input.id}Error`);
         if (errorElement) {
             errorElement.textContent = message;
+            errorElement.dataset.code = code || '';
             errorElement.classList.add('show');
         }
     };
@@ -219,6 +252,7 @@ const RegistrationValidator = (() => {
         const errorElement = document.getElementById(`${input.id}Error`);
         if (errorElement) {
             errorElement.textContent = '';
+            errorElement.dataset.code = '';
             errorElement.classList.remove('show');
         }
     };
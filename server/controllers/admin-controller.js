@@ -0,0 +1,147 @@
+const jwt = require('jsonwebtoken');
+const OAuthController = require('./oauth-controller');
+const AuditLog = require('./audit-log');
+const NoticeRegistry = require('./notice-registry');
+
+/**
+ * AdminController - Notice registry for administrators
+ * (see NoticeRegistry). Routes are restricted with requireRole('admin').
+ *
+ * Endpoints:
+ *   GET /admin/notices - Registered notices (?purpose=, ?language=)
+ *   GET /admin/notices/:id - One notice, its exact wording and integrity check
+ *   GET /admin/consent-notices - Notices a Data Principal had agreed to on a date
+ *                                (?subject=, ?date=YYYY-MM-DD, ?purpose=)
+ */
+class AdminController {
+    constructor() {
+        this.noticeRegistry = NoticeRegistry.shared();
+        this.auditLog = AuditLog.shared();
+    }
+
+    /**
+     * GET /admin/notices - Registered notices, newest first
+     */
+    getNotices = (req, res) => {
+        try {
+            const filter = { purposeId: req.query.purpose || null, language: req.query.language || null };
+            res.render('admin-notices', {
+                title: 'Notice Registry',
+                user: this._getUser(req),
+                notices: this.noticeRegistry.list(filter).reverse(),
+                purposeIds: Array.from(new Set(this.noticeRegistry.list().map(n => n.purposeId))).sort(),
+                filter: filter
+            });
+        } catch (error) {
+            console.error('[AdminController] Error in getNotices:', error);
+            res.status(500).send('An error occurred while loading the notice registry');
+        }
+    }
+
+    /**
+     * GET /admin/notices/:id - A registered notice
+     */
+    getNotice = (req, res) => {
+        try {
+            const notice = this.noticeRegistry.get(req.params.id);
+            if (!notice) {
+                return res.status(404).send('Notice not found');
+            }
+            res.render('admin-notice', {
+                title: `Notice ${notice.id}`,
+                user: this._getUser(req),
+                notice: notice,
+                intact: this.noticeRegistry.verify(notice.id)
+            });
+        } catch (error) {
+            console.error('[AdminController] Error in getNotice:', error);
+            res.status(500).send('An error occurred while loading the notice');
+        }
+    }
+
+    /**
+     * GET /admin/consent-notices - Which notice a Data Principal agreed to
+     * For each purpose, the latest consent given on or before the end of the
+     * date (server time), with the notice it was given against and anything
+     * withdrawn after it on or before that date. Entries are found by Verify
+     * subject id (older registrations were audited under the email address).
+     */
+    getConsentNotices = (req, res) => {
+        const query = {
+            subject: (req.query.subject || '').trim(),
+            date: req.query.date || new Date().toISOString().slice(0, 10),
+            purpose: req.query.purpose || ''
+        };
+        try {
+            const userPayload = this._getUser(req);
+            if (!query.subject) {
+                return res.render('admin-consent-notices', { title: 'Notices Agreed To', user: userPayload, query: query });
+            }
+            const endOfDay = /^\d{4}-\d{2}-\d{2}$/.test(query.date) ? Date.parse(`${query.date}T23:59:59`) : NaN;
+            if (isNaN(endOfDay)) {
+                return res.status(400).render('admin-consent-notices', {
+                    title: 'Notices Agreed To',
+                    user: userPayload,
+                    query: query,
+                    error: 'Enter the date as YYYY-MM-DD'
+                });
+            }
+
+            res.render('admin-consent-notices', {
+                title: 'Notices Agreed To',
+                user: userPayload,
+                query: query,
+                searched: true,
+                agreements: this._agreementsOn(query.subject, Math.floor(endOfDay / 1000), query.purpose || null)
+            });
+        } catch (error) {
+            console.error('[AdminController] Error in getConsentNotices:', error);
+            res.status(500).send('An error occurred while looking up the notices');
+        }
+    }
+
+    // Latest agreement per purpose from the audit trail, with its notice
+    _agreementsOn(subjectId, at, purposeId) {
+        const agreements = new Map();
+        this.auditLog.query({ subjectId: subjectId, to: at }).forEach(entry => {
+            if (entry.type === AuditLog.EVENT_TYPES.CONSENT_GRANTED) {
+                this._agreed(agreements, entry, entry.purposeId, entry.attributes, entry.details.noticeVersionId);
+            } else if (entry.type === AuditLog.EVENT_TYPES.REGISTRATION_COMPLETED) {
+                const notices = entry.details.notices || {};
+                const granted = (entry.details.consents || []).filter(c => c.state === 1);
+                Array.from(new Set(granted.map(c => c.purposeId))).forEach(id => this._agreed(agreements, entry, id,
+                    granted.filter(c => c.purposeId === id).map(c => c.attributeId), notices[id]));
+            } else if (entry.type === AuditLog.EVENT_TYPES.CONSENT_WITHDRAWN && agreements.has(entry.purposeId)) {
+                const agreement = agreements.get(entry.purposeId);
+                agreement.withdrawn = Array.from(new Set(agreement.withdrawn.concat(entry.attributes)));
+            }
+        });
+
+        return Array.from(agreements.values())
+            .filter(agreement => !purposeId || agreement.purposeId === purposeId)
+            .map(agreement => Object.assign(agreement, {
+                notice: agreement.noticeId ? this.noticeRegistry.get(agreement.noticeId) : null,
+                intact: agreement.noticeId ? this.noticeRegistry.verify(agreement.noticeId) : false
+            }));
+    }
+
+    // Consents recorded before the registry existed have no notice id
+    _agreed(agreements, entry, purposeId, attributes, noticeId) {
+        agreements.set(purposeId, {
+            purposeId: purposeId,
+            agreedAt: entry.timestamp,
+            type: entry.type,
+            channel: entry.type === AuditLog.EVENT_TYPES.REGISTRATION_COMPLETED ? 'registration' : entry.details.channel,
+            receiptId: entry.details.receiptId || null,
+            attributes: attributes,
+            withdrawn: [],
+            noticeId: noticeId || null
+        });
+    }
+
+    _getUser(req) {
+        return jwt.decode(OAuthController.getAuthToken(req).id_token);
+    }
+}
+
+module.exports = AdminController;
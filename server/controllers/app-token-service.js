@@ -0,0 +1,89 @@
+const config = require('./config').Config;
+const Issuer = require('openid-client').Issuer;
+
+// Renew the token this long before it expires
+const EXPIRY_MARGIN_SECONDS = 60;
+
+let sharedService = null;
+
+/**
+ * AppTokenService - Access token of the app itself (OAuth client credentials
+ * with VERIFY_API_CLIENT_ID / VERIFY_API_CLIENT_SECRET)
+ *
+ * Used for work done on a user's behalf outside their session, such as
+ * background jobs. The token is cached until shortly before it expires.
+ * The local privacy backend needs no token, so none is requested with
+ * PRIVACY_BACKEND=local.
+ */
+class AppTokenService {
+    constructor() {
+        this._client = null;
+        this._token = null;
+    }
+
+    /**
+     * Service shared by the whole process, so the token is fetched once
+     * @returns {AppTokenService}
+     */
+    static shared() {
+        if (!sharedService) {
+            sharedService = new AppTokenService();
+        }
+        return sharedService;
+    }
+
+    /**
+     * Auth object for acting on behalf of a subject
+     * @param {String} subjectId - Data Principal the calls are about
+     * @returns {Promise<Object>} { accessToken, subjectId }
+     * @throws {Error} code APP_TOKEN_FAILED if no token can be obtained
+     */
+    async authFor(subjectId) {
+        return { accessToken: await this.getAccessToken(), subjectId: subjectId };
+    }
+
+    /**
+     * @returns {Promise<String>} App access token (null with the local backend)
+     * @throws {Error} code APP_TOKEN_FAILED if no token can be obtained
+     */
+    async getAccessToken() {
+        if (config.privacyBackend === 'local') {
+            return null;
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (this._token && this._token.expiresAt - EXPIRY_MARGIN_SECONDS > now) {
+            return this._token.accessToken;
+        }
+
+        try {
+            const client = await this._getClient();
+            const tokenSet = await client.grant({ grant_type: 'client_credentials' });
+            this._token = {
+                accessToken: tokenSet.access_token,
+                expiresAt: tokenSet.expires_at || now + (tokenSet.expires_in || 0)
+            };
+            console.log('[AppTokenService] Obtained app access token');
+            return this._token.accessToken;
+        } catch (error) {
+            console.error('[AppTokenService] Client credentials grant failed:', error && error.message ? error.message : error);
+            const err = new Error('Could not obtain an app access token. Check VERIFY_API_CLIENT_ID and VERIFY_API_CLIENT_SECRET.');
+            err.code = 'APP_TOKEN_FAILED';
+            throw err;
+        }
+    }
+
+    async _getClient() {
+        if (!this._client) {
+            const issuer = await Issuer.discover(config.verifyDiscoveryUrl);
+            this._client = new issuer.Client({
+                client_id: config.verifyApiClientId,
+                client_secret: config.verifyApiClientSecret,
+                token_endpoint_auth_method: 'client_secret_post'
+            });
+        }
+        return this._client;
+    }
+}
+
+module.exports = AppTokenService;
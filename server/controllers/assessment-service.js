@@ -0,0 +1,169 @@
+const PrivacyService = require('./privacy-service');
+const DataPolicy = require('./data-policy');
+
+/**
+ * AssessmentService - Decides whether personal data may be used for a purpose
+ *
+ * The decision itself comes from the Privacy API's assess call (see
+ * PrivacyService.assess), so it follows whatever Verify enforces (state,
+ * validity, access type) instead of being recomputed from the consent list.
+ * This service maps the app's logical requirements ('pan_id:share') to tenant
+ * attributes, and turns the response into one decision per requirement.
+ * Requirements usually come from an action's data policy (see DataPolicy).
+ *
+ * Overall status:
+ *   approved  - every requirement may be used
+ *   reconsent - some consents were given to an older purpose version (see PurposeVersionStore)
+ *   consent   - the user can fix the rest by consenting now (just-in-time prompt)
+ *   denied    - some requirements cannot be consented to (e.g. not part of the purpose)
+ */
+class AssessmentService {
+    /**
+     * @param {PrivacyService} privacyService
+     */
+    constructor(privacyService = new PrivacyService(), policy = DataPolicy.shared()) {
+        this.privacyService = privacyService;
+        this.policy = policy;
+    }
+
+    /**
+     * Assess a gated action against its data policy
+     * @param {Object} auth - Auth object with accessToken and subjectId
+     * @param {String} action - Action name, e.g. 'file-itr'
+     * @returns {Promise<Object>} As assess(), plus the action's policy
+     * @throws {Error} code UNKNOWN_POLICY_ACTION | ASSESSMENT_FAILED
+     */
+    async assessAction(auth, action) {
+        const policy = this.policy.get(action);
+        const assessment = await this.assess(auth, policy.purposeId, policy.requirements);
+        return Object.assign(assessment, { policy: policy });
+    }
+
+    /**
+     * Assess the requirements of a purpose for the current user
+     * @param {Object} auth - Auth object with accessToken and subjectId
+     * @param {String} purposeId - Purpose identifier
+     * @param {Array<String>} requirements - 'attributeId' or 'attributeId:accessTypeId' (logical ids)
+     * @returns {Promise<Object>} {
+     *   status: 'approved'|'reconsent'|'consent'|'denied',
+     *   purpose: Purpose metadata,
+     *   decisions: [{ requirement, logicalId, attributeId, accessTypeId, label,
+     *                 approved, requiresConsent, consentable, outdated, reason }],
+     *   pending: Decisions the user can still consent to
+     * }
+     * @throws {Error} code ASSESSMENT_FAILED if the Privacy API gives no decision
+     */
+    async assess(auth, purposeId, requirements) {
+        const purpose = await this.privacyService.getConsentMetadata(auth, purposeId);
+        if (!purpose) {
+            const err = new Error(`Purpose '${purposeId}' is not configured`);
+            err.code = 'ASSESSMENT_FAILED';
+            throw err;
+        }
+
+        const decisions = requirements.map(requirement => this._decisionFor(purpose, requirement));
+        const assessable = decisions.filter(d => d.attributeId != null);
+
+        if (assessable.length > 0) {
+            const response = await this.privacyService.assess(auth, assessable.map(d => ({
+                purposeId: purposeId,
+                attributeId: d.attributeId,
+                accessTypeId: d.accessTypeId
+            })));
+            if (!response || response.status === 'error' || !Array.isArray(response.assessment)) {
+                const err = new Error(`Privacy API could not assess ${purposeId}: ${JSON.stringify(response && response.error)}`);
+                err.code = 'ASSESSMENT_FAILED';
+                throw err;
+            }
+            this._applyAssessment(assessable, response.assessment);
+        }
+
+        // The Privacy API approves consents given to any version of a purpose;
+        // the app asks again when the purpose has changed since. The version is
+        // checked against the metadata loaded above, so it cannot go unchecked.
+        if (decisions.some(d => d.approved)) {
+            const consents = await this.privacyService.getConsentForPurpose(auth, purposeId);
+            const outdated = this.privacyService.findOutdatedConsents(consents, purpose);
+            decisions.filter(d => d.approved).forEach(d => {
+                if (outdated.some(o => o.logicalId === d.logicalId && o.accessTypeId === d.accessTypeId)) {
+                    d.approved = false;
+                    d.outdated = true;
+                    d.reason = 'PURPOSE_VERSION_CHANGED';
+                }
+            });
+        }
+
+        const pending = decisions.filter(d => !d.approved && d.consentable && !d.outdated);
+        let status;
+        if (decisions.every(d => d.approved)) {
+            status = 'approved';
+        } else if (decisions.some(d => d.outdated)) {
+            status = 'reconsent';
+        } else if (decisions.every(d => d.approved || d.consentable)) {
+            status = 'consent';
+        } else {
+            status = 'denied';
+        }
+
+        console.log(`[AssessmentService] ${purposeId}: ${status} (${decisions.filter(d => d.approved).length}/${decisions.length} approved)`);
+        return { status: status, purpose: purpose, decisions: decisions, pending: pending };
+    }
+
+    _decisionFor(purpose, requirement) {
+        const { logicalId, accessTypeId } = this.privacyService.parseRequirement(requirement);
+        const attr = purpose.attributes.find(a => a.logicalId === logicalId);
+        const decision = {
+            requirement: requirement,
+            logicalId: logicalId,
+            attributeId: null,
+            accessTypeId: accessTypeId,
+            label: this.privacyService.describeRequirement(purpose, requirement),
+            approved: false,
+            requiresConsent: false,
+            consentable: false,
+            outdated: false,
+            reason: null
+        };
+
+        if (!attr) {
+            decision.reason = 'ATTRIBUTE_NOT_IN_PURPOSE';
+            return decision;
+        }
+        // Without an explicit access type, assess the attribute's default one
+        const accessType = accessTypeId != null
+            ? attr.accessTypes.find(at => at.id === accessTypeId)
+            : (attr.accessTypes.find(at => at.id === 'default') || attr.accessTypes[0]);
+        if (!accessType) {
+            decision.reason = 'ACCESS_TYPE_NOT_IN_PURPOSE';
+            return decision;
+        }
+
+        decision.attributeId = attr.id;
+        decision.accessTypeId = accessType.id;
+        decision.accessTypeName = accessType.name;
+        return decision;
+    }
+
+    _applyAssessment(decisions, assessment) {
+        assessment.forEach(entry => {
+            (entry.result || []).forEach(result => {
+                // The attribute is on the entry, or on each result for
+                // purpose-level assessments
+                const attributeId = String(entry.attributeId || result.attributeId);
+                const accessTypeId = entry.accessTypeId || 'default';
+                const decision = decisions.find(d => d.attributeId === attributeId && d.accessTypeId === accessTypeId);
+                if (!decision) {
+                    return;
+                }
+                decision.approved = result.approved === true;
+                decision.requiresConsent = result.requiresConsent === true;
+                // Denied consents can be given again when the user asks for
+                // the service that needs them
+                decision.reason = decision.approved ? null : ((result.reason && result.reason.messageId) || 'CONSENT_DENIED');
+                decision.consentable = !decision.approved && decision.reason !== 'PURPOSE_NOT_FOUND';
+            });
+        });
+    }
+}
+
+module.exports = AssessmentService;
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const config = require('./config').Config;
+
+let sharedResolver = null;
+
+/**
+ * AttributeResolver - Maps tenant attribute ids and names to the logical
+ * attribute ids used throughout the app (name, email, mobile_number, aadhar_id, pan_id)
+ *
+ * Driven by an explicit alias map (ATTRIBUTE_ALIASES_FILE, see
+ * server/config/attribute-aliases.json):
+ *   { "<logicalId>": { "ids": ["<tenant attribute id>", ...], "names": ["<attribute name>", ...] } }
+ *
+ * A logical id always resolves to itself. Names match case-insensitively with
+ * whitespace collapsed, but never by substring: an attribute that is not in
+ * the map is reported as unresolved rather than guessed.
+ */
+class AttributeResolver {
+    /**
+     * @param {Object} aliases - Alias map in the format described above
+     */
+    constructor(aliases) {
+        this._byId = new Map();
+        this._byName = new Map();
+
+        Object.keys(aliases).forEach(logicalId => {
+            const entry = aliases[logicalId] || {};
+            if (!Array.isArray(entry.ids || []) || !Array.isArray(entry.names || [])) {
+                throw this._configError(`Aliases for '${logicalId}' must have "ids" and "names" arrays`);
+            }
+
+            [logicalId].concat(entry.ids || []).forEach(id => this._register(this._byId, String(id), logicalId, 'id'));
+            (entry.names || []).forEach(name => this._register(this._byName, this._normalizeName(name), logicalId, 'name'));
+        });
+    }
+
+    /**
+     * Resolver built from ATTRIBUTE_ALIASES_FILE, loaded once per process
+     * @returns {AttributeResolver}
+     */
+    static shared() {
+        if (!sharedResolver) {
+            const aliases = JSON.parse(fs.readFileSync(config.attributeAliasesFile, 'utf8'));
+            sharedResolver = new AttributeResolver(aliases);
+        }
+        return sharedResolver;
+    }
+
+    /**
+     * Resolve a single attribute to its logical id
+     * The id is tried first, then the name.
+     * @param {String|Number} attributeId - Tenant attribute id
+     * @param {String} attributeName - Tenant attribute name
+     * @returns {String} Logical attribute id
+     * @throws {Error} code UNRESOLVED_ATTRIBUTE if neither is in the alias map
+     */
+    resolve(attributeId, attributeName) {
+        if (attributeId != null && this._byId.has(String(attributeId))) {
+            return this._byId.get(String(attributeId));
+        }
+        if (attributeName && this._byName.has(this._normalizeName(attributeName))) {
+            return this._byName.get(this._normalizeName(attributeName));
+        }
+
+        const err = new Error(`Attribute id '${attributeId}' (name '${attributeName || ''}') is not mapped to a logical attribute. Add it to the attribute alias file.`);
+        err.code = 'UNRESOLVED_ATTRIBUTE';
+        err.attributeId = attributeId;
+        err.attributeName = attributeName;
+        throw err;
+    }
+
+    /**
+     * Resolve a single attribute, returning null instead of throwing
+     * @returns {String} Logical attribute id or null
+     */
+    tryResolve(attributeId, attributeName) {
+        try {
+            return this.resolve(attributeId, attributeName);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Flatten consent records and resolve every attribute in them
+     * The SDK may return attribute information either as a top-level
+     * `attributeId` on the consent object, or as an `attributes` array/object.
+     * @param {Array<Object>} consents - Consent records from the Privacy API
+     * @returns {Object} {
+     *   resolved:   [{ purposeId, logicalId, attributeId, accessTypeId, state, consent }],
+     *   unresolved: [{ purposeId, attributeId, attributeName, error }]
+     * }
+     */
+    resolveConsents(consents) {
+        const resolved = [];
+        const unresolved = [];
+
+        (consents || []).forEach(consent => {
+            let entries;
+            if (consent.attributeId) {
+                entries = [{ attributeId: consent.attributeId, attributeName: consent.attributeName, state: consent.state }];
+            } else {
+                const attributes = Array.isArray(consent.attributes)
+                    ? consent.attributes
+                    : Object.values(consent.attributes || {});
+                entries = attributes.map(a => ({
+                    attributeId: a.attributeId || a.id,
+                    attributeName: a.attributeName || a.label || a.name,
+                    state: a.state
+                }));
+            }
+
+            entries.forEach(entry => {
+                try {
+                    resolved.push({
+                        purposeId: consent.purposeId,
+                        logicalId: this.resolve(entry.attributeId, entry.attributeName),
+                        attributeId: entry.attributeId,
+                        accessTypeId: consent.accessTypeId || 'default',
+                        state: entry.state,
+                        consent: consent
+                    });
+                } catch (error) {
+                    unresolved.push({
+                        purposeId: consent.purposeId,
+                        attributeId: entry.attributeId,
+                        attributeName: entry.attributeName,
+                        error: error.message
+                    });
+                }
+            });
+        });
+
+        if (unresolved.length > 0) {
+            console.error(`[AttributeResolver] ${unresolved.length} consented attribute(s) could not be resolved: ${JSON.stringify(unresolved)}`);
+        }
+
+        return { resolved, unresolved };
+    }
+
+    _register(index, key, logicalId, kind) {
+        const existing = index.get(key);
+        if (existing && existing !== logicalId) {
+            throw this._configError(`Attribute ${kind} '${key}' is mapped to both '${existing}' and '${logicalId}'`);
+        }
+        index.set(key, logicalId);
+    }
+
+    _normalizeName(name) {
+        return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    _configError(message) {
+        const err = new Error(`Invalid attribute alias file ${config.attributeAliasesFile}: ${message}`);
+        err.code = 'INVALID_ATTRIBUTE_ALIASES';
+        return err;
+    }
+}
+
+module.exports = AttributeResolver;
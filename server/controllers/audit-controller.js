@@ -0,0 +1,69 @@
+const jwt = require('jsonwebtoken');
+const OAuthController = require('./oauth-controller');
+const AuditLog = require('./audit-log');
+
+/**
+ * AuditController - Lets a Data Principal query their own audit trail
+ *
+ * Endpoints:
+ *   GET /audit/events - Audit entries about the logged-in user (JSON)
+ *
+ * Trail-wide queries and chain verification are available to operators
+ * through `npm run audit-log` (see server/scripts/audit-log.js)
+ */
+class AuditController {
+    constructor() {
+        this.auditLog = AuditLog.shared();
+    }
+
+    /**
+     * GET /audit/events - Query the logged-in user's audit entries
+     * Query parameters (all optional):
+     *   purpose - purpose id
+     *   type    - event type, e.g. consent.granted
+     *   from/to - ISO 8601 dates or epoch seconds (inclusive)
+     * Returns: { events: [entry] }
+     */
+    getEvents = (req, res) => {
+        try {
+            const userPayload = jwt.decode(OAuthController.getAuthToken(req).id_token);
+
+            let from, to;
+            try {
+                from = this._parseTime(req.query.from);
+                to = this._parseTime(req.query.to);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+
+            const events = this.auditLog.query({
+                subjectId: userPayload.sub,
+                purposeId: req.query.purpose,
+                type: req.query.type,
+                from: from,
+                to: to
+            });
+
+            res.json({ events: events });
+        } catch (error) {
+            console.error('[AuditController] Error in getEvents:', error);
+            res.status(500).json({ error: 'Server error while reading the audit trail' });
+        }
+    }
+
+    _parseTime(value) {
+        if (value === undefined || value === '') {
+            return undefined;
+        }
+        if (/^\d+$/.test(value)) {
+            return parseInt(value, 10);
+        }
+        const ms = Date.parse(value);
+        if (isNaN(ms)) {
+            throw new Error(`Invalid date: ${value}`);
+        }
+        return Math.floor(ms / 1000);
+    }
+}
+
+module.exports = AuditController;
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config').Config;
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+const EVENT_TYPES = {
+    CONSENT_GRANTED: 'consent.granted',
+    CONSENT_WITHDRAWN: 'consent.withdrawn',
+    ITR_ASSESSED: 'itr.assessed',
+    ITR_FILED: 'itr.filed',
+    REGISTRATION_COMPLETED: 'registration.completed',
+    DATA_EXPORTED: 'data.exported',
+    ERASURE_REQUESTED: 'erasure.requested',
+    ERASURE_CANCELLED: 'erasure.cancelled',
+    ERASURE_COMPLETED: 'erasure.completed',
+    RETENTION_EXPIRED: 'erasure.retention-expired',
+    PROFILE_CORRECTED: 'profile.corrected',
+    GRIEVANCE_FILED: 'grievance.filed',
+    GRIEVANCE_MESSAGE_ADDED: 'grievance.message-added',
+    GRIEVANCE_ASSIGNED: 'grievance.assigned',
+    GRIEVANCE_RESPONDED: 'grievance.responded',
+    GRIEVANCE_RESOLVED: 'grievance.resolved',
+    GRIEVANCE_ESCALATED: 'grievance.escalated',
+    GUARDIAN_LINKED: 'guardian.linked',
+    NOMINEE_ADDED: 'nominee.added',
+    NOMINEE_VERIFIED: 'nominee.verified',
+    NOMINEE_REVOKED: 'nominee.revoked',
+    NOMINEE_CLAIM_SUBMITTED: 'nominee.claim-submitted',
+    NOMINEE_CLAIM_APPROVED: 'nominee.claim-approved',
+    NOMINEE_CLAIM_REJECTED: 'nominee.claim-rejected',
+    TAX_ID_DETOKENIZED: 'tax-id.detokenized',
+    VAULT_KEYS_ROTATED: 'vault.keys-rotated',
+    OTP_SENT: 'otp.sent',
+    OTP_VERIFIED: 'otp.verified',
+    OTP_FAILED: 'otp.failed'
+};
+
+let sharedLog = null;
+
+/**
+ * AuditLog - Append-only, hash-chained trail of consent and data-access events
+ *
+ * Entries are written as JSON lines to AUDIT_LOG_FILE:
+ *   { seq, timestamp, type, actor, subjectId, purposeId, attributes, outcome, details, prevHash, hash }
+ * `hash` is the SHA-256 of the entry without its hash, and `prevHash` is the
+ * hash of the entry before it, so editing or removing any entry breaks the
+ * chain from that point on. The sequence number and hash of the last entry are
+ * also kept in a head file next to the log, so removing entries from the end
+ * is detected as well.
+ *
+ * Times are epoch seconds. The file is only ever appended to; use verify() (or
+ * `npm run audit-log -- verify`) to check it.
+ */
+class AuditLog {
+    /**
+     * @param {String} filePath - Log file (defaults to AUDIT_LOG_FILE)
+     */
+    constructor(filePath = config.auditLogFile) {
+        this._path = filePath;
+        this._headPath = `${filePath}.head.json`;
+        this._last = null;
+    }
+
+    /**
+     * Log at AUDIT_LOG_FILE, shared by every controller in the process so
+     * appends are serialized
+     * @returns {AuditLog}
+     */
+    static shared() {
+        if (!sharedLog) {
+            sharedLog = new AuditLog();
+        }
+        return sharedLog;
+    }
+
+    get path() {
+        return this._path;
+    }
+
+    /**
+     * Append an event
+     * @param {Object} event - {
+     *   type:       One of AuditLog.EVENT_TYPES
+     *   subjectId:  Data Principal the event is about
+     *   actor:      Who caused it (defaults to subjectId)
+     *   purposeId:  Optional: purpose involved
+     *   attributes: Optional: logical attribute ids involved
+     *   outcome:    Optional: e.g. 'allowed', 'blocked'
+     *   details:    Optional: any other JSON-serializable context
+     * }
+     * @returns {Object} The stored entry
+     */
+    record(event) {
+        if (!event || !event.type) {
+            const err = new Error('Audit events need a type');
+            err.code = 'INVALID_AUDIT_EVENT';
+            throw err;
+        }
+
+        const last = this._lastEntry();
+        const entry = {
+            seq: last ? last.seq + 1 : 1,
+            timestamp: Math.floor(Date.now() / 1000),
+            type: event.type,
+            actor: event.actor || event.subjectId || 'system',
+            subjectId: event.subjectId || null,
+            purposeId: event.purposeId || null,
+            attributes: event.attributes || [],
+            outcome: event.outcome || null,
+            details: event.details || {},
+            prevHash: last ? last.hash : GENESIS_HASH
+        };
+        entry.hash = this._hash(entry);
+
+        fs.mkdirSync(path.dirname(this._path), { recursive: true });
+        fs.appendFileSync(this._path, JSON.stringify(entry) + '\n');
+        this._writeHead(entry);
+        this._last = entry;
+
+        return entry;
+    }
+
+    /**
+     * Append an event, logging instead of throwing if the log cannot be written
+     * For callers whose own operation has already succeeded
+     * @returns {Object} The stored entry or null
+     */
+    tryRecord(event) {
+        try {
+            return this.record(event);
+        } catch (error) {
+            console.error(`[AuditLog] Failed to record ${event && event.type} event:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Find entries, oldest first
+     * @param {Object} filter - Optional: { subjectId, purposeId, type, from, to, limit }
+     *                          from/to are epoch seconds (inclusive)
+     * @returns {Array<Object>} Matching entries
+     */
+    query(filter = {}) {
+        const matches = this._readEntries()
+            .map(line => line.entry)
+            .filter(entry => entry != null)
+            .filter(entry =>
+                (!filter.subjectId || entry.subjectId === filter.subjectId) &&
+                (!filter.purposeId || entry.purposeId === filter.purposeId) &&
+                (!filter.type || entry.type === filter.type) &&
+                (filter.from == null || entry.timestamp >= filter.from) &&
+                (filter.to == null || entry.timestamp <= filter.to));
+
+        return filter.limit ? matches.slice(-filter.limit) : matches;
+    }
+
+    /**
+     * Check the hash chain, sequence numbers and head of the log
+     * @returns {Object} { valid, entries, problems: [{ line, seq, problem }] }
+     */
+    verify() {
+        const problems = [];
+        const lines = this._readEntries();
+        let previous = null;
+
+        lines.forEach(({ line, entry, error }) => {
+            if (error) {
+                problems.push({ line, seq: null, problem: `Unreadable entry: ${error}` });
+                return;
+            }
+
+            const expectedSeq = previous ? previous.seq + 1 : 1;
+            const expectedPrev = previous ? previous.hash : GENESIS_HASH;
+            if (entry.seq !== expectedSeq) {
+                problems.push({ line, seq: entry.seq, problem: `Expected sequence ${expectedSeq}, found ${entry.seq} (entries missing or reordered)` });
+            }
+            if (entry.prevHash !== expectedPrev) {
+                problems.push({ line, seq: entry.seq, problem: 'prevHash does not match the previous entry (an earlier entry was altered or removed)' });
+            }
+            if (this._hash(entry) !== entry.hash) {
+                problems.push({ line, seq: entry.seq, problem: 'Hash does not match contents (entry was altered)' });
+            }
+            previous = entry;
+        });
+
+        const head = this._readHead();
+        if (head) {
+            if (!previous || previous.seq !== head.seq || previous.hash !== head.hash) {
+                problems.push({
+                    line: null,
+                    seq: head.seq,
+                    problem: `Log ends at sequence ${previous ? previous.seq : 0} but the head records ${head.seq} (entries removed from the end)`
+                });
+            }
+        } else if (previous) {
+            problems.push({ line: null, seq: null, problem: 'Head file is missing' });
+        }
+
+        return { valid: problems.length === 0, entries: lines.length, problems: problems };
+    }
+
+    _hash(entry) {
+        // Hash every field except the hash itself, in insertion order
+        const content = Object.assign({}, entry);
+        delete content.hash;
+        return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+    }
+
+    _lastEntry() {
+        if (this._last) {
+            return this._last;
+        }
+        const entries = this._readEntries().filter(line => line.entry != null);
+        this._last = entries.length > 0 ? entries[entries.length - 1].entry : null;
+        return this._last;
+    }
+
+    _readEntries() {
+        if (!fs.existsSync(this._path)) {
+            return [];
+        }
+        return fs.readFileSync(this._path, 'utf8')
+            .split('\n')
+            .map((text, index) => ({ text, line: index + 1 }))
+            .filter(({ text }) => text.trim() !== '')
+            .map(({ text, line }) => {
+                try {
+                    return { line, entry: JSON.parse(text) };
+                } catch (error) {
+                    return { line, entry: null, error: error.message };
+                }
+            });
+    }
+
+    _readHead() {
+        if (!fs.existsSync(this._headPath)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(this._headPath, 'utf8'));
+    }
+
+    _writeHead(entry) {
+        const tmpPath = `${this._headPath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ seq: entry.seq, hash: entry.hash }));
+        fs.renameSync(tmpPath, this._headPath);
+    }
+}
+
+AuditLog.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = AuditLog;
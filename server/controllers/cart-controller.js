@@ -1,7 +1,6 @@
 const jwt = require('jsonwebtoken')
 const OAuthController = require('./oauth-controller');
-const Privacy = require('verify-privacy-sdk-js');
-const config = require('./config').Config;
+const { createPrivacyClient } = require('./privacy-backend');
 
 class PrivacyController {
 
@@ -24,7 +23,7 @@ class PrivacyController {
             accessToken: OAuthController.getAuthToken(req).access_token
         }
 
-        let privacy = new Privacy(config, auth, {})
+        let privacy = createPrivacyClient(auth, { subjectId: idTokenPayload.sub })
         // assess if the item can be used
         let items = [
             {
@@ -103,7 +102,7 @@ class PrivacyController {
             accessToken: OAuthController.getAuthToken(req).access_token
         }
 
-        let privacy = new Privacy(config, auth, {})
+        let privacy = createPrivacyClient(auth, { subjectId: idTokenPayload.sub })
 
         console.log(`Store consents:\n${JSON.stringify(req.body, null, 2)}`);
         // assuming the request.body is a JSON array of 
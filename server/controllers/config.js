@@ -1,5 +1,9 @@
 // load contents of .env into process.env
 require('dotenv').config();
+const path = require('path');
+
+// Relative paths in .env are resolved against the repository root
+const ROOT_DIR = path.resolve(__dirname, '../..');
 
 /**
  * Configuration object for IBM Verify integration and ITR filing demo
@@ -21,6 +25,109 @@ exports.Config = {
     
     // Privacy API Configuration
     verifyPrivacyBaseUrl : process.env.VERIFY_PRIVACY_BASE_URL,
+
+    // Consent Metadata - purposes shown on the consent management page
+    purposeIds               : (process.env.PRIVACY_PURPOSE_IDS || 'MARKETING_COMMUNICATIONS,ITR_FILING').split(',').map(id => id.trim()).filter(id => id),
+    metadataCacheTtlSeconds  : parseInt(process.env.PRIVACY_METADATA_TTL_SECONDS || '300', 10),
+
+    // Data policies - purpose, attributes and access types each gated action needs
+    dataPolicyFile           : path.resolve(ROOT_DIR, process.env.DATA_POLICY_FILE || 'server/config/data-policies.json'),
+
+    // Attribute alias map - tenant attribute ids/names to the app's logical ids
+    attributeAliasesFile     : path.resolve(ROOT_DIR, process.env.ATTRIBUTE_ALIASES_FILE || 'server/config/attribute-aliases.json'),
+
+    // Consent validity - per-purpose validity windows and expiry reminders
+    consentValidityFile          : path.resolve(ROOT_DIR, process.env.CONSENT_VALIDITY_FILE || 'server/config/consent-validity.json'),
+    consentExpiryWarningDays     : parseInt(process.env.CONSENT_EXPIRY_WARNING_DAYS || '30', 10),
+    consentExpiryCheckMinutes    : parseInt(process.env.CONSENT_EXPIRY_CHECK_INTERVAL_MINUTES || '60', 10),
+
+    // Consent receipts - signed (JWS) records of each consent change
+    receiptSigningKeyFile : path.resolve(ROOT_DIR, process.env.CONSENT_RECEIPT_KEY_FILE || path.join(process.env.LOCAL_DATA_DIR || '.data', 'consent-receipt-key.pem')),
+    receiptIssuer         : process.env.CONSENT_RECEIPT_ISSUER || process.env.APP_BASE_URL || 'myitreturn-demo',
+    dataControllerName    : process.env.DATA_CONTROLLER_NAME || 'myITReturn',
+    dpoEmail              : process.env.DPO_EMAIL || 'dpo@example.com',
+
+    // Identity vault - key-encryption keys for Aadhaar and PAN (local stand-in for a KMS)
+    vaultKeyFile          : path.resolve(ROOT_DIR, process.env.VAULT_KEY_FILE || path.join(process.env.LOCAL_DATA_DIR || '.data', 'vault-keys.json')),
+
+    // Audit trail - append-only, hash-chained log of consent and data-access events
+    auditLogFile          : path.resolve(ROOT_DIR, process.env.AUDIT_LOG_FILE || path.join(process.env.LOCAL_DATA_DIR || '.data', 'audit-log.jsonl')),
+
+    // Right to access - how long generated personal data exports can be downloaded
+    dataExportRetentionHours : parseInt(process.env.DATA_EXPORT_RETENTION_HOURS || '24', 10),
+
+    // Right to erasure - grace period before deletion requests are carried out, and legal-retention exceptions
+    erasureGracePeriodDays   : parseInt(process.env.ERASURE_GRACE_PERIOD_DAYS || '7', 10),
+    erasureCheckMinutes      : parseInt(process.env.ERASURE_CHECK_INTERVAL_MINUTES || '60', 10),
+    erasureRetentionFile     : path.resolve(ROOT_DIR, process.env.ERASURE_RETENTION_FILE || 'server/config/erasure-retention.json'),
+
+    // Right to correction - codes that confirm a new email address or mobile number, and the Users (SCIM) API
+    profileVerificationMinutes     : parseInt(process.env.PROFILE_VERIFICATION_MINUTES || '15', 10),
+    profileVerificationMaxAttempts : parseInt(process.env.PROFILE_VERIFICATION_MAX_ATTEMPTS || '5', 10),
+    scimTimeoutMs                  : parseInt(process.env.SCIM_TIMEOUT_MS || '5000', 10),
+
+    // Registration - Verify accounts created at step 1 are deleted if sign-up is not completed within this time,
+    // checked every registrationSweepMinutes (0 disables the sweep)
+    registrationPendingMinutes     : parseInt(process.env.REGISTRATION_PENDING_MINUTES || '60', 10),
+    registrationSweepMinutes       : parseInt(process.env.REGISTRATION_SWEEP_INTERVAL_MINUTES || '15', 10),
+
+    // Mobile OTP - one-time codes sent by SMS or email (see OtpService): code lifetime and wrong entries
+    // allowed (profile and guardian codes set their own), wait between resends, and codes a number or
+    // address may receive within OTP_SEND_WINDOW_MINUTES
+    otpMinutes             : parseInt(process.env.OTP_MINUTES || '10', 10),
+    otpMaxAttempts         : parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10),
+    otpResendSeconds       : parseInt(process.env.OTP_RESEND_SECONDS || '30', 10),
+    otpMaxSends            : parseInt(process.env.OTP_MAX_SENDS || '5', 10),
+    otpSendWindowMinutes   : parseInt(process.env.OTP_SEND_WINDOW_MINUTES || '60', 10),
+
+    // SMS - provider that delivers text messages (see sms-provider.js): 'local' (outbox and console) or 'http' (SMS gateway)
+    smsProvider    : process.env.SMS_PROVIDER || 'local',
+    smsHttpUrl     : process.env.SMS_HTTP_URL || '',
+    smsHttpToken   : process.env.SMS_HTTP_TOKEN || '',
+    smsSenderId    : process.env.SMS_SENDER_ID || '',
+    smsTimeoutMs   : parseInt(process.env.SMS_TIMEOUT_MS || '5000', 10),
+
+    // Children - Data Principals under MINOR_AGE_YEARS register with a verified guardian, and the
+    // purposes in MINOR_BLOCKED_PURPOSES (tracking, targeted marketing) cannot be granted for them
+    minorAgeYears                   : parseInt(process.env.MINOR_AGE_YEARS || '18', 10),
+    minorBlockedPurposes            : (process.env.MINOR_BLOCKED_PURPOSES || 'MARKETING_COMMUNICATIONS').split(',').map(id => id.trim()).filter(id => id),
+    guardianVerificationMinutes     : parseInt(process.env.GUARDIAN_VERIFICATION_MINUTES || '30', 10),
+    guardianVerificationMaxAttempts : parseInt(process.env.GUARDIAN_VERIFICATION_MAX_ATTEMPTS || '5', 10),
+
+    // Nominees - invitation validity, and the evidence a nominee uploads with a request to act for the Data Principal
+    nomineeInviteDays        : parseInt(process.env.NOMINEE_INVITE_DAYS || '7', 10),
+    nomineeEvidenceMaxBytes  : parseInt(process.env.NOMINEE_EVIDENCE_MAX_BYTES || String(5 * 1024 * 1024), 10),
+    nomineeEvidenceMaxFiles  : parseInt(process.env.NOMINEE_EVIDENCE_MAX_FILES || '5', 10),
+
+    // Languages - notices and consent pages are offered in SUPPORTED_LOCALES (English is always available);
+    // one translation catalog per language in LOCALES_DIR
+    defaultLocale    : process.env.DEFAULT_LOCALE || 'en',
+    supportedLocales : (process.env.SUPPORTED_LOCALES || 'en,hi,ta,bn').split(',').map(id => id.trim()).filter(id => id),
+    localesDir       : path.resolve(ROOT_DIR, process.env.LOCALES_DIR || 'server/locales'),
+
+    // Staff roles - users (subject ids or email addresses) allowed into the DPO, operator and admin pages
+    dpoUsers      : (process.env.DPO_USERS || '').split(',').map(id => id.trim()).filter(id => id),
+    operatorUsers : (process.env.OPERATOR_USERS || '').split(',').map(id => id.trim()).filter(id => id),
+    adminUsers    : (process.env.ADMIN_USERS || '').split(',').map(id => id.trim()).filter(id => id),
+
+    // Grievance redressal - days the DPO has to respond to and resolve a grievance before it is escalated
+    grievanceResponseDays     : parseInt(process.env.GRIEVANCE_RESPONSE_DAYS || '7', 10),
+    grievanceResolutionDays   : parseInt(process.env.GRIEVANCE_RESOLUTION_DAYS || '30', 10),
+    grievanceSlaCheckMinutes  : parseInt(process.env.GRIEVANCE_SLA_CHECK_INTERVAL_MINUTES || '60', 10),
+
+    // Privacy API resilience - timeouts, retries and circuit breaker (see ResilientPrivacyClient)
+    privacyTimeoutMs           : parseInt(process.env.PRIVACY_TIMEOUT_MS || '5000', 10),
+    privacyRetries             : parseInt(process.env.PRIVACY_RETRIES || '2', 10),
+    privacyRetryBackoffMs      : parseInt(process.env.PRIVACY_RETRY_BACKOFF_MS || '200', 10),
+    privacyBreakerThreshold    : parseInt(process.env.PRIVACY_BREAKER_THRESHOLD || '5', 10),
+    privacyBreakerResetSeconds : parseInt(process.env.PRIVACY_BREAKER_RESET_SECONDS || '30', 10),
+
+    // Privacy Backend - 'verify' (IBM Verify tenant) or 'local' (offline stand-in)
+    privacyBackend     : (process.env.PRIVACY_BACKEND || 'verify').toLowerCase(),
+    localPurposesFile  : path.resolve(ROOT_DIR, process.env.LOCAL_PURPOSES_FILE || 'server/config/local-purposes.json'),
+
+    // Local data directory for offline stand-ins and demo-only state
+    localDataDir       : path.resolve(ROOT_DIR, process.env.LOCAL_DATA_DIR || '.data'),
     
     // Application Configuration
     appBaseUrl    : process.env.APP_BASE_URL,
@@ -1,5 +1,10 @@
 const OAuthController = require('./oauth-controller');
 const PrivacyService = require('./privacy-service');
+const ConsentReceiptService = require('./consent-receipt-service');
+const ConsentRecorder = require('./consent-recorder');
+const GuardianConsentService = require('./guardian-consent-service');
+const I18n = require('./i18n');
+const config = require('./config').Config;
 
 /**
  * ConsentController - Manages user consent preferences
@@ -9,18 +14,38 @@ const PrivacyService = require('./privacy-service');
  *   GET /consent/management - Render consent management page
  *   GET /consent/state - Get current consent state (JSON)
  *   POST /consent/update - Update single consent (JSON)
+ *   POST /consent/update-batch - Update several consents, all-or-nothing (JSON)
+ *   POST /consent/metadata/refresh - Reload purpose metadata (JSON)
+ *   GET /consent/reconsent/:purposeId - Review changes to a purpose and consent again
+ *   POST /consent/reconsent/:purposeId - Submit the re-consent form
+ *
+ * Every successful update issues a signed consent receipt and is recorded in
+ * the audit trail (see ConsentRecorder), with the language of the page
+ *
+ * Notices, attribute labels and access types are shown in the user's language
+ * (req.locale, see I18n) where translated for the current purpose version
+ *
+ * Purposes blocked for minors (MINOR_BLOCKED_PURPOSES, see
+ * GuardianConsentService) cannot be granted by a child: updates answer 403
+ * with code CONSENT_BLOCKED_FOR_MINOR, and withdrawals are still allowed
  */
 class ConsentController {
     constructor() {
         this.privacyService = new PrivacyService();
+        this.receiptService = new ConsentReceiptService();
+        this.consentRecorder = new ConsentRecorder(this.privacyService, this.receiptService);
+        this.guardianService = new GuardianConsentService();
+        this.i18n = I18n.shared();
     }
 
     /**
      * GET /consent/management - Show consent management page
-     * Displays two-column layout:
-     *   Left: Marketing Communications consents
-     *   Right: ITR Filing consents
+     * Renders one section per configured purpose, with a toggle per attribute
+     * and access type (e.g. "store" and "share" for the PAN)
+     * Purposes, attributes and notices come from Verify purpose metadata
      * Initializes toggle switches with current consent state
+     * While the Privacy API is unavailable the last consent state read for the
+     * user is shown with a "cached" banner; without one the page shows an error
      */
     getConsentPage = async (req, res) => {
         try {
@@ -37,39 +62,45 @@ class ConsentController {
             // Get current consent state from Verify
             const auth = {
                 accessToken: authToken.access_token,
+                subjectId: userPayload.sub
             };
 
             try {
-                // Pass subjectId so the Privacy SDK associates requests with this user
-                const consents = await this.privacyService.getUserConsents(auth, userPayload.sub);
-
                 // Get metadata for display
-                const marketingMeta = this.privacyService.getConsentMetadata('MARKETING_COMMUNICATIONS');
-                const itrMeta = this.privacyService.getConsentMetadata('ITR_FILING');
+                const purposes = await this.privacyService.getAllConsentMetadata(auth);
+
+                // Pass subjectId so the Privacy SDK associates requests with this user
+                const { consents, stale, fetchedAt } = await this.privacyService.getUserConsentsOrCached(auth, userPayload.sub);
 
                 // Build consent state for template
-                const consentState = this._buildConsentState(consents);
+                const consentState = this._buildConsentState(consents, purposes);
+                const blockedPurposes = this.guardianService.blockedPurposesFor(userPayload);
+
+                // Issue receipts that could not be issued when the change was made
+                if (!stale) {
+                    await this.consentRecorder.reissuePending(auth);
+                }
 
                 res.render('consent-management', {
                     title: 'Manage Your Consent',
                     user: userPayload,
-                    consentState: consentState,
-                    marketingMeta: marketingMeta,
-                    itrMeta: itrMeta
+                    purposes: this._buildPurposeViews(this.i18n.localizePurposes(purposes, req.locale), consentState, this._buildConsentExpiry(consents))
+                        .map(view => Object.assign(view, {
+                            outdated: this.privacyService.findOutdatedConsents(consents, purposes.find(p => p.id === view.id)).length > 0,
+                            blockedForMinor: blockedPurposes.indexOf(view.id) !== -1
+                        })),
+                    guardian: this.guardianService.getForSubject(userPayload),
+                    receipts: this.receiptService.listForSubject(userPayload.sub),
+                    receiptsPending: this.consentRecorder.hasPending(userPayload.sub),
+                    staleSince: stale ? fetchedAt : null
                 });
             } catch (privacyError) {
                 console.error('[ConsentController] Error fetching consents:', privacyError);
-                
-                // If Privacy API fails, render with default state (no consents)
-                const marketingMeta = this.privacyService.getConsentMetadata('MARKETING_COMMUNICATIONS');
-                const itrMeta = this.privacyService.getConsentMetadata('ITR_FILING');
 
                 res.render('consent-management', {
                     title: 'Manage Your Consent',
                     user: userPayload,
-                    consentState: {},
-                    marketingMeta: marketingMeta,
-                    itrMeta: itrMeta,
+                    purposes: [],
                     apiError: 'Unable to load current consent state. Please try again later.'
                 });
             }
@@ -82,7 +113,12 @@ class ConsentController {
     /**
      * GET /consent/state - Get current consent state as JSON
      * Used by frontend JavaScript to initialize toggle switches
-     * Returns: { marketing: { name: true, email: false, ... }, itr: { ... } }
+     * Returns: { success: true, stale, cachedAt, consentState, timestamp }
+     *   consentState: { MARKETING_COMMUNICATIONS: { name: { default: true }, ... }, ITR_FILING: { pan_id: { default: true, share: false }, ... } }
+     *   stale: true when the Privacy API is unavailable and consentState is the
+     *          last state read for the user, as of cachedAt (epoch seconds)
+     * 503 { success: false, unavailable: true, error } when the Privacy API is
+     * unavailable and nothing is cached: the caller must not assume any state
      */
     getConsentState = async (req, res) => {
         try {
@@ -99,21 +135,24 @@ class ConsentController {
             };
 
             try {
-                const consents = await this.privacyService.getUserConsents(auth, auth.subjectId);
-                const consentState = this._buildConsentState(consents);
-                
+                const purposes = await this.privacyService.getAllConsentMetadata(auth);
+                const { consents, stale, fetchedAt } = await this.privacyService.getUserConsentsOrCached(auth, auth.subjectId);
+                const consentState = this._buildConsentState(consents, purposes);
+
                 res.json({
                     success: true,
+                    stale: stale,
+                    cachedAt: stale ? fetchedAt : null,
                     consentState: consentState,
                     timestamp: new Date().toISOString()
                 });
             } catch (privacyError) {
                 console.error('[ConsentController] Privacy API error:', privacyError);
-                res.json({
-                    success: true,
-                    consentState: {},
-                    timestamp: new Date().toISOString(),
-                    warning: 'Could not fetch latest consent state'
+                res.status(503).json({
+                    success: false,
+                    unavailable: true,
+                    error: 'Could not fetch your consent state. Please try again later.',
+                    timestamp: new Date().toISOString()
                 });
             }
         } catch (error) {
@@ -124,8 +163,9 @@ class ConsentController {
 
     /**
      * POST /consent/update - Update a single consent toggle
-     * Request body: { purposeId, attributeId, state }
+     * Request body: { purposeId, attributeId, accessTypeId, state }
      * state: true/false or 1/2 (1=grant, 2=deny)
+     * accessTypeId: Optional, defaults to 'default'
      * 
      * This is called via AJAX from frontend when user toggles a switch
      */
@@ -136,6 +176,7 @@ class ConsentController {
             }
 
             const { purposeId, attributeId, state } = req.body;
+            const accessTypeId = req.body.accessTypeId || 'default';
 
             // Validate input
             if (!purposeId || !attributeId) {
@@ -155,7 +196,11 @@ class ConsentController {
                 subjectId: userPayload && userPayload.sub ? userPayload.sub : null
             };
 
-            console.log(`[ConsentController] Updating consent - Purpose: ${purposeId}, Attribute: ${attributeId}, State: ${consentState}`);
+            if (this._isBlockedGrant(userPayload, [{ purposeId, state: consentState }])) {
+                return this._sendBlockedForMinor(res, purposeId);
+            }
+
+            console.log(`[ConsentController] Updating consent - Purpose: ${purposeId}, Attribute: ${attributeId}, Access type: ${accessTypeId}, State: ${consentState}`);
 
             try {
                 // Call Privacy Service to update consent in Verify
@@ -163,7 +208,8 @@ class ConsentController {
                     auth,
                     purposeId,
                     attributeId,
-                    consentState
+                    consentState,
+                    { accessTypeId }
                 );
 
                 // The SDK returns an object like { status: 'success'|'fail', results: [...] }
@@ -178,19 +224,35 @@ class ConsentController {
                     });
                 }
 
-                // Log for audit trail (demo only - in production, use proper audit logging)
                 console.log(`[ConsentController] Consent updated successfully for user`);
 
+                const receipt = await this.consentRecorder.record(auth, [{ purposeId, attributeId, accessTypeId, state: consentState }], 'consent-management', { locale: req.locale });
+
                 res.json({
                     success: true,
                     message: `Consent updated for ${attributeId}`,
                     purposeId: purposeId,
                     attributeId: attributeId,
+                    accessTypeId: accessTypeId,
                     state: consentState,
+                    receipt: receipt,
+                    receiptPending: receipt == null,
                     timestamp: new Date().toISOString()
                 });
             } catch (privacyError) {
                 console.error('[ConsentController] Privacy API error during update:', privacyError);
+                if (privacyError.code === 'ACCESS_TYPE_NOT_IN_PURPOSE' || privacyError.code === 'ATTRIBUTE_NOT_IN_PURPOSE') {
+                    return res.status(400).json({
+                        error: privacyError.message,
+                        code: privacyError.code
+                    });
+                }
+                if (this.privacyService.isUnavailable(privacyError)) {
+                    return res.status(503).json({
+                        error: 'The consent service is temporarily unavailable. Please try again later.',
+                        code: privacyError.code
+                    });
+                }
                 res.status(500).json({
                     error: 'Failed to update consent. Please try again.',
                     detail: privacyError.message
@@ -205,108 +267,372 @@ class ConsentController {
     }
 
     /**
-     * Helper: Build consent state object from Verify API response
-     * Converts list of consent records into nested object by purpose and attribute
-     * @param {Array} consents - Array of consent objects from Verify
-     * @returns {Object} { purposeId: { attributeId: boolean } }
+     * POST /consent/update-batch - Update several consents at once
+     * Request body: { items: [{ purposeId, attributeId, accessTypeId, state }] }
+     * accessTypeId is optional and defaults to 'default'
+     * All-or-nothing: if any item fails, the others are restored to their
+     * previous state (see PrivacyService.storeConsentBatch)
+     *
+     * Used by the "Grant all" / "Withdraw all" buttons on the consent page
      */
-    _buildConsentState(consents) {
-        const state = {
-            MARKETING_COMMUNICATIONS: {},
-            ITR_FILING: {}
-        };
-
-        if (!consents || consents.length === 0) {
-            // Default: all attributes unconsented
-            ['name', 'email', 'mobile_number'].forEach(attr => {
-                state.MARKETING_COMMUNICATIONS[attr] = false;
+    updateConsentBatch = async (req, res) => {
+        try {
+            if (!OAuthController.isLoggedIn(req)) {
+                return res.status(401).json({ error: 'Not authenticated' });
+            }
+
+            const items = req.body && req.body.items;
+            if (!Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({
+                    error: 'Request body must contain a non-empty items array'
+                });
+            }
+            if (items.some(item => !item || !item.purposeId || !item.attributeId)) {
+                return res.status(400).json({
+                    error: 'Every item needs purposeId and attributeId'
+                });
+            }
+
+            const authToken = OAuthController.getAuthToken(req);
+            const jwt = require('jsonwebtoken');
+            const userPayload = jwt.decode(authToken.id_token);
+            const auth = {
+                accessToken: authToken.access_token,
+                subjectId: userPayload && userPayload.sub ? userPayload.sub : null
+            };
+
+            // Convert each state to Verify format (1 = grant, 2 = deny)
+            const consents = items.map(item => ({
+                purposeId: item.purposeId,
+                attributeId: item.attributeId,
+                accessTypeId: item.accessTypeId || 'default',
+                state: item.state === true || item.state === 1 ? 1 : 2
+            }));
+
+            const blocked = consents.find(c => this._isBlockedGrant(userPayload, [c]));
+            if (blocked) {
+                return this._sendBlockedForMinor(res, blocked.purposeId);
+            }
+
+            console.log(`[ConsentController] Updating ${consents.length} consents as a batch`);
+
+            const { batch, receipt } = await this.consentRecorder.store(auth, consents, 'consent-management', { locale: req.locale });
+            if (batch.status !== 'success') {
+                return res.status(batch.rolledBack ? 409 : 500).json({
+                    success: false,
+                    error: batch.rolledBack
+                        ? 'Some consents could not be updated, so none were changed.'
+                        : 'Some consents could not be updated and the previous state could not be fully restored.',
+                    results: batch.results
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `Updated ${consents.length} consents`,
+                results: batch.results,
+                receipt: receipt,
+                receiptPending: receipt == null,
+                timestamp: new Date().toISOString()
             });
-            ['name', 'email', 'mobile_number', 'aadhar_id', 'pan_id'].forEach(attr => {
-                state.ITR_FILING[attr] = false;
+        } catch (error) {
+            console.error('[ConsentController] Error in updateConsentBatch:', error);
+            if (this.privacyService.isUnavailable(error)) {
+                return res.status(503).json({
+                    error: 'The consent service is temporarily unavailable. Please try again later.',
+                    code: error.code
+                });
+            }
+            res.status(500).json({
+                error: 'Server error while updating consents'
             });
-            return state;
         }
+    }
 
-        // Build metadata lookup for attribute label -> logical id mapping
-        const purposeMeta = {
-            MARKETING_COMMUNICATIONS: this.privacyService.getConsentMetadata('MARKETING_COMMUNICATIONS'),
-            ITR_FILING: this.privacyService.getConsentMetadata('ITR_FILING')
-        };
+    /**
+     * GET /consent/reconsent/:purposeId - Re-consent interstitial
+     * Shown when the user's consents were given to an older version of a
+     * purpose. Lists what changed in the notice and attributes since then and
+     * asks the user to choose again for every attribute and access type of the
+     * current version.
+     * Query: returnTo - where to go afterwards (app-relative path)
+     */
+    getReconsentPage = async (req, res) => {
+        try {
+            const jwt = require('jsonwebtoken');
+            const authToken = OAuthController.getAuthToken(req);
+            const userPayload = jwt.decode(authToken.id_token);
+            const auth = {
+                accessToken: authToken.access_token,
+                subjectId: userPayload.sub
+            };
+            const purposeId = req.params.purposeId;
+            const returnTo = this._safeReturnTo(req.query.returnTo);
 
-        const findLogicalId = (purposeId, attrId, attrName) => {
-            const meta = purposeMeta[purposeId];
-            if (!meta || !meta.attributes) {
-                return attrId || (attrName && attrName.toLowerCase().replace(/\s+/g, '_')) || null;
+            const { purpose, outdated } = await this.privacyService.getOutdatedConsents(auth, purposeId);
+            if (!purpose) {
+                return res.status(404).send(`Unknown purpose ${purposeId}`);
             }
-
-            // if attrId already matches a logical id in metadata, return it
-            const metaIds = meta.attributes.map(a => a.id);
-            if (attrId && metaIds.indexOf(attrId) !== -1) {
-                return attrId;
+            if (outdated.length === 0) {
+                return res.redirect(returnTo);
             }
 
-            // Try matching by attributeName label
-            if (attrName) {
-                const lowerName = attrName.toLowerCase().trim();
-                // Exact label match
-                const exact = meta.attributes.find(a => a.label && a.label.toLowerCase() === lowerName);
-                if (exact) return exact.id;
-
-                // Partial match: check if label contains a token from attrName or vice-versa
-                const partial = meta.attributes.find(a => a.label && (a.label.toLowerCase().includes(lowerName) || lowerName.includes(a.label.toLowerCase())));
-                if (partial) return partial.id;
-
-                // Token heuristics: look for keywords
-                if (lowerName.includes('email')) return metaIds.find(id => id.includes('email')) || 'email';
-                if (lowerName.includes('mobile')) return metaIds.find(id => id.includes('mobile')) || 'mobile_number';
-                if (lowerName.includes('name')) return metaIds.find(id => id === 'name') || metaIds.find(id => id.includes('name')) || 'name';
-                if (lowerName.includes('pan')) return metaIds.find(id => id.includes('pan')) || 'pan_id';
-                if (lowerName.includes('aadhaar') || lowerName.includes('aadhar')) return metaIds.find(id => id.includes('aadhar') || id.includes('aadhaar')) || 'aadhar_id';
-            }
+            // Users normally consented to a single earlier version; if not, show
+            // the changes since the oldest one
+            const fromVersion = outdated
+                .map(o => o.consentedVersion)
+                .sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }))[0];
+            const outdatedKeys = outdated.map(o => `${o.logicalId}:${o.accessTypeId}`);
+            // Changes are worked out on the notice as published (English); the
+            // notice and choices are shown in the user's language
+            const shown = this.i18n.localizePurpose(purpose, req.locale);
+
+            res.render('consent-reconsent', {
+                title: 'Review Updated Notice',
+                user: userPayload,
+                purpose: shown,
+                changes: this.privacyService.getPurposeChanges(purpose, fromVersion),
+                attributes: shown.attributes
+                    .filter(attr => attr.logicalId != null)
+                    .map(attr => Object.assign({}, attr, {
+                        accessTypes: attr.accessTypes.map(at => Object.assign({}, at, {
+                            key: `${attr.logicalId}:${at.id}`,
+                            previouslyGranted: outdatedKeys.indexOf(`${attr.logicalId}:${at.id}`) !== -1
+                        }))
+                    })),
+                blockedForMinor: this.guardianService.blockedPurposesFor(userPayload).indexOf(purpose.id) !== -1,
+                returnTo: returnTo,
+                error: req.query.error
+            });
+        } catch (error) {
+            console.error('[ConsentController] Error in getReconsentPage:', error);
+            res.status(500).send('An error occurred while loading the updated notice');
+        }
+    }
 
-            // Fallback: return attrId as-is (could be numeric tenant id)
-            return attrId;
-        };
+    /**
+     * POST /consent/reconsent/:purposeId - Consent again to the current purpose version
+     * Form fields: attributes (checked 'logicalId:accessTypeId' pairs), returnTo
+     * Checked pairs are granted under the current version; pairs that were
+     * granted before but are now unchecked are withdrawn.
+     */
+    postReconsent = async (req, res) => {
+        const purposeId = req.params.purposeId;
+        const returnTo = this._safeReturnTo(req.body.returnTo);
+        try {
+            const jwt = require('jsonwebtoken');
+            const authToken = OAuthController.getAuthToken(req);
+            const userPayload = jwt.decode(authToken.id_token);
+            const auth = {
+                accessToken: authToken.access_token,
+                subjectId: userPayload.sub
+            };
 
-        // Process consents from Verify
-        consents.forEach(consent => {
-            const purposeId = consent.purposeId;
+            // A minor cannot grant a blocked purpose, so every box counts as unchecked
+            const checked = this.guardianService.blockedPurposesFor(userPayload).indexOf(purposeId) === -1
+                ? [].concat(req.body.attributes || [])
+                : [];
+            const { purpose, outdated } = await this.privacyService.getOutdatedConsents(auth, purposeId);
+            if (!purpose) {
+                return res.status(404).send(`Unknown purpose ${purposeId}`);
+            }
 
-            if (!state[purposeId]) {
-                state[purposeId] = {};
+            const consents = [];
+            purpose.attributes
+                .filter(attr => attr.logicalId != null)
+                .forEach(attr => attr.accessTypes.forEach(at => {
+                    const isChecked = checked.indexOf(`${attr.logicalId}:${at.id}`) !== -1;
+                    if (isChecked || outdated.some(o => o.logicalId === attr.logicalId && o.accessTypeId === at.id)) {
+                        consents.push({
+                            purposeId: purposeId,
+                            attributeId: attr.logicalId,
+                            accessTypeId: at.id,
+                            state: isChecked ? 1 : 2
+                        });
+                    }
+                }));
+
+            if (consents.length > 0) {
+                const { batch } = await this.consentRecorder.store(auth, consents, 'reconsent', { locale: req.locale });
+                if (batch.status !== 'success') {
+                    console.error('[ConsentController] Re-consent failed:', JSON.stringify(batch.results));
+                    return res.redirect(`/consent/reconsent/${encodeURIComponent(purposeId)}?returnTo=${encodeURIComponent(returnTo)}&error=${encodeURIComponent('Your choices could not be saved. Please try again.')}`);
+                }
             }
 
-            // The SDK may return attribute information either as a top-level
-            // `attributeId` on the consent object, or as an `attributes` array.
-            if (consent.attributeId) {
-                const logical = findLogicalId(purposeId, consent.attributeId, consent.attributeName);
-                state[purposeId][logical] = (consent.state === 1);
-            } else {
-                const attributes = Array.isArray(consent.attributes)
-                    ? consent.attributes
-                    : Object.values(consent.attributes || {});
-
-                attributes.forEach(attr => {
-                    const attrId = attr.attributeId || attr.id;
-                    const logical = findLogicalId(purposeId, attrId, attr.attributeName || attr.label || attr.name);
-                    state[purposeId][logical] = (attr.state === 1);
-                });
+            console.log(`[ConsentController] Re-consent recorded for ${purposeId} version ${purpose.version}`);
+            res.redirect(returnTo);
+        } catch (error) {
+            console.error('[ConsentController] Error in postReconsent:', error);
+            res.status(500).send('An error occurred while saving your consent');
+        }
+    }
+
+    /**
+     * POST /consent/metadata/refresh - Reload purpose metadata from Verify
+     * Use after purposes or notices are changed in the Verify admin console,
+     * instead of waiting for the metadata cache TTL to expire
+     */
+    refreshMetadata = async (req, res) => {
+        try {
+            if (!OAuthController.isLoggedIn(req)) {
+                return res.status(401).json({ error: 'Not authenticated' });
             }
+
+            const auth = {
+                accessToken: OAuthController.getAuthToken(req).access_token
+            };
+
+            const purposes = await this.privacyService.refreshConsentMetadata(auth);
+            res.json({
+                success: true,
+                purposes: purposes.map(p => ({ id: p.id, version: p.version, attributes: p.attributes.length })),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('[ConsentController] Error refreshing metadata:', error);
+            res.status(502).json({
+                success: false,
+                error: 'Failed to refresh purpose metadata',
+                detail: error.message
+            });
+        }
+    }
+
+    /**
+     * Helper: Only allow redirects to paths within this app
+     */
+    _safeReturnTo(returnTo) {
+        if (typeof returnTo === 'string' && returnTo.startsWith('/') && !returnTo.startsWith('//') && !returnTo.includes('\\')) {
+            return returnTo;
+        }
+        return '/consent/management';
+    }
+
+    /**
+     * Helper: Build consent state object from Verify API response
+     * Converts list of consent records into nested object by purpose, logical
+     * attribute id (see AttributeResolver) and access type
+     * @param {Array} consents - Array of consent objects from Verify
+     * @param {Array} purposes - Purpose metadata (see PrivacyService.getAllConsentMetadata)
+     * @returns {Object} { purposeId: { attributeId: { accessTypeId: boolean } } }
+     */
+    _buildConsentState(consents, purposes = []) {
+        const state = {};
+
+        // Default: every access type of every mapped attribute unconsented
+        purposes.forEach(purpose => {
+            state[purpose.id] = {};
+            purpose.attributes.forEach(attr => {
+                if (attr.logicalId) {
+                    state[purpose.id][attr.logicalId] = {};
+                    attr.accessTypes.forEach(at => {
+                        state[purpose.id][attr.logicalId][at.id] = false;
+                    });
+                }
+            });
+        });
+
+        // Unresolved attributes are logged by the resolver and left out
+        const { resolved } = this.privacyService.attributeResolver.resolveConsents(consents);
+        resolved.forEach(entry => {
+            const purposeState = state[entry.purposeId] = state[entry.purposeId] || {};
+            const attributeState = purposeState[entry.logicalId] = purposeState[entry.logicalId] || {};
+            attributeState[entry.accessTypeId] = this.privacyService._isGranted(entry);
         });
 
         return state;
     }
 
+    /**
+     * Helper: Validity of each consent, for showing expiry dates
+     * @param {Array} consents - Array of consent objects from Verify
+     * @returns {Object} { purposeId: { attributeId: { accessTypeId: { endTime, expired, expiringSoon } } } }
+     */
+    _buildConsentExpiry(consents) {
+        const validity = this.privacyService.validity;
+        const expiry = {};
+
+        const { resolved } = this.privacyService.attributeResolver.resolveConsents(consents);
+        resolved.forEach(entry => {
+            if (entry.state !== 1 || !entry.consent.endTime) {
+                return;
+            }
+            const purposeExpiry = expiry[entry.purposeId] = expiry[entry.purposeId] || {};
+            const attributeExpiry = purposeExpiry[entry.logicalId] = purposeExpiry[entry.logicalId] || {};
+            attributeExpiry[entry.accessTypeId] = {
+                endTime: entry.consent.endTime,
+                expired: validity.isExpired(entry.consent),
+                expiringSoon: validity.isExpiringWithin(entry.consent, config.consentExpiryWarningDays)
+            };
+        });
+
+        return expiry;
+    }
+
+    /**
+     * Helper: Combine purpose metadata with consent state for the template
+     * Returns copies so the cached metadata objects are never mutated
+     * @param {Array} purposes - Purpose metadata
+     * @param {Object} consentState - Output of _buildConsentState
+     * @param {Object} consentExpiry - Output of _buildConsentExpiry
+     * @returns {Array} Purposes whose attributes carry one entry per access type:
+     *   accessTypes: [{ id, name, granted, endTime, expired, expiringSoon }]
+     */
+    // Whether the changes grant a purpose the user may not grant (a minor and MINOR_BLOCKED_PURPOSES)
+    _isBlockedGrant(userPayload, consents) {
+        const grants = consents.filter(c => c.state === 1);
+        if (grants.length === 0) {
+            return false;
+        }
+        const blocked = this.guardianService.blockedPurposesFor(userPayload);
+        return grants.some(c => blocked.indexOf(c.purposeId) !== -1);
+    }
+
+    _sendBlockedForMinor(res, purposeId) {
+        console.log(`[ConsentController] Refused to grant ${purposeId} for a minor`);
+        return res.status(403).json({
+            success: false,
+            error: 'This consent cannot be given for users under 18.',
+            code: 'CONSENT_BLOCKED_FOR_MINOR',
+            purposeId: purposeId
+        });
+    }
+
+    _buildPurposeViews(purposes, consentState, consentExpiry = {}) {
+        return purposes.map(purpose => {
+            const purposeState = consentState[purpose.id] || {};
+            const purposeExpiry = consentExpiry[purpose.id] || {};
+            return Object.assign({}, purpose, {
+                attributes: purpose.attributes.map(attr => {
+                    const attributeState = (attr.logicalId != null && purposeState[attr.logicalId]) || {};
+                    const attributeExpiry = (attr.logicalId != null && purposeExpiry[attr.logicalId]) || {};
+                    return Object.assign({}, attr, {
+                        accessTypes: attr.accessTypes.map(at => Object.assign({}, at, {
+                            granted: attributeState[at.id] === true
+                        }, attributeExpiry[at.id] || {}))
+                    });
+                })
+            });
+        });
+    }
+
     /**
      * Helper: Check if all required consents are granted
      * @param {Object} consentState - Consent state object
      * @param {String} purposeId - Purpose to check
-     * @param {Array<String>} requiredAttributes - Attributes that must be granted
+     * @param {Array<String>} requiredAttributes - 'attributeId' (any access type) or 'attributeId:accessTypeId'
      * @returns {Boolean} True if all required attributes are granted
      */
     _hasAllRequired(consentState, purposeId, requiredAttributes) {
         const purposeConsents = consentState[purposeId] || {};
-        return requiredAttributes.every(attr => purposeConsents[attr] === true);
+        return requiredAttributes.every(requirement => {
+            const { logicalId, accessTypeId } = this.privacyService.parseRequirement(requirement);
+            const attributeConsents = purposeConsents[logicalId] || {};
+            return accessTypeId != null
+                ? attributeConsents[accessTypeId] === true
+                : Object.values(attributeConsents).some(granted => granted === true);
+        });
     }
 }
 
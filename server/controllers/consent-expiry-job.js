@@ -0,0 +1,116 @@
+const config = require('./config').Config;
+const { createPrivacyClient } = require('./privacy-backend');
+const JsonFileStore = require('./json-file-store');
+
+/**
+ * ConsentExpiryJob - Periodically finds granted consents that are about to
+ * expire and records a renewal reminder for each subject
+ *
+ * Reminders are kept in consent-reminders.json under LOCAL_DATA_DIR, one per
+ * consent and end time, so a consent is only reminded about once per window:
+ *   { reminders: [{ subjectId, purposeId, attributeId, accessTypeId, endTime, createdTime }] }
+ *
+ * The scan needs a backend that can list consents across subjects
+ * (findConsentsExpiringBetween). The Verify Privacy SDK cannot, so with
+ * PRIVACY_BACKEND=verify the job is skipped and users see expiring consents
+ * only when they sign in (dashboard banner and consent page).
+ */
+class ConsentExpiryJob {
+    /**
+     * @param {Object} options - Optional: { intervalMinutes, warningDays }
+     */
+    constructor(options = {}) {
+        this._intervalMinutes = options.intervalMinutes != null ? options.intervalMinutes : config.consentExpiryCheckMinutes;
+        this._warningDays = options.warningDays != null ? options.warningDays : config.consentExpiryWarningDays;
+        this._store = new JsonFileStore('consent-reminders.json', { reminders: [] });
+        this._timer = null;
+    }
+
+    /**
+     * Run once now, then every intervalMinutes
+     * @returns {Boolean} true if the job was scheduled
+     */
+    start() {
+        if (!(this._intervalMinutes > 0)) {
+            console.log('[ConsentExpiryJob] Disabled (CONSENT_EXPIRY_CHECK_INTERVAL_MINUTES=0)');
+            return false;
+        }
+
+        const client = createPrivacyClient(null, {});
+        if (typeof client.findConsentsExpiringBetween !== 'function') {
+            console.log(`[ConsentExpiryJob] Skipped: the ${config.privacyBackend} backend cannot list consents across subjects`);
+            return false;
+        }
+
+        const run = () => this.runOnce().catch(error => {
+            console.error('[ConsentExpiryJob] Run failed:', error && error.message ? error.message : error);
+        });
+        run();
+        this._timer = setInterval(run, this._intervalMinutes * 60 * 1000);
+        // Do not keep the process alive just for reminders
+        this._timer.unref();
+        return true;
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Remove every reminder recorded for a Data Principal
+     * @returns {Number} Reminders removed
+     */
+    deleteForSubject(subjectId) {
+        return this._store.update(document => {
+            const before = document.reminders.length;
+            document.reminders = document.reminders.filter(r => r.subjectId !== subjectId);
+            return before - document.reminders.length;
+        });
+    }
+
+    /**
+     * Record reminders for consents expiring within the warning window
+     * @returns {Promise<Array>} Reminders created by this run
+     */
+    async runOnce() {
+        const now = Math.floor(Date.now() / 1000);
+        const client = createPrivacyClient(null, {});
+        const response = await client.findConsentsExpiringBetween(now, now + this._warningDays * 24 * 60 * 60);
+
+        const created = this._store.update(document => {
+            const fresh = [];
+            (response.consents || []).forEach(consent => {
+                const exists = document.reminders.some(r =>
+                    r.subjectId === consent.subjectId &&
+                    r.purposeId === consent.purposeId &&
+                    r.attributeId === consent.attributeId &&
+                    r.accessTypeId === consent.accessTypeId &&
+                    r.endTime === consent.endTime);
+                if (exists) {
+                    return;
+                }
+
+                const reminder = {
+                    subjectId: consent.subjectId,
+                    purposeId: consent.purposeId,
+                    attributeId: consent.attributeId,
+                    accessTypeId: consent.accessTypeId,
+                    endTime: consent.endTime,
+                    createdTime: now
+                };
+                document.reminders.push(reminder);
+                fresh.push(reminder);
+                console.log(`[ConsentExpiryJob] Reminder: ${consent.subjectId} consent for ${consent.purposeName}/${consent.attributeName} expires ${new Date(consent.endTime * 1000).toISOString()}`);
+            });
+            return fresh;
+        });
+
+        console.log(`[ConsentExpiryJob] ${created.length} new reminder(s)`);
+        return created;
+    }
+}
+
+module.exports = ConsentExpiryJob;
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('./config').Config;
+const JsonFileStore = require('./json-file-store');
+
+// Kantara Consent Receipt Specification version the payload follows
+const RECEIPT_VERSION = 'KI-CR-v1.1.0';
+const SIGNING_ALGORITHM = 'RS256';
+
+// Logical attributes that are sensitive personal data (government identifiers)
+const SENSITIVE_ATTRIBUTES = ['aadhar_id', 'pan_id'];
+
+const STATE_NAMES = {
+    1: 'allow',
+    2: 'deny',
+    3: 'opt-in',
+    4: 'opt-out',
+    5: 'transparent'
+};
+
+let signingKey = null;
+
+/**
+ * ConsentReceiptService - Issues and verifies signed consent receipts
+ *
+ * A receipt is a record, given to the Data Principal, of one consent change:
+ * the purposes and attributes involved, the state chosen, the notice version
+ * shown and when it happened. The payload follows the Kantara Consent Receipt
+ * Specification (the basis of ISO/IEC 29184 notices) and is signed as a
+ * compact JWS (RS256) with the app's receipt key, so it can be checked
+ * without access to this app's database.
+ *
+ * The signing key is read from CONSENT_RECEIPT_KEY_FILE (PEM, PKCS#8) and
+ * generated on first use if the file does not exist. Issued receipts are kept
+ * in consent-receipts.json under LOCAL_DATA_DIR so users can download them again.
+ */
+class ConsentReceiptService {
+    constructor() {
+        this._store = new JsonFileStore('consent-receipts.json', { receipts: [] });
+    }
+
+    /**
+     * Issue a receipt for a consent change
+     * @param {Object} change - {
+     *   subjectId:        Data Principal id (Verify subject, or email before the account exists)
+     *   collectionMethod: How consent was collected, e.g. 'registration', 'consent-management'
+     *   language:         Language of the page consent was given on (default 'en')
+     *   purposes:         Purpose metadata (see MetadataService) for the purposes involved,
+     *                     localized as shown to the user (see I18n.localizePurpose)
+     *   consents:         [{ purposeId, attributeId (logical), accessTypeId, state, startTime, endTime }]
+     *   consentedBy:      Optional - { id, relationship } of the parent or guardian who
+     *                     consented for a child (see GuardianConsentService)
+     *   consentedAt:      Optional - when consent was given (epoch seconds), for a receipt
+     *                     issued late (see ConsentRecorder.reissuePending); defaults to now
+     * }
+     * @returns {Object} Stored receipt { id, subjectId, issuedAt, collectionMethod, purposeIds, jws }
+     */
+    issue(change) {
+        const key = this._signingKey();
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const receiptId = crypto.randomUUID();
+
+        const payload = this._buildPayload(receiptId, issuedAt, change);
+        const jws = jwt.sign(payload, key.privateKeyPem, {
+            algorithm: SIGNING_ALGORITHM,
+            keyid: key.kid,
+            issuer: config.receiptIssuer,
+            subject: String(change.subjectId),
+            jwtid: receiptId
+        });
+
+        const receipt = {
+            id: receiptId,
+            subjectId: change.subjectId,
+            issuedAt: issuedAt,
+            collectionMethod: change.collectionMethod,
+            purposeIds: payload.services.map(s => s.purposes[0].purposeId),
+            jws: jws
+        };
+        this._store.update(document => {
+            document.receipts.push(receipt);
+        });
+
+        console.log(`[ConsentReceiptService] Issued receipt ${receiptId} (${change.collectionMethod}) for ${change.subjectId}`);
+        return receipt;
+    }
+
+    /**
+     * Receipts issued to a Data Principal, newest first
+     * @param {String} subjectId - Data Principal id
+     */
+    listForSubject(subjectId) {
+        return this._store.read().receipts
+            .filter(r => r.subjectId === subjectId)
+            .sort((a, b) => b.issuedAt - a.issuedAt);
+    }
+
+    /**
+     * Remove every receipt issued to a Data Principal
+     * @returns {Number} Receipts removed
+     */
+    deleteForSubject(subjectId) {
+        return this._store.update(document => {
+            const before = document.receipts.length;
+            document.receipts = document.receipts.filter(r => r.subjectId !== subjectId);
+            return before - document.receipts.length;
+        });
+    }
+
+    /**
+     * A stored receipt by id
+     * @returns {Object} Receipt or null
+     */
+    get(receiptId) {
+        return this._store.read().receipts.find(r => r.id === receiptId) || null;
+    }
+
+    /**
+     * Check that a receipt was signed with this app's receipt key
+     * @param {String} jws - Compact JWS as downloaded by the user
+     * @returns {Object} { valid: true, receipt, issuedHere } or { valid: false, error }
+     */
+    verify(jws) {
+        try {
+            const receipt = jwt.verify(String(jws).trim(), this._signingKey().publicKeyPem, {
+                algorithms: [SIGNING_ALGORITHM],
+                issuer: config.receiptIssuer
+            });
+            return {
+                valid: true,
+                receipt: receipt,
+                // Whether the receipt is also in this instance's receipt registry
+                issuedHere: this.get(receipt.consentReceiptID) != null
+            };
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+
+    /**
+     * Public part of the receipt key as a JWK Set, for verifying receipts offline
+     */
+    getPublicJwks() {
+        const key = this._signingKey();
+        const jwk = key.publicKey.export({ format: 'jwk' });
+        return { keys: [Object.assign(jwk, { kid: key.kid, alg: SIGNING_ALGORITHM, use: 'sig' })] };
+    }
+
+    /**
+     * Decode a receipt's payload without checking the signature (for display)
+     */
+    decode(jws) {
+        return jwt.decode(jws);
+    }
+
+    _buildPayload(receiptId, issuedAt, change) {
+        const consentedAt = change.consentedAt || issuedAt;
+        const purposesById = new Map((change.purposes || []).map(p => [p.id, p]));
+        const byPurpose = new Map();
+        change.consents.forEach(consent => {
+            if (!byPurpose.has(consent.purposeId)) {
+                byPurpose.set(consent.purposeId, []);
+            }
+            byPurpose.get(consent.purposeId).push(consent);
+        });
+
+        const services = Array.from(byPurpose.entries()).map(([purposeId, consents]) => {
+            const purpose = purposesById.get(purposeId) || { id: purposeId, name: purposeId, attributes: [] };
+            const attributes = consents.map(consent => {
+                const attr = (purpose.attributes || []).find(a => a.logicalId === consent.attributeId);
+                return {
+                    attributeId: consent.attributeId,
+                    label: attr ? attr.label : consent.attributeId,
+                    accessType: consent.accessTypeId || 'default',
+                    state: consent.state,
+                    stateName: STATE_NAMES[consent.state] || String(consent.state),
+                    startTime: consent.startTime || consentedAt,
+                    endTime: consent.endTime || null
+                };
+            });
+            const endTimes = attributes.map(a => a.endTime).filter(t => t);
+
+            return {
+                service: purpose.name,
+                purposes: [{
+                    purposeId: purposeId,
+                    purpose: purpose.name,
+                    purposeCategory: [purposeId],
+                    noticeVersion: purpose.version != null ? String(purpose.version) : null,
+                    notice: purpose.notice || '',
+                    // Not part of the Kantara specification: the language of this
+                    // notice, English where no translation of this version exists
+                    noticeLanguage: purpose.noticeLanguage || 'en',
+                    // Also not in the specification: the notice's id in the
+                    // NoticeRegistry, where its exact wording is kept
+                    noticeId: purpose.noticeId || null,
+                    consentType: 'EXPLICIT',
+                    piiCategory: attributes.map(a => a.label),
+                    primaryPurpose: true,
+                    termination: endTimes.length > 0
+                        ? `Expires ${new Date(Math.min.apply(null, endTimes) * 1000).toISOString()} unless withdrawn earlier`
+                        : 'Until withdrawn by the Data Principal',
+                    thirdPartyDisclosure: false,
+                    attributes: attributes
+                }]
+            };
+        });
+
+        const sensitive = change.consents.filter(c => SENSITIVE_ATTRIBUTES.indexOf(c.attributeId) !== -1);
+
+        return {
+            version: RECEIPT_VERSION,
+            jurisdiction: 'IN',
+            consentTimestamp: consentedAt,
+            collectionMethod: change.collectionMethod,
+            consentReceiptID: receiptId,
+            language: change.language || 'en',
+            piiPrincipalId: String(change.subjectId),
+            // Not part of the Kantara specification: who gave consent when the
+            // Data Principal is a child
+            consentGivenBy: change.consentedBy
+                ? { id: String(change.consentedBy.id), relationship: change.consentedBy.relationship }
+                : undefined,
+            piiControllers: [{
+                piiController: config.dataControllerName,
+                onBehalf: false,
+                contact: 'Data Protection Officer',
+                email: config.dpoEmail,
+                url: config.appBaseUrl || null
+            }],
+            policyUrl: config.appBaseUrl ? `${config.appBaseUrl}/consent/management` : null,
+            services: services,
+            sensitive: sensitive.length > 0,
+            spiCat: sensitive.length > 0 ? ['Government identifiers'] : []
+        };
+    }
+
+    _signingKey() {
+        if (signingKey) {
+            return signingKey;
+        }
+
+        const keyFile = config.receiptSigningKeyFile;
+        if (!fs.existsSync(keyFile)) {
+            const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+            fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+            fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+            console.log(`[ConsentReceiptService] Generated receipt signing key at ${keyFile}`);
+        }
+
+        const privateKeyPem = fs.readFileSync(keyFile, 'utf8');
+        const publicKey = crypto.createPublicKey(privateKeyPem);
+        // Key id: RFC 7638 style thumbprint of the public key
+        const jwk = publicKey.export({ format: 'jwk' });
+        const kid = crypto.createHash('sha256')
+            .update(JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n }))
+            .digest('base64url');
+
+        signingKey = {
+            privateKeyPem: privateKeyPem,
+            publicKey: publicKey,
+            publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+            kid: kid
+        };
+        return signingKey;
+    }
+}
+
+module.exports = ConsentReceiptService;
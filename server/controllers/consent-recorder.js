@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const PrivacyService = require('./privacy-service');
+const ConsentReceiptService = require('./consent-receipt-service');
+const AuditLog = require('./audit-log');
+const JsonFileStore = require('./json-file-store');
+const I18n = require('./i18n');
+const NoticeRegistry = require('./notice-registry');
+
+/**
+ * ConsentRecorder - Stores consent changes made by a user and keeps the
+ * records that go with them
+ *
+ * Every consent change the user makes, wherever it is made (registration,
+ * consent page, re-consent page, just-in-time prompts), gets a signed consent receipt (see
+ * ConsentReceiptService) and an entry in the audit trail (see AuditLog).
+ * Both record the language the notice was shown in: the page's language when
+ * the purpose is translated for its current version, English otherwise (see I18n),
+ * and the id of the exact wording in the NoticeRegistry.
+ * Receipts are issued only for consents read back from the Privacy API, with
+ * the validity window they were stored with.
+ *
+ * A change whose receipt cannot be issued (the read-back or signing failed) is
+ * queued in pending-receipts.json under LOCAL_DATA_DIR and re-issued, with the
+ * time consent was given, the next time the user opens the consent page
+ * (see reissuePending):
+ *   { receipts: [{ id, subjectId, consents, channel, purposes, locale, consentedBy, consentedAt }] }
+ */
+class ConsentRecorder {
+    /**
+     * @param {PrivacyService} privacyService
+     * @param {ConsentReceiptService} receiptService
+     * @param {AuditLog} auditLog
+     */
+    constructor(privacyService = new PrivacyService(), receiptService = new ConsentReceiptService(), auditLog = AuditLog.shared()) {
+        this.privacyService = privacyService;
+        this.receiptService = receiptService;
+        this.auditLog = auditLog;
+        this._pending = new JsonFileStore('pending-receipts.json', { receipts: [] });
+    }
+
+    /**
+     * Store consents as one all-or-nothing batch, then issue a receipt and
+     * audit the change
+     * @param {Object} auth - Auth object with accessToken and subjectId
+     * @param {Array} consents - [{ purposeId, attributeId, accessTypeId, state }]
+     * @param {String} channel - Where the change was made (receipt collection method)
+     * @param {Object} options - Optional: {
+     *   locale:      Language the page was shown in (default English)
+     *   purposes:    Purposes as shown, with noticeId, when the page did not show
+     *                the purpose notices from Verify (see RegistrationController)
+     *   consentedBy: { id, relationship } of a guardian consenting for a child
+     * }
+     * @returns {Promise<Object>} { batch, receipt } - receipt is null if the batch failed
+     *          or the receipt was queued for re-issue (see record)
+     */
+    async store(auth, consents, channel = 'consent-management', options = {}) {
+        const batch = await this.privacyService.storeConsentBatch(auth, consents);
+        if (batch.status !== 'success') {
+            return { batch: batch, receipt: null };
+        }
+        const receipt = await this.record(auth, consents, channel, options);
+        return { batch: batch, receipt: receipt };
+    }
+
+    /**
+     * Issue a receipt and audit consents that were just stored
+     * No receipt is issued unless the consents can be read back as stored
+     * (see _storedConsents); if it cannot be issued now, the change is queued
+     * and its receipt issued later by reissuePending.
+     * @param {Object} options - Optional: { locale, purposes, consentedBy } (see store)
+     * @returns {Promise<Object>} Receipt { id, issuedAt, url }, or null if it was queued
+     */
+    async record(auth, consents, channel = 'consent-management', options = {}) {
+        const locale = options.locale || I18n.SOURCE_LOCALE;
+        const consentedAt = Math.floor(Date.now() / 1000);
+        const purposes = options.purposes || await this._purposesShown(auth, consents, locale);
+        const stored = await this._storedConsents(auth, consents);
+        const receipt = stored ? this.issueReceipt(auth, stored, channel, purposes, locale, options.consentedBy) : null;
+        if (!receipt) {
+            this._queueReceipt({
+                subjectId: auth.subjectId,
+                consents: consents,
+                channel: channel,
+                purposes: purposes,
+                locale: locale,
+                consentedBy: options.consentedBy || null,
+                consentedAt: consentedAt
+            });
+        }
+        this.audit(auth, consents, receipt, channel, purposes, options.consentedBy);
+        return receipt;
+    }
+
+    /**
+     * Issue the receipts queued for a subject by record
+     * A queued change whose grants are no longer stored was changed again
+     * since; the later change has its own receipt, so it is dropped.
+     * @param {Object} auth - Auth object with accessToken and subjectId
+     * @returns {Promise<Array>} Receipts issued { id, issuedAt, url }
+     */
+    async reissuePending(auth) {
+        const pending = this._pending.read().receipts.filter(p => p.subjectId === auth.subjectId);
+        const issued = [];
+        for (const entry of pending) {
+            const stored = await this._storedConsents(auth, entry.consents);
+            if (stored === undefined) {
+                // Cannot read the consents back yet: keep the rest queued too
+                break;
+            }
+            if (!stored) {
+                console.warn(`[ConsentRecorder] Dropping queued receipt ${entry.id}: its consents were changed again`);
+                this._dequeueReceipt(entry.id);
+                continue;
+            }
+            const purposes = entry.purposes || await this._purposesShown(auth, entry.consents, entry.locale);
+            const receipt = this.issueReceipt(auth, stored, entry.channel, purposes, entry.locale, entry.consentedBy, entry.consentedAt);
+            if (receipt) {
+                this._dequeueReceipt(entry.id);
+                issued.push(receipt);
+            }
+        }
+        if (issued.length > 0) {
+            console.log(`[ConsentRecorder] Re-issued ${issued.length} queued receipt(s) for ${auth.subjectId}`);
+        }
+        return issued;
+    }
+
+    /**
+     * Whether a subject has receipts waiting to be issued
+     */
+    hasPending(subjectId) {
+        return this._pending.read().receipts.some(p => p.subjectId === subjectId);
+    }
+
+    /**
+     * Drop every queued receipt of a subject
+     * @returns {Number} Entries removed
+     */
+    deletePendingForSubject(subjectId) {
+        return this._pending.update(document => {
+            const before = document.receipts.length;
+            document.receipts = document.receipts.filter(p => p.subjectId !== subjectId);
+            return before - document.receipts.length;
+        });
+    }
+
+    /**
+     * Issue a signed receipt for consents that were just stored
+     * The consent change has already succeeded, so a receipt failure is logged
+     * and reported as a null receipt rather than failing the request.
+     * @param {Object} auth - Auth object with accessToken and subjectId
+     * @param {Array} consents - [{ purposeId, attributeId, accessTypeId, state, startTime, endTime }] as stored
+     * @param {String} channel - Where the change was made (receipt collection method)
+     * @param {Array} purposes - Purposes as shown to the user, with noticeId (see _purposesShown), or null
+     * @param {String} locale - Language of the page
+     * @param {Object} consentedBy - Optional: { id, relationship } of a guardian
+     * @param {Number} consentedAt - Optional: when consent was given, for a receipt issued late
+     * @returns {Object} { id, issuedAt, url } or null
+     */
+    issueReceipt(auth, consents, channel, purposes, locale, consentedBy = null, consentedAt = null) {
+        if (!purposes) {
+            return null;
+        }
+        try {
+            const receipt = this.receiptService.issue({
+                subjectId: auth.subjectId,
+                collectionMethod: channel,
+                language: locale,
+                purposes: purposes,
+                consentedBy: consentedBy,
+                consentedAt: consentedAt,
+                consents: consents
+            });
+            return { id: receipt.id, issuedAt: receipt.issuedAt, url: `/receipts/${receipt.id}` };
+        } catch (error) {
+            console.error('[ConsentRecorder] Failed to issue consent receipt:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Record a consent change in the audit trail
+     * One entry per purpose and direction (granted / withdrawn); attributes
+     * consented for a specific access type are listed as 'attributeId:accessTypeId'
+     * @param {Object} auth - Auth object with subjectId
+     * @param {Array} consents - [{ purposeId, attributeId, accessTypeId, state }] as stored
+     * @param {Object} receipt - Receipt issued for the change, or null
+     * @param {String} channel - Where the change was made
+     * @param {Array} purposes - Purposes as shown to the user, or null if unknown
+     * @param {Object} consentedBy - Optional: guardian who consented, recorded as the actor
+     */
+    audit(auth, consents, receipt, channel = 'consent-management', purposes = null, consentedBy = null) {
+        const groups = new Map();
+        consents.forEach(c => {
+            const key = `${c.purposeId}|${c.state}`;
+            if (!groups.has(key)) {
+                groups.set(key, { purposeId: c.purposeId, state: c.state, attributes: [] });
+            }
+            const accessTypeId = c.accessTypeId || 'default';
+            groups.get(key).attributes.push(accessTypeId === 'default' ? c.attributeId : `${c.attributeId}:${accessTypeId}`);
+        });
+
+        groups.forEach(group => {
+            const purpose = (purposes || []).find(p => p.id === group.purposeId);
+            this.auditLog.tryRecord({
+                type: group.state === 1 ? AuditLog.EVENT_TYPES.CONSENT_GRANTED : AuditLog.EVENT_TYPES.CONSENT_WITHDRAWN,
+                subjectId: auth.subjectId,
+                actor: consentedBy ? consentedBy.id : undefined,
+                purposeId: group.purposeId,
+                attributes: group.attributes,
+                details: {
+                    channel: channel,
+                    state: group.state,
+                    receiptId: receipt ? receipt.id : null,
+                    noticeLanguage: purpose ? purpose.noticeLanguage : null,
+                    noticeVersionId: purpose ? purpose.noticeId : null
+                }
+            });
+        });
+    }
+
+    /**
+     * The consents of a change as the Privacy API now holds them
+     * Granted consents get the startTime and endTime they were stored with.
+     * @param {Array} consents - [{ purposeId, attributeId, accessTypeId, state }] as submitted
+     * @returns {Promise<Array>} The consents with their stored window, null if a
+     *          grant is not stored, or undefined if they cannot be read back
+     */
+    async _storedConsents(auth, consents) {
+        let resolved;
+        try {
+            const records = await this.privacyService.getUserConsents(auth, auth.subjectId);
+            resolved = this.privacyService.attributeResolver.resolveConsents(records).resolved;
+        } catch (error) {
+            console.error('[ConsentRecorder] Failed to read back consents for the consent receipt:', error);
+            return undefined;
+        }
+
+        const stored = [];
+        for (const c of consents) {
+            if (c.state !== 1) {
+                stored.push(Object.assign({}, c));
+                continue;
+            }
+            const entry = resolved.find(r => r.purposeId === c.purposeId && r.logicalId === c.attributeId &&
+                r.accessTypeId === (c.accessTypeId || 'default'));
+            if (!entry || !this.privacyService._isGranted(entry)) {
+                console.error(`[ConsentRecorder] ${c.purposeId}/${c.attributeId} is not stored as granted, no receipt issued`);
+                return null;
+            }
+            stored.push(Object.assign({}, c, { startTime: entry.consent.startTime || null, endTime: entry.consent.endTime || null }));
+        }
+        return stored;
+    }
+
+    _queueReceipt(entry) {
+        const id = crypto.randomUUID();
+        this._pending.update(document => {
+            document.receipts.push(Object.assign({ id: id }, entry));
+        });
+        console.warn(`[ConsentRecorder] No receipt issued for a ${entry.channel} change by ${entry.subjectId}; queued as ${id} for re-issue`);
+    }
+
+    _dequeueReceipt(id) {
+        this._pending.update(document => {
+            document.receipts = document.receipts.filter(p => p.id !== id);
+        });
+    }
+
+    /**
+     * Purposes involved in a change, localized as they were shown to the user
+     * and stamped with the id of that wording in the NoticeRegistry
+     * @returns {Promise<Array>} Localized purposes with noticeId, or null if the metadata could not be loaded
+     */
+    async _purposesShown(auth, consents, locale) {
+        let purposes;
+        try {
+            const purposeIds = Array.from(new Set(consents.map(c => c.purposeId)));
+            purposes = I18n.shared().localizePurposes(await this.privacyService.metadataService.getPurposes(auth, purposeIds), locale);
+        } catch (error) {
+            console.error('[ConsentRecorder] Failed to load purposes for the consent receipt:', error);
+            return null;
+        }
+        return purposes.map(purpose => {
+            try {
+                return Object.assign({}, purpose, { noticeId: NoticeRegistry.shared().registerPurpose(purpose).id });
+            } catch (error) {
+                console.error(`[ConsentRecorder] Failed to register the notice for ${purpose.id}:`, error);
+                return Object.assign({}, purpose, { noticeId: null });
+            }
+        });
+    }
+}
+
+module.exports = ConsentRecorder;
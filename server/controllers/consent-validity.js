@@ -0,0 +1,108 @@
+const fs = require('fs');
+const config = require('./config').Config;
+
+// Offset of India Standard Time from UTC, in seconds
+const IST_OFFSET_SECONDS = (5 * 60 + 30) * 60;
+
+const RULE_TYPES = ['none', 'duration', 'assessment-year'];
+
+let sharedValidity = null;
+
+/**
+ * ConsentValidity - Validity windows for granted consents
+ *
+ * Rules per purpose come from CONSENT_VALIDITY_FILE (see server/config/consent-validity.json):
+ *   { "type": "duration", "days": 365 }   - consent ends N days after it is granted
+ *   { "type": "assessment-year" }         - consent ends with the current Indian
+ *                                           assessment year (31 March, 23:59:59 IST)
+ *   { "type": "none" }                    - open-ended (also the default for unlisted purposes)
+ *
+ * All times are epoch seconds, as used by the Verify DPCM API.
+ */
+class ConsentValidity {
+    /**
+     * @param {Object} rules - { purposeId: rule } in the format described above
+     */
+    constructor(rules) {
+        Object.keys(rules).forEach(purposeId => {
+            const rule = rules[purposeId];
+            if (!rule || RULE_TYPES.indexOf(rule.type) === -1) {
+                throw new Error(`Invalid consent validity rule for ${purposeId}: type must be one of ${RULE_TYPES.join(', ')}`);
+            }
+            if (rule.type === 'duration' && !(rule.days > 0)) {
+                throw new Error(`Invalid consent validity rule for ${purposeId}: duration rules need a positive "days"`);
+            }
+        });
+        this._rules = rules;
+    }
+
+    /**
+     * Validity rules from CONSENT_VALIDITY_FILE, loaded once per process
+     * @returns {ConsentValidity}
+     */
+    static shared() {
+        if (!sharedValidity) {
+            sharedValidity = new ConsentValidity(JSON.parse(fs.readFileSync(config.consentValidityFile, 'utf8')));
+        }
+        return sharedValidity;
+    }
+
+    /**
+     * Validity window for a consent granted now
+     * @param {String} purposeId - Purpose identifier
+     * @param {Number} now - Optional: epoch seconds (defaults to current time)
+     * @returns {Object} { endTime } or {} when the purpose is open-ended
+     */
+    windowFor(purposeId, now = this._now()) {
+        const rule = this._rules[purposeId] || { type: 'none' };
+
+        if (rule.type === 'duration') {
+            return { endTime: now + rule.days * 24 * 60 * 60 };
+        }
+        if (rule.type === 'assessment-year') {
+            return { endTime: this._assessmentYearEnd(now) };
+        }
+        return {};
+    }
+
+    /**
+     * Whether a consent record is inside its validity window
+     * @param {Object} record - Consent record with optional startTime/endTime
+     * @param {Number} now - Optional: epoch seconds
+     */
+    isActive(record, now = this._now()) {
+        if (record.startTime && record.startTime > now) {
+            return false;
+        }
+        return !this.isExpired(record, now);
+    }
+
+    /**
+     * Whether a consent record's end time has passed
+     */
+    isExpired(record, now = this._now()) {
+        return Boolean(record.endTime) && record.endTime <= now;
+    }
+
+    /**
+     * Whether a consent record expires within the given number of days
+     * Already-expired records are not "expiring".
+     */
+    isExpiringWithin(record, days, now = this._now()) {
+        return Boolean(record.endTime) && record.endTime > now && record.endTime <= now + days * 24 * 60 * 60;
+    }
+
+    // The assessment year runs 1 April - 31 March (IST); a consent given at
+    // any point in it lasts until the end of that year.
+    _assessmentYearEnd(now) {
+        const ist = new Date((now + IST_OFFSET_SECONDS) * 1000);
+        const endYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() + 1 : ist.getUTCFullYear();
+        return Date.UTC(endYear, 3, 1) / 1000 - IST_OFFSET_SECONDS - 1;
+    }
+
+    _now() {
+        return Math.floor(Date.now() / 1000);
+    }
+}
+
+module.exports = ConsentValidity;
@@ -0,0 +1,132 @@
+const jwt = require('jsonwebtoken');
+const OAuthController = require('./oauth-controller');
+const DataExportService = require('./data-export-service');
+
+/**
+ * DataExportController - Right to access: lets a Data Principal download
+ * everything the app holds about them (see DataExportService)
+ *
+ * Endpoints:
+ *   GET /privacy/my-data - Request exports and list earlier ones
+ *   POST /privacy/my-data/exports - Start generating an export
+ *   GET /privacy/my-data/exports/:id - Export status (JSON)
+ *   GET /privacy/my-data/exports/:id/download - Download a ready export
+ *       (?format=json, or ?format=html for a printable report)
+ */
+class DataExportController {
+    constructor() {
+        this.exportService = DataExportService.shared();
+    }
+
+    /**
+     * GET /privacy/my-data - Right to access page
+     */
+    getMyDataPage = (req, res) => {
+        try {
+            const { userPayload } = this._getAuth(req);
+            const exports = this.exportService.listForSubject(userPayload.sub);
+
+            res.render('my-data', {
+                title: 'My Data',
+                user: userPayload,
+                exports: exports,
+                pendingExport: exports.find(e => e.status === 'pending') || null
+            });
+        } catch (error) {
+            console.error('[DataExportController] Error in getMyDataPage:', error);
+            res.status(500).send('An error occurred while loading your data exports');
+        }
+    }
+
+    /**
+     * POST /privacy/my-data/exports - Start generating an export
+     * Browsers are sent back to /privacy/my-data; JSON callers get
+     * 202 { export, statusUrl } and can poll the status URL
+     */
+    requestExport = (req, res) => {
+        try {
+            const { auth, userPayload } = this._getAuth(req);
+            const job = this.exportService.request(auth, userPayload);
+            const statusUrl = `/privacy/my-data/exports/${job.id}`;
+
+            res.format({
+                json: () => res.status(202).location(statusUrl).json({ export: job, statusUrl: statusUrl }),
+                default: () => res.redirect('/privacy/my-data')
+            });
+        } catch (error) {
+            console.error('[DataExportController] Error in requestExport:', error);
+            res.status(500).json({ error: 'Server error while requesting your data export' });
+        }
+    }
+
+    /**
+     * GET /privacy/my-data/exports/:id - Export status
+     * Returns: { export: { id, status, requestedAt, completedAt, expiresAt, error } }
+     */
+    getExportStatus = (req, res) => {
+        try {
+            const { userPayload } = this._getAuth(req);
+            const job = this.exportService.get(req.params.id, userPayload.sub);
+            if (!job) {
+                return res.status(404).json({ error: 'Export not found' });
+            }
+            res.json({ export: job });
+        } catch (error) {
+            console.error('[DataExportController] Error in getExportStatus:', error);
+            res.status(500).json({ error: 'Server error while reading export status' });
+        }
+    }
+
+    /**
+     * GET /privacy/my-data/exports/:id/download - Download a ready export
+     * ?format=json (default) downloads the bundle; ?format=html shows it as a
+     * report that can be printed or saved as PDF from the browser
+     */
+    downloadExport = (req, res) => {
+        try {
+            const { userPayload } = this._getAuth(req);
+            const job = this.exportService.get(req.params.id, userPayload.sub);
+            if (!job) {
+                return res.status(404).json({ error: 'Export not found' });
+            }
+
+            let bundle;
+            try {
+                bundle = this.exportService.readBundle(job);
+            } catch (error) {
+                if (error.code === 'EXPORT_NOT_READY') {
+                    return res.status(409).json({ error: 'This export is not ready for download', status: job.status });
+                }
+                throw error;
+            }
+
+            if (req.query.format === 'html') {
+                return res.render('my-data-report', {
+                    layout: false,
+                    title: 'My Data',
+                    bundle: bundle
+                });
+            }
+
+            res.set('Content-Disposition', `attachment; filename="my-data-${job.id}.json"`);
+            res.type('application/json').send(JSON.stringify(bundle, null, 2));
+        } catch (error) {
+            console.error('[DataExportController] Error in downloadExport:', error);
+            res.status(500).json({ error: 'Server error while loading your data export' });
+        }
+    }
+
+    _getAuth(req) {
+        const authToken = OAuthController.getAuthToken(req);
+        const userPayload = jwt.decode(authToken.id_token);
+        return {
+            userPayload: userPayload,
+            auth: {
+                accessToken: authToken.access_token,
+                subjectId: userPayload && userPayload.sub ? userPayload.sub : null
+            }
+        };
+    }
+}
+
+module.exports = DataExportController;
@@ -0,0 +1,373 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config').Config;
+const JsonFileStore = require('./json-file-store');
+const PrivacyService = require('./privacy-service');
+const ConsentReceiptService = require('./consent-receipt-service');
+const FilingHistory = require('./filing-history');
+const ProfileService = require('./profile-service');
+const GrievanceService = require('./grievance-service');
+const GuardianConsentService = require('./guardian-consent-service');
+const NomineeService = require('./nominee-service');
+const I18n = require('./i18n');
+const AttributeResolver = require('./attribute-resolver');
+const AuditLog = require('./audit-log');
+const DataMasking = require('./data-masking');
+const IdentityVault = require('./identity-vault');
+
+// ID token claims about the token itself rather than the Data Principal
+const TOKEN_CLAIMS = ['iss', 'aud', 'exp', 'iat', 'nbf', 'jti', 'nonce', 'at_hash', 'c_hash', 'sid', 'auth_time', 'amr', 'acr', 'azp'];
+
+// Logical attributes reported only masked, under taxIdentifiers
+const TAX_IDENTIFIERS = ['aadhar_id', 'pan_id'];
+
+const STATE_LABELS = {
+    1: 'Allowed',
+    2: 'Denied',
+    3: 'Opt-in',
+    4: 'Opt-out',
+    5: 'Transparent'
+};
+
+let sharedService = null;
+
+/**
+ * DataExportService - Right to access (DPDP Act, section 11): a summary of the
+ * personal data the app holds about a Data Principal and the processing done on it
+ *
+ * An export bundles:
+ *   profile         - ID token claims about the user
+ *   taxIdentifiers  - Aadhaar and PAN, masked (see IdentityVault)
+ *   processing      - per purpose: notice, version and the data it may use
+ *   consents        - every consent record from the Privacy API
+ *   receipts        - consent receipts issued to the user
+ *   filings         - ITR filing history (see FilingHistory)
+ *   corrections     - profile corrections, masked (see ProfileService)
+ *   grievances      - grievances filed and their messages (see GrievanceService)
+ *   guardian        - the parent or guardian who consented for a child, masked
+ *                     (see GuardianConsentService), or null
+ *   nominee         - the user's nominee, masked, and requests the nominee made
+ *                     (see NomineeService)
+ *   language        - the language the user picked for notices (see I18n), or null
+ *   auditEvents     - the user's entries in the audit trail
+ *
+ * Exports are generated in the background because the audit trail and consent
+ * history can be large. Requests are tracked in LOCAL_DATA_DIR/data-exports.json:
+ *   { exports: [{ id, subjectId, status: 'pending'|'ready'|'failed', requestedAt, completedAt, expiresAt, error }] }
+ * and finished bundles are written to LOCAL_DATA_DIR/exports/<id>.json. Bundles
+ * are deleted DATA_EXPORT_RETENTION_HOURS after they are ready.
+ */
+class DataExportService {
+    /**
+     * @param {PrivacyService} privacyService
+     */
+    constructor(privacyService = new PrivacyService()) {
+        this.privacyService = privacyService;
+        this.receiptService = new ConsentReceiptService();
+        this.filingHistory = new FilingHistory();
+        this.profileService = new ProfileService();
+        this.grievanceService = GrievanceService.shared();
+        this.guardianService = new GuardianConsentService();
+        this.nomineeService = NomineeService.shared();
+        this.auditLog = AuditLog.shared();
+        this._store = new JsonFileStore('data-exports.json', { exports: [] });
+        this._dir = path.join(config.localDataDir, 'exports');
+    }
+
+    /**
+     * Service shared by every controller in the process; exports left pending
+     * by a previous process are marked as failed when it is created
+     * @returns {DataExportService}
+     */
+    static shared() {
+        if (!sharedService) {
+            sharedService = new DataExportService();
+            sharedService._failInterrupted();
+        }
+        return sharedService;
+    }
+
+    /**
+     * Start generating an export for the logged-in user
+     * If one is already being generated for them, that one is returned instead.
+     * @param {Object} auth - Auth object with accessToken and subjectId
+     * @param {Object} userPayload - Decoded ID token of the user
+     * @returns {Object} The export request (see class comment)
+     */
+    request(auth, userPayload) {
+        this._purgeExpired();
+
+        const pending = this._store.read().exports
+            .find(e => e.subjectId === auth.subjectId && e.status === 'pending');
+        if (pending) {
+            return pending;
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            subjectId: auth.subjectId,
+            status: 'pending',
+            requestedAt: Math.floor(Date.now() / 1000),
+            completedAt: null,
+            expiresAt: null,
+            error: null
+        };
+        this._store.update(document => {
+            document.exports.push(job);
+        });
+
+        console.log(`[DataExportService] Export ${job.id} requested by ${auth.subjectId}`);
+        setImmediate(() => this._generate(job.id, auth, userPayload)
+            .catch(error => console.error(`[DataExportService] Could not update export ${job.id}:`, error)));
+        return job;
+    }
+
+    /**
+     * An export request, if it belongs to the subject
+     * @returns {Object} Export request or null
+     */
+    get(exportId, subjectId) {
+        return this._store.read().exports
+            .find(e => e.id === exportId && e.subjectId === subjectId) || null;
+    }
+
+    /**
+     * Export requests of a Data Principal, newest first
+     * @param {String} subjectId - Data Principal id
+     */
+    listForSubject(subjectId) {
+        this._purgeExpired();
+        return this._store.read().exports
+            .filter(e => e.subjectId === subjectId)
+            .sort((a, b) => b.requestedAt - a.requestedAt);
+    }
+
+    /**
+     * The generated bundle of a ready export
+     * @param {Object} job - Export request with status 'ready'
+     * @returns {Object} Bundle (see class comment)
+     * @throws {Error} code EXPORT_NOT_READY if the export is not ready or has expired
+     */
+    readBundle(job) {
+        const file = this._bundlePath(job.id);
+        if (job.status !== 'ready' || !fs.existsSync(file)) {
+            const err = new Error(`Export ${job.id} is not available`);
+            err.code = 'EXPORT_NOT_READY';
+            throw err;
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+     * Remove every export of a Data Principal, including generated bundles
+     * @returns {Number} Exports removed
+     */
+    deleteForSubject(subjectId) {
+        return this._store.update(document => {
+            const removed = document.exports.filter(e => e.subjectId === subjectId);
+            removed.forEach(e => fs.rmSync(this._bundlePath(e.id), { force: true }));
+            document.exports = document.exports.filter(e => e.subjectId !== subjectId);
+            return removed.length;
+        });
+    }
+
+    async _generate(exportId, auth, userPayload) {
+        let outcome;
+        try {
+            const bundle = await this._collect(exportId, auth, userPayload);
+            fs.mkdirSync(this._dir, { recursive: true });
+            fs.writeFileSync(this._bundlePath(exportId), JSON.stringify(bundle, null, 2));
+
+            const now = Math.floor(Date.now() / 1000);
+            outcome = this._finish(exportId, {
+                status: 'ready',
+                completedAt: now,
+                expiresAt: now + config.dataExportRetentionHours * 3600
+            });
+            console.log(`[DataExportService] Export ${exportId} ready`);
+        } catch (error) {
+            console.error(`[DataExportService] Export ${exportId} failed:`, error);
+            outcome = this._finish(exportId, {
+                status: 'failed',
+                completedAt: Math.floor(Date.now() / 1000),
+                error: this.privacyService.isUnavailable(error)
+                    ? 'Your consent records could not be read because the consent service is unavailable. Please try again later.'
+                    : 'The export could not be generated. Please try again.'
+            });
+        }
+
+        this.auditLog.tryRecord({
+            type: AuditLog.EVENT_TYPES.DATA_EXPORTED,
+            subjectId: auth.subjectId,
+            outcome: outcome.status,
+            details: { exportId: exportId }
+        });
+    }
+
+    async _collect(exportId, auth, userPayload) {
+        const subjectId = auth.subjectId;
+        const purposes = await this.privacyService.getAllConsentMetadata(auth);
+        const consents = await this.privacyService.getUserConsents(auth, subjectId);
+        const { profile, taxIdentifiers } = this._splitProfile(userPayload, subjectId);
+
+        return {
+            exportId: exportId,
+            generatedAt: new Date().toISOString(),
+            dataFiduciary: config.dataControllerName,
+            dpoEmail: config.dpoEmail,
+            subjectId: subjectId,
+            profile: profile,
+            taxIdentifiers: taxIdentifiers,
+            processing: this._summarizeProcessing(purposes, consents),
+            consents: consents.map(c => ({
+                purposeId: c.purposeId,
+                purposeName: c.purposeName || c.purposeId,
+                purposeVersion: c.purposeVersion,
+                attributeId: c.attributeId,
+                attributeName: c.attributeName || c.attributeId,
+                accessTypeId: c.accessTypeId || 'default',
+                accessTypeName: c.accessTypeName || c.accessTypeId || 'default',
+                state: c.state,
+                stateLabel: STATE_LABELS[c.state] || String(c.state),
+                startTime: c.startTime || null,
+                endTime: c.endTime || null,
+                lastModifiedTime: c.lastModifiedTime || null
+            })),
+            receipts: this.receiptService.listForSubject(subjectId).map(r => ({
+                id: r.id,
+                issuedAt: r.issuedAt,
+                collectionMethod: r.collectionMethod,
+                purposeIds: r.purposeIds,
+                url: `/receipts/${r.id}`
+            })),
+            filings: this.filingHistory.listForSubject(subjectId),
+            corrections: this.profileService.listCorrections(subjectId).map(c => ({
+                field: c.label,
+                before: c.before,
+                after: c.after,
+                verifiedVia: c.verifiedVia,
+                correctedAt: c.correctedAt
+            })),
+            grievances: this.grievanceService.listForSubject(subjectId).map(g => ({
+                reference: g.reference,
+                category: g.category,
+                purposeId: g.purposeId,
+                consent: g.consent,
+                summary: g.summary,
+                status: g.status,
+                createdAt: g.createdAt,
+                resolvedAt: g.resolvedAt,
+                resolution: g.resolution,
+                messages: g.messages.map(m => ({ from: m.from, body: m.body, at: m.at }))
+            })),
+            guardian: this.guardianService.getForSubject(userPayload),
+            nominee: {
+                nomination: this.nomineeService.getForSubject(subjectId),
+                claims: this.nomineeService.listClaimsForSubject(subjectId).map(c => ({
+                    reference: c.reference,
+                    event: c.event,
+                    action: c.action,
+                    status: c.status,
+                    submittedAt: c.submittedAt,
+                    decidedAt: c.decidedAt,
+                    decisionNote: c.decisionNote
+                }))
+            },
+            language: I18n.shared().preferenceFor(subjectId),
+            auditEvents: this.auditLog.query({ subjectId: subjectId })
+        };
+    }
+
+    /**
+     * Split the ID token claims into profile attributes and masked tax identifiers
+     * Claims hold vault tokens, or the numbers themselves for users who
+     * registered before the vault
+     */
+    _splitProfile(userPayload, subjectId) {
+        const resolver = AttributeResolver.shared();
+        const vault = IdentityVault.shared();
+        const profile = {};
+        const taxIdentifiers = {};
+        TAX_IDENTIFIERS.forEach(logicalId => {
+            const entry = vault.tokenFor(subjectId, logicalId);
+            taxIdentifiers[logicalId] = entry ? entry.masked : null;
+        });
+
+        Object.keys(userPayload || {})
+            .filter(claim => TOKEN_CLAIMS.indexOf(claim) === -1)
+            .forEach(claim => {
+                const logicalId = resolver.tryResolve(claim, claim);
+                if (TAX_IDENTIFIERS.indexOf(logicalId) !== -1) {
+                    taxIdentifiers[logicalId] = IdentityVault.isToken(userPayload[claim])
+                        ? vault.masked(userPayload[claim]) || taxIdentifiers[logicalId]
+                        : DataMasking.maskAttribute(logicalId, userPayload[claim]);
+                } else {
+                    profile[claim] = userPayload[claim];
+                }
+            });
+
+        return { profile, taxIdentifiers };
+    }
+
+    /**
+     * Per purpose the user has consent records for: what it is, and which
+     * data it may currently use
+     */
+    _summarizeProcessing(purposes, consents) {
+        return purposes
+            .filter(purpose => consents.some(c => c.purposeId === purpose.id))
+            .map(purpose => ({
+                purposeId: purpose.id,
+                name: purpose.name,
+                version: purpose.version,
+                notice: purpose.notice,
+                permitted: consents
+                    .filter(c => c.purposeId === purpose.id && c.state === 1 && this.privacyService.validity.isActive(c))
+                    .map(c => ({
+                        attribute: c.attributeName || c.attributeId,
+                        accessType: c.accessTypeName || c.accessTypeId || 'default'
+                    }))
+            }));
+    }
+
+    _finish(exportId, changes) {
+        return this._store.update(document => {
+            const job = document.exports.find(e => e.id === exportId);
+            Object.assign(job, changes);
+            return job;
+        });
+    }
+
+    _failInterrupted() {
+        this._store.update(document => {
+            document.exports
+                .filter(e => e.status === 'pending')
+                .forEach(e => {
+                    e.status = 'failed';
+                    e.completedAt = Math.floor(Date.now() / 1000);
+                    e.error = 'The export was interrupted. Please request a new one.';
+                });
+        });
+    }
+
+    _purgeExpired() {
+        const now = Math.floor(Date.now() / 1000);
+        const expired = this._store.read().exports.filter(e => e.expiresAt && e.expiresAt <= now);
+        if (expired.length === 0) {
+            return;
+        }
+
+        expired.forEach(e => fs.rmSync(this._bundlePath(e.id), { force: true }));
+        this._store.update(document => {
+            document.exports = document.exports.filter(e => !(e.expiresAt && e.expiresAt <= now));
+        });
+        console.log(`[DataExportService] Deleted ${expired.length} expired export(s)`);
+    }
+
+    _bundlePath(exportId) {
+        return path.join(this._dir, `${exportId}.json`);
+    }
+}
+
+module.exports = DataExportService;
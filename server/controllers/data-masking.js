@@ -0,0 +1,60 @@
+/**
+ * Masking helpers for personal identifiers shown on screen, in exports and in logs
+ *
+ * Each helper keeps just enough of the value for the Data Principal to
+ * recognise it and returns '' for empty input:
+ *   Aadhaar  ********1234
+ *   PAN      ABCDE****F
+ *   Email    r***@example.com
+ *   Mobile   ******3210
+ *   Name     R*** K****
+ */
+
+exports.maskAadhaar = (aadhaar) => {
+    if (!aadhaar) return '';
+    const clean = String(aadhaar).replace(/\D/g, '');
+    return `${'*'.repeat(8)}${clean.slice(-4)}`;
+};
+
+exports.maskPAN = (pan) => {
+    if (!pan) return '';
+    const clean = String(pan).toUpperCase();
+    return `${clean.slice(0, 5)}${'*'.repeat(4)}${clean.slice(-1)}`;
+};
+
+exports.maskEmail = (email) => {
+    if (!email) return '';
+    const [local, domain] = String(email).split('@');
+    if (!domain) return '*'.repeat(local.length);
+    return `${local.slice(0, 1)}***@${domain}`;
+};
+
+exports.maskMobile = (mobile) => {
+    if (!mobile) return '';
+    const clean = String(mobile).replace(/\D/g, '');
+    return `${'*'.repeat(Math.max(clean.length - 4, 0))}${clean.slice(-4)}`;
+};
+
+exports.maskName = (name) => {
+    if (!name) return '';
+    return String(name).trim().split(/\s+/)
+        .map(part => `${part.slice(0, 1)}${'*'.repeat(part.length - 1)}`)
+        .join(' ');
+};
+
+/**
+ * Mask a value by its logical attribute id (see AttributeResolver)
+ * Attributes without a specific rule are masked completely.
+ * @param {String} logicalId - e.g. 'aadhar_id', 'pan_id', 'email', 'mobile_number', 'name'
+ * @param {String} value - Value to mask
+ */
+exports.maskAttribute = (logicalId, value) => {
+    switch (logicalId) {
+        case 'aadhar_id': return exports.maskAadhaar(value);
+        case 'pan_id': return exports.maskPAN(value);
+        case 'email': return exports.maskEmail(value);
+        case 'mobile_number': return exports.maskMobile(value);
+        case 'name': return exports.maskName(value);
+        default: return value ? '*'.repeat(String(value).length) : '';
+    }
+};
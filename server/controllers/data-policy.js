@@ -0,0 +1,132 @@
+const fs = require('fs');
+const config = require('./config').Config;
+const AttributeResolver = require('./attribute-resolver');
+
+// Action names: lower-case words joined by hyphens, e.g. file-itr
+const ACTION_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+let sharedPolicy = null;
+
+/**
+ * DataPolicy - Which personal data each gated application action needs
+ *
+ * Policies come from DATA_POLICY_FILE (see server/config/data-policies.json):
+ *   {
+ *     "<action>": {
+ *       "description": "File an Income Tax Return",
+ *       "purposeId":   "ITR_FILING",
+ *       "attributes":  [{ "attribute": "name" }, { "attribute": "pan_id", "accessType": "share" }]
+ *     }
+ *   }
+ * Attributes are logical ids (see AttributeResolver); without an accessType
+ * the attribute's default access type is required.
+ *
+ * The file is validated when it is loaded, so a typo stops the server at
+ * startup instead of silently letting an action through. Routes enforce a
+ * policy with requirePolicy('<action>') (see policy-middleware.js).
+ */
+class DataPolicy {
+    /**
+     * @param {Object} policies - { action: policy } in the format described above
+     * @param {AttributeResolver} resolver - Used to check that attributes are known
+     */
+    constructor(policies, resolver = AttributeResolver.shared()) {
+        if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+            throw this._configError('The policy file must contain an object of actions');
+        }
+
+        this._policies = {};
+        Object.keys(policies).forEach(action => {
+            this._policies[action] = this._validate(action, policies[action], resolver);
+        });
+    }
+
+    /**
+     * Policies from DATA_POLICY_FILE, loaded once per process
+     * @returns {DataPolicy}
+     */
+    static shared() {
+        if (!sharedPolicy) {
+            sharedPolicy = new DataPolicy(JSON.parse(fs.readFileSync(config.dataPolicyFile, 'utf8')));
+        }
+        return sharedPolicy;
+    }
+
+    /**
+     * Policy for an action
+     * @param {String} action - Action name, e.g. 'file-itr'
+     * @returns {Object} { action, description, purposeId, attributes: [{ attribute, accessType }], requirements }
+     *                   requirements are 'attribute' / 'attribute:accessType' strings (see AssessmentService)
+     * @throws {Error} code UNKNOWN_POLICY_ACTION if the action has no policy
+     */
+    get(action) {
+        const policy = this._policies[action];
+        if (!policy) {
+            const err = new Error(`No data policy is defined for action '${action}'`);
+            err.code = 'UNKNOWN_POLICY_ACTION';
+            throw err;
+        }
+        return policy;
+    }
+
+    /**
+     * Every configured action name
+     */
+    actions() {
+        return Object.keys(this._policies);
+    }
+
+    _validate(action, policy, resolver) {
+        const fail = message => {
+            throw this._configError(`Policy '${action}': ${message}`);
+        };
+
+        if (!ACTION_PATTERN.test(action)) {
+            fail('action names must be lower-case words joined by hyphens');
+        }
+        if (!policy || typeof policy.purposeId !== 'string' || !policy.purposeId) {
+            fail('"purposeId" is required');
+        }
+        if (config.purposeIds.indexOf(policy.purposeId) === -1) {
+            fail(`purpose '${policy.purposeId}' is not in PRIVACY_PURPOSE_IDS`);
+        }
+        if (!Array.isArray(policy.attributes) || policy.attributes.length === 0) {
+            fail('"attributes" must be a non-empty array');
+        }
+
+        const attributes = policy.attributes.map(entry => {
+            if (!entry || typeof entry.attribute !== 'string') {
+                fail('every attribute entry needs an "attribute"');
+            }
+            if (resolver.tryResolve(entry.attribute) !== entry.attribute) {
+                fail(`'${entry.attribute}' is not a logical attribute id in the attribute alias file`);
+            }
+            if (entry.accessType != null && (typeof entry.accessType !== 'string' || !entry.accessType)) {
+                fail(`the access type of '${entry.attribute}' must be a non-empty string`);
+            }
+            return { attribute: entry.attribute, accessType: entry.accessType || null };
+        });
+
+        const requirements = attributes.map(a => (a.accessType ? `${a.attribute}:${a.accessType}` : a.attribute));
+        const duplicate = requirements.find((r, i) => requirements.indexOf(r) !== i);
+        if (duplicate) {
+            fail(`'${duplicate}' is listed more than once`);
+        }
+
+        return {
+            action: action,
+            description: policy.description || action,
+            purposeId: policy.purposeId,
+            attributes: attributes,
+            requirements: requirements
+        };
+    }
+
+    _configError(message) {
+        const err = new Error(`Invalid data policy file ${config.dataPolicyFile}: ${message}`);
+        err.code = 'INVALID_DATA_POLICY';
+        return err;
+    }
+}
+
+module.exports = DataPolicy;
@@ -0,0 +1,129 @@
+const jwt = require('jsonwebtoken');
+const config = require('./config').Config;
+const OAuthController = require('./oauth-controller');
+const GrievanceService = require('./grievance-service');
+
+/**
+ * DpoController - Grievance queue for the Data Protection Officer's team
+ * (see GrievanceService). Routes are restricted with requireRole('dpo').
+ *
+ * Endpoints:
+ *   GET /dpo/grievances - Queue, oldest deadline first (?status=, ?overdue=1, ?mine=1)
+ *   GET /dpo/grievances/:id - A grievance with its messages
+ *   POST /dpo/grievances/:id/assign - Assign it (form field assignee)
+ *   POST /dpo/grievances/:id/respond - Reply to the Data Principal (form field body)
+ *   POST /dpo/grievances/:id/resolve - Resolve it (form field resolution)
+ */
+class DpoController {
+    constructor() {
+        this.grievanceService = GrievanceService.shared();
+    }
+
+    /**
+     * GET /dpo/grievances - Grievance queue
+     */
+    getQueue = (req, res) => {
+        try {
+            const userPayload = this._getUser(req);
+            const filter = {
+                status: req.query.status || null,
+                overdue: req.query.overdue === '1',
+                assignee: req.query.mine === '1' ? this._actor(userPayload) : null
+            };
+            const grievances = this.grievanceService.list(filter);
+
+            res.render('dpo-grievances', {
+                title: 'Grievance Queue',
+                user: userPayload,
+                grievances: grievances,
+                filter: filter,
+                counts: {
+                    open: this.grievanceService.list({ status: 'open' }).length,
+                    overdue: this.grievanceService.list({ overdue: true }).length
+                },
+                responseDays: config.grievanceResponseDays,
+                resolutionDays: config.grievanceResolutionDays
+            });
+        } catch (error) {
+            console.error('[DpoController] Error in getQueue:', error);
+            res.status(500).send('An error occurred while loading the grievance queue');
+        }
+    }
+
+    /**
+     * GET /dpo/grievances/:id - Grievance detail with actions
+     */
+    getGrievance = (req, res) => {
+        try {
+            this._renderGrievance(req, res);
+        } catch (error) {
+            this._handleError(req, res, error, 'getGrievance');
+        }
+    }
+
+    /**
+     * POST /dpo/grievances/:id/assign
+     */
+    assign = (req, res) => {
+        this._act(req, res, 'assign', actor => this.grievanceService.assign(req.params.id, req.body.assignee || actor, actor));
+    }
+
+    /**
+     * POST /dpo/grievances/:id/respond
+     */
+    respond = (req, res) => {
+        this._act(req, res, 'respond', actor => this.grievanceService.respond(req.params.id, actor, req.body.body));
+    }
+
+    /**
+     * POST /dpo/grievances/:id/resolve
+     */
+    resolve = (req, res) => {
+        this._act(req, res, 'resolve', actor => this.grievanceService.resolve(req.params.id, actor, req.body.resolution));
+    }
+
+    _act(req, res, name, action) {
+        try {
+            action(this._actor(this._getUser(req)));
+            res.redirect(`/dpo/grievances/${req.params.id}`);
+        } catch (error) {
+            this._handleError(req, res, error, name);
+        }
+    }
+
+    _handleError(req, res, error, name) {
+        if (error.code === 'GRIEVANCE_NOT_FOUND') {
+            return res.status(404).send('Grievance not found');
+        }
+        if (error.code === 'GRIEVANCE_INVALID' || error.code === 'GRIEVANCE_RESOLVED') {
+            return this._renderGrievance(req, res, error.message, error.code === 'GRIEVANCE_RESOLVED' ? 409 : 400);
+        }
+        console.error(`[DpoController] Error in ${name}:`, error);
+        res.status(500).send('An error occurred while handling the grievance');
+    }
+
+    _renderGrievance(req, res, error, status = 200) {
+        const userPayload = this._getUser(req);
+        const grievance = this.grievanceService.get(req.params.id);
+        res.status(status).render('dpo-grievance', {
+            title: `Grievance ${grievance.reference}`,
+            user: userPayload,
+            grievance: grievance,
+            categoryLabel: GrievanceService.CATEGORIES[grievance.category],
+            resolved: grievance.status === 'resolved',
+            actor: this._actor(userPayload),
+            error: error
+        });
+    }
+
+    // DPO team members are recorded by email address where the token has one
+    _actor(userPayload) {
+        return userPayload.email || userPayload.sub;
+    }
+
+    _getUser(req) {
+        return jwt.decode(OAuthController.getAuthToken(req).id_token);
+    }
+}
+
+module.exports = DpoController;
@@ -0,0 +1,94 @@
+const jwt = require('jsonwebtoken');
+const config = require('./config').Config;
+const OAuthController = require('./oauth-controller');
+const ErasureService = require('./erasure-service');
+
+/**
+ * ErasureController - Right to erasure: lets a Data Principal ask for their
+ * account and data to be deleted (see ErasureService)
+ *
+ * Endpoints:
+ *   GET /privacy/erasure - What will be erased or kept, and the request status
+ *   POST /privacy/erasure - Queue a deletion request (form field confirm=on)
+ *   POST /privacy/erasure/:id/cancel - Cancel a request during its grace period
+ */
+class ErasureController {
+    constructor() {
+        this.erasureService = ErasureService.shared();
+    }
+
+    /**
+     * GET /privacy/erasure - Deletion request page
+     */
+    getErasurePage = (req, res) => {
+        try {
+            this._renderPage(req, res);
+        } catch (error) {
+            console.error('[ErasureController] Error in getErasurePage:', error);
+            res.status(500).send('An error occurred while loading your deletion request');
+        }
+    }
+
+    /**
+     * POST /privacy/erasure - Queue a deletion request
+     * The user has to tick the confirmation box; the request is carried out
+     * after the grace period unless it is cancelled
+     */
+    requestErasure = (req, res) => {
+        try {
+            if (req.body.confirm !== 'on') {
+                return this._renderPage(req, res, 'Please confirm that you want your account and data to be deleted.', 400);
+            }
+
+            const userPayload = this._getUser(req);
+            this.erasureService.request({ subjectId: userPayload.sub }, userPayload);
+            res.redirect('/privacy/erasure');
+        } catch (error) {
+            console.error('[ErasureController] Error in requestErasure:', error);
+            res.status(500).send('An error occurred while saving your deletion request');
+        }
+    }
+
+    /**
+     * POST /privacy/erasure/:id/cancel - Cancel a scheduled request
+     */
+    cancelErasure = (req, res) => {
+        try {
+            const userPayload = this._getUser(req);
+            this.erasureService.cancel(req.params.id, userPayload.sub);
+            res.redirect('/privacy/erasure');
+        } catch (error) {
+            if (error.code === 'ERASURE_NOT_FOUND') {
+                return this._renderPage(req, res, 'That deletion request was not found.', 404);
+            }
+            if (error.code === 'ERASURE_NOT_CANCELLABLE') {
+                return this._renderPage(req, res, 'This deletion request can no longer be cancelled.', 409);
+            }
+            console.error('[ErasureController] Error in cancelErasure:', error);
+            res.status(500).send('An error occurred while cancelling your deletion request');
+        }
+    }
+
+    _renderPage(req, res, error, status = 200) {
+        const userPayload = this._getUser(req);
+        const request = this.erasureService.latestForSubject(userPayload.sub);
+
+        res.status(status).render('erasure', {
+            title: 'Delete My Account',
+            user: userPayload,
+            request: request,
+            scheduled: request && request.status === 'scheduled',
+            completed: request && request.status === 'completed',
+            preview: this.erasureService.preview(userPayload.sub),
+            gracePeriodDays: config.erasureGracePeriodDays,
+            dpoEmail: config.dpoEmail,
+            error: error
+        });
+    }
+
+    _getUser(req) {
+        return jwt.decode(OAuthController.getAuthToken(req).id_token);
+    }
+}
+
+module.exports = ErasureController;
@@ -0,0 +1,59 @@
+const config = require('./config').Config;
+const ErasureService = require('./erasure-service');
+
+/**
+ * ErasureJob - Periodically carries out erasure requests whose grace period
+ * has ended, and erases retained data once its retention period is over
+ * (see ErasureService.processDue)
+ */
+class ErasureJob {
+    /**
+     * @param {Object} options - Optional: { intervalMinutes, erasureService }
+     */
+    constructor(options = {}) {
+        this._intervalMinutes = options.intervalMinutes != null ? options.intervalMinutes : config.erasureCheckMinutes;
+        this._erasureService = options.erasureService || ErasureService.shared();
+        this._timer = null;
+    }
+
+    /**
+     * Run once now, then every intervalMinutes
+     * @returns {Boolean} true if the job was scheduled
+     */
+    start() {
+        if (!(this._intervalMinutes > 0)) {
+            console.log('[ErasureJob] Disabled (ERASURE_CHECK_INTERVAL_MINUTES=0)');
+            return false;
+        }
+
+        const run = () => this.runOnce().catch(error => {
+            console.error('[ErasureJob] Run failed:', error && error.message ? error.message : error);
+        });
+        run();
+        this._timer = setInterval(run, this._intervalMinutes * 60 * 1000);
+        // Do not keep the process alive just for the erasure queue
+        this._timer.unref();
+        return true;
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Process the erasure queue
+     * @returns {Promise<Object>} { completed: [requestId], failed: [requestId] }
+     */
+    async runOnce() {
+        const outcome = await this._erasureService.processDue();
+        if (outcome.completed.length > 0 || outcome.failed.length > 0) {
+            console.log(`[ErasureJob] ${outcome.completed.length} erasure(s) completed, ${outcome.failed.length} failed`);
+        }
+        return outcome;
+    }
+}
+
+module.exports = ErasureJob;
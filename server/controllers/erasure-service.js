@@ -0,0 +1,492 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('./config').Config;
+const JsonFileStore = require('./json-file-store');
+const PrivacyService = require('./privacy-service');
+const ConsentReceiptService = require('./consent-receipt-service');
+const ConsentRecorder = require('./consent-recorder');
+const ConsentExpiryJob = require('./consent-expiry-job');
+const DataExportService = require('./data-export-service');
+const FilingHistory = require('./filing-history');
+const ProfileService = require('./profile-service');
+const GrievanceService = require('./grievance-service');
+const GuardianConsentService = require('./guardian-consent-service');
+const NomineeService = require('./nominee-service');
+const I18n = require('./i18n');
+const NotificationService = require('./notification-service');
+const AppTokenService = require('./app-token-service');
+const AuditLog = require('./audit-log');
+const DataMasking = require('./data-masking');
+const IdentityVault = require('./identity-vault');
+const ScimClient = require('./scim-client');
+
+// Consent states that allow processing and are withdrawn on erasure
+const ACTIVE_STATES = [1, 3];
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+let sharedService = null;
+
+/**
+ * ErasureService - Right to erasure (DPDP Act, section 12): account deletion
+ * requests and their execution
+ *
+ * A request is queued in LOCAL_DATA_DIR/erasure-requests.json and carried out
+ * by ErasureJob once ERASURE_GRACE_PERIOD_DAYS have passed; until then the
+ * user can cancel it:
+ *   { requests: [{ id, subjectId, status: 'scheduled'|'cancelled'|'completed',
+ *                  requestedAt, scheduledFor, cancelledAt, completedAt,
+ *                  contactEmail, requestedBy, attempts, lastError, result }] }
+ *
+ * Carrying out a request:
+ *   1. Withdraws every consent that allows processing (states 1 and 3) by
+ *      setting it to withdrawn (state 2) with PrivacyService.updateConsent,
+ *      with a receipt for the withdrawal
+ *   2. Deletes the user from the user directory (Users API, see ScimClient),
+ *      so they can no longer log in, and erases the locally held data
+ *      categories below, except those with a
+ *      legal-retention exception in ERASURE_RETENTION_FILE
+ *      (see server/config/erasure-retention.json):
+ *        { "<category>": { "reason": "...", "retentionYears": 8 } }
+ *      Retained categories are recorded with their reason and erased by the
+ *      job once retentionYears have passed since completion (kept
+ *      indefinitely without retentionYears)
+ *   3. Sends a confirmation to the email address given with the request
+ *
+ * Every step is recorded in the audit trail. The request itself is kept as
+ * the record that erasure was carried out, with the email address masked.
+ *
+ * The job runs outside the user's session, so Privacy API calls use the
+ * app's own token (see AppTokenService).
+ */
+class ErasureService {
+    /**
+     * @param {Object} retention - { category: { reason, retentionYears } } (defaults to ERASURE_RETENTION_FILE)
+     */
+    constructor(retention = null) {
+        this.privacyService = new PrivacyService();
+        this.receiptService = new ConsentReceiptService();
+        this.consentRecorder = new ConsentRecorder(this.privacyService, this.receiptService);
+        this.filingHistory = new FilingHistory();
+        this.profileService = new ProfileService();
+        this.grievanceService = GrievanceService.shared();
+        this.guardianService = new GuardianConsentService();
+        this.nomineeService = NomineeService.shared();
+        this.notifications = new NotificationService();
+        this.scimClient = ScimClient.create();
+        this.auditLog = AuditLog.shared();
+        this._store = new JsonFileStore('erasure-requests.json', { requests: [] });
+
+        const reminders = new ConsentExpiryJob();
+        const exports = DataExportService.shared();
+        // Personal data, by category. Categories without purge cannot be
+        // erased and need a retention exception. purge may return a promise.
+        this._categories = {
+            'user-account': {
+                description: 'Your account: name, email address, mobile number and login',
+                purge: subjectId => this._deleteUser(subjectId)
+            },
+            'data-exports': {
+                description: 'Personal data exports',
+                count: subjectId => exports.listForSubject(subjectId).length,
+                purge: subjectId => exports.deleteForSubject(subjectId)
+            },
+            'consent-reminders': {
+                description: 'Consent expiry reminders',
+                purge: subjectId => reminders.deleteForSubject(subjectId)
+            },
+            'notifications': {
+                description: 'Messages sent to you',
+                count: subjectId => this.notifications.listForSubject(subjectId).length,
+                purge: subjectId => this.notifications.deleteForSubject(subjectId)
+            },
+            'consent-cache': {
+                description: 'Cached copy of your consents',
+                purge: subjectId => (this.privacyService.forgetCachedConsents(subjectId) ? 1 : 0)
+            },
+            'profile-corrections': {
+                description: 'Profile corrections and pending changes',
+                purge: subjectId => this.profileService.deleteForSubject(subjectId)
+            },
+            'grievances': {
+                description: 'Grievances you filed',
+                count: subjectId => this.grievanceService.listForSubject(subjectId).length,
+                purge: subjectId => this.grievanceService.deleteForSubject(subjectId)
+            },
+            'guardian-consent': {
+                description: 'Your parent or guardian\'s consent for you',
+                count: subjectId => this.guardianService.countForSubject(subjectId),
+                purge: subjectId => this.guardianService.deleteForSubject(subjectId)
+            },
+            'nominee': {
+                description: 'Your nominee and requests they made',
+                count: subjectId => this.nomineeService.countForSubject(subjectId),
+                purge: subjectId => this.nomineeService.deleteForSubject(subjectId)
+            },
+            'tax-identifiers': {
+                description: 'Your Aadhaar and PAN (encrypted; the key is destroyed)',
+                count: subjectId => IdentityVault.shared().countForSubject(subjectId),
+                purge: subjectId => IdentityVault.shared().shred(subjectId)
+            },
+            'language-preference': {
+                description: 'The language you picked for notices',
+                purge: subjectId => I18n.shared().deleteForSubject(subjectId)
+            },
+            'itr-filings': {
+                description: 'ITR filing history',
+                count: subjectId => this.filingHistory.listForSubject(subjectId).length,
+                purge: subjectId => this.filingHistory.deleteForSubject(subjectId)
+            },
+            'consent-receipts': {
+                description: 'Consent receipts',
+                count: subjectId => this.receiptService.listForSubject(subjectId).length,
+                purge: subjectId => this.receiptService.deleteForSubject(subjectId) + this.consentRecorder.deletePendingForSubject(subjectId)
+            },
+            'audit-trail': {
+                description: 'Audit trail entries',
+                count: subjectId => this.auditLog.query({ subjectId: subjectId }).length,
+                purge: null
+            }
+        };
+
+        this._retention = this._validateRetention(retention || JSON.parse(fs.readFileSync(config.erasureRetentionFile, 'utf8')));
+    }
+
+    /**
+     * Service shared by the erasure pages and ErasureJob
+     * @returns {ErasureService}
+     */
+    static shared() {
+        if (!sharedService) {
+            sharedService = new ErasureService();
+        }
+        return sharedService;
+    }
+
+    /**
+     * What erasure would do for a subject, for the confirmation page
+     * @returns {Object} { erased: [{ category, description }],
+     *                     retained: [{ category, description, reason, retentionYears, items }] }
+     */
+    preview(subjectId) {
+        const erased = [];
+        const retained = [];
+        Object.keys(this._categories).forEach(category => {
+            const definition = this._categories[category];
+            const exception = this._retention[category];
+            if (!exception) {
+                erased.push({ category: category, description: definition.description });
+                return;
+            }
+            const items = definition.count ? definition.count(subjectId) : null;
+            if (items !== 0) {
+                retained.push({
+                    category: category,
+                    description: definition.description,
+                    reason: exception.reason,
+                    retentionYears: exception.retentionYears || null,
+                    items: items
+                });
+            }
+        });
+        return { erased, retained };
+    }
+
+    /**
+     * Queue an erasure request for the logged-in user
+     * If one is already scheduled, that one is returned instead.
+     * @param {Object} auth - Auth object with subjectId
+     * @param {Object} userPayload - Decoded ID token; its email receives the confirmation
+     * @param {Object} options - Optional: { requestedBy } when someone else asks on the
+     *                           user's behalf, such as their nominee (recorded as the audit actor)
+     * @returns {Object} The request (see class comment)
+     */
+    request(auth, userPayload, options = {}) {
+        const scheduled = this._findScheduled(auth.subjectId);
+        if (scheduled) {
+            return scheduled;
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const request = {
+            id: crypto.randomUUID(),
+            subjectId: auth.subjectId,
+            status: 'scheduled',
+            requestedAt: now,
+            scheduledFor: now + config.erasureGracePeriodDays * 24 * 60 * 60,
+            cancelledAt: null,
+            completedAt: null,
+            contactEmail: (userPayload && userPayload.email) || null,
+            requestedBy: options.requestedBy || null,
+            attempts: 0,
+            lastError: null,
+            result: null
+        };
+        this._store.update(document => {
+            document.requests.push(request);
+        });
+
+        this.auditLog.tryRecord({
+            type: AuditLog.EVENT_TYPES.ERASURE_REQUESTED,
+            subjectId: request.subjectId,
+            actor: request.requestedBy || undefined,
+            outcome: request.status,
+            details: { requestId: request.id, scheduledFor: request.scheduledFor }
+        });
+        console.log(`[ErasureService] Erasure ${request.id} for ${request.subjectId} scheduled for ${new Date(request.scheduledFor * 1000).toISOString()}`);
+        return request;
+    }
+
+    /**
+     * Cancel a scheduled request during its grace period
+     * @returns {Object} The cancelled request
+     * @throws {Error} code ERASURE_NOT_FOUND | ERASURE_NOT_CANCELLABLE
+     */
+    cancel(requestId, subjectId) {
+        const request = this._store.update(document => {
+            const found = document.requests.find(r => r.id === requestId && r.subjectId === subjectId);
+            if (!found) {
+                throw this._error('ERASURE_NOT_FOUND', 'Erasure request not found');
+            }
+            if (found.status !== 'scheduled') {
+                throw this._error('ERASURE_NOT_CANCELLABLE', `An erasure request that is ${found.status} cannot be cancelled`);
+            }
+            found.status = 'cancelled';
+            found.cancelledAt = Math.floor(Date.now() / 1000);
+            return found;
+        });
+
+        this.auditLog.tryRecord({
+            type: AuditLog.EVENT_TYPES.ERASURE_CANCELLED,
+            subjectId: subjectId,
+            outcome: request.status,
+            details: { requestId: request.id }
+        });
+        console.log(`[ErasureService] Erasure ${request.id} cancelled by ${subjectId}`);
+        return request;
+    }
+
+    /**
+     * The subject's most recent request, or null
+     */
+    latestForSubject(subjectId) {
+        // Requests are appended in order, so on equal timestamps the later one wins
+        const requests = this._store.read().requests
+            .filter(r => r.subjectId === subjectId)
+            .reverse()
+            .sort((a, b) => b.requestedAt - a.requestedAt);
+        return requests[0] || null;
+    }
+
+    /**
+     * Carry out requests whose grace period has ended, and erase retained
+     * data whose retention period has ended
+     * A request that fails stays scheduled and is tried again on the next run.
+     * @returns {Promise<Object>} { completed: [requestId], failed: [requestId] }
+     */
+    async processDue(now = Math.floor(Date.now() / 1000)) {
+        const due = this._store.read().requests.filter(r => r.status === 'scheduled' && r.scheduledFor <= now);
+        const completed = [];
+        const failed = [];
+
+        for (const request of due) {
+            try {
+                await this._execute(request);
+                completed.push(request.id);
+            } catch (error) {
+                console.error(`[ErasureService] Erasure ${request.id} failed, will retry:`, error && error.message ? error.message : error);
+                this._update(request.id, r => {
+                    r.attempts++;
+                    r.lastError = error && error.message ? error.message : String(error);
+                });
+                failed.push(request.id);
+            }
+        }
+
+        await this._eraseExpiredRetention(now);
+        return { completed, failed };
+    }
+
+    async _execute(request) {
+        const subjectId = request.subjectId;
+        const auth = await AppTokenService.shared().authFor(subjectId);
+
+        // 1. Withdraw consents; stop before erasing anything if one fails
+        const consents = await this.privacyService.getUserConsents(auth, subjectId);
+        const withdrawn = [];
+        for (const consent of consents.filter(c => ACTIVE_STATES.indexOf(c.state) !== -1)) {
+            const accessTypeId = consent.accessTypeId || 'default';
+            const result = await this.privacyService.updateConsent(auth, consent.purposeId, consent.attributeId, 2, { accessTypeId });
+            if (!result || result.status !== 'success') {
+                throw this._error('CONSENT_WITHDRAWAL_FAILED', `Could not withdraw consent ${consent.purposeId}/${consent.attributeId}/${accessTypeId}`);
+            }
+            withdrawn.push({ purposeId: consent.purposeId, attributeId: consent.attributeId, accessTypeId: accessTypeId, state: 2 });
+        }
+        const receipt = withdrawn.length > 0 ? await this.consentRecorder.record(auth, withdrawn, 'erasure') : null;
+
+        // 2. Erase local data, except categories under a retention exception
+        const completedAt = Math.floor(Date.now() / 1000);
+        const erased = [];
+        const retained = [];
+        for (const category of Object.keys(this._categories)) {
+            const definition = this._categories[category];
+            const exception = this._retention[category];
+            if (exception) {
+                retained.push({
+                    category: category,
+                    description: definition.description,
+                    reason: exception.reason,
+                    items: definition.count ? definition.count(subjectId) : null,
+                    until: exception.retentionYears ? completedAt + exception.retentionYears * SECONDS_PER_YEAR : null,
+                    erasedAt: null
+                });
+                continue;
+            }
+            erased.push({ category: category, description: definition.description, items: await definition.purge(subjectId) });
+        }
+
+        const result = {
+            consentsWithdrawn: withdrawn.length,
+            receiptId: receipt ? receipt.id : null,
+            erased: erased,
+            retained: retained
+        };
+        const contactEmail = request.contactEmail;
+        this._update(request.id, r => {
+            r.status = 'completed';
+            r.completedAt = completedAt;
+            r.lastError = null;
+            r.contactEmail = DataMasking.maskEmail(contactEmail) || null;
+            r.result = result;
+        });
+
+        this.auditLog.tryRecord({
+            type: AuditLog.EVENT_TYPES.ERASURE_COMPLETED,
+            subjectId: subjectId,
+            actor: 'system',
+            outcome: 'completed',
+            details: {
+                requestId: request.id,
+                consentsWithdrawn: withdrawn.length,
+                erased: erased.map(e => e.category),
+                retained: retained.map(r => ({ category: r.category, reason: r.reason, until: r.until }))
+            }
+        });
+        console.log(`[ErasureService] Erasure ${request.id} completed for ${subjectId}: ${withdrawn.length} consent(s) withdrawn, ${retained.length} categories retained`);
+
+        // 3. Confirm to the user
+        if (contactEmail) {
+            this.notifications.send({
+                kind: 'erasure.completed',
+                subjectId: subjectId,
+                to: contactEmail,
+                subject: `${config.dataControllerName}: your data has been erased`,
+                body: this._confirmationText(result)
+            });
+        }
+    }
+
+    _confirmationText(result) {
+        const lines = [
+            'Your request to erase your personal data has been carried out.',
+            `Consents withdrawn: ${result.consentsWithdrawn}.`,
+            `Erased: ${result.erased.map(e => e.description).join(', ')}.`
+        ];
+        if (result.retained.length > 0) {
+            lines.push('We are required to keep the following:');
+            result.retained.forEach(r => {
+                const until = r.until ? ` until ${new Date(r.until * 1000).toISOString().slice(0, 10)}` : '';
+                lines.push(`- ${r.description}${until}: ${r.reason}`);
+            });
+        }
+        lines.push(`Questions: ${config.dpoEmail}`);
+        return lines.join('\n');
+    }
+
+    async _eraseExpiredRetention(now) {
+        const requests = this._store.read().requests.filter(r => r.status === 'completed' && r.result);
+        for (const request of requests) {
+            const due = request.result.retained
+                .filter(entry => entry.until && entry.until <= now && !entry.erasedAt && this._categories[entry.category].purge);
+            for (const entry of due) {
+                let items;
+                try {
+                    items = await this._categories[entry.category].purge(request.subjectId);
+                } catch (error) {
+                    console.error(`[ErasureService] Could not erase ${entry.category} of ${request.subjectId}, will retry:`, error && error.message ? error.message : error);
+                    continue;
+                }
+                this._update(request.id, r => {
+                    r.result.retained.find(e => e.category === entry.category).erasedAt = now;
+                });
+                this.auditLog.tryRecord({
+                    type: AuditLog.EVENT_TYPES.RETENTION_EXPIRED,
+                    subjectId: request.subjectId,
+                    actor: 'system',
+                    outcome: 'erased',
+                    details: { requestId: request.id, category: entry.category, items: items }
+                });
+                console.log(`[ErasureService] Retention of ${entry.category} ended for ${request.subjectId}, erased ${items} item(s)`);
+            }
+        }
+    }
+
+    // Delete the user from the user directory; one already gone counts as deleted
+    async _deleteUser(subjectId) {
+        try {
+            await this.scimClient.deleteUser(subjectId);
+            return 1;
+        } catch (error) {
+            if (error.code === 'SCIM_NOT_FOUND') {
+                return 0;
+            }
+            throw error;
+        }
+    }
+
+    _validateRetention(retention) {
+        const fail = message => {
+            const err = new Error(`Invalid erasure retention file ${config.erasureRetentionFile}: ${message}`);
+            err.code = 'INVALID_RETENTION_POLICY';
+            throw err;
+        };
+
+        if (!retention || typeof retention !== 'object' || Array.isArray(retention)) {
+            fail('the file must contain an object of data categories');
+        }
+        Object.keys(retention).forEach(category => {
+            const exception = retention[category];
+            if (!this._categories[category]) {
+                fail(`unknown data category '${category}'. Expected one of: ${Object.keys(this._categories).join(', ')}`);
+            }
+            if (!exception || typeof exception.reason !== 'string' || !exception.reason.trim()) {
+                fail(`'${category}' needs a "reason"`);
+            }
+            if (exception.retentionYears != null && !(Number.isInteger(exception.retentionYears) && exception.retentionYears > 0)) {
+                fail(`"retentionYears" of '${category}' must be a positive whole number`);
+            }
+        });
+        Object.keys(this._categories)
+            .filter(category => !this._categories[category].purge && !retention[category])
+            .forEach(category => fail(`'${category}' cannot be erased and needs a retention reason`));
+        return retention;
+    }
+
+    _findScheduled(subjectId) {
+        return this._store.read().requests.find(r => r.subjectId === subjectId && r.status === 'scheduled') || null;
+    }
+
+    _update(requestId, mutator) {
+        this._store.update(document => {
+            mutator(document.requests.find(r => r.id === requestId));
+        });
+    }
+
+    _error(code, message) {
+        const err = new Error(message);
+        err.code = code;
+        return err;
+    }
+}
+
+module.exports = ErasureService;
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const JsonFileStore = require('./json-file-store');
+
+/**
+ * FilingHistory - ITR filings made through the app, per Data Principal
+ *
+ * Stored in LOCAL_DATA_DIR/itr-filings.json:
+ *   { filings: [{ referenceId, subjectId, filedAt, status }] }
+ * Times are epoch seconds. In production the reference ids would come from
+ * the filing system; here they are generated when the filing is recorded.
+ */
+class FilingHistory {
+    constructor() {
+        this._store = new JsonFileStore('itr-filings.json', { filings: [] });
+    }
+
+    /**
+     * Record a submitted filing
+     * @param {String} subjectId - Data Principal who filed
+     * @returns {Object} The stored filing
+     */
+    record(subjectId) {
+        const filing = {
+            referenceId: this._generateReferenceId(),
+            subjectId: subjectId,
+            filedAt: Math.floor(Date.now() / 1000),
+            status: 'submitted'
+        };
+        this._store.update(document => {
+            document.filings.push(filing);
+        });
+
+        console.log(`[FilingHistory] Recorded filing ${filing.referenceId} for ${subjectId}`);
+        return filing;
+    }
+
+    /**
+     * A filing by reference id, if it belongs to the subject
+     * @returns {Object} Filing or null
+     */
+    get(referenceId, subjectId) {
+        return this._store.read().filings
+            .find(f => f.referenceId === referenceId && f.subjectId === subjectId) || null;
+    }
+
+    /**
+     * Filings of a Data Principal, newest first
+     * @param {String} subjectId - Data Principal id
+     */
+    listForSubject(subjectId) {
+        return this._store.read().filings
+            .filter(f => f.subjectId === subjectId)
+            .sort((a, b) => b.filedAt - a.filedAt);
+    }
+
+    /**
+     * Remove every filing of a Data Principal
+     * @returns {Number} Filings removed
+     */
+    deleteForSubject(subjectId) {
+        return this._store.update(document => {
+            const before = document.filings.length;
+            document.filings = document.filings.filter(f => f.subjectId !== subjectId);
+            return before - document.filings.length;
+        });
+    }
+
+    _generateReferenceId() {
+        const timestamp = Date.now().toString(36).toUpperCase();
+        const random = crypto.randomBytes(3).toString('hex').toUpperCase();
+        return `ITR-${timestamp}-${random}`;
+    }
+}
+
+module.exports = FilingHistory;
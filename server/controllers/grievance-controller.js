@@ -0,0 +1,159 @@
+const jwt = require('jsonwebtoken');
+const config = require('./config').Config;
+const OAuthController = require('./oauth-controller');
+const PrivacyService = require('./privacy-service');
+const GrievanceService = require('./grievance-service');
+
+/**
+ * GrievanceController - Lets a Data Principal file grievances about the
+ * processing of their data and follow them up (see GrievanceService)
+ *
+ * Endpoints:
+ *   GET /privacy/grievances - The user's grievances and the form to file one
+ *   POST /privacy/grievances - File a grievance
+ *   GET /privacy/grievances/:id - A grievance with its messages
+ *   POST /privacy/grievances/:id/messages - Add a follow-up message
+ */
+class GrievanceController {
+    constructor() {
+        this.privacyService = new PrivacyService();
+        this.grievanceService = GrievanceService.shared();
+    }
+
+    /**
+     * GET /privacy/grievances - List and form
+     */
+    getGrievancesPage = async (req, res) => {
+        try {
+            await this._renderList(req, res);
+        } catch (error) {
+            console.error('[GrievanceController] Error in getGrievancesPage:', error);
+            res.status(500).send('An error occurred while loading your grievances');
+        }
+    }
+
+    /**
+     * POST /privacy/grievances - File a grievance
+     * The related purpose or consent record is checked against the user's own
+     * consents; an unknown one is a validation error
+     */
+    fileGrievance = async (req, res) => {
+        try {
+            const { auth, userPayload } = this._getAuth(req);
+            const { consents } = await this._getConsents(auth);
+            const grievance = this.grievanceService.file(userPayload, req.body, consents);
+            res.redirect(`/privacy/grievances/${grievance.id}`);
+        } catch (error) {
+            if (error.code === 'GRIEVANCE_INVALID') {
+                return this._renderList(req, res, error.message, req.body, 400);
+            }
+            console.error('[GrievanceController] Error in fileGrievance:', error);
+            res.status(500).send('An error occurred while filing your grievance');
+        }
+    }
+
+    /**
+     * GET /privacy/grievances/:id - Grievance detail
+     */
+    getGrievance = (req, res) => {
+        try {
+            this._renderGrievance(req, res);
+        } catch (error) {
+            if (error.code === 'GRIEVANCE_NOT_FOUND') {
+                return res.status(404).send('Grievance not found');
+            }
+            console.error('[GrievanceController] Error in getGrievance:', error);
+            res.status(500).send('An error occurred while loading your grievance');
+        }
+    }
+
+    /**
+     * POST /privacy/grievances/:id/messages - Follow-up from the Data Principal
+     */
+    addMessage = (req, res) => {
+        try {
+            const { userPayload } = this._getAuth(req);
+            this.grievanceService.addMessage(req.params.id, userPayload.sub, req.body.body);
+            res.redirect(`/privacy/grievances/${req.params.id}`);
+        } catch (error) {
+            if (error.code === 'GRIEVANCE_NOT_FOUND') {
+                return res.status(404).send('Grievance not found');
+            }
+            if (error.code === 'GRIEVANCE_INVALID' || error.code === 'GRIEVANCE_RESOLVED') {
+                return this._renderGrievance(req, res, error.message, error.code === 'GRIEVANCE_RESOLVED' ? 409 : 400);
+            }
+            console.error('[GrievanceController] Error in addMessage:', error);
+            res.status(500).send('An error occurred while sending your message');
+        }
+    }
+
+    async _renderList(req, res, error, formData = {}, status = 200) {
+        const { auth, userPayload } = this._getAuth(req);
+        const { consents, unavailable } = await this._getConsents(auth);
+
+        // Purpose names come from the Privacy API; fall back to the ids
+        let purposes;
+        try {
+            purposes = (await this.privacyService.getAllConsentMetadata(auth)).map(p => ({ id: p.id, name: p.name || p.id }));
+        } catch (metadataError) {
+            purposes = config.purposeIds.map(id => ({ id: id, name: id }));
+        }
+
+        res.status(status).render('grievances', {
+            title: 'Grievances',
+            user: userPayload,
+            grievances: this.grievanceService.listForSubject(userPayload.sub),
+            categories: Object.keys(GrievanceService.CATEGORIES).map(id => ({ id: id, label: GrievanceService.CATEGORIES[id] })),
+            purposes: purposes,
+            consents: consents.map(c => ({
+                value: `consent:${c.purposeId}|${c.attributeId}|${c.accessTypeId || 'default'}`,
+                label: `${c.purposeName || c.purposeId}: ${c.attributeName || c.attributeId}${(c.accessTypeId || 'default') === 'default' ? '' : ` (${c.accessTypeName || c.accessTypeId})`} - ${this.privacyService.formatConsentState(c.state)}`
+            })),
+            consentsUnavailable: unavailable,
+            formData: formData,
+            responseDays: config.grievanceResponseDays,
+            resolutionDays: config.grievanceResolutionDays,
+            dpoEmail: config.dpoEmail,
+            error: error
+        });
+    }
+
+    _renderGrievance(req, res, error, status = 200) {
+        const { userPayload } = this._getAuth(req);
+        const grievance = this.grievanceService.getForSubject(req.params.id, userPayload.sub);
+        res.status(status).render('grievance', {
+            title: `Grievance ${grievance.reference}`,
+            user: userPayload,
+            grievance: grievance,
+            categoryLabel: GrievanceService.CATEGORIES[grievance.category],
+            resolved: grievance.status === 'resolved',
+            dpoEmail: config.dpoEmail,
+            error: error
+        });
+    }
+
+    // The user's consent records, so a grievance can point at one; the page
+    // still works without them while the Privacy API is unavailable
+    async _getConsents(auth) {
+        try {
+            const { consents } = await this.privacyService.getUserConsentsOrCached(auth, auth.subjectId);
+            return { consents: consents, unavailable: false };
+        } catch (error) {
+            if (!this.privacyService.isUnavailable(error)) {
+                throw error;
+            }
+            return { consents: [], unavailable: true };
+        }
+    }
+
+    _getAuth(req) {
+        const authToken = OAuthController.getAuthToken(req);
+        const userPayload = jwt.decode(authToken.id_token);
+        return {
+            auth: { accessToken: authToken.access_token, subjectId: userPayload.sub },
+            userPayload: userPayload
+        };
+    }
+}
+
+module.exports = GrievanceController;
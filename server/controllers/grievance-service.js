@@ -0,0 +1,433 @@
+const crypto = require('crypto');
+const config = require('./config').Config;
+const JsonFileStore = require('./json-file-store');
+const NotificationService = require('./notification-service');
+const AuditLog = require('./audit-log');
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// What a grievance can be about
+const CATEGORIES = {
+    'consent': 'A consent I gave or withdrew',
+    'processing': 'How my data is used for a purpose',
+    'data-rights': 'A request to access, correct or erase my data',
+    'other': 'Something else'
+};
+
+let sharedService = null;
+
+/**
+ * GrievanceService - Grievance redressal (DPDP Act, section 13): complaints
+ * from Data Principals, handled by the Data Protection Officer
+ *
+ * A grievance can be tied to a purpose or to one of the user's consent
+ * records. Grievances are kept in LOCAL_DATA_DIR/grievances.json:
+ *   { grievances: [{ id, reference, subjectId, contactEmail, category,
+ *                    purposeId, consent: { purposeId, attributeId, accessTypeId },
+ *                    summary, status: 'open'|'in-progress'|'resolved', assignee,
+ *                    messages: [{ id, from: 'principal'|'dpo', author, body, at }],
+ *                    createdAt, updatedAt, responseDueAt, resolutionDueAt,
+ *                    respondedAt, resolvedAt, resolution,
+ *                    escalations: [{ kind: 'response'|'resolution', at }] }] }
+ *
+ * SLA: the DPO has GRIEVANCE_RESPONSE_DAYS to respond and
+ * GRIEVANCE_RESOLUTION_DAYS to resolve. GrievanceSlaJob escalates grievances
+ * that miss either deadline to DPO_EMAIL (and the assignee), once per deadline.
+ *
+ * Every step is recorded in the audit trail (the text of messages is not),
+ * and the Data Principal is notified of responses and the resolution.
+ *
+ * Errors carry a code: GRIEVANCE_INVALID (with err.field), GRIEVANCE_NOT_FOUND,
+ * GRIEVANCE_RESOLVED.
+ */
+class GrievanceService {
+    constructor() {
+        this.notifications = new NotificationService();
+        this.auditLog = AuditLog.shared();
+        this._store = new JsonFileStore('grievances.json', { grievances: [] });
+    }
+
+    /**
+     * Service shared by the grievance pages, the DPO queue and GrievanceSlaJob
+     * @returns {GrievanceService}
+     */
+    static shared() {
+        if (!sharedService) {
+            sharedService = new GrievanceService();
+        }
+        return sharedService;
+    }
+
+    static get CATEGORIES() {
+        return CATEGORIES;
+    }
+
+    /**
+     * File a grievance
+     * @param {Object} userPayload - Decoded ID token of the Data Principal
+     * @param {Object} input - { category, related, summary, description }
+     *                         related is '', 'purpose:<purposeId>' or
+     *                         'consent:<purposeId>|<attributeId>|<accessTypeId>'
+     * @param {Array<Object>} consents - The user's consent records, to check `related` against
+     * @returns {Object} The grievance
+     * @throws {Error} code GRIEVANCE_INVALID
+     */
+    file(userPayload, input, consents = []) {
+        const summary = String(input.summary || '').trim();
+        const description = String(input.description || '').trim();
+        if (!CATEGORIES[input.category]) {
+            throw this._invalid('category', 'Please choose what your grievance is about');
+        }
+        if (summary.length < 5 || summary.length > 200) {
+            throw this._invalid('summary', 'Please give a short summary (5 to 200 characters)');
+        }
+        if (description.length < 20 || description.length > 5000) {
+            throw this._invalid('description', 'Please describe your grievance (20 to 5000 characters)');
+        }
+        const related = this._parseRelated(input.related, consents);
+
+        const now = Math.floor(Date.now() / 1000);
+        const grievance = {
+            id: crypto.randomUUID(),
+            reference: this._generateReference(),
+            subjectId: userPayload.sub,
+            contactEmail: userPayload.email || null,
+            category: input.category,
+            purposeId: related.purposeId,
+            consent: related.consent,
+            summary: summary,
+            status: 'open',
+            assignee: null,
+            messages: [this._message('principal', userPayload.sub, description, now)],
+            createdAt: now,
+            updatedAt: now,
+            responseDueAt: now + config.grievanceResponseDays * SECONDS_PER_DAY,
+            resolutionDueAt: now + config.grievanceResolutionDays * SECONDS_PER_DAY,
+            respondedAt: null,
+            resolvedAt: null,
+            resolution: null,
+            escalations: []
+        };
+        this._store.update(document => {
+            document.grievances.push(grievance);
+        });
+
+        this._audit(AuditLog.EVENT_TYPES.GRIEVANCE_FILED, grievance, grievance.subjectId, {
+            category: grievance.category,
+            consent: grievance.consent,
+            resolutionDueAt: grievance.resolutionDueAt
+        });
+        console.log(`[GrievanceService] Grievance ${grievance.reference} filed by ${grievance.subjectId}`);
+        return this._withSla(grievance, now);
+    }
+
+    /**
+     * Grievances of a Data Principal, newest first
+     */
+    listForSubject(subjectId) {
+        const now = Math.floor(Date.now() / 1000);
+        return this._store.read().grievances
+            .filter(g => g.subjectId === subjectId)
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(g => this._withSla(g, now));
+    }
+
+    /**
+     * A grievance, if it belongs to the subject
+     * @throws {Error} code GRIEVANCE_NOT_FOUND
+     */
+    getForSubject(grievanceId, subjectId) {
+        const grievance = this.get(grievanceId);
+        if (grievance.subjectId !== subjectId) {
+            throw this._error('GRIEVANCE_NOT_FOUND', 'Grievance not found');
+        }
+        return grievance;
+    }
+
+    /**
+     * Add a follow-up message from the Data Principal
+     * @throws {Error} code GRIEVANCE_NOT_FOUND | GRIEVANCE_RESOLVED | GRIEVANCE_INVALID
+     */
+    addMessage(grievanceId, subjectId, body) {
+        const text = this._messageText(body);
+        const grievance = this._update(grievanceId, g => {
+            if (g.subjectId !== subjectId) {
+                throw this._error('GRIEVANCE_NOT_FOUND', 'Grievance not found');
+            }
+            this._requireOpen(g);
+            g.messages.push(this._message('principal', subjectId, text));
+        });
+
+        this._audit(AuditLog.EVENT_TYPES.GRIEVANCE_MESSAGE_ADDED, grievance, subjectId, { from: 'principal' });
+        return grievance;
+    }
+
+    /**
+     * Grievances for the DPO queue, oldest deadline first
+     * @param {Object} filter - Optional: { status, assignee, overdue: true }
+     */
+    list(filter = {}) {
+        const now = Math.floor(Date.now() / 1000);
+        return this._store.read().grievances
+            .map(g => this._withSla(g, now))
+            .filter(g => !filter.status || g.status === filter.status)
+            .filter(g => !filter.assignee || g.assignee === filter.assignee)
+            .filter(g => !filter.overdue || g.overdue)
+            .sort((a, b) => this._nextDeadline(a) - this._nextDeadline(b));
+    }
+
+    /**
+     * @throws {Error} code GRIEVANCE_NOT_FOUND
+     */
+    get(grievanceId) {
+        const grievance = this._store.read().grievances.find(g => g.id === grievanceId);
+        if (!grievance) {
+            throw this._error('GRIEVANCE_NOT_FOUND', 'Grievance not found');
+        }
+        return this._withSla(grievance, Math.floor(Date.now() / 1000));
+    }
+
+    /**
+     * Assign a grievance to a member of the DPO team
+     * @param {String} assignee - Email address or subject id of the assignee
+     * @param {String} actor - Who assigned it
+     */
+    assign(grievanceId, assignee, actor) {
+        const to = String(assignee || '').trim();
+        if (!to) {
+            throw this._invalid('assignee', 'Please enter who the grievance is assigned to');
+        }
+        const grievance = this._update(grievanceId, g => {
+            this._requireOpen(g);
+            g.assignee = to;
+            g.status = 'in-progress';
+        });
+
+        this._audit(AuditLog.EVENT_TYPES.GRIEVANCE_ASSIGNED, grievance, actor, { assignee: to });
+        console.log(`[GrievanceService] Grievance ${grievance.reference} assigned to ${to} by ${actor}`);
+        return grievance;
+    }
+
+    /**
+     * Reply to the Data Principal; the first reply meets the response deadline
+     * @param {String} actor - DPO team member replying
+     */
+    respond(grievanceId, actor, body) {
+        const text = this._messageText(body);
+        const grievance = this._update(grievanceId, g => {
+            this._requireOpen(g);
+            g.messages.push(this._message('dpo', actor, text));
+            g.status = 'in-progress';
+            g.respondedAt = g.respondedAt || Math.floor(Date.now() / 1000);
+        });
+
+        this._audit(AuditLog.EVENT_TYPES.GRIEVANCE_RESPONDED, grievance, actor, { from: 'dpo' });
+        this._notifyPrincipal(grievance, 'grievance.responded',
+            `We have replied to your grievance ${grievance.reference}`,
+            `The Data Protection Officer has replied to your grievance "${grievance.summary}". Sign in to read the reply.`);
+        return grievance;
+    }
+
+    /**
+     * Resolve a grievance with an explanation for the Data Principal
+     * @param {String} actor - DPO team member resolving it
+     */
+    resolve(grievanceId, actor, resolution) {
+        const text = this._messageText(resolution);
+        const grievance = this._update(grievanceId, g => {
+            this._requireOpen(g);
+            const now = Math.floor(Date.now() / 1000);
+            g.status = 'resolved';
+            g.resolution = text;
+            g.resolvedAt = now;
+            g.respondedAt = g.respondedAt || now;
+        });
+
+        this._audit(AuditLog.EVENT_TYPES.GRIEVANCE_RESOLVED, grievance, actor, {
+            withinSla: grievance.resolvedAt <= grievance.resolutionDueAt
+        });
+        console.log(`[GrievanceService] Grievance ${grievance.reference} resolved by ${actor}`);
+        this._notifyPrincipal(grievance, 'grievance.resolved',
+            `Your grievance ${grievance.reference} has been resolved`,
+            `${text}\n\nIf you are not satisfied with this outcome, you may complain to the Data Protection Board of India.`);
+        return grievance;
+    }
+
+    /**
+     * Escalate grievances that have missed their response or resolution deadline
+     * Each deadline is escalated once.
+     * @returns {Array<Object>} [{ id, reference, kind }]
+     */
+    escalateOverdue(now = Math.floor(Date.now() / 1000)) {
+        const escalated = [];
+        this._store.update(document => {
+            document.grievances.filter(g => g.status !== 'resolved').forEach(g => {
+                const missed = [];
+                if (!g.respondedAt && g.responseDueAt <= now) {
+                    missed.push('response');
+                }
+                if (g.resolutionDueAt <= now) {
+                    missed.push('resolution');
+                }
+                missed
+                    .filter(kind => !g.escalations.some(e => e.kind === kind))
+                    .forEach(kind => {
+                        g.escalations.push({ kind: kind, at: now });
+                        escalated.push({ grievance: Object.assign({}, g), kind: kind });
+                    });
+            });
+        });
+
+        escalated.forEach(({ grievance, kind }) => {
+            this._audit(AuditLog.EVENT_TYPES.GRIEVANCE_ESCALATED, grievance, 'system', {
+                kind: kind,
+                dueAt: kind === 'response' ? grievance.responseDueAt : grievance.resolutionDueAt
+            });
+            console.log(`[GrievanceService] Grievance ${grievance.reference} escalated: ${kind} overdue`);
+
+            const recipients = [config.dpoEmail];
+            if (grievance.assignee && grievance.assignee.indexOf('@') !== -1 && grievance.assignee !== config.dpoEmail) {
+                recipients.push(grievance.assignee);
+            }
+            recipients.forEach(to => this.notifications.send({
+                kind: 'grievance.escalated',
+                subjectId: grievance.subjectId,
+                to: to,
+                subject: `Grievance ${grievance.reference}: ${kind} overdue`,
+                body: `Grievance ${grievance.reference} ("${grievance.summary}") has missed its ${kind} deadline. Assignee: ${grievance.assignee || 'nobody'}.`
+            }));
+        });
+        return escalated.map(({ grievance, kind }) => ({ id: grievance.id, reference: grievance.reference, kind: kind }));
+    }
+
+    /**
+     * Remove every grievance of a Data Principal
+     * @returns {Number} Grievances removed
+     */
+    deleteForSubject(subjectId) {
+        return this._store.update(document => {
+            const before = document.grievances.length;
+            document.grievances = document.grievances.filter(g => g.subjectId !== subjectId);
+            return before - document.grievances.length;
+        });
+    }
+
+    _parseRelated(related, consents) {
+        const value = String(related || '');
+        if (!value) {
+            return { purposeId: null, consent: null };
+        }
+        if (value.startsWith('purpose:')) {
+            const purposeId = value.slice('purpose:'.length);
+            if (config.purposeIds.indexOf(purposeId) === -1) {
+                throw this._invalid('related', 'Please choose one of the listed purposes');
+            }
+            return { purposeId: purposeId, consent: null };
+        }
+        if (value.startsWith('consent:')) {
+            const [purposeId, attributeId, accessTypeId] = value.slice('consent:'.length).split('|');
+            const found = consents.find(c => c.purposeId === purposeId && c.attributeId === attributeId &&
+                (c.accessTypeId || 'default') === accessTypeId);
+            if (!found) {
+                throw this._invalid('related', 'Please choose one of your consent records');
+            }
+            return { purposeId: purposeId, consent: { purposeId, attributeId, accessTypeId } };
+        }
+        throw this._invalid('related', 'Please choose what your grievance relates to');
+    }
+
+    _withSla(grievance, now) {
+        let overdue = null;
+        if (grievance.status !== 'resolved') {
+            if (grievance.resolutionDueAt <= now) {
+                overdue = 'resolution';
+            } else if (!grievance.respondedAt && grievance.responseDueAt <= now) {
+                overdue = 'response';
+            }
+        }
+        return Object.assign({}, grievance, { overdue: overdue, escalated: grievance.escalations.length > 0 });
+    }
+
+    _nextDeadline(grievance) {
+        if (grievance.status === 'resolved') {
+            return Number.MAX_SAFE_INTEGER;
+        }
+        return grievance.respondedAt ? grievance.resolutionDueAt : grievance.responseDueAt;
+    }
+
+    _update(grievanceId, mutator) {
+        const grievance = this._store.update(document => {
+            const found = document.grievances.find(g => g.id === grievanceId);
+            if (!found) {
+                throw this._error('GRIEVANCE_NOT_FOUND', 'Grievance not found');
+            }
+            mutator(found);
+            found.updatedAt = Math.floor(Date.now() / 1000);
+            return found;
+        });
+        return this._withSla(grievance, grievance.updatedAt);
+    }
+
+    _requireOpen(grievance) {
+        if (grievance.status === 'resolved') {
+            throw this._error('GRIEVANCE_RESOLVED', `Grievance ${grievance.reference} is already resolved`);
+        }
+    }
+
+    _message(from, author, body, at = Math.floor(Date.now() / 1000)) {
+        return { id: crypto.randomUUID(), from: from, author: author, body: body, at: at };
+    }
+
+    _messageText(body) {
+        const text = String(body || '').trim();
+        if (!text || text.length > 5000) {
+            throw this._invalid('body', 'Please enter a message (up to 5000 characters)');
+        }
+        return text;
+    }
+
+    _notifyPrincipal(grievance, kind, subject, body) {
+        if (!grievance.contactEmail) {
+            return;
+        }
+        this.notifications.send({
+            kind: kind,
+            subjectId: grievance.subjectId,
+            to: grievance.contactEmail,
+            subject: `${config.dataControllerName}: ${subject}`,
+            body: body
+        });
+    }
+
+    _audit(type, grievance, actor, details) {
+        this.auditLog.tryRecord({
+            type: type,
+            subjectId: grievance.subjectId,
+            actor: actor,
+            purposeId: grievance.purposeId,
+            attributes: grievance.consent ? [grievance.consent.attributeId] : [],
+            outcome: grievance.status,
+            details: Object.assign({ grievanceId: grievance.id, reference: grievance.reference }, details)
+        });
+    }
+
+    _generateReference() {
+        const timestamp = Date.now().toString(36).toUpperCase();
+        const random = crypto.randomBytes(3).toString('hex').toUpperCase();
+        return `GRV-${timestamp}-${random}`;
+    }
+
+    _invalid(field, message) {
+        const err = this._error('GRIEVANCE_INVALID', message);
+        err.field = field;
+        return err;
+    }
+
+    _error(code, message) {
+        const err = new Error(message);
+        err.code = code;
+        return err;
+    }
+}
+
+module.exports = GrievanceService;
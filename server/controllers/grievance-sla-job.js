@@ -0,0 +1,62 @@
+const config = require('./config').Config;
+const GrievanceService = require('./grievance-service');
+
+/**
+ * GrievanceSlaJob - Periodically escalates grievances that have missed their
+ * response or resolution deadline (see GrievanceService.escalateOverdue)
+ */
+class GrievanceSlaJob {
+    /**
+     * @param {Object} options - Optional: { intervalMinutes, grievanceService }
+     */
+    constructor(options = {}) {
+        this._intervalMinutes = options.intervalMinutes != null ? options.intervalMinutes : config.grievanceSlaCheckMinutes;
+        this._grievanceService = options.grievanceService || GrievanceService.shared();
+        this._timer = null;
+    }
+
+    /**
+     * Run once now, then every intervalMinutes
+     * @returns {Boolean} true if the job was scheduled
+     */
+    start() {
+        if (!(this._intervalMinutes > 0)) {
+            console.log('[GrievanceSlaJob] Disabled (GRIEVANCE_SLA_CHECK_INTERVAL_MINUTES=0)');
+            return false;
+        }
+
+        const run = () => {
+            try {
+                this.runOnce();
+            } catch (error) {
+                console.error('[GrievanceSlaJob] Run failed:', error && error.message ? error.message : error);
+            }
+        };
+        run();
+        this._timer = setInterval(run, this._intervalMinutes * 60 * 1000);
+        // Do not keep the process alive just for SLA checks
+        this._timer.unref();
+        return true;
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Escalate overdue grievances
+     * @returns {Array<Object>} [{ id, reference, kind }]
+     */
+    runOnce() {
+        const escalated = this._grievanceService.escalateOverdue();
+        if (escalated.length > 0) {
+            console.log(`[GrievanceSlaJob] ${escalated.length} grievance deadline(s) escalated`);
+        }
+        return escalated;
+    }
+}
+
+module.exports = GrievanceSlaJob;
@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const config = require('./config').Config;
+const JsonFileStore = require('./json-file-store');
+const ScimClient = require('./scim-client');
+const NotificationService = require('./notification-service');
+const AuditLog = require('./audit-log');
+const DataMasking = require('./data-masking');
+const OtpService = require('./otp-service');
+
+const RELATIONSHIPS = {
+    parent: 'Parent',
+    'legal-guardian': 'Lawful guardian'
+};
+
+/**
+ * GuardianConsentService - Verifiable consent of a parent or lawful guardian
+ * for children (DPDP Act, section 9)
+ *
+ * A Data Principal under MINOR_AGE_YEARS can only register once a guardian is
+ * linked. The guardian must already have an account (looked up by email
+ * through the Users API, see ScimClient) and proves it by entering the code
+ * sent to that address, an OtpService email challenge valid for
+ * GUARDIAN_VERIFICATION_MINUTES and GUARDIAN_VERIFICATION_MAX_ATTEMPTS. The
+ * registrant is not told whether the address has an account: without one (or
+ * for a minor's account) the challenge is created and counted just the same,
+ * but no code is sent and none can match. Pending checks are kept in
+ * LOCAL_DATA_DIR/guardian-consents.json by challenge id, next to the links
+ * made at the end of registration. The child is identified in the challenge
+ * and in logs by their pending account id, not their email:
+ *   { verifications: [{ id, childEmail, childSubjectId, guardianId, guardianEmail, relationship, expiresAt }],
+ *     links: [{ id, childEmail, childSubjectId, dateOfBirth, guardianId, guardianEmail,
+ *               relationship, verifiedAt, linkedAt, receiptId }] }
+ *
+ * While a linked child is a minor, the purposes in MINOR_BLOCKED_PURPOSES
+ * (targeted marketing) cannot be granted. The link records the date of birth,
+ * so the block ends by itself when the child comes of age.
+ *
+ * Errors carry a code: GUARDIAN_INVALID (with err.field), VERIFICATION_NOT_FOUND,
+ * the OTP_* codes of OtpService, and the SCIM_* codes of ScimClient.
+ */
+class GuardianConsentService {
+    /**
+     * @param {Object} options - Optional: { scimClient, notifications, otpService }
+     */
+    constructor(options = {}) {
+        this.scimClient = options.scimClient || ScimClient.create();
+        this.notifications = options.notifications || new NotificationService();
+        this.otpService = options.otpService || new OtpService({ notifications: this.notifications });
+        this.auditLog = AuditLog.shared();
+        this._store = new JsonFileStore('guardian-consents.json', { verifications: [], links: [] });
+    }
+
+    /**
+     * Relationships a guardian can declare: { id: label }
+     */
+    static get RELATIONSHIPS() {
+        return RELATIONSHIPS;
+    }
+
+    /**
+     * Age in whole years on a date
+     * @param {String} dateOfBirth - YYYY-MM-DD
+     * @param {Date} on - Defaults to today
+     * @returns {Number} Age, or NaN for an invalid date
+     */
+    static ageOn(dateOfBirth, on = new Date()) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateOfBirth || ''));
+        if (!match) {
+            return NaN;
+        }
+        const [year, month, day] = match.slice(1).map(n => parseInt(n, 10));
+        const born = new Date(Date.UTC(year, month - 1, day));
+        if (born.getUTCMonth() !== month - 1 || born.getUTCDate() !== day) {
+            return NaN;
+        }
+        let age = on.getUTCFullYear() - year;
+        if (on.getUTCMonth() + 1 < month || (on.getUTCMonth() + 1 === month && on.getUTCDate() < day)) {
+            age--;
+        }
+        return age;
+    }
+
+    /**
+     * @param {String} dateOfBirth - YYYY-MM-DD
+     */
+    static isMinorOn(dateOfBirth, on = new Date()) {
+        return GuardianConsentService.ageOn(dateOfBirth, on) < config.minorAgeYears;
+    }
+
+    /**
+     * Look up the guardian's account and send them a code
+     * The result is the same whether or not the address has an account that
+     * can act as guardian; the code is only sent if it has.
+     * @param {Object} child - { email, subjectId } the child is registering with
+     *                         (subjectId is their pending account, see RegistrationAccountService)
+     * @param {Object} input - { guardianEmail, relationship, declaration }
+     * @returns {Promise<Object>} { id, target (masked), relationship, expiresAt }
+     * @throws {Error} code GUARDIAN_INVALID, OTP_LOCKED | OTP_RESEND_TOO_SOON | OTP_SEND_LIMIT
+     */
+    async startVerification(child, input) {
+        const childEmail = child.email;
+        const guardianEmail = String(input.guardianEmail || '').trim().toLowerCase();
+        const relationship = input.relationship;
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(guardianEmail)) {
+            throw this._invalid('guardianEmail', 'Please enter your parent or guardian\'s email address');
+        }
+        if (guardianEmail === String(childEmail).toLowerCase()) {
+            throw this._invalid('guardianEmail', 'Your parent or guardian must use their own account, not yours');
+        }
+        if (!RELATIONSHIPS[relationship]) {
+            throw this._invalid('relationship', 'Please choose how your guardian is related to you');
+        }
+        if (input.declaration !== 'on') {
+            throw this._invalid('declaration', 'Your parent or guardian must confirm the declaration');
+        }
+
+        let guardian = await this.scimClient.findUserByEmail(guardianEmail);
+        // A guardian who registered as a child cannot consent for another child
+        if (guardian && this._findLink(guardian.id, guardianEmail).some(link => GuardianConsentService.isMinorOn(link.dateOfBirth))) {
+            console.log('[GuardianConsentService] Named guardian is a minor, no code sent');
+            guardian = null;
+        } else if (!guardian) {
+            console.log('[GuardianConsentService] No account for the named guardian, no code sent');
+        }
+
+        const childKey = String(childEmail).toLowerCase();
+        const challenge = await this.otpService.send({
+            subjectId: child.subjectId,
+            purpose: 'guardian',
+            channel: 'email',
+            to: guardianEmail,
+            recipientId: guardian ? guardian.id : null,
+            minutes: config.guardianVerificationMinutes,
+            maxAttempts: config.guardianVerificationMaxAttempts,
+            deliver: guardian != null,
+            message: code => ({
+                subject: `${config.dataControllerName}: confirm you are the guardian of a new user`,
+                body: `${DataMasking.maskEmail(childEmail)} is creating an account and named you as their ${RELATIONSHIPS[relationship].toLowerCase()}. ` +
+                    `If you agree to be their guardian and to give consent for them, give them this code: ${code}. ` +
+                    `It expires in ${config.guardianVerificationMinutes} minutes. If you do not know this person, ignore this message.`
+            })
+        });
+        const verification = {
+            id: challenge.id,
+            childEmail: childKey,
+            childSubjectId: child.subjectId,
+            guardianId: guardian ? guardian.id : null,
+            guardianEmail: guardianEmail,
+            relationship: relationship,
+            expiresAt: challenge.expiresAt
+        };
+
+        // A new request for the same child replaces the earlier one, as its code does
+        this._store.update(document => {
+            document.verifications = document.verifications.filter(v => v.childEmail !== verification.childEmail);
+            document.verifications.push(verification);
+        });
+
+        console.log(`[GuardianConsentService] Guardian verification started for ${verification.childSubjectId}`);
+        return this._summarize(verification);
+    }
+
+    /**
+     * Confirm the guardian with the code sent to them
+     * @returns {Object} Verified guardian { guardianId, guardianEmail, relationship, verifiedAt }
+     * @throws {Error} code VERIFICATION_NOT_FOUND, or OTP_NOT_FOUND | OTP_EXPIRED |
+     *                      OTP_LOCKED | OTP_CODE_INVALID from OtpService
+     */
+    confirmVerification(verificationId, child, code) {
+        const childKey = String(child.email).toLowerCase();
+        const verification = this._store.read().verifications
+            .find(v => v.id === verificationId && v.childEmail === childKey);
+        if (!verification) {
+            throw this._error('VERIFICATION_NOT_FOUND', 'No pending guardian check. Please enter your guardian\'s details again.');
+        }
+
+        let result;
+        try {
+            result = this.otpService.verify(verification.id, verification.childSubjectId, code);
+        } catch (error) {
+            // The code can no longer be entered: the guardian's details have to be given again
+            if (['OTP_NOT_FOUND', 'OTP_EXPIRED', 'OTP_LOCKED'].indexOf(error.code) !== -1) {
+                this._removeVerification(verification.id);
+            }
+            throw error;
+        }
+
+        this._removeVerification(verification.id);
+        console.log(`[GuardianConsentService] Guardian verified for ${verification.childSubjectId}`);
+        return {
+            guardianId: verification.guardianId,
+            guardianEmail: verification.guardianEmail,
+            relationship: verification.relationship,
+            verifiedAt: result.verifiedAt
+        };
+    }
+
+    /**
+     * Link a verified guardian to a child once registration completes
+     * @param {Object} child - { email, subjectId (if known), dateOfBirth }
+     * @param {Object} guardian - As returned by confirmVerification
+     * @param {String} receiptId - Receipt of the consents the guardian gave
+     * @returns {Object} The link
+     */
+    link(child, guardian, receiptId) {
+        const link = {
+            id: crypto.randomUUID(),
+            childEmail: String(child.email).toLowerCase(),
+            childSubjectId: child.subjectId || null,
+            dateOfBirth: child.dateOfBirth,
+            guardianId: guardian.guardianId,
+            guardianEmail: guardian.guardianEmail,
+            relationship: guardian.relationship,
+            verifiedAt: guardian.verifiedAt,
+            linkedAt: Math.floor(Date.now() / 1000),
+            receiptId: receiptId || null
+        };
+        this._store.update(document => {
+            document.links = document.links.filter(l => l.childEmail !== link.childEmail);
+            document.links.push(link);
+        });
+
+        this.auditLog.tryRecord({
+            type: AuditLog.EVENT_TYPES.GUARDIAN_LINKED,
+            subjectId: child.subjectId || link.childEmail,
+            actor: guardian.guardianId,
+            outcome: 'linked',
+            details: {
+                guardianId: guardian.guardianId,
+                relationship: guardian.relationship,
+                verifiedVia: 'email',
+                receiptId: link.receiptId
+            }
+        });
+        return link;
+    }
+
+    /**
+     * The guardian link of a Data Principal
+     * Links are made before the account has a subject id, so they are found by
+     * email and the subject id is filled in on first use.
+     * @param {Object} userPayload - Decoded ID token (sub, email)
+     * @returns {Object} { guardianEmail (masked), relationship, relationshipLabel, verifiedAt, minor } or null
+     */
+    getForSubject(userPayload) {
+        const link = this._linkFor(userPayload);
+        if (!link) {
+            return null;
+        }
+        return {
+            guardianEmail: DataMasking.maskEmail(link.guardianEmail),
+            relationship: link.relationship,
+            relationshipLabel: RELATIONSHIPS[link.relationship] || link.relationship,
+            verifiedAt: link.verifiedAt,
+            linkedAt: link.linkedAt,
+            minor: GuardianConsentService.isMinorOn(link.dateOfBirth)
+        };
+    }
+
+    /**
+     * Whether the Data Principal is a linked child who is still a minor
+     */
+    isMinor(userPayload) {
+        const link = this._linkFor(userPayload);
+        return !!link && GuardianConsentService.isMinorOn(link.dateOfBirth);
+    }
+
+    /**
+     * Purposes that cannot be granted for the Data Principal
+     * @returns {Array<String>} Purpose ids (MINOR_BLOCKED_PURPOSES for minors, otherwise none)
+     */
+    blockedPurposesFor(userPayload) {
+        return this.isMinor(userPayload) ? config.minorBlockedPurposes.slice() : [];
+    }
+
+    /**
+     * Remove the guardian link and pending checks of a Data Principal
+     * @returns {Number} Records removed
+     */
+    deleteForSubject(subjectId) {
+        return this._store.update(document => {
+            const emails = document.links.filter(l => l.childSubjectId === subjectId).map(l => l.childEmail);
+            const before = document.links.length + document.verifications.length;
+            document.links = document.links.filter(l => l.childSubjectId !== subjectId);
+            document.verifications = document.verifications.filter(v => v.childSubjectId !== subjectId && emails.indexOf(v.childEmail) === -1);
+            return before - document.links.length - document.verifications.length;
+        });
+    }
+
+    /**
+     * Number of guardian links held for a Data Principal
+     */
+    countForSubject(subjectId) {
+        return this._store.read().links.filter(l => l.childSubjectId === subjectId).length;
+    }
+
+    _linkFor(userPayload) {
+        if (!userPayload) {
+            return null;
+        }
+        const link = this._findLink(userPayload.sub, userPayload.email)[0];
+        if (link && !link.childSubjectId && userPayload.sub) {
+            this._store.update(document => {
+                const stored = document.links.find(l => l.id === link.id);
+                if (stored) {
+                    stored.childSubjectId = userPayload.sub;
+                }
+            });
+            link.childSubjectId = userPayload.sub;
+        }
+        return link || null;
+    }
+
+    _findLink(subjectId, email) {
+        const wanted = email ? String(email).toLowerCase() : null;
+        return this._store.read().links.filter(l =>
+            (subjectId && l.childSubjectId === subjectId) || (wanted && !l.childSubjectId && l.childEmail === wanted));
+    }
+
+    _summarize(verification) {
+        return {
+            id: verification.id,
+            target: DataMasking.maskEmail(verification.guardianEmail),
+            relationship: verification.relationship,
+            expiresAt: verification.expiresAt
+        };
+    }
+
+    _removeVerification(verificationId) {
+        this._store.update(document => {
+            document.verifications = document.verifications.filter(v => v.id !== verificationId);
+        });
+    }
+
+    _invalid(field, message) {
+        const err = this._error('GUARDIAN_INVALID', message);
+        err.field = field;
+        return err;
+    }
+
+    _error(code, message) {
+        const err = new Error(message);
+        err.code = code;
+        return err;
+    }
+}
+
+module.exports = GuardianConsentService;
@@ -0,0 +1,82 @@
+const config = require('./config').Config;
+
+/**
+ * HttpSmsProvider - Sends text messages through an SMS gateway's HTTP API
+ * (SMS_PROVIDER=http)
+ *
+ * Each message is POSTed as JSON to SMS_HTTP_URL with SMS_HTTP_TOKEN as bearer
+ * token:
+ *   { to: '+91XXXXXXXXXX', from: SMS_SENDER_ID, body }
+ * and the gateway answers with its message id as `id` or `messageId`. Most
+ * Indian gateways accept this shape directly or through a small adapter;
+ * the sender id is the DLT-registered header.
+ *
+ * Failures, including timeouts (SMS_TIMEOUT_MS), are thrown as errors with
+ * code SMS_SEND_FAILED.
+ */
+class HttpSmsProvider {
+    /**
+     * @param {Object} options - Optional: { url, token, senderId, timeoutMs }
+     */
+    constructor(options = {}) {
+        this._url = options.url || config.smsHttpUrl;
+        this._token = options.token || config.smsHttpToken;
+        this._senderId = options.senderId || config.smsSenderId;
+        this._timeoutMs = options.timeoutMs || config.smsTimeoutMs;
+        if (!this._url) {
+            throw new Error('SMS_PROVIDER=http needs SMS_HTTP_URL');
+        }
+    }
+
+    /**
+     * @param {Object} message - { to (10-digit Indian mobile number), body, kind, subjectId }
+     * @returns {Promise<Object>} { provider: 'http', messageId }
+     * @throws {Error} code SMS_SEND_FAILED
+     */
+    async send(message) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this._timeoutMs);
+
+        // The timeout covers reading the answer too
+        let response;
+        let text;
+        try {
+            response = await fetch(this._url, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this._token}`,
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ to: `+91${message.to}`, from: this._senderId, body: message.body }),
+                signal: controller.signal
+            });
+            text = await response.text();
+        } catch (error) {
+            const reason = error && error.name === 'AbortError' ? `timed out after ${this._timeoutMs}ms` : (error && error.message ? error.message : error);
+            throw this._error(`SMS gateway request failed: ${reason}`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        let payload = null;
+        try {
+            payload = text ? JSON.parse(text) : null;
+        } catch (error) {
+            payload = null;
+        }
+        if (!response.ok) {
+            console.error(`[HttpSmsProvider] SMS gateway returned ${response.status} for a ${message.kind} message`);
+            throw this._error(`SMS gateway returned ${response.status}`);
+        }
+        return { provider: 'http', messageId: payload ? payload.id || payload.messageId || null : null };
+    }
+
+    _error(message) {
+        const err = new Error(message);
+        err.code = 'SMS_SEND_FAILED';
+        return err;
+    }
+}
+
+module.exports = HttpSmsProvider;
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config').Config;
+const JsonFileStore = require('./json-file-store');
+
+// Language the Privacy API metadata (and so every notice at its source) is written in
+const SOURCE_LOCALE = 'en';
+
+let sharedI18n = null;
+
+/**
+ * I18n - Translation catalogs for the notices and the consent pages
+ *
+ * DPDP (section 5(3)) lets a Data Principal read a notice in English or in
+ * any language of the Eighth Schedule. One catalog per language lives in
+ * LOCALES_DIR/<locale>.json:
+ *   {
+ *     language: { name, englishName, intl },
+ *     states: { <consent state>: label },
+ *     messages: { <key>: text with {placeholders} },
+ *     purposes: { <purposeId>: { version, name, description, notice,
+ *                                attributes: { <logicalId>: { label, description } },
+ *                                accessTypes: { <accessTypeId>: name } } }
+ *   }
+ *
+ * Purposes are translated from the Privacy API metadata, which is English. A
+ * translation names the purpose version it was made from; when Verify serves
+ * a newer version the translation is out of date and the English notice is
+ * shown instead, so nobody consents to a notice that says something else.
+ *
+ * The language each user picked is kept in LOCAL_DATA_DIR/locale-preferences.json:
+ *   { preferences: { <subjectId>: { locale, updatedAt } } }
+ */
+class I18n {
+    /**
+     * @param {Object} catalogs - { <locale>: catalog }, in the order languages are offered
+     * @param {String} defaultLocale - Used when nothing else picks a language
+     */
+    constructor(catalogs, defaultLocale = SOURCE_LOCALE) {
+        this._catalogs = catalogs;
+        this._defaultLocale = catalogs[defaultLocale] ? defaultLocale : SOURCE_LOCALE;
+        this._store = new JsonFileStore('locale-preferences.json', { preferences: {} });
+        // Out-of-date translations already logged, so each is warned about once
+        this._staleWarned = new Set();
+    }
+
+    /**
+     * Catalogs for SUPPORTED_LOCALES, loaded from LOCALES_DIR once per process
+     * @returns {I18n}
+     * @throws {Error} code LOCALE_CATALOG_MISSING if a supported locale has no catalog
+     */
+    static shared() {
+        if (!sharedI18n) {
+            const catalogs = {};
+            [SOURCE_LOCALE].concat(config.supportedLocales).forEach(locale => {
+                const file = path.join(config.localesDir, `${locale}.json`);
+                if (!fs.existsSync(file)) {
+                    const err = new Error(`No translation catalog for locale '${locale}' (expected ${file})`);
+                    err.code = 'LOCALE_CATALOG_MISSING';
+                    throw err;
+                }
+                catalogs[locale] = JSON.parse(fs.readFileSync(file, 'utf8'));
+            });
+            sharedI18n = new I18n(catalogs, config.defaultLocale);
+        }
+        return sharedI18n;
+    }
+
+    static get SOURCE_LOCALE() {
+        return SOURCE_LOCALE;
+    }
+
+    get defaultLocale() {
+        return this._defaultLocale;
+    }
+
+    /**
+     * Languages users can pick from
+     * @returns {Array<Object>} [{ id, name, englishName }]
+     */
+    locales() {
+        return Object.keys(this._catalogs).map(id => ({
+            id: id,
+            name: this._catalogs[id].language.name,
+            englishName: this._catalogs[id].language.englishName
+        }));
+    }
+
+    isSupported(locale) {
+        return typeof locale === 'string' && Object.prototype.hasOwnProperty.call(this._catalogs, locale);
+    }
+
+    /**
+     * Best supported locale for an Accept-Language header
+     * @param {String} acceptLanguage - e.g. 'ta-IN,ta;q=0.9,en;q=0.8'
+     * @returns {String} Locale, or null if none of the languages is supported
+     */
+    negotiate(acceptLanguage) {
+        const ranked = String(acceptLanguage || '')
+            .split(',')
+            .map(part => {
+                const [tag, ...params] = part.trim().split(';');
+                const q = params.map(p => /^\s*q=([\d.]+)\s*$/.exec(p)).filter(m => m)[0];
+                return { language: tag.trim().toLowerCase().split('-')[0], q: q ? parseFloat(q[1]) : 1 };
+            })
+            .filter(entry => entry.language && entry.q > 0)
+            .sort((a, b) => b.q - a.q);
+        const match = ranked.find(entry => this.isSupported(entry.language));
+        return match ? match.language : null;
+    }
+
+    /**
+     * Translate a message
+     * Falls back to the default locale, then English, then the key itself.
+     * @param {String} locale
+     * @param {String} key - Message key, e.g. 'consent.title'
+     * @param {Object} vars - Values for {placeholders}
+     * @returns {String}
+     */
+    t(locale, key, vars = {}) {
+        const text = [locale, this._defaultLocale, SOURCE_LOCALE]
+            .map(id => this._catalogs[id] && this._catalogs[id].messages[key])
+            .find(message => typeof message === 'string');
+        if (text === undefined) {
+            console.warn(`[I18n] Missing message '${key}'`);
+            return key;
+        }
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : placeholder));
+    }
+
+    /**
+     * Date (epoch seconds) in the locale's format
+     */
+    formatDate(epochSeconds, locale) {
+        return new Date(epochSeconds * 1000).toLocaleDateString(this._catalog(locale).language.intl);
+    }
+
+    /**
+     * Label of a consent state (1 allow, 2 deny, 3 opt-in, 4 opt-out, 5 transparent)
+     */
+    formatState(state, locale) {
+        return this._catalog(locale).states[state] || this._catalogs[SOURCE_LOCALE].states[state];
+    }
+
+    /**
+     * A purpose with its name, notice, attribute labels and access type names
+     * in a language
+     *
+     * The result carries noticeLanguage: the locale the notice is actually in,
+     * which is English when there is no translation of this purpose version.
+     * Other fields of the purpose (consent state and so on) are kept.
+     *
+     * @param {Object} purpose - Normalized purpose (see MetadataService)
+     * @param {String} locale
+     * @returns {Object} Localized copy
+     */
+    localizePurpose(purpose, locale) {
+        const translation = this._purposeTranslation(purpose, locale);
+        if (!translation) {
+            return Object.assign({}, purpose, { noticeLanguage: SOURCE_LOCALE });
+        }
+
+        const accessTypeNames = translation.accessTypes || {};
+        const localizeAccessTypes = accessTypes => (accessTypes || []).map(accessType =>
+            Object.assign({}, accessType, accessTypeNames[accessType.id] ? { name: accessTypeNames[accessType.id] } : {}));
+
+        return Object.assign({}, purpose, {
+            name: translation.name || purpose.name,
+            description: translation.description || purpose.description,
+            notice: translation.notice,
+            noticeLanguage: locale,
+            accessTypes: localizeAccessTypes(purpose.accessTypes),
+            attributes: (purpose.attributes || []).map(attribute => {
+                const text = (translation.attributes || {})[attribute.logicalId] || {};
+                return Object.assign({}, attribute, {
+                    label: text.label || attribute.label,
+                    description: text.description || attribute.description,
+                    accessTypes: localizeAccessTypes(attribute.accessTypes)
+                });
+            })
+        });
+    }
+
+    localizePurposes(purposes, locale) {
+        return purposes.map(purpose => this.localizePurpose(purpose, locale));
+    }
+
+    /**
+     * Language a user picked, if any
+     * @returns {String} Locale or null
+     */
+    preferenceFor(subjectId) {
+        const preference = this._store.read().preferences[subjectId];
+        return preference && this.isSupported(preference.locale) ? preference.locale : null;
+    }
+
+    /**
+     * Remember the language a user picked
+     * @throws {Error} code LOCALE_UNSUPPORTED
+     */
+    setPreference(subjectId, locale) {
+        if (!this.isSupported(locale)) {
+            const err = new Error(`Unsupported language '${locale}'`);
+            err.code = 'LOCALE_UNSUPPORTED';
+            throw err;
+        }
+        this._store.update(document => {
+            document.preferences[subjectId] = { locale: locale, updatedAt: Math.floor(Date.now() / 1000) };
+        });
+    }
+
+    /**
+     * Forget a user's language (right to erasure)
+     * @returns {Number} Number of preferences removed
+     */
+    deleteForSubject(subjectId) {
+        return this._store.update(document => {
+            if (!document.preferences[subjectId]) {
+                return 0;
+            }
+            delete document.preferences[subjectId];
+            return 1;
+        });
+    }
+
+    _catalog(locale) {
+        return this._catalogs[locale] || this._catalogs[this._defaultLocale];
+    }
+
+    // Translation of this exact purpose version, or null
+    _purposeTranslation(purpose, locale) {
+        if (!this.isSupported(locale) || locale === SOURCE_LOCALE) {
+            return null;
+        }
+        const translation = (this._catalogs[locale].purposes || {})[purpose.id];
+        if (!translation || !translation.notice) {
+            return null;
+        }
+        if (String(translation.version) !== String(purpose.version)) {
+            const warning = `${locale}:${purpose.id}:${purpose.version}`;
+            if (!this._staleWarned.has(warning)) {
+                this._staleWarned.add(warning);
+                console.warn(`[I18n] ${locale} notice for ${purpose.id} is for version ${translation.version}, not ${purpose.version}; showing English`);
+            }
+            return null;
+        }
+        return translation;
+    }
+}
+
+module.exports = I18n;
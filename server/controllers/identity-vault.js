@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const JsonFileStore = require('./json-file-store');
+const VaultKeyStore = require('./vault-key-store');
+const AuditLog = require('./audit-log');
+const DataMasking = require('./data-masking');
+const AssessmentService = require('./assessment-service');
+
+const CIPHER = 'aes-256-gcm';
+
+// Logical attributes kept in the vault
+const VAULT_ATTRIBUTES = ['aadhar_id', 'pan_id'];
+
+const TOKEN_PATTERN = /^vt_[0-9a-f]{32}$/;
+
+let sharedVault = null;
+
+/**
+ * IdentityVault - Encrypted store for Aadhaar and PAN numbers
+ *
+ * The rest of the app only ever holds an opaque token (vt_...) and the masked
+ * value: the token is what goes into the session during registration and into
+ * the aadhar_id / pan_id custom attributes in Verify.
+ *
+ * Envelope encryption: each Data Principal has a random data key, and their
+ * numbers are encrypted with it (AES-256-GCM, bound to the token, subject and
+ * attribute). The data key is stored only wrapped by a key-encryption key from
+ * VaultKeyStore. Entries are kept in identity-vault.json under LOCAL_DATA_DIR:
+ *   { dataKeys: [{ subjectId, keyId, iv, tag, data, createdAt }],
+ *     tokens:   [{ token, subjectId, attributeId, masked, iv, tag, data, createdAt }] }
+ *
+ * - Detokenization assesses the caller's data policy action itself (see
+ *   AssessmentService.assessAction), so the number is only returned when the
+ *   Data Principal's consents cover the attribute now; an assessment handed
+ *   in by the caller is never trusted. Every attempt is audited
+ * - rotateKeys() moves every data key to a new key-encryption key and destroys
+ *   the old ones; the numbers themselves are not re-encrypted
+ * - shred() deletes a subject's data key and entries (crypto-shredding): any
+ *   copy of their ciphertext left in backups can no longer be decrypted
+ *
+ * Errors carry a code: VAULT_INVALID_ATTRIBUTE, VAULT_TOKEN_UNKNOWN,
+ * VAULT_ACCESS_DENIED, and VAULT_KEY_MISSING from VaultKeyStore.
+ */
+class IdentityVault {
+    /**
+     * @param {VaultKeyStore} keyStore - Defaults to the key file in VAULT_KEY_FILE
+     * @param {AssessmentService} assessmentService - Checks access on detokenize
+     */
+    constructor(keyStore = new VaultKeyStore(), assessmentService = new AssessmentService()) {
+        this.keyStore = keyStore;
+        this.assessmentService = assessmentService;
+        this.auditLog = AuditLog.shared();
+        this._store = new JsonFileStore('identity-vault.json', { dataKeys: [], tokens: [] });
+    }
+
+    /**
+     * Vault shared by every controller in the process
+     * @returns {IdentityVault}
+     */
+    static shared() {
+        if (!sharedVault) {
+            sharedVault = new IdentityVault();
+        }
+        return sharedVault;
+    }
+
+    /**
+     * Whether a value is a vault token (rather than a number stored before the vault)
+     */
+    static isToken(value) {
+        return TOKEN_PATTERN.test(String(value || ''));
+    }
+
+    /**
+     * Encrypt a number and get a token for it
+     * A subject has one token per attribute: tokenizing again replaces it.
+     * @param {String} subjectId - Data Principal the number belongs to
+     * @param {String} attributeId - 'aadhar_id' or 'pan_id'
+     * @param {String} value - The number
+     * @returns {Object} { token, masked }
+     * @throws {Error} code VAULT_INVALID_ATTRIBUTE for any other attribute
+     */
+    tokenize(subjectId, attributeId, value) {
+        if (VAULT_ATTRIBUTES.indexOf(attributeId) === -1) {
+            const err = new Error(`${attributeId} is not kept in the identity vault`);
+            err.code = 'VAULT_INVALID_ATTRIBUTE';
+            throw err;
+        }
+
+        return this._store.update(document => {
+            let wrapped = document.dataKeys.find(k => k.subjectId === subjectId);
+            if (!wrapped) {
+                wrapped = Object.assign({ subjectId: subjectId }, this.keyStore.wrap(crypto.randomBytes(32)),
+                    { createdAt: Math.floor(Date.now() / 1000) });
+                document.dataKeys.push(wrapped);
+            }
+
+            const entry = {
+                token: `vt_${crypto.randomBytes(16).toString('hex')}`,
+                subjectId: subjectId,
+                attributeId: attributeId,
+                masked: DataMasking.maskAttribute(attributeId, value),
+                createdAt: Math.floor(Date.now() / 1000)
+            };
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv(CIPHER, this.keyStore.unwrap(wrapped), iv);
+            cipher.setAAD(this._aad(entry));
+            const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+            Object.assign(entry, {
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64'),
+                data: data.toString('base64')
+            });
+
+            document.tokens = document.tokens
+                .filter(t => !(t.subjectId === subjectId && t.attributeId === attributeId))
+                .concat(entry);
+            return { token: entry.token, masked: entry.masked };
+        });
+    }
+
+    /**
+     * Masked value of a token, for display (no checks needed)
+     * @returns {String} Masked number, or null if the token is unknown
+     */
+    masked(token) {
+        const entry = this._entry(token);
+        return entry ? entry.masked : null;
+    }
+
+    /**
+     * A subject's token for an attribute
+     * @returns {Object} { token, masked } or null
+     */
+    tokenFor(subjectId, attributeId) {
+        const entry = this._store.read().tokens.find(t => t.subjectId === subjectId && t.attributeId === attributeId);
+        return entry ? { token: entry.token, masked: entry.masked } : null;
+    }
+
+    /**
+     * Decrypt the number behind a token
+     * Allowed only for the token's own subject, when the vault's own
+     * assessment of the action (see AssessmentService.assessAction) is
+     * approved and its decisions approve the attribute.
+     * The access is recorded in the audit trail before the number is returned.
+     * @param {String} token - Vault token
+     * @param {Object} access - { auth, action, actor }
+     *   auth: of the Data Principal, or the app's token acting for them (see AppTokenService)
+     *   action: data policy action the number is used for, e.g. 'file-itr'
+     * @returns {Promise<String>} The number
+     * @throws {Error} code VAULT_TOKEN_UNKNOWN or VAULT_ACCESS_DENIED, or the
+     *   assessment's own codes if it cannot be made
+     */
+    async detokenize(token, access) {
+        const entry = this._entry(token);
+        if (!entry) {
+            const err = new Error('Unknown vault token');
+            err.code = 'VAULT_TOKEN_UNKNOWN';
+            throw err;
+        }
+
+        const subjectId = access.auth ? access.auth.subjectId : null;
+        const assessment = subjectId === entry.subjectId
+            ? await this.assessmentService.assessAction(access.auth, access.action)
+            : null;
+        const approved = assessment !== null && assessment.status === 'approved' &&
+            assessment.decisions.some(d => d.logicalId === entry.attributeId && d.approved);
+        const event = {
+            type: AuditLog.EVENT_TYPES.TAX_ID_DETOKENIZED,
+            subjectId: entry.subjectId,
+            actor: access.actor || subjectId,
+            purposeId: assessment ? assessment.purpose.id : null,
+            attributes: [entry.attributeId],
+            outcome: approved ? 'allowed' : 'denied',
+            details: { action: access.action || null }
+        };
+
+        if (!approved) {
+            this.auditLog.tryRecord(event);
+            console.warn(`[IdentityVault] Refused to detokenize ${entry.attributeId} for ${subjectId}`);
+            const err = new Error(`Use of ${entry.attributeId} has not been approved for this purpose`);
+            err.code = 'VAULT_ACCESS_DENIED';
+            throw err;
+        }
+
+        // No audit entry, no number
+        this.auditLog.record(event);
+        const wrapped = this._store.read().dataKeys.find(k => k.subjectId === entry.subjectId);
+        const decipher = crypto.createDecipheriv(CIPHER, this.keyStore.unwrap(wrapped), Buffer.from(entry.iv, 'base64'));
+        decipher.setAAD(this._aad(entry));
+        decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * Re-wrap every data key with a new key-encryption key, then destroy the
+     * old keys
+     * @returns {Object} { keyId, rewrapped, destroyed: [key ids] }
+     */
+    rotateKeys() {
+        const previous = this.keyStore.keyIds();
+        const keyId = this.keyStore.rotate();
+        const rewrapped = this._store.update(document => {
+            document.dataKeys = document.dataKeys.map(wrapped => Object.assign({}, wrapped,
+                this.keyStore.wrap(this.keyStore.unwrap(wrapped))));
+            return document.dataKeys.length;
+        });
+        const destroyed = previous.filter(id => this.keyStore.destroy(id));
+
+        this.auditLog.tryRecord({
+            type: AuditLog.EVENT_TYPES.VAULT_KEYS_ROTATED,
+            outcome: 'rotated',
+            details: { keyId: keyId, rewrapped: rewrapped, destroyed: destroyed }
+        });
+        console.log(`[IdentityVault] Re-wrapped ${rewrapped} data key(s) with ${keyId}`);
+        return { keyId: keyId, rewrapped: rewrapped, destroyed: destroyed };
+    }
+
+    /**
+     * Crypto-shred a subject: delete their data key and every entry
+     * @returns {Number} Number of numbers destroyed
+     */
+    shred(subjectId) {
+        return this._store.update(document => {
+            const count = document.tokens.filter(t => t.subjectId === subjectId).length;
+            document.tokens = document.tokens.filter(t => t.subjectId !== subjectId);
+            document.dataKeys = document.dataKeys.filter(k => k.subjectId !== subjectId);
+            if (count > 0) {
+                console.log(`[IdentityVault] Shredded ${count} number(s) of ${subjectId}`);
+            }
+            return count;
+        });
+    }
+
+    /**
+     * Number of numbers held for a subject
+     */
+    countForSubject(subjectId) {
+        return this._store.read().tokens.filter(t => t.subjectId === subjectId).length;
+    }
+
+    _entry(token) {
+        return IdentityVault.isToken(token) ? this._store.read().tokens.find(t => t.token === token) || null : null;
+    }
+
+    // Ties a ciphertext to its entry, so it cannot be moved to another token or subject
+    _aad(entry) {
+        return Buffer.from(`${entry.token}|${entry.subjectId}|${entry.attributeId}`);
+    }
+}
+
+IdentityVault.VAULT_ATTRIBUTES = VAULT_ATTRIBUTES;
+
+module.exports = IdentityVault;
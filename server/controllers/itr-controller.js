@@ -1,90 +1,231 @@
 const OAuthController = require('./oauth-controller');
 const PrivacyService = require('./privacy-service');
+const AssessmentService = require('./assessment-service');
+const ConsentRecorder = require('./consent-recorder');
+const AuditLog = require('./audit-log');
+const FilingHistory = require('./filing-history');
+const I18n = require('./i18n');
+
+// Data policy action for filing (see server/config/data-policies.json)
+const FILE_ITR = 'file-itr';
+
+// Outcome recorded in the audit trail for each assessment status
+const AUDIT_OUTCOMES = {
+    approved: 'allowed',
+    reconsent: 'reconsent-required',
+    consent: 'consent-required',
+    denied: 'blocked'
+};
 
 /**
  * ITRController - Handles ITR filing flow
- * Main action: Assess user's consent state and allow/block ITR filing
+ * Main action: Assess whether the user's data may be used for ITR_FILING and
+ * allow/block ITR filing
  * 
  * Flow:
  *   User clicks "File ITR" → POST /itr/assess
- *   → Check if all required consents are granted
- *   → If yes → Redirect to /itr/success
- *   → If no → Redirect to /itr/blocked → Show consent mgmt page
+ *   → requirePolicy('file-itr'): Privacy API assess decision for each
+ *     attribute in the 'file-itr' data policy (see AssessmentService)
+ *   → If approved → fileITR → Redirect to /itr/success
+ *   → Otherwise handleNotApproved:
+ *     → If consents were given to an older ITR_FILING version → Re-consent page
+ *     → If consent is missing or was withdrawn → Just-in-time consent prompt
+ *       → POST /itr/consent stores the consents and assesses again
+ *     → If the consents cannot be given at all → Blocked page
  */
 class ITRController {
     constructor() {
         this.privacyService = new PrivacyService();
+        this.assessmentService = new AssessmentService(this.privacyService);
+        this.consentRecorder = new ConsentRecorder(this.privacyService);
+        this.auditLog = AuditLog.shared();
+        this.filingHistory = new FilingHistory();
+    }
+
+    /**
+     * POST /itr/assess - File the ITR
+     * Runs after requirePolicy('file-itr') has approved the data usage;
+     * the assessment is in req.policyAssessment
+     * The filing is kept in the user's filing history (see FilingHistory)
+     */
+    fileITR = (req, res) => {
+        try {
+            const { auth } = this._getAuth(req);
+            this._auditAssessment(auth, req.policyAssessment);
+
+            console.log('[ITRController] All required data usage approved, allowing ITR filing');
+            // In production: Call actual ITR filing service, with the Aadhaar and PAN
+            // taken from the IdentityVault for 'file-itr' (which assesses it again)
+            // For demo: Record the filing and show the success page
+            const filing = this.filingHistory.record(auth.subjectId);
+            this.auditLog.tryRecord({
+                type: AuditLog.EVENT_TYPES.ITR_FILED,
+                subjectId: auth.subjectId,
+                purposeId: req.policyAssessment.purpose.id,
+                outcome: filing.status,
+                details: { referenceId: filing.referenceId }
+            });
+            req.session.lastFilingId = filing.referenceId;
+            res.redirect('/itr/success');
+        } catch (error) {
+            console.error('[ITRController] Error in fileITR:', error);
+            this._renderError(req, res, error);
+        }
+    }
+
+    /**
+     * requirePolicy('file-itr') denial handler - send the user on according
+     * to why filing was not approved
+     * @param {Object} assessment - See AssessmentService.assessAction
+     */
+    handleNotApproved = (req, res, assessment) => {
+        try {
+            const { auth, userPayload } = this._getAuth(req);
+            this._auditAssessment(auth, assessment);
+
+            if (assessment.status === 'reconsent') {
+                // Consents given to an older version of the purpose are not
+                // enough; send the user to review what changed
+                console.log('[ITRController] ITR_FILING consents are for an older purpose version, asking for re-consent');
+                return res.redirect(`/consent/reconsent/${encodeURIComponent(assessment.purpose.id)}?returnTo=/dashboard`);
+            }
+
+            if (assessment.status === 'consent') {
+                console.log(`[ITRController] Asking for consent to ${assessment.pending.map(d => d.requirement).join(', ')}`);
+                return this._renderConsentPrompt(req, res, userPayload, assessment);
+            }
+
+            // Render blocked page with details about which consents are missing
+            console.log('[ITRController] Required data usage cannot be approved, blocking ITR filing');
+            const missing = assessment.decisions.filter(d => !d.approved);
+            res.status(403).render('itr-blocked', {
+                title: 'Consent Required',
+                user: userPayload,
+                missingConsents: missing.map(d => d.requirement),
+                missingConsentsLabels: missing.map(d => d.label),
+                requiredConsentsLabels: assessment.decisions.map(d => d.label)
+            });
+        } catch (error) {
+            console.error('[ITRController] Error in handleNotApproved:', error);
+            this._renderError(req, res, error);
+        }
     }
 
     /**
-     * POST /itr/assess - Assess consent and file ITR if allowed
-     * Checks if user has granted all required consents for ITR_FILING purpose
-     * Required attributes: name, email, mobile_number, aadhar_id, pan_id
+     * POST /itr/consent - Submit the just-in-time consent prompt
+     * Form fields: items (ticked requirements, e.g. 'pan_id:share')
+     * Ticked items are granted for ITR_FILING, then the filing is assessed again
      */
-    assessAndFile = async (req, res) => {
+    postConsent = async (req, res) => {
         try {
-            // Ensure user is logged in
             if (!OAuthController.isLoggedIn(req)) {
                 res.redirect('/login');
                 return;
             }
 
-            const auth = {
-                accessToken: OAuthController.getAuthToken(req).access_token
-            };
-
-            // Check if user has all required consents for ITR filing
-            const requiredAttributes = ['name', 'email', 'mobile_number', 'aadhar_id', 'pan_id'];
-            const canFile = await this.privacyService.hasRequiredConsents(
-                auth,
-                'ITR_FILING',
-                requiredAttributes
-            );
-
-            if (canFile) {
-                console.log('[ITRController] User has all required consents, allowing ITR filing');
-                // In production: Call actual ITR filing service
-                // For demo: Just show success page
-                res.redirect('/itr/success');
-            } else {
-                console.log('[ITRController] User missing required consents, blocking ITR filing');
-
-                // Compute which attributes are missing so we can inform the user
-                const missing = await this.privacyService.getMissingRequiredConsents(auth, 'ITR_FILING', requiredAttributes);
-                const meta = this.privacyService.getConsentMetadata('ITR_FILING') || { attributes: [] };
-                const attrLabel = id => {
-                    const found = meta.attributes.find(a => a.id === id);
-                    return found ? found.label : id;
-                };
-                const missingLabels = (missing || []).map(attr => attrLabel(attr));
-
-                // Render blocked page with details about which consents are missing
-                const jwt = require('jsonwebtoken');
-                const authToken = OAuthController.getAuthToken(req);
-                const userPayload = jwt.decode(authToken.id_token);
-
-                return res.status(403).render('itr-blocked', {
-                    title: 'Consent Required',
-                    user: userPayload,
-                    missingConsents: missing,
-                    missingConsentsLabels: missingLabels
-                });
+            const { auth, userPayload } = this._getAuth(req);
+            const ticked = [].concat(req.body.items || []);
+
+            // Only requirements that are still pending can be granted here
+            const assessment = await this.assessmentService.assessAction(auth, FILE_ITR);
+            const consents = assessment.pending
+                .filter(decision => ticked.indexOf(decision.requirement) !== -1)
+                .map(decision => ({
+                    purposeId: assessment.purpose.id,
+                    attributeId: decision.logicalId,
+                    accessTypeId: decision.accessTypeId,
+                    state: 1
+                }));
+
+            if (consents.length === 0) {
+                return this._renderConsentPrompt(req, res, userPayload, assessment,
+                    'Tick the consents below to continue, or choose "Not now".');
+            }
+
+            const { batch } = await this.consentRecorder.store(auth, consents, 'just-in-time', { locale: req.locale });
+            if (batch.status !== 'success') {
+                console.error('[ITRController] Just-in-time consent failed:', JSON.stringify(batch.results));
+                return this._renderConsentPrompt(req, res, userPayload, assessment,
+                    'Your consent could not be saved. Please try again.');
+            }
+
+            console.log(`[ITRController] Just-in-time consent recorded for ${consents.length} items`);
+            req.policyAssessment = await this.assessmentService.assessAction(auth, FILE_ITR);
+            if (req.policyAssessment.status === 'approved') {
+                return this.fileITR(req, res);
             }
+            this.handleNotApproved(req, res, req.policyAssessment);
         } catch (error) {
-            console.error('[ITRController] Error in assessAndFile:', error);
-            res.status(500).render('itr-blocked', {
-                title: 'Error',
-                error: 'An error occurred while checking your consent status. Please try again.',
-                user: {
-                    name: req.session.userPayload?.name || 'User'
-                }
-            });
+            console.error('[ITRController] Error in postConsent:', error);
+            this._renderError(req, res, error);
         }
     }
 
+    /**
+     * Helper: Record an ITR assessment in the audit trail
+     */
+    _auditAssessment(auth, assessment) {
+        this.auditLog.tryRecord({
+            type: AuditLog.EVENT_TYPES.ITR_ASSESSED,
+            subjectId: auth.subjectId,
+            purposeId: assessment.purpose.id,
+            attributes: assessment.policy.requirements,
+            outcome: AUDIT_OUTCOMES[assessment.status],
+            details: {
+                action: assessment.policy.action,
+                decisions: assessment.decisions.map(d => ({ requirement: d.requirement, approved: d.approved, reason: d.reason }))
+            }
+        });
+    }
+
+    /**
+     * Helper: Render the just-in-time consent prompt for the pending requirements
+     */
+    // The notice and items are shown in the user's language (see I18n)
+    _renderConsentPrompt(req, res, userPayload, assessment, error) {
+        const purpose = I18n.shared().localizePurpose(assessment.purpose, req.locale);
+        res.render('itr-consent-prompt', {
+            title: 'Consent Needed to File',
+            user: userPayload,
+            purpose: purpose,
+            items: assessment.pending.map(d => Object.assign({}, d, {
+                label: this.privacyService.describeRequirement(purpose, d.requirement),
+                // Verify reports withdrawn consents as not requiring consent
+                previouslyDeclined: !d.requiresConsent
+            })),
+            error: error
+        });
+    }
+
+    _renderError(req, res, error) {
+        const unavailable = this.privacyService.isUnavailable(error);
+        res.status(unavailable ? 503 : 500).render('itr-blocked', {
+            title: 'Error',
+            error: unavailable
+                ? 'Your consent status cannot be checked right now, so filing is paused. Please try again in a few minutes.'
+                : 'An error occurred while checking your consent status. Please try again.',
+            user: {
+                name: req.session.userPayload?.name || 'User'
+            }
+        });
+    }
+
+    _getAuth(req) {
+        const jwt = require('jsonwebtoken');
+        const authToken = OAuthController.getAuthToken(req);
+        const userPayload = jwt.decode(authToken.id_token);
+        return {
+            userPayload: userPayload,
+            auth: {
+                accessToken: authToken.access_token,
+                subjectId: userPayload && userPayload.sub ? userPayload.sub : null
+            }
+        };
+    }
+
     /**
      * GET /itr/success - Show ITR filing success page
-     * Displays confirmation message and next steps
+     * Displays confirmation message and next steps for the filing just made
      * This is a demo - in production, would show actual filing receipt/reference
      */
     getSuccess = (req, res) => {
@@ -97,10 +238,19 @@ class ITRController {
         const authToken = OAuthController.getAuthToken(req);
         const userPayload = jwt.decode(authToken.id_token);
 
+        const filing = req.session.lastFilingId
+            ? this.filingHistory.get(req.session.lastFilingId, userPayload.sub)
+            : null;
+        if (!filing) {
+            res.redirect('/dashboard');
+            return;
+        }
+
         res.render('itr-success', {
             title: 'ITR Filed Successfully',
             user: userPayload,
-            referenceId: this._generateReferenceId()
+            filing: filing,
+            referenceId: filing.referenceId
         });
     }
 
@@ -125,16 +275,6 @@ class ITRController {
             message: 'You must grant all required consents before filing your ITR'
         });
     }
-
-    /**
-     * Generate a reference ID for demo purposes
-     * In production, this would come from the actual filing system
-     */
-    _generateReferenceId() {
-        const timestamp = Date.now().toString(36).toUpperCase();
-        const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-        return `ITR-${timestamp}-${random}`;
-    }
 }
 
 module.exports = ITRController;
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config').Config;
+
+/**
+ * JsonFileStore - Minimal JSON document persisted to a file under LOCAL_DATA_DIR
+ * Used by the local stand-ins for Verify services and other demo-only state
+ *
+ * Reads and writes are synchronous: this app runs as a single process and the
+ * documents are small, so this keeps every update a plain read-modify-write.
+ * Writes go to a temp file first and are renamed into place so a crash never
+ * leaves a truncated document behind.
+ */
+class JsonFileStore {
+    /**
+     * @param {String} fileName - File name relative to LOCAL_DATA_DIR
+     * @param {Object} defaults - Document returned when the file does not exist yet
+     */
+    constructor(fileName, defaults = {}) {
+        this._path = path.resolve(config.localDataDir, fileName);
+        this._defaults = defaults;
+    }
+
+    get path() {
+        return this._path;
+    }
+
+    /**
+     * Read the current document
+     * @returns {Object} Parsed document (a fresh copy of the defaults if missing)
+     */
+    read() {
+        if (!fs.existsSync(this._path)) {
+            return JSON.parse(JSON.stringify(this._defaults));
+        }
+        return JSON.parse(fs.readFileSync(this._path, 'utf8'));
+    }
+
+    /**
+     * Apply a mutation to the document and persist it
+     * @param {Function} mutator - (document) => result; may modify document in place
+     * @returns {*} Whatever the mutator returns
+     */
+    update(mutator) {
+        const document = this.read();
+        const result = mutator(document);
+        this.write(document);
+        return result;
+    }
+
+    /**
+     * Replace the document
+     * @param {Object} document - New document
+     */
+    write(document) {
+        fs.mkdirSync(path.dirname(this._path), { recursive: true });
+        const tmpPath = `${this._path}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(document, null, 2));
+        fs.renameSync(tmpPath, this._path);
+    }
+}
+
+module.exports = JsonFileStore;
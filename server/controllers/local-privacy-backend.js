@@ -0,0 +1,280 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('./config').Config;
+const JsonFileStore = require('./json-file-store');
+
+// Consent states used by the Verify DPCM API
+const STATES = {
+    ALLOW: 1,
+    DENY: 2,
+    OPT_IN: 3,
+    OPT_OUT: 4,
+    TRANSPARENT: 5
+};
+
+// States under which an attribute may be used for the purpose: only an
+// explicit allow, the same rule as PrivacyService._isGranted, so assess and
+// the consent page agree
+const APPROVING_STATES = [STATES.ALLOW];
+
+/**
+ * LocalPrivacyBackend - Offline stand-in for the Verify DPCM API
+ * Implements the same methods and response shapes as verify-privacy-sdk-js so
+ * the app can run and be tested without a live tenant (PRIVACY_BACKEND=local)
+ *
+ * Purposes are read from LOCAL_PURPOSES_FILE (see server/config/local-purposes.json)
+ * Consent records are persisted to privacy-consents.json under LOCAL_DATA_DIR
+ *
+ * Response shapes:
+ *   getUserConsents()        -> { status, consents: [record] }
+ *   storeConsents(values)    -> { status: 'success'|'fail', results: [{ op, value, result, error }] }
+ *   assess(items)            -> { status: 'approved'|'denied'|'consent'|'multistatus', assessment }
+ *   getConsentMetadata(ids)  -> { status, purposes: { id: definition }, metadata: { default: [item] } }
+ */
+class LocalPrivacyBackend {
+    /**
+     * @param {Object} auth - Auth object with accessToken (used only to derive the subject)
+     * @param {Object} context - Optional: { subjectId }
+     */
+    constructor(auth, context = {}) {
+        this._auth = auth || {};
+        this._subjectId = context.subjectId || this._subjectFromToken(this._auth.accessToken);
+        this._store = new JsonFileStore('privacy-consents.json', { consents: [] });
+    }
+
+    /**
+     * List every consent record of the current subject
+     */
+    async getUserConsents() {
+        const subjectId = this._requireSubject();
+        const purposes = this._loadPurposes();
+        const consents = this._store.read().consents
+            .filter(c => c.subjectId === subjectId)
+            .map(c => this._withPurposeNames(c, purposes));
+
+        return { status: 'success', consents: consents };
+    }
+
+    /**
+     * Create or replace consent records for the current subject
+     * One record is kept per purpose/attribute/access type; storing the same
+     * combination again overwrites its state and validity window.
+     * @param {Array<Object>} values - { purposeId, attributeId, accessTypeId, state, startTime, endTime }
+     *                                 optionally wrapped as { op: 'add', value }
+     */
+    async storeConsents(values) {
+        const subjectId = this._requireSubject();
+        const purposes = this._loadPurposes();
+        const now = Math.floor(Date.now() / 1000);
+
+        const results = this._store.update(document => (values || []).map(item => {
+            const value = item && item.value ? item.value : item;
+            const error = this._validateConsent(value, purposes);
+            if (error) {
+                return { op: 'add', value: value, result: 'fail', error: error };
+            }
+
+            const accessTypeId = value.accessTypeId || 'default';
+            const existing = document.consents.find(c =>
+                c.subjectId === subjectId &&
+                c.purposeId === value.purposeId &&
+                c.attributeId === value.attributeId &&
+                c.accessTypeId === accessTypeId);
+
+            const record = existing || {
+                id: crypto.randomUUID(),
+                subjectId: subjectId,
+                purposeId: value.purposeId,
+                attributeId: value.attributeId,
+                accessTypeId: accessTypeId,
+                createdTime: now,
+                isGlobal: false
+            };
+            record.state = value.state;
+            record.purposeVersion = purposes[value.purposeId].version;
+            record.startTime = value.startTime || now;
+            record.endTime = value.endTime || null;
+            record.lastModifiedTime = now;
+
+            if (!existing) {
+                document.consents.push(record);
+            }
+            return { op: 'add', value: value, result: 'success' };
+        }));
+
+        const failed = results.filter(r => r.result !== 'success').length;
+        console.log(`[LocalPrivacyBackend] Stored ${results.length - failed}/${results.length} consents for ${subjectId}`);
+        return { status: failed === 0 ? 'success' : 'fail', results: results };
+    }
+
+    /**
+     * Decide whether attributes may be used for a purpose
+     * @param {Array<Object>} items - { purposeId, attributeId, accessTypeId }
+     */
+    async assess(items) {
+        const subjectId = this._requireSubject();
+        const purposes = this._loadPurposes();
+        const now = Math.floor(Date.now() / 1000);
+        const consents = this._store.read().consents.filter(c => c.subjectId === subjectId);
+
+        const assessment = (items || []).map(item => {
+            const accessTypeId = item.accessTypeId || 'default';
+            const base = { purposeId: item.purposeId, attributeId: item.attributeId, accessTypeId: accessTypeId };
+
+            if (!purposes[item.purposeId]) {
+                return Object.assign(base, { result: [{ approved: false, requiresConsent: false, reason: { messageId: 'PURPOSE_NOT_FOUND' } }] });
+            }
+
+            const record = consents.find(c =>
+                c.purposeId === item.purposeId &&
+                c.attributeId === item.attributeId &&
+                c.accessTypeId === accessTypeId);
+            const active = record &&
+                (!record.startTime || record.startTime <= now) &&
+                (!record.endTime || record.endTime > now);
+
+            if (!active) {
+                return Object.assign(base, { result: [{ approved: false, requiresConsent: true, reason: { messageId: record ? 'CONSENT_EXPIRED' : 'CONSENT_NOT_FOUND' } }] });
+            }
+
+            const approved = APPROVING_STATES.indexOf(record.state) !== -1;
+            return Object.assign(base, { result: [{ approved: approved, requiresConsent: false, reason: approved ? undefined : { messageId: 'CONSENT_DENIED' } }] });
+        });
+
+        const results = assessment.map(a => a.result[0]);
+        let status;
+        if (results.every(r => r.approved)) {
+            status = 'approved';
+        } else if (results.some(r => r.requiresConsent)) {
+            status = 'consent';
+        } else if (results.every(r => !r.approved)) {
+            status = 'denied';
+        } else {
+            status = 'multistatus';
+        }
+
+        return { status: status, assessment: assessment };
+    }
+
+    /**
+     * Granted consent records of every subject whose validity ends in a time range
+     * Not part of the Verify SDK: the Privacy API only lists the consents of
+     * the subject behind the access token. Used by ConsentExpiryJob.
+     * @param {Number} from - Epoch seconds (exclusive)
+     * @param {Number} to - Epoch seconds (inclusive)
+     */
+    async findConsentsExpiringBetween(from, to) {
+        const purposes = this._loadPurposes();
+        const consents = this._store.read().consents
+            .filter(c => APPROVING_STATES.indexOf(c.state) !== -1 && c.endTime && c.endTime > from && c.endTime <= to)
+            .map(c => this._withPurposeNames(c, purposes));
+
+        return { status: 'success', consents: consents };
+    }
+
+    /**
+     * Purpose definitions, plus display metadata for individual items
+     * @param {Array<String|Object>} request - Purpose ids, or { purposeId, attributeId, accessTypeId } items
+     */
+    async getConsentMetadata(request) {
+        const purposes = this._loadPurposes();
+        const entries = request || [];
+
+        const purposeIds = entries.map(e => (typeof e === 'string' ? e : e.purposeId));
+        const selected = {};
+        purposeIds.forEach(id => {
+            if (purposes[id]) {
+                selected[id] = Object.assign({ id: id }, purposes[id]);
+            }
+        });
+
+        const items = entries
+            .filter(e => typeof e !== 'string' && purposes[e.purposeId])
+            .map(e => {
+                const purpose = purposes[e.purposeId];
+                const attribute = (purpose.attributes || []).find(a => a.id === e.attributeId);
+                const accessTypeId = e.accessTypeId || 'default';
+                const accessType = (purpose.accessTypes || []).find(at => at.id === accessTypeId);
+                return {
+                    purposeId: e.purposeId,
+                    purposeName: purpose.name,
+                    purposeVersion: purpose.version,
+                    attributeId: e.attributeId || null,
+                    attributeName: attribute ? attribute.name : null,
+                    accessTypeId: accessTypeId,
+                    accessType: accessType ? accessType.name : accessTypeId,
+                    defaultState: STATES.ALLOW
+                };
+            });
+
+        return { status: 'success', purposes: selected, metadata: { default: items } };
+    }
+
+    _validateConsent(value, purposes) {
+        if (!value || !value.purposeId) {
+            return { messageId: 'INVALID_REQUEST', messageDescription: 'purposeId is required' };
+        }
+        const purpose = purposes[value.purposeId];
+        if (!purpose) {
+            return { messageId: 'PURPOSE_NOT_FOUND', messageDescription: `Purpose '${value.purposeId}' does not exist` };
+        }
+        const attribute = (purpose.attributes || []).find(a => a.id === value.attributeId);
+        if (!attribute) {
+            return { messageId: 'ATTRIBUTE_NOT_IN_PURPOSE', messageDescription: `Attribute '${value.attributeId}' is not defined for purpose '${value.purposeId}'` };
+        }
+        const accessTypeId = value.accessTypeId || 'default';
+        if (!(purpose.accessTypes || [{ id: 'default' }]).some(at => at.id === accessTypeId)) {
+            return { messageId: 'ACCESS_TYPE_NOT_IN_PURPOSE', messageDescription: `Access type '${accessTypeId}' is not defined for purpose '${value.purposeId}'` };
+        }
+        // Attributes may narrow the purpose's access types
+        if (attribute.accessTypes && !attribute.accessTypes.some(at => at.id === accessTypeId)) {
+            return { messageId: 'ACCESS_TYPE_NOT_IN_PURPOSE', messageDescription: `Access type '${accessTypeId}' is not defined for attribute '${value.attributeId}' of purpose '${value.purposeId}'` };
+        }
+        if (!Object.values(STATES).includes(value.state)) {
+            return { messageId: 'INVALID_STATE', messageDescription: `State must be one of 1-5, got '${value.state}'` };
+        }
+        if (value.endTime && value.startTime && value.endTime <= value.startTime) {
+            return { messageId: 'INVALID_VALIDITY', messageDescription: 'endTime must be after startTime' };
+        }
+        return null;
+    }
+
+    _withPurposeNames(record, purposes) {
+        const purpose = purposes[record.purposeId] || {};
+        const attribute = (purpose.attributes || []).find(a => a.id === record.attributeId);
+        const accessType = (purpose.accessTypes || []).find(at => at.id === record.accessTypeId);
+        return Object.assign({}, record, {
+            purposeName: purpose.name || record.purposeId,
+            attributeName: attribute ? attribute.name : record.attributeId,
+            accessTypeName: accessType ? accessType.name : record.accessTypeId
+        });
+    }
+
+    _loadPurposes() {
+        // Read on every call so edits to the purposes file show up after a
+        // metadata refresh, as they would after editing purposes in Verify
+        return JSON.parse(fs.readFileSync(config.localPurposesFile, 'utf8'));
+    }
+
+    _subjectFromToken(accessToken) {
+        if (!accessToken) {
+            return null;
+        }
+        const decoded = jwt.decode(accessToken);
+        return decoded && decoded.sub ? decoded.sub : null;
+    }
+
+    _requireSubject() {
+        if (!this._subjectId) {
+            const err = new Error('Local privacy backend needs a subjectId in the client context');
+            err.code = 'SUBJECT_REQUIRED';
+            throw err;
+        }
+        return this._subjectId;
+    }
+}
+
+LocalPrivacyBackend.STATES = STATES;
+
+module.exports = LocalPrivacyBackend;
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const JsonFileStore = require('./json-file-store');
+
+const USER_SCHEMA = 'urn:ietf:params:scim:schemas:core:2.0:User';
+const IBM_USER_SCHEMA = 'urn:ietf:params:scim:schemas:extension:ibm:2.0:User';
+
+/**
+ * LocalScimBackend - Offline stand-in for the Verify Users API (SCIM 2.0)
+ * Implements the same methods, resource shapes and error codes as ScimClient
+ * (PRIVACY_BACKEND=local)
+ *
+ * Users are persisted to scim-users.json under LOCAL_DATA_DIR:
+ *   { users: [{ id, schemas, userName, name, displayName, emails, <extension schemas>, meta }] }
+ *
+ * PATCH supports replace, add and remove on top-level attributes, on
+ * sub-attributes with a dotted path (e.g. 'name.givenName') and on extension
+ * attributes prefixed with their schema URN (e.g. the customAttributes of
+ * urn:ietf:params:scim:schemas:extension:ibm:2.0:User). As in Verify,
+ * an email address already used by another user is a conflict.
+ *
+ * Nobody logs in against the stand-in, so a `password` given on create is
+ * dropped rather than stored.
+ */
+class LocalScimBackend {
+    constructor() {
+        this._store = new JsonFileStore('scim-users.json', { users: [] });
+    }
+
+    async getUser(id) {
+        const user = this._store.read().users.find(u => u.id === id);
+        if (!user) {
+            throw this._error('SCIM_NOT_FOUND', `User ${id} not found`);
+        }
+        return user;
+    }
+
+    async findUserByEmail(email) {
+        const wanted = String(email).toLowerCase();
+        return this._store.read().users.find(u => (u.emails || []).some(e => String(e.value).toLowerCase() === wanted)) || null;
+    }
+
+    async findUserByMobile(mobile) {
+        const wanted = String(mobile);
+        return this._store.read().users.find(u => ((u[IBM_USER_SCHEMA] || {}).customAttributes || [])
+            .some(a => a.name === 'mobile_number' && (a.values || []).indexOf(wanted) !== -1)) || null;
+    }
+
+    /**
+     * Create a user
+     * @param {Object} resource - SCIM user; `id` is generated unless given
+     * @returns {Promise<Object>} Created SCIM user resource
+     */
+    async createUser(resource) {
+        const now = new Date().toISOString();
+        const user = Object.assign({ schemas: [USER_SCHEMA] }, resource, {
+            id: resource.id || crypto.randomUUID(),
+            meta: { resourceType: 'User', created: now, lastModified: now }
+        });
+        delete user.password;
+
+        this._store.update(document => {
+            if (document.users.some(u => u.id === user.id || u.userName === user.userName)) {
+                throw this._error('SCIM_CONFLICT', `User ${user.userName} already exists`);
+            }
+            this._checkEmailConflict(document, user);
+            document.users.push(user);
+        });
+        return user;
+    }
+
+    /**
+     * Apply SCIM PATCH operations to a user
+     * @param {String} id - SCIM user id
+     * @param {Array<Object>} operations - [{ op: 'replace'|'add'|'remove', path, value }]
+     * @returns {Promise<Object>} Updated SCIM user resource
+     */
+    async patchUser(id, operations) {
+        return this._store.update(document => {
+            const user = document.users.find(u => u.id === id);
+            if (!user) {
+                throw this._error('SCIM_NOT_FOUND', `User ${id} not found`);
+            }
+
+            (operations || []).forEach(operation => {
+                const op = String(operation.op || '').toLowerCase();
+                if (['replace', 'add', 'remove'].indexOf(op) === -1 || !operation.path) {
+                    throw this._error('SCIM_INVALID', `Unsupported PATCH operation ${JSON.stringify(operation)}`);
+                }
+                this._applyPath(user, this._segments(operation.path), op === 'remove' ? undefined : operation.value);
+            });
+
+            this._checkEmailConflict(document, user);
+            user.meta.lastModified = new Date().toISOString();
+            return user;
+        });
+    }
+
+    async deleteUser(id) {
+        this._store.update(document => {
+            const before = document.users.length;
+            document.users = document.users.filter(u => u.id !== id);
+            if (document.users.length === before) {
+                throw this._error('SCIM_NOT_FOUND', `User ${id} not found`);
+            }
+        });
+    }
+
+    // 'name.givenName' -> ['name', 'givenName']; attributes of an extension
+    // schema follow its URN after the last colon ('urn:...:2.0:User:customAttributes')
+    _segments(attributePath) {
+        if (attributePath.startsWith('urn:')) {
+            const index = attributePath.lastIndexOf(':');
+            return [attributePath.slice(0, index)].concat(attributePath.slice(index + 1).split('.'));
+        }
+        return attributePath.split('.');
+    }
+
+    _applyPath(target, segments, value) {
+        const [head, ...rest] = segments;
+        if (rest.length === 0) {
+            if (value === undefined) {
+                delete target[head];
+            } else {
+                target[head] = value;
+            }
+            return;
+        }
+        if (!target[head] || typeof target[head] !== 'object') {
+            target[head] = {};
+        }
+        this._applyPath(target[head], rest, value);
+    }
+
+    _checkEmailConflict(document, user) {
+        const emails = (user.emails || []).map(e => String(e.value).toLowerCase());
+        const clash = document.users.find(other => other.id !== user.id &&
+            (other.emails || []).some(e => emails.indexOf(String(e.value).toLowerCase()) !== -1));
+        if (clash) {
+            throw this._error('SCIM_CONFLICT', 'The email address is already used by another user');
+        }
+    }
+
+    _error(code, message) {
+        const err = new Error(message);
+        err.code = code;
+        return err;
+    }
+}
+
+module.exports = LocalScimBackend;
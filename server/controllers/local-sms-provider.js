@@ -0,0 +1,36 @@
+const NotificationService = require('./notification-service');
+
+/**
+ * LocalSmsProvider - Development stand-in for an SMS gateway (SMS_PROVIDER=local)
+ *
+ * Text messages are not sent anywhere: they are queued in the outbox of
+ * NotificationService (outbox.json under LOCAL_DATA_DIR) and printed to the
+ * console, so a developer can read one-time codes from either. Never use it
+ * in production: the console shows the codes.
+ */
+class LocalSmsProvider {
+    /**
+     * @param {Object} options - Optional: { notifications }
+     */
+    constructor(options = {}) {
+        this.notifications = options.notifications || new NotificationService();
+    }
+
+    /**
+     * @param {Object} message - { to, body, kind, subjectId }
+     * @returns {Promise<Object>} { provider: 'local', messageId }
+     */
+    async send(message) {
+        const stored = this.notifications.send({
+            kind: message.kind,
+            subjectId: message.subjectId,
+            to: message.to,
+            subject: 'SMS',
+            body: message.body
+        });
+        console.log(`[LocalSmsProvider] SMS to ${message.to}: ${message.body}`);
+        return { provider: 'local', messageId: stored.id };
+    }
+}
+
+module.exports = LocalSmsProvider;
@@ -0,0 +1,70 @@
+const jwt = require('jsonwebtoken');
+const OAuthController = require('./oauth-controller');
+const I18n = require('./i18n');
+
+/**
+ * Subject id of the logged-in user, or null
+ */
+function subjectOf(req) {
+    if (!OAuthController.isLoggedIn(req)) {
+        return null;
+    }
+    const userPayload = jwt.decode(OAuthController.getAuthToken(req).id_token);
+    return userPayload ? userPayload.sub : null;
+}
+
+/**
+ * Express middleware that picks the language of the page
+ *
+ * Usage (after the session middleware):
+ *   app.use(resolveLocale);
+ *
+ * In order: ?lang= (remembered for the session), the language picked earlier
+ * in the session, the language a logged-in user saved (see POST /locale),
+ * the browser's Accept-Language, then DEFAULT_LOCALE. The result is
+ * req.locale, and res.locals.locale and res.locals.locales for the views.
+ */
+exports.resolveLocale = (req, res, next) => {
+    const i18n = I18n.shared();
+
+    if (i18n.isSupported(req.query.lang)) {
+        req.session.locale = req.query.lang;
+    }
+    if (!i18n.isSupported(req.session.locale)) {
+        const subjectId = subjectOf(req);
+        const saved = subjectId ? i18n.preferenceFor(subjectId) : null;
+        if (saved) {
+            req.session.locale = saved;
+        }
+    }
+
+    req.locale = i18n.isSupported(req.session.locale)
+        ? req.session.locale
+        : (i18n.negotiate(req.get('Accept-Language')) || i18n.defaultLocale);
+
+    res.locals.locale = req.locale;
+    res.locals.locales = i18n.locales().map(locale => Object.assign(locale, { current: locale.id === req.locale }));
+    res.locals.currentUrl = req.originalUrl;
+    next();
+};
+
+/**
+ * POST /locale - Switch language
+ * Body: { locale, returnTo }
+ * Logged-in users keep the language for their next sessions too.
+ */
+exports.setLocale = (req, res) => {
+    const i18n = I18n.shared();
+    const returnTo = typeof req.body.returnTo === 'string' && /^\/(?![/\\])/.test(req.body.returnTo) ? req.body.returnTo : '/';
+
+    if (!i18n.isSupported(req.body.locale)) {
+        return res.status(400).send('Unsupported language');
+    }
+    req.session.locale = req.body.locale;
+    const subjectId = subjectOf(req);
+    if (subjectId) {
+        i18n.setPreference(subjectId, req.body.locale);
+    }
+    // Drop ?lang= so it does not switch the language straight back
+    res.redirect(returnTo.replace(/([?&])lang=[^&]*&?/, '$1').replace(/[?&]$/, ''));
+};
@@ -0,0 +1,198 @@
+const config = require('./config').Config;
+const AttributeResolver = require('./attribute-resolver');
+const PurposeVersionStore = require('./purpose-version-store');
+
+/**
+ * Purpose metadata cache, keyed by purposeId
+ * Shared by every MetadataService instance: each controller creates its own
+ * PrivacyService, but they should all see the same purpose definitions.
+ * Entry shape: { purpose: Object, expiresAt: Number (epoch ms) }
+ */
+const cache = new Map();
+
+/**
+ * MetadataService - Loads purpose, attribute, access type and notice metadata
+ * from the Verify Privacy API and caches it with a TTL
+ *
+ * Verify API Endpoint Used (through the Privacy SDK):
+ *   POST /dpcm/v1.0/privacy/consents/metadata - Purpose definitions
+ *
+ * Normalized purpose shape returned to callers:
+ *   {
+ *     id, name, description, notice, version,
+ *     attributes: [{ id, logicalId, label, description, accessTypes: [{ id, name }] }],
+ *     accessTypes: [{ id, name }]
+ *   }
+ * `id` is the tenant attribute id; `logicalId` is the app's id for it (see
+ * AttributeResolver), or null when the alias map does not cover the attribute.
+ *
+ * Each newly seen purpose version is snapshotted in PurposeVersionStore so
+ * changes can be shown to users who consented to an earlier version.
+ */
+class MetadataService {
+    /**
+     * @param {Function} clientFactory - (auth) => Privacy SDK client
+     * @param {Object} options - Optional: { ttlSeconds }
+     */
+    constructor(clientFactory, options = {}) {
+        this._clientFactory = clientFactory;
+        this._ttlMs = (options.ttlSeconds || config.metadataCacheTtlSeconds) * 1000;
+    }
+
+    /**
+     * Get metadata for a single purpose
+     * @param {Object} auth - Auth object with accessToken
+     * @param {String} purposeId - Purpose identifier
+     * @returns {Promise<Object>} Normalized purpose or null if not configured in Verify
+     */
+    async getPurpose(auth, purposeId) {
+        const purposes = await this.getPurposes(auth, [purposeId]);
+        return purposes[0] || null;
+    }
+
+    /**
+     * Get metadata for several purposes, fetching only the ones missing or expired
+     * @param {Object} auth - Auth object with accessToken
+     * @param {Array<String>} purposeIds - Defaults to the purposes configured for the app
+     * @returns {Promise<Array<Object>>} Normalized purposes, in the requested order
+     */
+    async getPurposes(auth, purposeIds = config.purposeIds) {
+        const now = Date.now();
+        const stale = purposeIds.filter(id => {
+            const entry = cache.get(id);
+            return !entry || entry.expiresAt <= now;
+        });
+
+        if (stale.length > 0) {
+            try {
+                await this._fetch(auth, stale);
+            } catch (error) {
+                // Serve expired entries rather than nothing; only fail if there
+                // is no cached copy at all for one of the requested purposes.
+                if (stale.some(id => !cache.has(id))) {
+                    throw error;
+                }
+                console.warn(`[MetadataService] Refresh failed, serving expired metadata: ${error && error.message ? error.message : error}`);
+            }
+        }
+
+        return purposeIds
+            .map(id => cache.get(id))
+            .filter(entry => entry != null)
+            .map(entry => entry.purpose);
+    }
+
+    /**
+     * Explicitly drop and refetch purpose metadata
+     * Use after purposes are changed in the Verify admin console
+     * @param {Object} auth - Auth object with accessToken
+     * @param {Array<String>} purposeIds - Defaults to the purposes configured for the app
+     * @returns {Promise<Array<Object>>} Freshly loaded purposes
+     */
+    async refresh(auth, purposeIds = config.purposeIds) {
+        purposeIds.forEach(id => cache.delete(id));
+        return this.getPurposes(auth, purposeIds);
+    }
+
+    /**
+     * Drop cached metadata without refetching
+     * @param {String} purposeId - Optional: drop only this purpose
+     */
+    invalidate(purposeId) {
+        if (purposeId) {
+            cache.delete(purposeId);
+        } else {
+            cache.clear();
+        }
+    }
+
+    async _fetch(auth, purposeIds) {
+        const dpcmClient = this._clientFactory(auth);
+        const response = await dpcmClient.getConsentMetadata(purposeIds);
+
+        if (!response || response.status === 'fail' || response.status === 'error') {
+            const err = new Error(`Failed to load purpose metadata for ${purposeIds.join(', ')}`);
+            err.code = 'METADATA_UNAVAILABLE';
+            err.detail = response;
+            throw err;
+        }
+
+        // The SDK has returned purpose definitions both at the top level and
+        // nested under `metadata`, depending on version.
+        const definitions = response.purposes || (response.metadata && response.metadata.purposes) || {};
+        const expiresAt = Date.now() + this._ttlMs;
+
+        purposeIds.forEach(id => {
+            const definition = definitions[id];
+            if (!definition) {
+                console.warn(`[MetadataService] Purpose ${id} is not configured in Verify`);
+                return;
+            }
+            const purpose = this._normalizePurpose(id, definition);
+            cache.set(id, { purpose, expiresAt });
+            try {
+                PurposeVersionStore.shared().record(purpose);
+            } catch (error) {
+                console.error(`[MetadataService] Could not record version snapshot for ${id}:`, error);
+            }
+        });
+
+        console.log(`[MetadataService] Loaded metadata for purposes: ${purposeIds.join(', ')}`);
+    }
+
+    _normalizePurpose(purposeId, definition) {
+        const resolver = AttributeResolver.shared();
+        const purposeAccessTypes = this._normalizeAccessTypes(definition.accessTypes, null);
+        const attributes = (definition.attributes || []).map(attr => {
+            const id = String(attr.id || attr.attributeId);
+            const label = attr.name || attr.attributeName || attr.label || id;
+            let logicalId = null;
+            try {
+                logicalId = resolver.resolve(id, label);
+            } catch (error) {
+                console.error(`[MetadataService] Purpose ${purposeId}: ${error.message}`);
+            }
+
+            return {
+                id: id,
+                logicalId: logicalId,
+                label: label,
+                description: attr.description || '',
+                // Attributes without their own access types can be consented
+                // to for any of the purpose's
+                accessTypes: this._normalizeAccessTypes(attr.accessTypes, purposeAccessTypes || undefined)
+            };
+        });
+
+        // Purpose-level access types are the union of the attribute ones when
+        // the definition does not list them separately.
+        let accessTypes = purposeAccessTypes;
+        if (!accessTypes) {
+            const seen = new Map();
+            attributes.forEach(attr => attr.accessTypes.forEach(at => seen.set(at.id, at)));
+            accessTypes = seen.size > 0 ? Array.from(seen.values()) : this._normalizeAccessTypes(null);
+        }
+
+        return {
+            id: purposeId,
+            name: definition.name || purposeId,
+            description: definition.description || '',
+            notice: definition.notice || (definition.termsOfUse && definition.termsOfUse.text) || definition.description || '',
+            version: definition.version,
+            attributes: attributes,
+            accessTypes: accessTypes
+        };
+    }
+
+    _normalizeAccessTypes(accessTypes, fallback = [{ id: 'default', name: 'default' }]) {
+        if (!Array.isArray(accessTypes) || accessTypes.length === 0) {
+            return fallback;
+        }
+        return accessTypes.map(at => ({
+            id: at.id || at.accessTypeId,
+            name: at.name || at.accessType || at.id || at.accessTypeId
+        }));
+    }
+}
+
+module.exports = MetadataService;
@@ -0,0 +1,306 @@
+const jwt = require('jsonwebtoken');
+const config = require('./config').Config;
+const OAuthController = require('./oauth-controller');
+const NomineeService = require('./nominee-service');
+
+// Longest X-File-Name header accepted (the stored name is cut to 100 characters)
+const MAX_FILE_NAME_HEADER = 1024;
+
+/**
+ * NomineeController - Nominees (see NomineeService)
+ *
+ * The Data Principal names or revokes their nominee (logged in):
+ *   GET /privacy/nominee - The current nominee and the form to name one
+ *   POST /privacy/nominee - Name a nominee (replaces the current one)
+ *   POST /privacy/nominee/revoke - Revoke the nomination
+ *
+ * The nominee has no session here; invitations and claims are reached through
+ * the links emailed to them:
+ *   GET /nominee/accept/:token - Invitation
+ *   POST /nominee/accept/:token - Accept it
+ *   GET /nominee/claims/new - Form to start a request
+ *   POST /nominee/claims - Start a request (the link to it is emailed)
+ *   GET /nominee/claims/:id?token= - The request, its evidence and outcome
+ *   POST /nominee/claims/:id/evidence?token= - Upload a file (raw body; name in the X-File-Name header)
+ *   POST /nominee/claims/:id/submit?token= - Submit the request for review
+ *   GET /nominee/claims/:id/download?token= - Data export of an approved access request
+ */
+class NomineeController {
+    constructor() {
+        this.nomineeService = NomineeService.shared();
+    }
+
+    /**
+     * GET /privacy/nominee - Nominee page
+     */
+    getNomineePage = (req, res) => {
+        try {
+            this._renderNominee(req, res);
+        } catch (error) {
+            console.error('[NomineeController] Error in getNomineePage:', error);
+            res.status(500).send('An error occurred while loading your nominee');
+        }
+    }
+
+    /**
+     * POST /privacy/nominee - Name a nominee
+     */
+    nominate = (req, res) => {
+        try {
+            this.nomineeService.nominate(this._getUser(req), req.body);
+            res.redirect('/privacy/nominee');
+        } catch (error) {
+            if (error.code === 'NOMINEE_INVALID') {
+                return this._renderNominee(req, res, error.message, req.body, 400);
+            }
+            console.error('[NomineeController] Error in nominate:', error);
+            res.status(500).send('An error occurred while naming your nominee');
+        }
+    }
+
+    /**
+     * POST /privacy/nominee/revoke - Revoke the nomination
+     */
+    revoke = (req, res) => {
+        try {
+            this.nomineeService.revoke(this._getUser(req).sub);
+            res.redirect('/privacy/nominee');
+        } catch (error) {
+            if (error.code === 'NOMINEE_NOT_FOUND') {
+                return this._renderNominee(req, res, error.message, {}, 404);
+            }
+            console.error('[NomineeController] Error in revoke:', error);
+            res.status(500).send('An error occurred while revoking your nominee');
+        }
+    }
+
+    /**
+     * GET /nominee/accept/:token - Invitation page
+     */
+    getInvitation = (req, res) => {
+        try {
+            res.render('nominee-accept', {
+                title: 'Nominee Invitation',
+                invitation: this.nomineeService.getInvitation(req.params.token),
+                token: req.params.token
+            });
+        } catch (error) {
+            this._handlePublicError(res, error, 'getInvitation');
+        }
+    }
+
+    /**
+     * POST /nominee/accept/:token - Accept the invitation
+     */
+    acceptInvitation = (req, res) => {
+        try {
+            if (req.body.agree !== 'on') {
+                return res.status(400).render('nominee-accept', {
+                    title: 'Nominee Invitation',
+                    invitation: this.nomineeService.getInvitation(req.params.token),
+                    token: req.params.token,
+                    error: 'Please confirm that you agree to act as nominee'
+                });
+            }
+            const nomination = this.nomineeService.accept(req.params.token);
+            res.render('nominee-accept', {
+                title: 'Nominee Invitation',
+                accepted: nomination
+            });
+        } catch (error) {
+            this._handlePublicError(res, error, 'acceptInvitation');
+        }
+    }
+
+    /**
+     * GET /nominee/claims/new - Start a request
+     */
+    getNewClaim = (req, res) => {
+        this._renderNewClaim(res);
+    }
+
+    /**
+     * POST /nominee/claims - Start a request
+     * The same confirmation is shown whether or not the details matched a
+     * nomination; the nominee continues from the emailed link
+     */
+    startClaim = (req, res) => {
+        try {
+            this.nomineeService.startClaim(req.body);
+            this._renderNewClaim(res, null, {}, 200, true);
+        } catch (error) {
+            if (error.code === 'CLAIM_INVALID') {
+                return this._renderNewClaim(res, error.message, req.body, 400);
+            }
+            console.error('[NomineeController] Error in startClaim:', error);
+            res.status(500).send('An error occurred while starting your request');
+        }
+    }
+
+    /**
+     * GET /nominee/claims/:id?token= - A request
+     */
+    getClaim = (req, res) => {
+        try {
+            this._renderClaim(req, res);
+        } catch (error) {
+            this._handlePublicError(res, error, 'getClaim');
+        }
+    }
+
+    /**
+     * POST /nominee/claims/:id/evidence?token= - Upload an evidence file
+     * The body is the file itself (see public/js/evidence-upload.js)
+     * Returns: { success, claim } or { success: false, error, code }
+     */
+    uploadEvidence = (req, res) => {
+        try {
+            const claim = this.nomineeService.addEvidence(req.params.id, req.query.token, {
+                fileName: this._fileName(req),
+                contentType: req.get('Content-Type'),
+                data: Buffer.isBuffer(req.body) ? req.body : null
+            });
+            res.json({ success: true, claim: claim });
+        } catch (error) {
+            const status = { CLAIM_INVALID: 400, CLAIM_NOT_FOUND: 404, CLAIM_NOT_EDITABLE: 409 }[error.code];
+            if (status) {
+                return res.status(status).json({ success: false, error: error.message, code: error.code });
+            }
+            console.error('[NomineeController] Error in uploadEvidence:', error);
+            res.status(500).json({ success: false, error: 'Server error while uploading the file' });
+        }
+    }
+
+    /**
+     * POST /nominee/claims/:id/submit?token= - Submit the request
+     */
+    submitClaim = (req, res) => {
+        try {
+            this.nomineeService.submitClaim(req.params.id, req.query.token);
+            res.redirect(this._claimUrl(req));
+        } catch (error) {
+            if (error.code === 'CLAIM_INVALID' || error.code === 'CLAIM_NOT_EDITABLE') {
+                return this._renderClaim(req, res, error.message, error.code === 'CLAIM_NOT_EDITABLE' ? 409 : 400);
+            }
+            this._handlePublicError(res, error, 'submitClaim');
+        }
+    }
+
+    /**
+     * GET /nominee/claims/:id/download?token= - Download the data export
+     * ?format=html shows it as a printable report, like /privacy/my-data
+     */
+    downloadExport = (req, res) => {
+        try {
+            const { job, bundle } = this.nomineeService.readExport(req.params.id, req.query.token);
+            if (req.query.format === 'html') {
+                return res.render('my-data-report', {
+                    layout: false,
+                    title: 'Personal Data',
+                    bundle: bundle
+                });
+            }
+            res.set('Content-Disposition', `attachment; filename="personal-data-${job.id}.json"`);
+            res.type('application/json').send(JSON.stringify(bundle, null, 2));
+        } catch (error) {
+            if (error.code === 'EXPORT_NOT_READY') {
+                return res.status(409).send('The data is not ready yet. Please try again later.');
+            }
+            this._handlePublicError(res, error, 'downloadExport');
+        }
+    }
+
+    _handlePublicError(res, error, name) {
+        if (error.code === 'NOMINEE_INVITE_INVALID' || error.code === 'CLAIM_NOT_FOUND') {
+            return res.status(404).send(error.message);
+        }
+        console.error(`[NomineeController] Error in ${name}:`, error);
+        res.status(500).send('An error occurred. Please try again later.');
+    }
+
+    _renderNominee(req, res, error, formData = {}, status = 200) {
+        const userPayload = this._getUser(req);
+        res.status(status).render('nominee', {
+            title: 'My Nominee',
+            user: userPayload,
+            nomination: this.nomineeService.getForSubject(userPayload.sub),
+            claims: this.nomineeService.listClaimsForSubject(userPayload.sub),
+            relationships: this._options(NomineeService.RELATIONSHIPS),
+            inviteDays: config.nomineeInviteDays,
+            dpoEmail: config.dpoEmail,
+            formData: formData,
+            error: error
+        });
+    }
+
+    _renderNewClaim(res, error, formData = {}, status = 200, started = false) {
+        res.status(status).render('nominee-claim-new', {
+            title: 'Request as a Nominee',
+            events: this._options(NomineeService.EVENTS),
+            actions: this._options(NomineeService.ACTIONS),
+            formData: formData,
+            started: started,
+            error: error
+        });
+    }
+
+    _renderClaim(req, res, error, status = 200) {
+        const claim = this.nomineeService.getClaim(req.params.id, req.query.token);
+        res.status(status).render('nominee-claim', {
+            title: `Request ${claim.reference}`,
+            claim: claim,
+            draft: claim.status === 'draft',
+            links: {
+                upload: this._claimUrl(req, '/evidence'),
+                submit: this._claimUrl(req, '/submit'),
+                download: this._claimUrl(req, '/download')
+            },
+            acceptTypes: Object.keys(NomineeService.EVIDENCE_TYPES).join(','),
+            maxFiles: config.nomineeEvidenceMaxFiles,
+            maxBytes: config.nomineeEvidenceMaxBytes,
+            maxMegabytes: Math.floor(config.nomineeEvidenceMaxBytes / 1024 / 1024),
+            exportRetentionHours: config.dataExportRetentionHours,
+            dpoEmail: config.dpoEmail,
+            error: error
+        });
+    }
+
+    /**
+     * The file name from the X-File-Name header (URI-encoded by the browser)
+     * A name that is too long or not valid percent-encoding is a client
+     * error; NomineeService.addEvidence strips what is left to a safe name
+     */
+    _fileName(req) {
+        const header = req.get('X-File-Name') || '';
+        let fileName = null;
+        if (header.length <= MAX_FILE_NAME_HEADER) {
+            try {
+                fileName = decodeURIComponent(header);
+            } catch (e) {
+                // URIError: malformed percent-encoding
+            }
+        }
+        if (fileName === null) {
+            const err = new Error('The file name could not be read. Please rename the file and try again');
+            err.code = 'CLAIM_INVALID';
+            err.field = 'evidence';
+            throw err;
+        }
+        return fileName.replace(/[\u0000-\u001f\u007f]/g, '');
+    }
+
+    // Links to the claim (or one of its actions) carry the claim token
+    _claimUrl(req, action = '') {
+        return `/nominee/claims/${encodeURIComponent(req.params.id)}${action}?token=${encodeURIComponent(req.query.token || '')}`;
+    }
+
+    _options(labels) {
+        return Object.keys(labels).map(id => ({ id: id, label: labels[id] }));
+    }
+
+    _getUser(req) {
+        return jwt.decode(OAuthController.getAuthToken(req).id_token);
+    }
+}
+
+module.exports = NomineeController;
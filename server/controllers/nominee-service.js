@@ -0,0 +1,845 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config').Config;
+const JsonFileStore = require('./json-file-store');
+const ConsentReceiptService = require('./consent-receipt-service');
+const NotificationService = require('./notification-service');
+const AppTokenService = require('./app-token-service');
+const AuditLog = require('./audit-log');
+const DataMasking = require('./data-masking');
+const IndianIdentifiers = require('../../public/js/indian-identifiers');
+
+const RELATIONSHIPS = {
+    spouse: 'Spouse',
+    child: 'Child',
+    parent: 'Parent',
+    sibling: 'Sibling',
+    other: 'Other'
+};
+
+const EVENTS = {
+    death: 'Death of the Data Principal',
+    incapacity: 'Incapacity of the Data Principal'
+};
+
+const ACTIONS = {
+    access: 'Access the personal data (data export)',
+    erasure: 'Erase the account and personal data'
+};
+
+const EVIDENCE_TYPES = {
+    'application/pdf': 'PDF',
+    'image/jpeg': 'JPEG image',
+    'image/png': 'PNG image'
+};
+
+// The nomination, as the receipt describes it: the Data Principal consents to
+// the nominee exercising their rights. It is not a Verify purpose.
+const NOMINATION_PURPOSE = {
+    id: 'NOMINEE_DESIGNATION',
+    name: 'Nominee designation',
+    version: null,
+    notice: 'If I die or become unable to act, the nominee named here may exercise my rights under the DPDP Act, 2023 ' +
+        '(section 14): access to my personal data and its erasure, after proof is checked by the Data Fiduciary.',
+    attributes: [{ logicalId: 'nominee', label: 'Nominee' }]
+};
+
+let sharedService = null;
+
+/**
+ * NomineeService - Nominees (DPDP Act, section 14): someone a Data Principal
+ * names to exercise their rights if they die or become incapacitated
+ *
+ * Nominations are kept in LOCAL_DATA_DIR/nominees.json. A nomination starts as
+ * 'invited': the nominee is emailed a link and it becomes 'active' once they
+ * accept it, with a consent receipt for the designation. The Data Principal
+ * can revoke it at any time (a new nomination replaces the current one):
+ *   { nominations: [{ id, reference, subjectId, principalName, principalEmail, name, email,
+ *                     mobile, relationship, status: 'invited'|'active'|'revoked', inviteTokenHash,
+ *                     inviteExpiresAt, createdAt, acceptedAt, revokedAt, receiptIds }],
+ *
+ * A nominee acts through a claim. Claims are started on the public nominee
+ * pages with the nominee's email and the nomination reference; the link to
+ * the claim is emailed to the nominee, so only they can open it. The nominee
+ * uploads evidence (death certificate, medical certificate) and submits the
+ * claim, and an operator approves or rejects it. On approval the requested
+ * action is carried out with the existing services: a data export the
+ * nominee can download (DataExportService) or an erasure request
+ * (ErasureService, with its grace period). The Data Principal is told about
+ * every claim, so a false one can be stopped:
+ *     claims: [{ id, reference, nominationId, subjectId, nomineeEmail, event, action, details,
+ *                status: 'draft'|'submitted'|'approved'|'rejected', tokenHash,
+ *                evidence: [{ id, fileName, contentType, size, sha256, uploadedAt }],
+ *                createdAt, submittedAt, decidedAt, decidedBy, decisionNote, exportId,
+ *                erasureRequestId }] }
+ * Evidence files are stored under LOCAL_DATA_DIR/nominee-evidence/<claim id>/.
+ *
+ * Errors carry a code: NOMINEE_INVALID (with err.field), NOMINEE_NOT_FOUND,
+ * NOMINEE_INVITE_INVALID, CLAIM_INVALID (with err.field), CLAIM_NOT_FOUND,
+ * CLAIM_NOT_EDITABLE, CLAIM_ALREADY_DECIDED, EXPORT_NOT_READY.
+ */
+class NomineeService {
+    /**
+     * @param {Object} options - Optional: { notifications, receiptService }
+     */
+    constructor(options = {}) {
+        this.notifications = options.notifications || new NotificationService();
+        this.receiptService = options.receiptService || new ConsentReceiptService();
+        this.auditLog = AuditLog.shared();
+        this._store = new JsonFileStore('nominees.json', { nominations: [], claims: [] });
+        this._dir = path.join(config.localDataDir, 'nominee-evidence');
+    }
+
+    /**
+     * Service shared by the nominee pages and the operator pages
+     * @returns {NomineeService}
+     */
+    static shared() {
+        if (!sharedService) {
+            sharedService = new NomineeService();
+        }
+        return sharedService;
+    }
+
+    static get RELATIONSHIPS() {
+        return RELATIONSHIPS;
+    }
+
+    static get EVENTS() {
+        return EVENTS;
+    }
+
+    static get ACTIONS() {
+        return ACTIONS;
+    }
+
+    static get EVIDENCE_TYPES() {
+        return EVIDENCE_TYPES;
+    }
+
+    /**
+     * Name a nominee and send them an invitation; replaces the current nomination
+     * @param {Object} userPayload - Decoded ID token of the Data Principal
+     * @param {Object} input - { name, email, mobile, relationship }
+     * @returns {Object} The nomination, without its token
+     */
+    nominate(userPayload, input) {
+        const name = String(input.name || '').trim().replace(/\s+/g, ' ');
+        const email = String(input.email || '').trim().toLowerCase();
+        const mobile = IndianIdentifiers.validateMobile(input.mobile).value || String(input.mobile || '').replace(/\D/g, '');
+
+        if (name.length < 2) {
+            throw this._invalid('NOMINEE_INVALID', 'name', 'Please enter the nominee\'s full name');
+        }
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            throw this._invalid('NOMINEE_INVALID', 'email', 'Please enter a valid email address for the nominee');
+        }
+        if (userPayload.email && email === String(userPayload.email).toLowerCase()) {
+            throw this._invalid('NOMINEE_INVALID', 'email', 'You cannot nominate yourself');
+        }
+        if (mobile && !IndianIdentifiers.validateMobile(mobile).valid) {
+            throw this._invalid('NOMINEE_INVALID', 'mobile', 'Please enter a valid 10-digit Indian mobile number');
+        }
+        if (!RELATIONSHIPS[input.relationship]) {
+            throw this._invalid('NOMINEE_INVALID', 'relationship', 'Please choose how the nominee is related to you');
+        }
+
+        const current = this._current(userPayload.sub);
+        if (current) {
+            this._revoke(current, userPayload.sub, 'replaced');
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = Math.floor(Date.now() / 1000);
+        const nomination = {
+            id: crypto.randomUUID(),
+            reference: this._generateReference('NOM'),
+            subjectId: userPayload.sub,
+            principalName: userPayload.name || '',
+            principalEmail: userPayload.email || null,
+            name: name,
+            email: email,
+            mobile: mobile || null,
+            relationship: input.relationship,
+            status: 'invited',
+            inviteTokenHash: this._hashToken(token),
+            inviteExpiresAt: now + config.nomineeInviteDays * 24 * 60 * 60,
+            createdAt: now,
+            acceptedAt: null,
+            revokedAt: null,
+            receiptIds: []
+        };
+        this._store.update(document => {
+            document.nominations.push(nomination);
+        });
+
+        this._audit(AuditLog.EVENT_TYPES.NOMINEE_ADDED, nomination, userPayload.sub, { relationship: nomination.relationship });
+        this.notifications.send({
+            kind: 'nominee.invited',
+            subjectId: nomination.subjectId,
+            to: nomination.email,
+            subject: `${config.dataControllerName}: ${nomination.principalName || 'A user'} has named you as their nominee`,
+            body: `${nomination.principalName || 'A user'} has named you as their nominee. If they die or become unable to act, ` +
+                `you will be able to ask us for access to their personal data or for its erasure. ` +
+                `To accept, open ${this._link(`/nominee/accept/${token}`)} within ${config.nomineeInviteDays} days.`
+        });
+        console.log(`[NomineeService] Nomination ${nomination.reference} created by ${nomination.subjectId}`);
+        return this._summarize(nomination);
+    }
+
+    /**
+     * The Data Principal's current nomination (invited or active), or null
+     */
+    getForSubject(subjectId) {
+        const nomination = this._current(subjectId);
+        return nomination ? this._summarize(nomination) : null;
+    }
+
+    /**
+     * An invitation the nominee can still accept
+     * @param {String} token - From the invitation link
+     * @returns {Object} { reference, principalName, name, relationshipLabel, inviteExpiresAt }
+     * @throws {Error} code NOMINEE_INVITE_INVALID
+     */
+    getInvitation(token) {
+        const nomination = this._findInvitation(token);
+        return {
+            reference: nomination.reference,
+            principalName: nomination.principalName,
+            name: nomination.name,
+            relationshipLabel: RELATIONSHIPS[nomination.relationship],
+            inviteExpiresAt: nomination.inviteExpiresAt
+        };
+    }
+
+    /**
+     * Accept an invitation: the nomination becomes active and a consent
+     * receipt for the designation is issued to the Data Principal
+     * @returns {Object} The nomination
+     * @throws {Error} code NOMINEE_INVITE_INVALID
+     */
+    accept(token) {
+        const found = this._findInvitation(token);
+        const receipt = this._issueReceipt(found, 1);
+        const nomination = this._store.update(document => {
+            const stored = document.nominations.find(n => n.id === found.id);
+            stored.status = 'active';
+            stored.acceptedAt = Math.floor(Date.now() / 1000);
+            stored.inviteTokenHash = null;
+            if (receipt) {
+                stored.receiptIds.push(receipt.id);
+            }
+            return Object.assign({}, stored);
+        });
+
+        this._audit(AuditLog.EVENT_TYPES.NOMINEE_VERIFIED, nomination, nomination.email, {
+            verifiedVia: 'email',
+            receiptId: receipt ? receipt.id : null
+        });
+        if (nomination.principalEmail) {
+            this.notifications.send({
+                kind: 'nominee.accepted',
+                subjectId: nomination.subjectId,
+                to: nomination.principalEmail,
+                subject: `${config.dataControllerName}: ${nomination.name} accepted your nomination`,
+                body: `${nomination.name} is now your nominee (reference ${nomination.reference}). You can revoke the nomination at any time from ${this._link('/privacy/nominee')}.`
+            });
+        }
+        this.notifications.send({
+            kind: 'nominee.active',
+            subjectId: nomination.subjectId,
+            to: nomination.email,
+            subject: `${config.dataControllerName}: you are now a nominee`,
+            body: `Keep this reference: ${nomination.reference}. If ${nomination.principalName || 'the person who nominated you'} dies or becomes unable to act, ` +
+                `start a request at ${this._link('/nominee/claims/new')} with this reference and your email address.`
+        });
+        console.log(`[NomineeService] Nomination ${nomination.reference} accepted`);
+        return this._summarize(nomination);
+    }
+
+    /**
+     * Revoke the Data Principal's current nomination
+     * @returns {Object} The revoked nomination
+     * @throws {Error} code NOMINEE_NOT_FOUND
+     */
+    revoke(subjectId) {
+        const current = this._current(subjectId);
+        if (!current) {
+            throw this._error('NOMINEE_NOT_FOUND', 'You have no nominee to revoke');
+        }
+        return this._summarize(this._revoke(current, subjectId, 'revoked'));
+    }
+
+    /**
+     * Start a claim for a nominee; the link to it is emailed to the nominee
+     * Nothing is said about whether the details matched, so the form cannot
+     * be used to find out who has nominated whom.
+     * @param {Object} input - { email, reference, event, action, details }
+     * @returns {Object} Claim or null when no active nomination matched
+     */
+    startClaim(input) {
+        const email = String(input.email || '').trim().toLowerCase();
+        const reference = String(input.reference || '').trim().toUpperCase();
+        const details = String(input.details || '').trim();
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            throw this._invalid('CLAIM_INVALID', 'email', 'Please enter your email address');
+        }
+        if (!reference) {
+            throw this._invalid('CLAIM_INVALID', 'reference', 'Please enter the nomination reference');
+        }
+        if (!EVENTS[input.event]) {
+            throw this._invalid('CLAIM_INVALID', 'event', 'Please choose what has happened');
+        }
+        if (!ACTIONS[input.action]) {
+            throw this._invalid('CLAIM_INVALID', 'action', 'Please choose what you are asking for');
+        }
+        if (details.length > 2000) {
+            throw this._invalid('CLAIM_INVALID', 'details', 'Please keep the details under 2000 characters');
+        }
+
+        const nomination = this._store.read().nominations
+            .find(n => n.status === 'active' && n.reference === reference && n.email === email);
+        if (!nomination) {
+            console.log(`[NomineeService] Claim not started: no active nomination ${reference} for that email`);
+            return null;
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const claim = {
+            id: crypto.randomUUID(),
+            reference: this._generateReference('NCL'),
+            nominationId: nomination.id,
+            subjectId: nomination.subjectId,
+            nomineeEmail: nomination.email,
+            event: input.event,
+            action: input.action,
+            details: details,
+            status: 'draft',
+            tokenHash: this._hashToken(token),
+            evidence: [],
+            createdAt: Math.floor(Date.now() / 1000),
+            submittedAt: null,
+            decidedAt: null,
+            decidedBy: null,
+            decisionNote: null,
+            exportId: null,
+            erasureRequestId: null
+        };
+        this._store.update(document => {
+            document.claims.push(claim);
+        });
+
+        this.notifications.send({
+            kind: 'nominee.claim-started',
+            subjectId: claim.subjectId,
+            to: claim.nomineeEmail,
+            subject: `${config.dataControllerName}: your request ${claim.reference}`,
+            body: `To upload your evidence and submit request ${claim.reference}, open ${this._link(`/nominee/claims/${claim.id}?token=${token}`)}. ` +
+                `Keep this link private: anyone with it can see your request.`
+        });
+        console.log(`[NomineeService] Claim ${claim.reference} started for nomination ${nomination.reference}`);
+        return this._summarizeClaim(claim);
+    }
+
+    /**
+     * A claim, for the nominee holding its link
+     * @throws {Error} code CLAIM_NOT_FOUND
+     */
+    getClaim(claimId, token) {
+        return this._summarizeClaim(this._findClaim(claimId, token));
+    }
+
+    /**
+     * Attach an evidence file to a draft claim
+     * @param {Object} file - { fileName, contentType, data (Buffer) }
+     * @returns {Object} The claim
+     * @throws {Error} code CLAIM_NOT_FOUND | CLAIM_NOT_EDITABLE | CLAIM_INVALID
+     */
+    addEvidence(claimId, token, file) {
+        const claim = this._findClaim(claimId, token);
+        if (claim.status !== 'draft') {
+            throw this._error('CLAIM_NOT_EDITABLE', 'Evidence cannot be added once the request is submitted');
+        }
+        const contentType = String(file.contentType || '').split(';')[0].trim().toLowerCase();
+        if (!EVIDENCE_TYPES[contentType]) {
+            throw this._invalid('CLAIM_INVALID', 'evidence', 'Please upload a PDF, JPEG or PNG file');
+        }
+        if (!Buffer.isBuffer(file.data) || file.data.length === 0) {
+            throw this._invalid('CLAIM_INVALID', 'evidence', 'The file is empty');
+        }
+        if (file.data.length > config.nomineeEvidenceMaxBytes) {
+            throw this._invalid('CLAIM_INVALID', 'evidence', `Files can be at most ${Math.floor(config.nomineeEvidenceMaxBytes / 1024 / 1024)} MB`);
+        }
+        if (claim.evidence.length >= config.nomineeEvidenceMaxFiles) {
+            throw this._invalid('CLAIM_INVALID', 'evidence', `A request can have at most ${config.nomineeEvidenceMaxFiles} files`);
+        }
+
+        const evidence = {
+            id: crypto.randomUUID(),
+            // Only used for display and the download name
+            fileName: path.basename(String(file.fileName || 'evidence')).replace(/[^\w. -]/g, '_').slice(0, 100),
+            contentType: contentType,
+            size: file.data.length,
+            sha256: crypto.createHash('sha256').update(file.data).digest('hex'),
+            uploadedAt: Math.floor(Date.now() / 1000)
+        };
+        fs.mkdirSync(path.join(this._dir, claim.id), { recursive: true });
+        fs.writeFileSync(this._evidencePath(claim.id, evidence.id), file.data, { mode: 0o600 });
+
+        const updated = this._updateClaim(claim.id, stored => {
+            stored.evidence.push(evidence);
+        });
+        console.log(`[NomineeService] Evidence ${evidence.id} (${evidence.size} bytes) added to claim ${claim.reference}`);
+        return this._summarizeClaim(updated);
+    }
+
+    /**
+     * Submit a draft claim for review; the Data Principal is told about it
+     * @returns {Object} The claim
+     * @throws {Error} code CLAIM_NOT_FOUND | CLAIM_NOT_EDITABLE | CLAIM_INVALID
+     */
+    submitClaim(claimId, token) {
+        const claim = this._findClaim(claimId, token);
+        if (claim.status !== 'draft') {
+            throw this._error('CLAIM_NOT_EDITABLE', 'This request has already been submitted');
+        }
+        if (claim.evidence.length === 0) {
+            throw this._invalid('CLAIM_INVALID', 'evidence', 'Please upload at least one document as evidence');
+        }
+
+        const submitted = this._updateClaim(claim.id, stored => {
+            stored.status = 'submitted';
+            stored.submittedAt = Math.floor(Date.now() / 1000);
+        });
+        this._auditClaim(AuditLog.EVENT_TYPES.NOMINEE_CLAIM_SUBMITTED, submitted, submitted.nomineeEmail);
+
+        const nomination = this._nomination(submitted.nominationId);
+        if (nomination && nomination.principalEmail) {
+            this.notifications.send({
+                kind: 'nominee.claim-submitted',
+                subjectId: submitted.subjectId,
+                to: nomination.principalEmail,
+                subject: `${config.dataControllerName}: your nominee has made a request about your account`,
+                body: `${nomination.name}, your nominee, has told us of the ${submitted.event} of the account holder and asked to ` +
+                    `${submitted.action === 'erasure' ? 'erase your account' : 'receive a copy of your personal data'} (request ${submitted.reference}). ` +
+                    `If this is wrong, contact ${config.dpoEmail} at once and log in to revoke the nomination.`
+            });
+        }
+        console.log(`[NomineeService] Claim ${submitted.reference} submitted`);
+        return this._summarizeClaim(submitted);
+    }
+
+    /**
+     * Claims for the operator queue, oldest first
+     * @param {Object} filter - { status }
+     */
+    listClaims(filter = {}) {
+        return this._store.read().claims
+            .filter(c => c.status !== 'draft')
+            .filter(c => !filter.status || c.status === filter.status)
+            .sort((a, b) => a.submittedAt - b.submittedAt)
+            .map(c => this._summarizeClaim(c, true));
+    }
+
+    /**
+     * A claim for an operator, with the nomination it relies on
+     * @throws {Error} code CLAIM_NOT_FOUND
+     */
+    getClaimForOperator(claimId) {
+        const claim = this._store.read().claims.find(c => c.id === claimId && c.status !== 'draft');
+        if (!claim) {
+            throw this._error('CLAIM_NOT_FOUND', 'Request not found');
+        }
+        const nomination = this._nomination(claim.nominationId);
+        return Object.assign(this._summarizeClaim(claim, true), {
+            nomination: nomination ? Object.assign(this._summarize(nomination), {
+                principalName: nomination.principalName,
+                principalEmail: DataMasking.maskEmail(nomination.principalEmail),
+                nomineeEmail: nomination.email,
+                nomineeMobile: nomination.mobile
+            }) : null
+        });
+    }
+
+    /**
+     * An evidence file of a submitted claim, for an operator
+     * @returns {Object} { fileName, contentType, data }
+     * @throws {Error} code CLAIM_NOT_FOUND
+     */
+    readEvidence(claimId, evidenceId) {
+        const claim = this._store.read().claims.find(c => c.id === claimId && c.status !== 'draft');
+        const evidence = claim && claim.evidence.find(e => e.id === evidenceId);
+        if (!evidence || !fs.existsSync(this._evidencePath(claim.id, evidence.id))) {
+            throw this._error('CLAIM_NOT_FOUND', 'Evidence not found');
+        }
+        return {
+            fileName: evidence.fileName,
+            contentType: evidence.contentType,
+            data: fs.readFileSync(this._evidencePath(claim.id, evidence.id))
+        };
+    }
+
+    /**
+     * Approve a submitted claim and carry out the action asked for
+     * access  - a data export is generated; the nominee downloads it with their claim link
+     * erasure - an erasure request is scheduled, so the Data Principal can still
+     *           cancel it during the grace period
+     * @param {String} actor - Operator (email or subject id)
+     * @returns {Promise<Object>} The claim
+     * @throws {Error} code CLAIM_NOT_FOUND | CLAIM_ALREADY_DECIDED | NOMINEE_NOT_FOUND
+     */
+    async approve(claimId, actor, note) {
+        const claim = this._decidable(claimId);
+        const nomination = this._nomination(claim.nominationId);
+        if (!nomination || nomination.status !== 'active') {
+            throw this._error('NOMINEE_NOT_FOUND', 'The nomination has been revoked, so the request cannot be approved');
+        }
+
+        const auth = await AppTokenService.shared().authFor(claim.subjectId);
+        const result = {};
+        if (claim.action === 'access') {
+            const job = this._exports().request(auth, {
+                sub: claim.subjectId,
+                name: nomination.principalName,
+                email: nomination.principalEmail
+            });
+            result.exportId = job.id;
+        } else {
+            const request = this._erasure().request(auth, { email: claim.nomineeEmail }, { requestedBy: `nominee:${claim.nomineeEmail}` });
+            result.erasureRequestId = request.id;
+            result.scheduledFor = request.scheduledFor;
+        }
+
+        const approved = this._updateClaim(claim.id, stored => {
+            stored.status = 'approved';
+            stored.decidedAt = Math.floor(Date.now() / 1000);
+            stored.decidedBy = actor;
+            stored.decisionNote = String(note || '').trim() || null;
+            stored.exportId = result.exportId || null;
+            stored.erasureRequestId = result.erasureRequestId || null;
+        });
+        this._auditClaim(AuditLog.EVENT_TYPES.NOMINEE_CLAIM_APPROVED, approved, actor, {
+            exportId: approved.exportId,
+            erasureRequestId: approved.erasureRequestId
+        });
+
+        this.notifications.send({
+            kind: 'nominee.claim-approved',
+            subjectId: approved.subjectId,
+            to: approved.nomineeEmail,
+            subject: `${config.dataControllerName}: request ${approved.reference} approved`,
+            body: approved.action === 'access'
+                ? `Your request has been approved. Download the data with the link you were sent for this request; it is available for ${config.dataExportRetentionHours} hours once ready.`
+                : `Your request has been approved. The account will be erased on ${new Date(result.scheduledFor * 1000).toDateString()}, and you will be sent a confirmation.`
+        });
+        if (nomination.principalEmail) {
+            this.notifications.send({
+                kind: 'nominee.claim-approved',
+                subjectId: approved.subjectId,
+                to: nomination.principalEmail,
+                subject: `${config.dataControllerName}: your nominee's request was approved`,
+                body: approved.action === 'access'
+                    ? `We have approved request ${approved.reference} from ${nomination.name} and prepared a copy of your personal data for them.`
+                    : `We have approved request ${approved.reference} from ${nomination.name} to erase your account. It will be erased on ` +
+                      `${new Date(result.scheduledFor * 1000).toDateString()}. If this is wrong, log in and cancel it from ${this._link('/privacy/erasure')}.`
+            });
+        }
+        console.log(`[NomineeService] Claim ${approved.reference} approved by ${actor}`);
+        return this._summarizeClaim(approved, true);
+    }
+
+    /**
+     * Reject a submitted claim
+     * @returns {Object} The claim
+     * @throws {Error} code CLAIM_NOT_FOUND | CLAIM_ALREADY_DECIDED | CLAIM_INVALID
+     */
+    reject(claimId, actor, note) {
+        const reason = String(note || '').trim();
+        if (!reason) {
+            throw this._invalid('CLAIM_INVALID', 'note', 'Please give the reason for rejecting the request');
+        }
+        const claim = this._decidable(claimId);
+        const rejected = this._updateClaim(claim.id, stored => {
+            stored.status = 'rejected';
+            stored.decidedAt = Math.floor(Date.now() / 1000);
+            stored.decidedBy = actor;
+            stored.decisionNote = reason;
+        });
+        this._auditClaim(AuditLog.EVENT_TYPES.NOMINEE_CLAIM_REJECTED, rejected, actor);
+
+        this.notifications.send({
+            kind: 'nominee.claim-rejected',
+            subjectId: rejected.subjectId,
+            to: rejected.nomineeEmail,
+            subject: `${config.dataControllerName}: request ${rejected.reference} was not approved`,
+            body: `We could not approve your request: ${reason}. You can start a new request with further evidence, or contact ${config.dpoEmail}.`
+        });
+        console.log(`[NomineeService] Claim ${rejected.reference} rejected by ${actor}`);
+        return this._summarizeClaim(rejected, true);
+    }
+
+    /**
+     * The data export of an approved access claim, for the nominee
+     * @returns {Object} { job, bundle }
+     * @throws {Error} code CLAIM_NOT_FOUND | EXPORT_NOT_READY
+     */
+    readExport(claimId, token) {
+        const claim = this._findClaim(claimId, token);
+        const exports = this._exports();
+        const job = claim.status === 'approved' && claim.exportId ? exports.get(claim.exportId, claim.subjectId) : null;
+        if (!job) {
+            throw this._error('EXPORT_NOT_READY', 'There is no data export for this request');
+        }
+        return { job: job, bundle: exports.readBundle(job) };
+    }
+
+    /**
+     * Claims made about a Data Principal, newest first
+     */
+    listClaimsForSubject(subjectId) {
+        return this._store.read().claims
+            .filter(c => c.subjectId === subjectId && c.status !== 'draft')
+            .sort((a, b) => b.submittedAt - a.submittedAt)
+            .map(c => this._summarizeClaim(c));
+    }
+
+    /**
+     * Number of nominations and claims held for a Data Principal
+     */
+    countForSubject(subjectId) {
+        const document = this._store.read();
+        return document.nominations.filter(n => n.subjectId === subjectId).length +
+            document.claims.filter(c => c.subjectId === subjectId).length;
+    }
+
+    /**
+     * Remove the nominations and claims of a Data Principal, with evidence files
+     * @returns {Number} Records removed
+     */
+    deleteForSubject(subjectId) {
+        return this._store.update(document => {
+            const claims = document.claims.filter(c => c.subjectId === subjectId);
+            claims.forEach(c => fs.rmSync(path.join(this._dir, c.id), { recursive: true, force: true }));
+            const before = document.nominations.length + document.claims.length;
+            document.nominations = document.nominations.filter(n => n.subjectId !== subjectId);
+            document.claims = document.claims.filter(c => c.subjectId !== subjectId);
+            return before - document.nominations.length - document.claims.length;
+        });
+    }
+
+    _revoke(nomination, actor, outcome) {
+        const receipt = nomination.status === 'active' ? this._issueReceipt(nomination, 2) : null;
+        const revoked = this._store.update(document => {
+            const stored = document.nominations.find(n => n.id === nomination.id);
+            stored.status = 'revoked';
+            stored.revokedAt = Math.floor(Date.now() / 1000);
+            stored.inviteTokenHash = null;
+            if (receipt) {
+                stored.receiptIds.push(receipt.id);
+            }
+            return Object.assign({}, stored);
+        });
+
+        this._audit(AuditLog.EVENT_TYPES.NOMINEE_REVOKED, revoked, actor, {
+            reason: outcome,
+            receiptId: receipt ? receipt.id : null
+        });
+        this.notifications.send({
+            kind: 'nominee.revoked',
+            subjectId: revoked.subjectId,
+            to: revoked.email,
+            subject: `${config.dataControllerName}: you are no longer a nominee`,
+            body: `${revoked.principalName || 'The person who nominated you'} has revoked nomination ${revoked.reference}. You can no longer make requests about their account.`
+        });
+        console.log(`[NomineeService] Nomination ${revoked.reference} ${outcome}`);
+        return revoked;
+    }
+
+    // Receipt for the designation (state 1) or its revocation (state 2); a
+    // receipt failure does not stop the change
+    _issueReceipt(nomination, state) {
+        try {
+            return this.receiptService.issue({
+                subjectId: nomination.subjectId,
+                collectionMethod: 'nominee',
+                purposes: [NOMINATION_PURPOSE],
+                consents: [{ purposeId: NOMINATION_PURPOSE.id, attributeId: 'nominee', accessTypeId: 'default', state: state }]
+            });
+        } catch (error) {
+            console.error('[NomineeService] Failed to issue consent receipt:', error);
+            return null;
+        }
+    }
+
+    _current(subjectId) {
+        return this._store.read().nominations
+            .find(n => n.subjectId === subjectId && (n.status === 'invited' || n.status === 'active')) || null;
+    }
+
+    _nomination(nominationId) {
+        return this._store.read().nominations.find(n => n.id === nominationId) || null;
+    }
+
+    _findInvitation(token) {
+        const hash = this._hashToken(String(token || ''));
+        const nomination = this._store.read().nominations
+            .find(n => n.status === 'invited' && n.inviteTokenHash === hash);
+        if (!nomination || nomination.inviteExpiresAt <= Math.floor(Date.now() / 1000)) {
+            throw this._error('NOMINEE_INVITE_INVALID', 'This invitation is no longer valid. Ask the person who nominated you to send a new one.');
+        }
+        return nomination;
+    }
+
+    _findClaim(claimId, token) {
+        const claim = this._store.read().claims.find(c => c.id === claimId);
+        if (!claim || !this._tokenMatches(claim.tokenHash, token)) {
+            throw this._error('CLAIM_NOT_FOUND', 'Request not found. Use the link from the email we sent you.');
+        }
+        return claim;
+    }
+
+    _decidable(claimId) {
+        const claim = this._store.read().claims.find(c => c.id === claimId && c.status !== 'draft');
+        if (!claim) {
+            throw this._error('CLAIM_NOT_FOUND', 'Request not found');
+        }
+        if (claim.status !== 'submitted') {
+            throw this._error('CLAIM_ALREADY_DECIDED', `Request ${claim.reference} has already been ${claim.status}`);
+        }
+        return claim;
+    }
+
+    _updateClaim(claimId, mutator) {
+        return this._store.update(document => {
+            const stored = document.claims.find(c => c.id === claimId);
+            mutator(stored);
+            return JSON.parse(JSON.stringify(stored));
+        });
+    }
+
+    _summarize(nomination) {
+        return {
+            id: nomination.id,
+            reference: nomination.reference,
+            name: nomination.name,
+            email: DataMasking.maskEmail(nomination.email),
+            mobile: DataMasking.maskMobile(nomination.mobile),
+            relationship: nomination.relationship,
+            relationshipLabel: RELATIONSHIPS[nomination.relationship],
+            status: nomination.status,
+            createdAt: nomination.createdAt,
+            inviteExpiresAt: nomination.inviteExpiresAt,
+            acceptedAt: nomination.acceptedAt,
+            revokedAt: nomination.revokedAt,
+            receiptIds: nomination.receiptIds
+        };
+    }
+
+    // Operators see the nominee's address; elsewhere it is masked
+    _summarizeClaim(claim, forOperator = false) {
+        return {
+            id: claim.id,
+            reference: claim.reference,
+            subjectId: forOperator ? claim.subjectId : undefined,
+            nomineeEmail: forOperator ? claim.nomineeEmail : DataMasking.maskEmail(claim.nomineeEmail),
+            event: claim.event,
+            eventLabel: EVENTS[claim.event],
+            action: claim.action,
+            actionLabel: ACTIONS[claim.action],
+            details: claim.details,
+            status: claim.status,
+            evidence: claim.evidence.map(e => ({
+                id: e.id,
+                fileName: e.fileName,
+                contentType: e.contentType,
+                typeLabel: EVIDENCE_TYPES[e.contentType],
+                size: e.size,
+                sha256: e.sha256,
+                uploadedAt: e.uploadedAt
+            })),
+            createdAt: claim.createdAt,
+            submittedAt: claim.submittedAt,
+            decidedAt: claim.decidedAt,
+            decidedBy: forOperator ? claim.decidedBy : undefined,
+            decisionNote: claim.decisionNote,
+            exportId: claim.exportId,
+            erasureRequestId: claim.erasureRequestId
+        };
+    }
+
+    _audit(type, nomination, actor, details = {}) {
+        this.auditLog.tryRecord({
+            type: type,
+            subjectId: nomination.subjectId,
+            actor: actor,
+            outcome: nomination.status,
+            details: Object.assign({ nominationId: nomination.id, reference: nomination.reference }, details)
+        });
+    }
+
+    _auditClaim(type, claim, actor, details = {}) {
+        this.auditLog.tryRecord({
+            type: type,
+            subjectId: claim.subjectId,
+            actor: actor,
+            outcome: claim.status,
+            details: Object.assign({
+                claimId: claim.id,
+                reference: claim.reference,
+                event: claim.event,
+                action: claim.action,
+                evidence: claim.evidence.map(e => e.sha256)
+            }, details)
+        });
+    }
+
+    // Required when used: both services export and erase nominee records, so
+    // they require this module
+    _exports() {
+        return require('./data-export-service').shared();
+    }
+
+    _erasure() {
+        return require('./erasure-service').shared();
+    }
+
+    _evidencePath(claimId, evidenceId) {
+        return path.join(this._dir, claimId, evidenceId);
+    }
+
+    _link(resourcePath) {
+        return `${config.appBaseUrl || ''}${resourcePath}`;
+    }
+
+    _hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    _tokenMatches(tokenHash, token) {
+        const expected = Buffer.from(tokenHash, 'hex');
+        const actual = Buffer.from(this._hashToken(String(token || '')), 'hex');
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    _generateReference(prefix) {
+        const timestamp = Date.now().toString(36).toUpperCase();
+        const random = crypto.randomBytes(3).toString('hex').toUpperCase();
+        return `${prefix}-${timestamp}-${random}`;
+    }
+
+    _invalid(code, field, message) {
+        const err = this._error(code, message);
+        err.field = field;
+        return err;
+    }
+
+    _error(code, message) {
+        const err = new Error(message);
+        err.code = code;
+        return err;
+    }
+}
+
+module.exports = NomineeService;
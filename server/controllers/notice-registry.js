@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const JsonFileStore = require('./json-file-store');
+
+let sharedRegistry = null;
+
+/**
+ * NoticeRegistry - Every notice wording shown to users when they consented
+ *
+ * A consent is only meaningful together with the notice it was given against,
+ * and that wording changes: purposes get new versions in Verify, translations
+ * are edited, and the registration pages have their own text. Each distinct
+ * wording is registered once, per purpose and language, and consent receipts
+ * and audit entries refer to it by id. Notices are kept in notice-registry.json
+ * under LOCAL_DATA_DIR:
+ *   { notices: [{ id, purposeId, purposeVersion, language, context, name, notice,
+ *                 attributes: [{ id, label, description }], accessTypes: [{ id, name }],
+ *                 sha256, revision, registeredAt }] }
+ *
+ * `sha256` covers everything the user was shown (see _content), and `id` is
+ * derived from it, so the same wording always gets the same id and a notice
+ * is never changed once registered: any edit, however small, is a new entry
+ * with the next revision number for that purpose, language and context.
+ * verify() recomputes the hash to show an entry has not been altered since.
+ *
+ * Contexts:
+ *   purpose      - The purpose notice from Verify (consent pages, prompts)
+ *   registration - The notices on the sign-up pages (see RegistrationController)
+ */
+class NoticeRegistry {
+    constructor() {
+        this._store = new JsonFileStore('notice-registry.json', { notices: [] });
+    }
+
+    /**
+     * Registry shared by every controller in the process
+     * @returns {NoticeRegistry}
+     */
+    static shared() {
+        if (!sharedRegistry) {
+            sharedRegistry = new NoticeRegistry();
+        }
+        return sharedRegistry;
+    }
+
+    /**
+     * Register a purpose notice as it was shown to the user
+     * @param {Object} purpose - Normalized purpose, localized by I18n (noticeLanguage set)
+     * @returns {Object} Registry entry
+     */
+    registerPurpose(purpose) {
+        return this.register({
+            purposeId: purpose.id,
+            purposeVersion: purpose.version,
+            language: purpose.noticeLanguage,
+            context: 'purpose',
+            name: purpose.name,
+            notice: purpose.notice,
+            attributes: (purpose.attributes || []).map(attribute => ({
+                id: attribute.logicalId || attribute.id,
+                label: attribute.label,
+                description: attribute.description
+            })),
+            accessTypes: (purpose.accessTypes || []).map(accessType => ({ id: accessType.id, name: accessType.name }))
+        });
+    }
+
+    /**
+     * Register a notice, or find it if this exact wording is already registered
+     * @param {Object} notice - { purposeId, purposeVersion, language, context, name, notice, attributes, accessTypes }
+     * @returns {Object} Registry entry
+     * @throws {Error} code NOTICE_INVALID without a purpose id or language
+     */
+    register(notice) {
+        if (!notice || !notice.purposeId || !notice.language) {
+            const err = new Error('A notice needs a purpose id and a language');
+            err.code = 'NOTICE_INVALID';
+            throw err;
+        }
+        const content = this._content(notice);
+        const sha256 = this._hash(content);
+
+        return this._store.update(document => {
+            const existing = document.notices.find(entry => entry.sha256 === sha256);
+            if (existing) {
+                return existing;
+            }
+
+            const earlier = document.notices.filter(entry => entry.purposeId === content.purposeId &&
+                entry.language === content.language && entry.context === content.context);
+            const sameVersion = earlier.filter(entry => content.purposeVersion != null && entry.purposeVersion === content.purposeVersion);
+            if (sameVersion.length > 0) {
+                console.warn(`[NoticeRegistry] ${content.purposeId} (${content.language}) changed without a version bump (still version ${content.purposeVersion}); registered as a new revision`);
+            }
+
+            const entry = Object.assign({
+                id: `${content.purposeId}.${content.language}.${sha256.slice(0, 12)}`
+            }, content, {
+                sha256: sha256,
+                revision: earlier.length + 1,
+                registeredAt: Math.floor(Date.now() / 1000)
+            });
+            document.notices.push(entry);
+            console.log(`[NoticeRegistry] Registered ${entry.id} (revision ${entry.revision})`);
+            return entry;
+        });
+    }
+
+    /**
+     * A registered notice
+     * @returns {Object} Entry or null
+     */
+    get(id) {
+        return this._store.read().notices.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Registered notices, oldest first
+     * @param {Object} filter - Optional: { purposeId, language, context }
+     * @returns {Array<Object>} Entries
+     */
+    list(filter = {}) {
+        return this._store.read().notices.filter(entry =>
+            (!filter.purposeId || entry.purposeId === filter.purposeId) &&
+            (!filter.language || entry.language === filter.language) &&
+            (!filter.context || entry.context === filter.context));
+    }
+
+    /**
+     * Check that a notice still matches the hash it was registered with
+     * @returns {Boolean} true if intact, false if altered or not registered
+     */
+    verify(id) {
+        const entry = this.get(id);
+        if (!entry) {
+            return false;
+        }
+        const sha256 = this._hash(this._content(entry));
+        return sha256 === entry.sha256 && entry.id === `${entry.purposeId}.${entry.language}.${sha256.slice(0, 12)}`;
+    }
+
+    // What the user was shown, in a fixed key order so the hash is stable
+    _content(notice) {
+        return {
+            purposeId: notice.purposeId,
+            purposeVersion: notice.purposeVersion != null ? String(notice.purposeVersion) : null,
+            language: notice.language,
+            context: notice.context || 'purpose',
+            name: notice.name || notice.purposeId,
+            notice: notice.notice || '',
+            attributes: (notice.attributes || []).map(attribute => ({
+                id: attribute.id,
+                label: attribute.label || attribute.id,
+                description: attribute.description || ''
+            })),
+            accessTypes: (notice.accessTypes || []).map(accessType => ({ id: accessType.id, name: accessType.name || accessType.id }))
+        };
+    }
+
+    _hash(content) {
+        return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+    }
+}
+
+module.exports = NoticeRegistry;
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const JsonFileStore = require('./json-file-store');
+
+/**
+ * NotificationService - Messages sent to Data Principals (confirmations,
+ * notices about their requests)
+ *
+ * This demo has no mail provider: messages are appended to an outbox in
+ * LOCAL_DATA_DIR/outbox.json and logged, which is where a mail or SMS
+ * integration would pick them up:
+ *   { messages: [{ id, kind, subjectId, to, subject, body, createdAt }] }
+ */
+class NotificationService {
+    constructor() {
+        this._store = new JsonFileStore('outbox.json', { messages: [] });
+    }
+
+    /**
+     * Queue a message
+     * @param {Object} message - { kind, subjectId, to, subject, body }
+     *                           kind identifies the template, e.g. 'erasure.completed'
+     * @returns {Object} The stored message
+     */
+    send(message) {
+        const stored = {
+            id: crypto.randomUUID(),
+            kind: message.kind,
+            subjectId: message.subjectId,
+            to: message.to,
+            subject: message.subject,
+            body: message.body,
+            createdAt: Math.floor(Date.now() / 1000)
+        };
+        this._store.update(document => {
+            document.messages.push(stored);
+        });
+
+        console.log(`[NotificationService] ${stored.kind} message queued for ${stored.subjectId}: ${stored.subject}`);
+        return stored;
+    }
+
+    /**
+     * Messages sent to a Data Principal, newest first
+     * @param {String} subjectId - Data Principal id
+     */
+    listForSubject(subjectId) {
+        return this._store.read().messages
+            .filter(m => m.subjectId === subjectId)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Remove every message sent to a Data Principal
+     * @returns {Number} Messages removed
+     */
+    deleteForSubject(subjectId) {
+        return this._store.update(document => {
+            const before = document.messages.length;
+            document.messages = document.messages.filter(m => m.subjectId !== subjectId);
+            return before - document.messages.length;
+        });
+    }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,129 @@
+const jwt = require('jsonwebtoken');
+const OAuthController = require('./oauth-controller');
+const NomineeService = require('./nominee-service');
+
+/**
+ * OperatorController - Review of requests made by nominees (see
+ * NomineeService). Routes are restricted with requireRole('operator').
+ *
+ * Endpoints:
+ *   GET /operator/nominee-claims - Queue, oldest first (?status=submitted|approved|rejected)
+ *   GET /operator/nominee-claims/:id - A request with its nomination and evidence
+ *   GET /operator/nominee-claims/:id/evidence/:evidenceId - View an evidence file
+ *   POST /operator/nominee-claims/:id/approve - Approve and carry out the request (form field note)
+ *   POST /operator/nominee-claims/:id/reject - Reject it (form field note, required)
+ */
+class OperatorController {
+    constructor() {
+        this.nomineeService = NomineeService.shared();
+    }
+
+    /**
+     * GET /operator/nominee-claims - Nominee request queue
+     */
+    getClaimQueue = (req, res) => {
+        try {
+            const status = req.query.status || 'submitted';
+            res.render('operator-nominee-claims', {
+                title: 'Nominee Requests',
+                user: this._getUser(req),
+                claims: this.nomineeService.listClaims({ status: status }),
+                status: status,
+                counts: {
+                    submitted: this.nomineeService.listClaims({ status: 'submitted' }).length
+                }
+            });
+        } catch (error) {
+            console.error('[OperatorController] Error in getClaimQueue:', error);
+            res.status(500).send('An error occurred while loading the nominee requests');
+        }
+    }
+
+    /**
+     * GET /operator/nominee-claims/:id - Request detail with actions
+     */
+    getClaim = (req, res) => {
+        try {
+            this._renderClaim(req, res);
+        } catch (error) {
+            this._handleError(req, res, error, 'getClaim');
+        }
+    }
+
+    /**
+     * GET /operator/nominee-claims/:id/evidence/:evidenceId - Evidence file
+     * Shown inline; served as an attachment when the browser should not render it
+     */
+    getEvidence = (req, res) => {
+        try {
+            const file = this.nomineeService.readEvidence(req.params.id, req.params.evidenceId);
+            res.set('X-Content-Type-Options', 'nosniff');
+            res.set('Content-Disposition', `${req.query.download === '1' ? 'attachment' : 'inline'}; filename="${file.fileName}"`);
+            res.type(file.contentType).send(file.data);
+        } catch (error) {
+            if (error.code === 'CLAIM_NOT_FOUND') {
+                return res.status(404).send(error.message);
+            }
+            console.error('[OperatorController] Error in getEvidence:', error);
+            res.status(500).send('An error occurred while loading the evidence');
+        }
+    }
+
+    /**
+     * POST /operator/nominee-claims/:id/approve
+     */
+    approve = async (req, res) => {
+        try {
+            await this.nomineeService.approve(req.params.id, this._actor(this._getUser(req)), req.body.note);
+            res.redirect(`/operator/nominee-claims/${req.params.id}`);
+        } catch (error) {
+            this._handleError(req, res, error, 'approve');
+        }
+    }
+
+    /**
+     * POST /operator/nominee-claims/:id/reject
+     */
+    reject = (req, res) => {
+        try {
+            this.nomineeService.reject(req.params.id, this._actor(this._getUser(req)), req.body.note);
+            res.redirect(`/operator/nominee-claims/${req.params.id}`);
+        } catch (error) {
+            this._handleError(req, res, error, 'reject');
+        }
+    }
+
+    _handleError(req, res, error, name) {
+        if (error.code === 'CLAIM_NOT_FOUND') {
+            return res.status(404).send('Request not found');
+        }
+        const status = { CLAIM_INVALID: 400, CLAIM_ALREADY_DECIDED: 409, NOMINEE_NOT_FOUND: 409 }[error.code];
+        if (status) {
+            return this._renderClaim(req, res, error.message, status);
+        }
+        console.error(`[OperatorController] Error in ${name}:`, error);
+        res.status(500).send('An error occurred while handling the nominee request');
+    }
+
+    _renderClaim(req, res, error, status = 200) {
+        const claim = this.nomineeService.getClaimForOperator(req.params.id);
+        res.status(status).render('operator-nominee-claim', {
+            title: `Nominee Request ${claim.reference}`,
+            user: this._getUser(req),
+            claim: claim,
+            decided: claim.status !== 'submitted',
+            error: error
+        });
+    }
+
+    // Operators are recorded by email address where the token has one
+    _actor(userPayload) {
+        return userPayload.email || userPayload.sub;
+    }
+
+    _getUser(req) {
+        return jwt.decode(OAuthController.getAuthToken(req).id_token);
+    }
+}
+
+module.exports = OperatorController;
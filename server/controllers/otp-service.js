@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const config = require('./config').Config;
+const JsonFileStore = require('./json-file-store');
+const AuditLog = require('./audit-log');
+const DataMasking = require('./data-masking');
+const NotificationService = require('./notification-service');
+const { createSmsProvider } = require('./sms-provider');
+
+// How codes are delivered, and the attribute the target is masked and audited as
+const CHANNELS = {
+    sms: { attributeId: 'mobile_number' },
+    email: { attributeId: 'email' }
+};
+
+/**
+ * OtpService - One-time codes that prove someone receives messages at a
+ * mobile number or email address: the mobile number at registration (see
+ * RegistrationController), a new email address or mobile number on the
+ * profile (ProfileService) and a minor's guardian (GuardianConsentService)
+ *
+ * A challenge is a 6-digit code for one subject and purpose, sent by SMS
+ * through the configured SMS provider (see sms-provider.js) or by email
+ * through NotificationService. Only a hash of the code is kept, with the
+ * challenge, in otp-challenges.json under LOCAL_DATA_DIR:
+ *   { challenges: [{ id, subjectId, purpose, channel, target (masked), codeHash, expiresAt, attempts, maxAttempts, sentAt, lockedAt }],
+ *     sends:      [{ toHash, sentAt }] }
+ *
+ * - A code expires after OTP_MINUTES, unless the caller sets another limit
+ * - After OTP_MAX_ATTEMPTS wrong entries (or the caller's limit) the challenge
+ *   is locked: it is kept until it expires, no code is accepted for it, and
+ *   no new code is sent for the subject and purpose until then
+ * - Sending again replaces the subject's challenge for the purpose, at most
+ *   once every OTP_RESEND_SECONDS
+ * - A number or address gets at most OTP_MAX_SENDS codes within
+ *   OTP_SEND_WINDOW_MINUTES, whichever account asks; `sends` keeps only a
+ *   hash of it for this
+ *
+ * Sends, successful checks and failed ones are recorded in the audit trail.
+ *
+ * Errors carry a code: OTP_NOT_FOUND, OTP_EXPIRED, OTP_CODE_INVALID (with
+ * err.remainingAttempts), OTP_LOCKED, OTP_RESEND_TOO_SOON and OTP_SEND_LIMIT
+ * (with err.retryAfter in seconds), and SMS_SEND_FAILED from the provider.
+ */
+class OtpService {
+    /**
+     * @param {Object} options - Optional: { smsProvider, notifications }
+     */
+    constructor(options = {}) {
+        this.smsProvider = options.smsProvider || createSmsProvider();
+        this.notifications = options.notifications || new NotificationService();
+        this.auditLog = AuditLog.shared();
+        this._store = new JsonFileStore('otp-challenges.json', { challenges: [], sends: [] });
+    }
+
+    /**
+     * Send a new code
+     * @param {Object} request - {
+     *   subjectId:   Subject the code is for
+     *   purpose:     What it confirms, e.g. 'registration'; one challenge per subject and purpose
+     *   to:          10-digit mobile number, or email address for the email channel
+     *   channel:     Optional: 'sms' (default) or 'email'
+     *   message:     Optional: code => { subject, body }, the wording of the message
+     *   recipientId: Optional: subject the message is filed under, if not subjectId (e.g. a guardian)
+     *   minutes:     Optional: lifetime of the code, defaults to OTP_MINUTES
+     *   maxAttempts: Optional: wrong entries allowed, defaults to OTP_MAX_ATTEMPTS
+     *   deliver:     Optional: false creates and counts the challenge without sending
+     *                anything, for callers that must not reveal there was no one to
+     *                send to; no code matches it
+     * }
+     * @returns {Promise<Object>} Challenge summary, see summarize()
+     * @throws {Error} code OTP_LOCKED | OTP_RESEND_TOO_SOON | OTP_SEND_LIMIT | SMS_SEND_FAILED
+     */
+    async send(request) {
+        const channel = request.channel || 'sms';
+        if (!CHANNELS[channel]) {
+            throw new Error(`Unknown one-time code channel '${channel}'`);
+        }
+        const deliver = request.deliver !== false;
+        const minutes = request.minutes || config.otpMinutes;
+        const now = Math.floor(Date.now() / 1000);
+        const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        const challenge = {
+            id: crypto.randomUUID(),
+            subjectId: request.subjectId,
+            purpose: request.purpose,
+            channel: channel,
+            target: DataMasking.maskAttribute(CHANNELS[channel].attributeId, request.to),
+            codeHash: null,
+            expiresAt: now + minutes * 60,
+            attempts: 0,
+            maxAttempts: request.maxAttempts || config.otpMaxAttempts,
+            sentAt: now,
+            lockedAt: null
+        };
+        challenge.codeHash = deliver ? this._hashCode(challenge, code) : null;
+        const toHash = crypto.createHash('sha256').update(String(request.to).toLowerCase()).digest('hex');
+
+        this._store.update(document => {
+            const windowStart = now - config.otpSendWindowMinutes * 60;
+            document.challenges = document.challenges.filter(c => c.expiresAt > now);
+            document.sends = document.sends.filter(s => s.sentAt > windowStart);
+
+            const previous = document.challenges.find(c => c.subjectId === request.subjectId && c.purpose === request.purpose);
+            if (previous && previous.lockedAt) {
+                throw this._locked(previous, now);
+            }
+            if (previous && previous.sentAt + config.otpResendSeconds > now) {
+                const retryAfter = previous.sentAt + config.otpResendSeconds - now;
+                throw this._error('OTP_RESEND_TOO_SOON', `Please wait ${retryAfter} seconds before asking for a new code.`, { retryAfter });
+            }
+            const sends = document.sends.filter(s => s.toHash === toHash);
+            if (sends.length >= config.otpMaxSends) {
+                const retryAfter = Math.min(...sends.map(s => s.sentAt)) + config.otpSendWindowMinutes * 60 - now;
+                throw this._error('OTP_SEND_LIMIT', `Too many codes were sent to this ${channel === 'sms' ? 'number' : 'address'}. Please try again in ${Math.ceil(retryAfter / 60)} minutes.`, { retryAfter });
+            }
+
+            document.challenges = document.challenges
+                .filter(c => !(c.subjectId === request.subjectId && c.purpose === request.purpose))
+                .concat(challenge);
+            document.sends.push({ toHash: toHash, sentAt: now });
+        });
+
+        if (!deliver) {
+            this.auditLog.tryRecord({
+                type: AuditLog.EVENT_TYPES.OTP_SENT,
+                subjectId: request.subjectId,
+                attributes: [CHANNELS[channel].attributeId],
+                outcome: 'withheld',
+                details: { purpose: request.purpose, channel: channel, challengeId: challenge.id }
+            });
+            console.log(`[OtpService] ${request.purpose} challenge for ${request.subjectId} created without sending a code`);
+            return this.summarize(challenge);
+        }
+
+        const wording = (request.message || (c => this._defaultMessage(channel, c, minutes)))(code);
+        let delivery;
+        try {
+            delivery = await this._deliver(channel, {
+                to: request.to,
+                kind: `otp.${request.purpose}`,
+                subjectId: request.recipientId || request.subjectId,
+                subject: wording.subject,
+                body: wording.body
+            });
+        } catch (error) {
+            this._remove(challenge.id);
+            console.error(`[OtpService] Could not send a ${request.purpose} code to ${challenge.target}:`, error.message);
+            throw error;
+        }
+
+        this.auditLog.tryRecord({
+            type: AuditLog.EVENT_TYPES.OTP_SENT,
+            subjectId: request.subjectId,
+            attributes: [CHANNELS[channel].attributeId],
+            outcome: 'sent',
+            details: { purpose: request.purpose, channel: channel, challengeId: challenge.id, provider: delivery.provider, messageId: delivery.messageId }
+        });
+        console.log(`[OtpService] Sent a ${request.purpose} code to ${challenge.target} for ${request.subjectId}`);
+        return this.summarize(challenge);
+    }
+
+    /**
+     * Check a code
+     * @param {String} challengeId - Id from send()
+     * @param {String} subjectId - Subject the code was sent for
+     * @param {String} code - Code the user entered
+     * @returns {Object} { id, purpose, target, verifiedAt }
+     * @throws {Error} code OTP_NOT_FOUND | OTP_EXPIRED | OTP_LOCKED | OTP_CODE_INVALID
+     */
+    verify(challengeId, subjectId, code) {
+        const now = Math.floor(Date.now() / 1000);
+        const challenge = this._store.update(document => {
+            const found = document.challenges.find(c => c.id === challengeId && c.subjectId === subjectId);
+            if (!found) {
+                return null;
+            }
+            if (found.expiresAt > now && found.attempts < this._maxAttempts(found)) {
+                found.attempts++;
+            }
+            return Object.assign({}, found);
+        });
+
+        if (!challenge) {
+            throw this._error('OTP_NOT_FOUND', 'No code is waiting to be entered. Please ask for a new one.');
+        }
+        if (challenge.expiresAt <= now) {
+            this._remove(challenge.id);
+            this._auditFailure(challenge, 'expired');
+            throw this._error('OTP_EXPIRED', 'The code has expired. Please ask for a new one.');
+        }
+        // Locked earlier: not even the right code is accepted any more
+        if (challenge.lockedAt) {
+            this._auditFailure(challenge, 'locked');
+            throw this._locked(challenge, now);
+        }
+        if (!this._codeMatches(challenge, code)) {
+            const remaining = this._maxAttempts(challenge) - challenge.attempts;
+            if (remaining <= 0) {
+                this._lock(challenge.id, now);
+                this._auditFailure(challenge, 'locked');
+                throw this._locked(challenge, now);
+            }
+            this._auditFailure(challenge, 'invalid');
+            throw this._error('OTP_CODE_INVALID', `The code is not correct. ${remaining} attempt(s) left.`, { remainingAttempts: remaining });
+        }
+
+        this._remove(challenge.id);
+        this.auditLog.tryRecord({
+            type: AuditLog.EVENT_TYPES.OTP_VERIFIED,
+            subjectId: subjectId,
+            attributes: [this._attributeId(challenge)],
+            outcome: 'verified',
+            details: { purpose: challenge.purpose, challengeId: challenge.id, attempts: challenge.attempts }
+        });
+        console.log(`[OtpService] ${challenge.target} verified for ${subjectId}`);
+        return { id: challenge.id, purpose: challenge.purpose, target: challenge.target, verifiedAt: now };
+    }
+
+    /**
+     * A challenge waiting for its code, or null if there is none (a locked
+     * challenge is not waiting)
+     */
+    get(challengeId, subjectId) {
+        const now = Math.floor(Date.now() / 1000);
+        const challenge = this._store.read().challenges
+            .find(c => c.id === challengeId && c.subjectId === subjectId && c.expiresAt > now && !c.lockedAt);
+        return challenge ? this.summarize(challenge) : null;
+    }
+
+    /**
+     * Challenge as shown to the user, without the code
+     * @returns {Object} { id, purpose, target (masked), expiresAt, resendAt }
+     */
+    summarize(challenge) {
+        return {
+            id: challenge.id,
+            purpose: challenge.purpose,
+            target: challenge.target,
+            expiresAt: challenge.expiresAt,
+            resendAt: challenge.sentAt + config.otpResendSeconds
+        };
+    }
+
+    /**
+     * Drop every challenge of a subject (e.g. their sign-up was discarded)
+     * @returns {Number} Challenges removed
+     */
+    cancelForSubject(subjectId) {
+        return this._store.update(document => {
+            const before = document.challenges.length;
+            document.challenges = document.challenges.filter(c => c.subjectId !== subjectId);
+            return before - document.challenges.length;
+        });
+    }
+
+    _auditFailure(challenge, outcome) {
+        this.auditLog.tryRecord({
+            type: AuditLog.EVENT_TYPES.OTP_FAILED,
+            subjectId: challenge.subjectId,
+            attributes: [this._attributeId(challenge)],
+            outcome: outcome,
+            details: { purpose: challenge.purpose, challengeId: challenge.id, attempts: challenge.attempts }
+        });
+    }
+
+    _deliver(channel, message) {
+        if (channel === 'sms') {
+            return this.smsProvider.send(message);
+        }
+        const stored = this.notifications.send(message);
+        return Promise.resolve({ provider: 'outbox', messageId: stored.id });
+    }
+
+    _defaultMessage(channel, code, minutes) {
+        const what = channel === 'sms' ? 'mobile number' : 'email address';
+        return {
+            subject: `${config.dataControllerName}: your code`,
+            body: `${code} is your ${config.dataControllerName} code to confirm your ${what}. ` +
+                `It expires in ${minutes} minutes. Do not share it with anyone.`
+        };
+    }
+
+    // Challenges stored before channels and per-purpose limits were added are SMS codes with the defaults
+    _maxAttempts(challenge) {
+        return challenge.maxAttempts || config.otpMaxAttempts;
+    }
+
+    _attributeId(challenge) {
+        return CHANNELS[challenge.channel || 'sms'].attributeId;
+    }
+
+    _lock(challengeId, now) {
+        this._store.update(document => {
+            const challenge = document.challenges.find(c => c.id === challengeId);
+            if (challenge) {
+                challenge.lockedAt = now;
+            }
+        });
+    }
+
+    _locked(challenge, now) {
+        const retryAfter = Math.max(challenge.expiresAt - now, 0);
+        return this._error('OTP_LOCKED', `Too many wrong codes. Please try again in ${Math.ceil(retryAfter / 60)} minutes.`, { retryAfter });
+    }
+
+    _remove(challengeId) {
+        this._store.update(document => {
+            document.challenges = document.challenges.filter(c => c.id !== challengeId);
+        });
+    }
+
+    _hashCode(challenge, code) {
+        return crypto.createHash('sha256').update(`${challenge.id}:${code}`).digest('hex');
+    }
+
+    _codeMatches(challenge, code) {
+        // No code was sent for a withheld challenge
+        if (!challenge.codeHash) {
+            return false;
+        }
+        const expected = Buffer.from(challenge.codeHash, 'hex');
+        const actual = Buffer.from(this._hashCode(challenge, String(code || '').trim()), 'hex');
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    _error(code, message, extra = {}) {
+        const err = new Error(message);
+        err.code = code;
+        return Object.assign(err, extra);
+    }
+}
+
+module.exports = OtpService;
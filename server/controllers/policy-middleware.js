@@ -0,0 +1,99 @@
+const jwt = require('jsonwebtoken');
+const OAuthController = require('./oauth-controller');
+const AssessmentService = require('./assessment-service');
+
+let sharedAssessmentService = null;
+
+/**
+ * Express middleware that only lets a request through when the user's data
+ * may be used for the action (see DataPolicy and AssessmentService)
+ *
+ * Usage:
+ *   router.post('/ca/share', requirePolicy('share-with-ca'), controller.share);
+ *
+ * On approval the assessment is available to the handler as req.policyAssessment.
+ * Otherwise the request gets a 403: JSON callers receive the per-attribute
+ * decisions, browsers a page listing the missing consents. Pass
+ * options.onDenied(req, res, assessment) to handle it differently (e.g. a
+ * just-in-time consent prompt).
+ *
+ * @param {String} action - Action name in the data policy file
+ * @param {Object} options - Optional: { onDenied }
+ * @returns {Function} Express middleware
+ * @throws {Error} code UNKNOWN_POLICY_ACTION when the route is set up, if the action has no policy
+ */
+exports.requirePolicy = (action, options = {}) => {
+    const assessmentService = getAssessmentService();
+    // Fail when routes are registered rather than on the first request
+    assessmentService.policy.get(action);
+
+    return async (req, res, next) => {
+        if (!OAuthController.isLoggedIn(req)) {
+            return req.accepts('html') ? res.redirect('/login') : res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        try {
+            const authToken = OAuthController.getAuthToken(req);
+            const userPayload = jwt.decode(authToken.id_token);
+            const auth = {
+                accessToken: authToken.access_token,
+                subjectId: userPayload && userPayload.sub ? userPayload.sub : null
+            };
+
+            const assessment = await assessmentService.assessAction(auth, action);
+            req.policyAssessment = assessment;
+
+            if (assessment.status === 'approved') {
+                return next();
+            }
+
+            console.log(`[requirePolicy] ${action} not approved for ${auth.subjectId}: ${assessment.status}`);
+            if (options.onDenied) {
+                return options.onDenied(req, res, assessment);
+            }
+
+            const missing = assessment.decisions.filter(d => !d.approved);
+            res.status(403).format({
+                json: () => res.json({
+                    error: 'Consent required',
+                    action: action,
+                    status: assessment.status,
+                    decisions: assessment.decisions.map(d => ({
+                        requirement: d.requirement,
+                        label: d.label,
+                        approved: d.approved,
+                        reason: d.reason
+                    }))
+                }),
+                default: () => res.render('consent-required', {
+                    title: 'Consent Required',
+                    user: userPayload,
+                    policy: assessment.policy,
+                    purpose: assessment.purpose,
+                    reconsent: assessment.status === 'reconsent',
+                    missingConsentsLabels: missing.map(d => d.label)
+                })
+            });
+        } catch (error) {
+            console.error(`[requirePolicy] Error assessing ${action}:`, error);
+            // Never let the action through when consent cannot be checked
+            if (assessmentService.privacyService.isUnavailable(error)) {
+                return res.status(503).format({
+                    json: () => res.json({ error: 'The consent service is temporarily unavailable', code: error.code }),
+                    default: () => res.send('Your consent status cannot be checked right now. Please try again later.')
+                });
+            }
+            res.status(500).format({
+                json: () => res.json({ error: 'Server error while checking consent' }),
+                default: () => res.send('An error occurred while checking your consent status')
+            });
+        }
+    };
+};
+
+function getAssessmentService() {
+    if (!sharedAssessmentService) {
+        sharedAssessmentService = new AssessmentService();
+    }
+    return sharedAssessmentService;
+}
@@ -0,0 +1,55 @@
+const config = require('./config').Config;
+const LocalPrivacyBackend = require('./local-privacy-backend');
+const ResilientPrivacyClient = require('./resilient-privacy-client');
+
+/**
+ * Privacy backend selection
+ * Every consent operation goes through a client returned by createPrivacyClient,
+ * so the app can run against IBM Verify or the offline local backend.
+ *
+ * Selected with PRIVACY_BACKEND:
+ *   verify - verify-privacy-sdk-js against the configured tenant (default)
+ *   local  - LocalPrivacyBackend, persisted under LOCAL_DATA_DIR
+ *
+ * Interface implemented by both (response shapes follow the Verify DPCM API):
+ *   getUserConsents()                 -> { status, consents }
+ *   storeConsents(values)             -> { status: 'success'|'fail', results }
+ *   assess(items)                     -> { status: 'approved'|'denied'|'consent'|'multistatus'|'error', assessment }
+ *   getConsentMetadata(idsOrItems)    -> { status, purposes, metadata }
+ *
+ * Clients are wrapped in ResilientPrivacyClient (timeouts, retries, circuit
+ * breaker); failures surface as errors with code PRIVACY_TIMEOUT,
+ * PRIVACY_REQUEST_FAILED or PRIVACY_UNAVAILABLE.
+ */
+const BACKENDS = ['verify', 'local'];
+
+if (BACKENDS.indexOf(config.privacyBackend) === -1) {
+    throw new Error(`Unknown PRIVACY_BACKEND '${config.privacyBackend}'. Expected one of: ${BACKENDS.join(', ')}`);
+}
+
+/**
+ * Create a privacy client for the configured backend
+ * @param {Object} auth - Auth object with accessToken
+ * @param {Object} context - Optional: { subjectId }
+ * @returns {Object} Client implementing the interface above
+ */
+exports.createPrivacyClient = (auth, context = {}) => {
+    if (config.privacyBackend === 'local') {
+        return new ResilientPrivacyClient(new LocalPrivacyBackend(auth, context), 'local');
+    }
+
+    // Required lazily so the local backend works without the SDK installed
+    const Privacy = require('verify-privacy-sdk-js');
+
+    // The verify-privacy-sdk-js expects a config object with a `tenantUrl`
+    // property (e.g. { tenantUrl: 'https://your-tenant.verify.ibm.com' }).
+    // Our app's `config` uses `verifyPrivacyBaseUrl` / `verifyTenantUrl` from .env,
+    // so map to the expected property name here.
+    const sdkConfig = {
+        tenantUrl: config.verifyPrivacyBaseUrl || config.verifyTenantUrl
+    };
+
+    return new ResilientPrivacyClient(new Privacy(sdkConfig, auth, context), 'verify');
+};
+
+exports.BACKENDS = BACKENDS;
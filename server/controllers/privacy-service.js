@@ -1,5 +1,22 @@
-const Privacy = require('verify-privacy-sdk-js');
-const config = require('./config').Config;
+const { createPrivacyClient } = require('./privacy-backend');
+const MetadataService = require('./metadata-service');
+const AttributeResolver = require('./attribute-resolver');
+const ConsentValidity = require('./consent-validity');
+const PurposeVersionStore = require('./purpose-version-store');
+const DataPolicy = require('./data-policy');
+
+// Error codes from ResilientPrivacyClient meaning the Privacy API could not be reached
+const UNAVAILABLE_CODES = ['PRIVACY_UNAVAILABLE', 'PRIVACY_TIMEOUT', 'PRIVACY_REQUEST_FAILED'];
+
+// Subjects kept in the last-known-good cache; the oldest entry is dropped first
+const MAX_CACHED_SUBJECTS = 1000;
+
+/**
+ * Last consent list read successfully for each subject, shared by every
+ * PrivacyService instance so pages can fall back to it while the Privacy API
+ * is unavailable. Entry shape: { consents: Array, fetchedAt: Number (epoch seconds) }
+ */
+const lastKnownConsents = new Map();
 
 /**
  * PrivacyService - Wrapper around Verify Privacy SDK
@@ -12,23 +29,21 @@ const config = require('./config').Config;
  *   GET /privacy/v1/purposes - Get available purposes
  */
 class PrivacyService {
-    constructor() {}
+    constructor() {
+        this.metadataService = new MetadataService(auth => this._getPrivacyClient(auth));
+        this.attributeResolver = AttributeResolver.shared();
+        this.validity = ConsentValidity.shared();
+        this.purposeVersions = PurposeVersionStore.shared();
+    }
 
     /**
      * Initialize Privacy SDK client
      * Requires: auth token from OIDC session
+     * Returns the Verify SDK or the local backend depending on PRIVACY_BACKEND
      * @param {Object} auth - Auth object with accessToken
      * @returns {Object} Privacy SDK client instance
      */
     _getPrivacyClient(auth, subjectId) {
-        // The verify-privacy-sdk-js expects a config object with a `tenantUrl`
-        // property (e.g. { tenantUrl: 'https://your-tenant.verify.ibm.com' }).
-        // Our app's `config` uses `verifyPrivacyBaseUrl` / `verifyTenantUrl` from .env,
-        // so map to the expected property name here.
-        const sdkConfig = {
-            tenantUrl: config.verifyPrivacyBaseUrl || config.verifyTenantUrl || config.verifyTenantUrl
-        };
-
         // Build context for the Privacy SDK. If a subjectId is provided, include it
         // so that consent operations are associated with the specific user.
         const context = {};
@@ -36,28 +51,97 @@ class PrivacyService {
             context.subjectId = subjectId;
         }
 
-        return new Privacy(sdkConfig, auth, context);
+        return createPrivacyClient(auth, context);
     }
 
     /**
      * Get current consent state for a user
      * Queries Verify Privacy API: GET /privacy/v1/consents
      * @param {Object} auth - Auth object with accessToken
-     * @param {String} userId - Optional: user ID (can be extracted from token if not provided)
+     * @param {String} userId - Optional: user ID (defaults to auth.subjectId, else extracted from token)
      * @returns {Promise<Array>} Array of consent records
      */
     async getUserConsents(auth, userId) {
+        const subjectId = userId || auth.subjectId || null;
         try {
-            const dpcmClient = this._getPrivacyClient(auth, userId);
+            const dpcmClient = this._getPrivacyClient(auth, subjectId);
             const result = await dpcmClient.getUserConsents();
             console.log(`[PrivacyService] Retrieved consents for user: ${JSON.stringify(result)}`);
-            return result.consents || [];
+            const consents = result.consents || [];
+            if (subjectId) {
+                this._rememberConsents(subjectId, consents);
+            }
+            return consents;
         } catch (error) {
             console.error(`[PrivacyService] Error retrieving consents: ${error}`);
             throw error;
         }
     }
 
+    /**
+     * Get a user's consents, falling back to the last list read for them when
+     * the Privacy API is unavailable
+     * Use for display only: decisions must not be made on stale consent state.
+     * @param {Object} auth - Auth object with accessToken
+     * @param {String} userId - Optional: user ID (defaults to auth.subjectId)
+     * @returns {Promise<Object>} { consents, stale: Boolean, fetchedAt: epoch seconds }
+     * @throws {Error} If the Privacy API is unavailable and nothing is cached for the user
+     */
+    async getUserConsentsOrCached(auth, userId) {
+        const subjectId = userId || auth.subjectId || null;
+        try {
+            const consents = await this.getUserConsents(auth, subjectId);
+            return { consents: consents, stale: false, fetchedAt: Math.floor(Date.now() / 1000) };
+        } catch (error) {
+            const cached = subjectId && this.isUnavailable(error) ? lastKnownConsents.get(subjectId) : null;
+            if (!cached) {
+                throw error;
+            }
+            console.warn(`[PrivacyService] Privacy API unavailable, serving consents cached at ${new Date(cached.fetchedAt * 1000).toISOString()}`);
+            return { consents: cached.consents, stale: true, fetchedAt: cached.fetchedAt };
+        }
+    }
+
+    /**
+     * Whether an error means the Privacy API could not be reached (timeout,
+     * failed request or open circuit breaker) rather than a rejected request
+     */
+    isUnavailable(error) {
+        return Boolean(error) && UNAVAILABLE_CODES.indexOf(error.code) !== -1;
+    }
+
+    /**
+     * Drop the cached consents of a subject (see getUserConsentsOrCached)
+     * @returns {Boolean} true if anything was cached
+     */
+    forgetCachedConsents(subjectId) {
+        return lastKnownConsents.delete(subjectId);
+    }
+
+    _rememberConsents(subjectId, consents) {
+        lastKnownConsents.delete(subjectId);
+        lastKnownConsents.set(subjectId, { consents: consents, fetchedAt: Math.floor(Date.now() / 1000) });
+        if (lastKnownConsents.size > MAX_CACHED_SUBJECTS) {
+            lastKnownConsents.delete(lastKnownConsents.keys().next().value);
+        }
+    }
+
+    /**
+     * Granted consents that have expired or will expire soon
+     * @param {Object} auth - Auth object with accessToken
+     * @param {String} userId - Optional: user ID (subject)
+     * @param {Number} withinDays - Window for "expiring soon"
+     * @returns {Promise<Object>} { expiring: [consent], expired: [consent] }
+     */
+    async getExpiringConsents(auth, userId, withinDays) {
+        const consents = await this.getUserConsents(auth, userId);
+        const granted = consents.filter(c => c.state === 1 && c.endTime);
+        return {
+            expiring: granted.filter(c => this.validity.isExpiringWithin(c, withinDays)),
+            expired: granted.filter(c => this.validity.isExpired(c))
+        };
+    }
+
     /**
      * Get consent state for a specific purpose
      * Filters user consents to find consents for a given purpose
@@ -85,8 +169,11 @@ class PrivacyService {
      * Check if user has granted all required consents for a purpose
      * @param {Object} auth - Auth object with accessToken
      * @param {String} purposeId - Purpose identifier
-     * @param {Array<String>} requiredAttributes - Array of attribute IDs that must be consented
+     * @param {Array<String>} requiredAttributes - Requirements as 'attributeId' or 'attributeId:accessTypeId'
+     *                                             (e.g. 'pan_id:share'); without an access type,
+     *                                             a grant for any access type of the attribute counts
      * @returns {Promise<Boolean>} True if all required attributes are consented
+     * @throws {Error} If consents or the purpose metadata cannot be read (see isUnavailable)
      */
     async hasRequiredConsents(auth, purposeId, requiredAttributes = []) {
         try {
@@ -102,46 +189,19 @@ class PrivacyService {
                 return true;
             }
 
-            // Normalize consented attributes to logical ids using metadata
-            // Flatten all consent entries for the purpose into an attributes array
-            const consentedAttributes = [];
-            consent.forEach(entry => {
-                if (entry.attributeId) {
-                    consentedAttributes.push({ attributeId: entry.attributeId, attributeName: entry.attributeName, state: entry.state });
-                } else if (Array.isArray(entry.attributes) && entry.attributes.length > 0) {
-                    entry.attributes.forEach(a => consentedAttributes.push({ attributeId: a.attributeId || a.id, attributeName: a.attributeName || a.label || a.name, state: a.state }));
-                }
-            });
-
-            const meta = this.getConsentMetadata(purposeId);
-            const metaIds = (meta && meta.attributes) ? meta.attributes.map(a => a.id) : [];
-
-            const findLogicalId = (attrId, attrName) => {
-                if (attrId && metaIds.indexOf(attrId) !== -1) return attrId;
-                if (attrName && meta && meta.attributes) {
-                    const lowerName = attrName.toLowerCase().trim();
-                    const exact = meta.attributes.find(a => a.label && a.label.toLowerCase() === lowerName);
-                    if (exact) return exact.id;
-                    const partial = meta.attributes.find(a => a.label && (a.label.toLowerCase().includes(lowerName) || lowerName.includes(a.label.toLowerCase())));
-                    if (partial) return partial.id;
-                    if (lowerName.includes('email')) return metaIds.find(id => id.includes('email')) || 'email';
-                    if (lowerName.includes('mobile')) return metaIds.find(id => id.includes('mobile')) || 'mobile_number';
-                    if (lowerName.includes('name')) return metaIds.find(id => id === 'name') || metaIds.find(id => id.includes('name')) || 'name';
-                    if (lowerName.includes('pan')) return metaIds.find(id => id.includes('pan')) || 'pan_id';
-                    if (lowerName.includes('aadhaar') || lowerName.includes('aadhar')) return metaIds.find(id => id.includes('aadhar') || id.includes('aadhaar')) || 'aadhar_id';
-                }
-                return attrId;
-            };
+            // Normalize consented attributes to logical ids using the alias map;
+            // expired consents and consents to an older purpose version count as not granted
+            const consentedLogical = this.attributeResolver.resolveConsents(consent).resolved;
+            const purpose = await this.metadataService.getPurpose(auth, purposeId);
 
-            const consentedLogical = consentedAttributes.map(ca => ({ logicalId: findLogicalId(ca.attributeId, ca.attributeName), state: ca.state }));
-
-            const hasAll = requiredAttributes.every(reqAttr => consentedLogical.some(ca => ca.logicalId === reqAttr && ca.state === 1));
+            const hasAll = requiredAttributes.every(reqAttr => consentedLogical.some(ca => this._satisfies(ca, reqAttr, purpose)));
 
             console.log(`[PrivacyService] Checking required attributes for ${purposeId}: ${hasAll}`);
             return hasAll;
         } catch (error) {
+            // Not knowing is not the same as not consented: let the caller decide
             console.error(`[PrivacyService] Error checking required consents: ${error}`);
-            return false;
+            throw error;
         }
     }
 
@@ -152,47 +212,58 @@ class PrivacyService {
      * @param {String} purposeId - Purpose identifier
      * @param {String} attributeId - Attribute identifier
      * @param {Number} state - Consent state (1=allow, 2=deny, 3=opt-in, 4=opt-out)
+     * @param {Object} options - Optional: { accessTypeId, startTime, endTime }
+     *                           accessTypeId defaults to 'default'; times are epoch seconds and
+     *                           grants default to the purpose's validity rule (see ConsentValidity)
      * @returns {Promise<Object>} Updated consent object
      */
-    async updateConsent(auth, purposeId, attributeId, state = 1) {
+    async updateConsent(auth, purposeId, attributeId, state = 1, options = {}) {
         try {
-            console.log(`[PrivacyService] Updating consent - Purpose: ${purposeId}, Attribute: ${attributeId}, State: ${state}`);
+            const accessTypeId = options.accessTypeId || 'default';
+            console.log(`[PrivacyService] Updating consent - Purpose: ${purposeId}, Attribute: ${attributeId}, Access type: ${accessTypeId}, State: ${state}`);
             
             const dpcmClient = this._getPrivacyClient(auth, auth.subjectId || null);
             // Build consent value expected by Verify DPCM API.
             // The SDK expects each "value" to be an object with fields like
             // purposeId, attributeId, accessTypeId and state (and optional times).
+            // attributeId may be a logical id; it is replaced by the tenant
+            // attribute id below once the purpose metadata is known.
             const consentValue = {
                 purposeId: purposeId,
                 attributeId: attributeId,
-                accessTypeId: 'default',
+                accessTypeId: accessTypeId,
                 state: state // 1 = consent, 2 = no consent
-                // Do not set startTime explicitly. Let the DPCM API default to
-                // the current time. Some purposes may validate startTime and
-                // reject values that don't align with purpose activation windows.
+                // Do not set startTime unless the caller asks for one. Let the
+                // DPCM API default to the current time. Some purposes may validate
+                // startTime and reject values that don't align with purpose
+                // activation windows.
             };
+            Object.assign(consentValue, this._validityWindow(purposeId, state, options));
 
             // Call SDK to store consents. The SDK will wrap the value in the
             // required operation object (op: 'add', value: ...)
             // Before storing, verify that the requested attribute belongs to the purpose
             try {
-                const metaResp = await dpcmClient.getConsentMetadata([purposeId]);
-                // metaResp.purposes may contain purpose definitions
-                const purposeDef = metaResp && metaResp.purposes && metaResp.purposes[purposeId];
+                const purposeDef = await this.getConsentMetadata(auth, purposeId);
                 if (purposeDef) {
-                    const attributes = purposeDef.attributes || [];
-                    const attrIds = attributes.map(a => a.id);
-                    if (attrIds.indexOf(attributeId) === -1) {
+                    const attrDef = purposeDef.attributes.find(a => a.logicalId === attributeId || a.id === attributeId);
+                    if (!attrDef) {
                         const err = new Error(`Attribute '${attributeId}' is not defined for purpose '${purposeId}'. Please configure this attribute in Verify.`);
                         err.code = 'ATTRIBUTE_NOT_IN_PURPOSE';
                         throw err;
                     }
+                    if (!attrDef.accessTypes.some(at => at.id === accessTypeId)) {
+                        const err = new Error(`Access type '${accessTypeId}' is not defined for '${attributeId}' in purpose '${purposeId}'.`);
+                        err.code = 'ACCESS_TYPE_NOT_IN_PURPOSE';
+                        throw err;
+                    }
+                    consentValue.attributeId = attrDef.id;
                 }
             } catch (metaErr) {
                 // If metadata fetch fails, log and proceed to call storeConsents —
-                // the API will still validate. If metaErr is our ATTRIBUTE_NOT_IN_PURPOSE,
-                // rethrow so caller gets a clear message.
-                if (metaErr && metaErr.code === 'ATTRIBUTE_NOT_IN_PURPOSE') {
+                // the API will still validate. If metaErr is our ATTRIBUTE_NOT_IN_PURPOSE
+                // or ACCESS_TYPE_NOT_IN_PURPOSE, rethrow so caller gets a clear message.
+                if (metaErr && (metaErr.code === 'ATTRIBUTE_NOT_IN_PURPOSE' || metaErr.code === 'ACCESS_TYPE_NOT_IN_PURPOSE')) {
                     console.error('[PrivacyService] Attribute not part of purpose:', metaErr.message);
                     throw metaErr;
                 }
@@ -210,113 +281,334 @@ class PrivacyService {
 
     /**
      * Create multiple consents at once (for registration flow)
+     * All-or-nothing: see storeConsentBatch
      * @param {Object} auth - Auth object with accessToken
-     * @param {Array<Object>} consents - Array of {purposeId, attributes: [{attributeId, state}]}
-     * @returns {Promise<Array>} Array of created consent objects
+     * @param {Array<Object>} consents - Array of {purposeId, attributeId, state}
+     * @returns {Promise<Object>} Batch result (status 'success')
+     * @throws {Error} code CONSENT_BATCH_FAILED with `results` when nothing was stored
      */
     async createConsents(auth, consents) {
+        console.log(`[PrivacyService] Creating ${consents.length} consent records`);
+
+        const batch = await this.storeConsentBatch(auth, consents);
+        if (batch.status !== 'success') {
+            const err = new Error(`Failed to store ${batch.results.filter(r => !r.success).length} of ${consents.length} consent records`);
+            err.code = 'CONSENT_BATCH_FAILED';
+            err.results = batch.results;
+            err.rolledBack = batch.rolledBack;
+            console.error(`[PrivacyService] Error creating consents: ${err.message}`);
+            throw err;
+        }
+
+        console.log(`[PrivacyService] Successfully created ${consents.length} consent records`);
+        return batch;
+    }
+
+    /**
+     * Store several consent changes as one all-or-nothing operation
+     *   1. Validate every item against purpose metadata (nothing is sent if any item is invalid)
+     *   2. Snapshot the subject's current consent states
+     *   3. Send all items in a single storeConsents call
+     *   4. If some items fail, restore the snapshot for the ones that succeeded
+     * Items with no prior record are compensated by recording a deny (state 2),
+     * since the Privacy API has no way to delete a consent record.
+     * @param {Object} auth - Auth object with accessToken and subjectId
+     * @param {Array<Object>} items - { purposeId, attributeId, accessTypeId, state, startTime, endTime }
+     * @returns {Promise<Object>} {
+     *   status: 'success'|'fail',
+     *   results: [{ purposeId, attributeId, accessTypeId, state, success, error, rolledBack }],
+     *   rolledBack: Boolean - true when a partial failure was fully compensated
+     * }
+     */
+    async storeConsentBatch(auth, items) {
+        const subjectId = auth.subjectId || null;
+        const results = items.map(item => ({
+            purposeId: item.purposeId,
+            attributeId: item.attributeId,
+            accessTypeId: item.accessTypeId || 'default',
+            state: item.state,
+            success: false
+        }));
+
+        // 1. Validate up front, fetching each purpose's metadata once
+        const values = [];
+        let invalid = 0;
+        for (let i = 0; i < items.length; i++) {
+            try {
+                const purposeDef = await this.getConsentMetadata(auth, items[i].purposeId);
+                values.push(this._buildConsentValue(purposeDef, items[i]));
+            } catch (error) {
+                results[i].error = error.message;
+                invalid++;
+            }
+        }
+        if (invalid > 0) {
+            console.error(`[PrivacyService] Consent batch rejected: ${invalid} of ${items.length} items failed validation`);
+            return { status: 'fail', results: results, rolledBack: false };
+        }
+
+        const dpcmClient = this._getPrivacyClient(auth, subjectId);
+
+        // 2. Snapshot prior states for compensation
+        const prior = await this.getUserConsents(auth, subjectId);
+        const priorByKey = new Map(prior.map(c => [this._consentKey(c), c]));
+
+        // 3. One storeConsents call for the whole batch
+        let outcomes;
         try {
-            console.log(`[PrivacyService] Creating ${consents.length} consent records`);
-            
-            const results = [];
-            for (const consent of consents) {
-                const result = await this.updateConsent(auth, consent.purposeId, consent.attributeId, consent.state);
-                results.push(result);
+            const response = await dpcmClient.storeConsents(values);
+            outcomes = this._itemOutcomes(response, values.length);
+        } catch (error) {
+            // The outcome of each item is unknown, so compensate all of them
+            console.error(`[PrivacyService] Consent batch request failed: ${error}`);
+            outcomes = values.map(() => ({ success: false, unknown: true, error: error.message }));
+        }
+
+        outcomes.forEach((outcome, i) => {
+            results[i].success = outcome.success;
+            if (outcome.error) {
+                results[i].error = outcome.error;
+            }
+        });
+
+        if (outcomes.every(o => o.success)) {
+            console.log(`[PrivacyService] Consent batch stored: ${values.length} items`);
+            return { status: 'success', results: results, rolledBack: false };
+        }
+
+        // 4. Compensate: restore every item that was (or may have been) applied
+        const toRestore = values
+            .map((value, i) => ({ value, i }))
+            .filter(({ i }) => outcomes[i].success || outcomes[i].unknown);
+
+        let rolledBack = true;
+        if (toRestore.length > 0) {
+            const restoreValues = toRestore.map(({ value }) => {
+                const before = priorByKey.get(this._consentKey(value));
+                return Object.assign({}, value, before
+                    ? { state: before.state, startTime: before.startTime, endTime: before.endTime }
+                    : { state: 2 });
+            });
+
+            try {
+                const response = await dpcmClient.storeConsents(restoreValues);
+                const restored = this._itemOutcomes(response, restoreValues.length);
+                toRestore.forEach(({ i }, n) => {
+                    results[i].success = false;
+                    results[i].rolledBack = restored[n].success;
+                    if (!restored[n].success) {
+                        rolledBack = false;
+                    }
+                });
+            } catch (error) {
+                console.error(`[PrivacyService] Consent batch compensation failed: ${error}`);
+                rolledBack = false;
+                toRestore.forEach(({ i }) => {
+                    results[i].success = false;
+                    results[i].rolledBack = false;
+                });
             }
+        }
+
+        if (rolledBack) {
+            console.warn(`[PrivacyService] Consent batch failed and was rolled back for ${subjectId}`);
+        } else {
+            console.error(`[PrivacyService] Consent batch failed and could NOT be fully rolled back for ${subjectId}: ${JSON.stringify(results)}`);
+        }
+        return { status: 'fail', results: results, rolledBack: rolledBack };
+    }
 
-            console.log(`[PrivacyService] Successfully created ${results.length} consent records`);
-            return results;
+    /**
+     * Validate a consent item against its purpose and build the value sent to
+     * storeConsents, with the tenant attribute id in place of a logical id
+     * @throws {Error} code PURPOSE_NOT_FOUND | ATTRIBUTE_NOT_IN_PURPOSE | ACCESS_TYPE_NOT_IN_PURPOSE | INVALID_STATE | INVALID_VALIDITY
+     */
+    _buildConsentValue(purposeDef, item) {
+        const fail = (code, message) => {
+            const err = new Error(message);
+            err.code = code;
+            throw err;
+        };
+
+        if (!purposeDef) {
+            fail('PURPOSE_NOT_FOUND', `Purpose '${item.purposeId}' is not configured in Verify.`);
+        }
+        const attrDef = purposeDef.attributes.find(a => a.logicalId === item.attributeId || a.id === item.attributeId);
+        if (!attrDef) {
+            fail('ATTRIBUTE_NOT_IN_PURPOSE', `Attribute '${item.attributeId}' is not defined for purpose '${item.purposeId}'. Please configure this attribute in Verify.`);
+        }
+        const accessTypeId = item.accessTypeId || 'default';
+        if (!attrDef.accessTypes.some(at => at.id === accessTypeId)) {
+            fail('ACCESS_TYPE_NOT_IN_PURPOSE', `Access type '${accessTypeId}' is not defined for '${item.attributeId}' in purpose '${item.purposeId}'.`);
+        }
+        if ([1, 2, 3, 4, 5].indexOf(item.state) === -1) {
+            fail('INVALID_STATE', `Consent state must be 1-5, got '${item.state}'.`);
+        }
+
+        return Object.assign({
+            purposeId: item.purposeId,
+            attributeId: attrDef.id,
+            accessTypeId: accessTypeId,
+            state: item.state
+        }, this._validityWindow(item.purposeId, item.state, item));
+    }
+
+    /**
+     * Validity window to store with a consent
+     * Explicit times win; otherwise grants (allow/opt-in) get the purpose's
+     * default window and other states are left open-ended.
+     * @param {String} purposeId - Purpose identifier
+     * @param {Number} state - Consent state
+     * @param {Object} options - { startTime, endTime } in epoch seconds
+     * @returns {Object} { startTime?, endTime? }
+     * @throws {Error} code INVALID_VALIDITY if the window is empty or already over
+     */
+    _validityWindow(purposeId, state, options = {}) {
+        const window = {};
+        if (options.startTime) {
+            window.startTime = options.startTime;
+        }
+        if (options.endTime) {
+            window.endTime = options.endTime;
+        } else if (state === 1 || state === 3) {
+            Object.assign(window, this.validity.windowFor(purposeId));
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (window.endTime && (window.endTime <= now || (window.startTime && window.endTime <= window.startTime))) {
+            const err = new Error(`Consent end time for '${purposeId}' must be in the future and after its start time.`);
+            err.code = 'INVALID_VALIDITY';
+            throw err;
+        }
+        return window;
+    }
+
+    /**
+     * A resolved consent entry counts as granted only while it is allowed
+     * and inside its validity window
+     */
+    _isGranted(entry) {
+        return entry.state === 1 && this.validity.isActive(entry.consent);
+    }
+
+    /**
+     * Per-item outcomes of a storeConsents response, in request order
+     * A response without per-item results applies its overall status to every item.
+     */
+    _itemOutcomes(response, count) {
+        const overall = response && response.status === 'success';
+        const items = response && Array.isArray(response.results) ? response.results : [];
+
+        return Array.from({ length: count }, (unused, i) => {
+            const item = items[i];
+            if (!item) {
+                return { success: overall, error: overall ? undefined : 'Privacy API reported failure' };
+            }
+            const success = item.result === 'success' || item.status === 'success' ||
+                (typeof item.code === 'number' && item.code >= 200 && item.code < 300);
+            const error = item.error && (item.error.messageDescription || item.error.message || JSON.stringify(item.error));
+            return { success: success, error: success ? undefined : (error || 'Privacy API rejected the consent') };
+        });
+    }
+
+    /**
+     * Ask the Privacy API whether attributes may be used for their purposes
+     * Uses the Verify data usage approval API (the local backend mirrors it)
+     * @param {Object} auth - Auth object with accessToken and subjectId
+     * @param {Array<Object>} items - { purposeId, attributeId (tenant id), accessTypeId }
+     * @returns {Promise<Object>} { status: 'approved'|'denied'|'consent'|'multistatus'|'error', assessment }
+     */
+    async assess(auth, items) {
+        try {
+            const dpcmClient = this._getPrivacyClient(auth, auth.subjectId || null);
+            const decision = await dpcmClient.assess(items);
+            console.log(`[PrivacyService] Assessment for ${items.length} items: ${decision && decision.status}`);
+            return decision;
         } catch (error) {
-            console.error(`[PrivacyService] Error creating consents: ${error}`);
+            console.error(`[PrivacyService] Error assessing data usage: ${error}`);
             throw error;
         }
     }
 
+    _consentKey(consent) {
+        return `${consent.purposeId}|${consent.attributeId}|${consent.accessTypeId || 'default'}`;
+    }
+
     /**
      * Get consent metadata for display
-     * Returns human-readable descriptions of purposes and attributes
-     * In production, this would query Verify's purpose/attribute definitions
+     * Returns human-readable descriptions of a purpose and its attributes,
+     * loaded from Verify's purpose definitions (cached, see MetadataService)
+     * @param {Object} auth - Auth object with accessToken
      * @param {String} purposeId - Purpose identifier
-     * @returns {Object} Purpose metadata with description and attributes
+     * @returns {Promise<Object>} Purpose metadata with notice, version and attributes, or null
      */
-    getConsentMetadata(purposeId) {
-        // Define consent metadata for this demo
-        const metadata = {
-            MARKETING_COMMUNICATIONS: {
-                name: 'Marketing Communications',
-                description: 'Send you marketing emails and promotional offers',
-                notice: 'We will use your personal data to send you relevant marketing communications. You can withdraw this consent at any time.',
-                attributes: [
-                    {
-                        id: 'name',
-                        label: 'Full Name',
-                        description: 'Used to personalize communications'
-                    },
-                    {
-                        id: 'email',
-                        label: 'Email Address',
-                        description: 'Used to send marketing emails'
-                    },
-                    {
-                        id: 'mobile_number',
-                        label: 'Mobile Number',
-                        description: 'Used to send SMS notifications'
-                    }
-                ]
-            },
-            ITR_FILING: {
-                name: 'ITR Filing Services',
-                description: 'File your Income Tax Return using our secure platform',
-                notice: 'We will use your personal and tax-related data to assist with your ITR filing in compliance with DPDP regulations. Your data is encrypted and protected.',
-                attributes: [
-                    {
-                        id: 'name',
-                        label: 'Full Name',
-                        description: 'Required for ITR filing'
-                    },
-                    {
-                        id: 'email',
-                        label: 'Email Address',
-                        description: 'For filing confirmations and updates'
-                    },
-                    {
-                        id: 'mobile_number',
-                        label: 'Mobile Number',
-                        description: 'For OTP and two-factor authentication'
-                    },
-                    {
-                        id: 'aadhar_id',
-                        label: 'Aadhaar Number',
-                        description: 'Required for ITR filing verification'
-                    },
-                    {
-                        id: 'pan_id',
-                        label: 'PAN Number',
-                        description: 'Required for ITR filing identification'
-                    }
-                ]
-            }
-        };
+    async getConsentMetadata(auth, purposeId) {
+        return this.metadataService.getPurpose(auth, purposeId);
+    }
 
-        return metadata[purposeId] || null;
+    /**
+     * Get consent metadata for every purpose configured for the app
+     * @param {Object} auth - Auth object with accessToken
+     * @returns {Promise<Array<Object>>} Purpose metadata in configured order
+     */
+    async getAllConsentMetadata(auth) {
+        return this.metadataService.getPurposes(auth);
+    }
+
+    /**
+     * Discard cached purpose metadata and reload it from Verify
+     * @param {Object} auth - Auth object with accessToken
+     * @returns {Promise<Array<Object>>} Freshly loaded purpose metadata
+     */
+    async refreshConsentMetadata(auth) {
+        return this.metadataService.refresh(auth);
     }
 
     /**
      * Check if all attributes for ITR filing are consented
+     * Requirements come from the 'file-itr' data policy (see DataPolicy)
      * @param {Object} auth - Auth object with accessToken
      * @returns {Promise<Boolean>} True if user can file ITR
+     * @throws {Error} If consents cannot be read (see isUnavailable)
      */
     async canFileITR(auth) {
-        const requiredAttributes = ['name', 'email', 'mobile_number', 'aadhar_id', 'pan_id'];
-        return this.hasRequiredConsents(auth, 'ITR_FILING', requiredAttributes);
+        const policy = DataPolicy.shared().get('file-itr');
+        return this.hasRequiredConsents(auth, policy.purposeId, policy.requirements);
+    }
+
+    /**
+     * Split a consent requirement into attribute and access type
+     * @param {String} requirement - 'attributeId' or 'attributeId:accessTypeId'
+     * @returns {Object} { logicalId, accessTypeId } (accessTypeId null when not given)
+     */
+    parseRequirement(requirement) {
+        const [logicalId, accessTypeId] = String(requirement).split(':');
+        return { logicalId: logicalId, accessTypeId: accessTypeId || null };
+    }
+
+    /**
+     * Human-readable label for a requirement, e.g. "PAN Number (Share with the Income Tax Department)"
+     * @param {Object} purpose - Purpose metadata, or null
+     * @param {String} requirement - 'attributeId' or 'attributeId:accessTypeId'
+     */
+    describeRequirement(purpose, requirement) {
+        const { logicalId, accessTypeId } = this.parseRequirement(requirement);
+        const attr = purpose ? purpose.attributes.find(a => a.logicalId === logicalId) : null;
+        const label = attr ? attr.label : logicalId;
+        if (!accessTypeId) {
+            return label;
+        }
+        const accessType = attr ? attr.accessTypes.find(at => at.id === accessTypeId) : null;
+        return `${label} (${accessType ? accessType.name : accessTypeId})`;
     }
 
     /**
      * Return which required attributes are missing consent for a purpose
      * @param {Object} auth
      * @param {String} purposeId
-     * @param {Array<String>} requiredAttributes
-     * @returns {Promise<Array<String>>} Array of logical attribute ids that are missing
+     * @param {Array<String>} requiredAttributes - 'attributeId' or 'attributeId:accessTypeId' (see hasRequiredConsents)
+     * @returns {Promise<Array<String>>} The requirements that are not met, as given
+     * @throws {Error} If consents or the purpose metadata cannot be read (see isUnavailable)
      */
     async getMissingRequiredConsents(auth, purposeId, requiredAttributes = []) {
         try {
@@ -328,46 +620,95 @@ class PrivacyService {
 
             if (requiredAttributes.length === 0) return [];
 
-            // Flatten all consent entries for the purpose into an attributes array
-            const consentedAttributes = [];
-            consent.forEach(entry => {
-                if (entry.attributeId) {
-                    consentedAttributes.push({ attributeId: entry.attributeId, attributeName: entry.attributeName, state: entry.state });
-                } else if (Array.isArray(entry.attributes) && entry.attributes.length > 0) {
-                    entry.attributes.forEach(a => consentedAttributes.push({ attributeId: a.attributeId || a.id, attributeName: a.attributeName || a.label || a.name, state: a.state }));
-                }
-            });
-
-            const meta = this.getConsentMetadata(purposeId);
-            const metaIds = (meta && meta.attributes) ? meta.attributes.map(a => a.id) : [];
-
-            const findLogicalId = (attrId, attrName) => {
-                if (attrId && metaIds.indexOf(attrId) !== -1) return attrId;
-                if (attrName && meta && meta.attributes) {
-                    const lowerName = attrName.toLowerCase().trim();
-                    const exact = meta.attributes.find(a => a.label && a.label.toLowerCase() === lowerName);
-                    if (exact) return exact.id;
-                    const partial = meta.attributes.find(a => a.label && (a.label.toLowerCase().includes(lowerName) || lowerName.includes(a.label.toLowerCase())));
-                    if (partial) return partial.id;
-                    if (lowerName.includes('email')) return metaIds.find(id => id.includes('email')) || 'email';
-                    if (lowerName.includes('mobile')) return metaIds.find(id => id.includes('mobile')) || 'mobile_number';
-                    if (lowerName.includes('name')) return metaIds.find(id => id === 'name') || metaIds.find(id => id.includes('name')) || 'name';
-                    if (lowerName.includes('pan')) return metaIds.find(id => id.includes('pan')) || 'pan_id';
-                    if (lowerName.includes('aadhaar') || lowerName.includes('aadhar')) return metaIds.find(id => id.includes('aadhar') || id.includes('aadhaar')) || 'aadhar_id';
-                }
-                return attrId;
-            };
+            // Normalize consented attributes to logical ids using the alias map;
+            // expired consents and consents to an older purpose version count as not granted
+            const consentedLogical = this.attributeResolver.resolveConsents(consent).resolved;
+            const purpose = await this.metadataService.getPurpose(auth, purposeId);
 
-            const consentedLogical = consentedAttributes.map(ca => ({ logicalId: findLogicalId(ca.attributeId, ca.attributeName), state: ca.state }));
-
-            const missing = requiredAttributes.filter(reqAttr => !consentedLogical.some(ca => ca.logicalId === reqAttr && ca.state === 1));
+            const missing = requiredAttributes.filter(reqAttr => !consentedLogical.some(ca => this._satisfies(ca, reqAttr, purpose)));
             return missing;
         } catch (error) {
             console.error('[PrivacyService] Error computing missing required consents:', error);
-            return requiredAttributes.slice();
+            throw error;
         }
     }
 
+    /**
+     * Granted consents that were given to an older version of a purpose
+     * @param {Object} auth - Auth object with accessToken
+     * @param {String} purposeId - Purpose identifier
+     * @returns {Promise<Object>} { purpose, outdated: [{ logicalId, attributeId, accessTypeId, consentedVersion }] }
+     */
+    async getOutdatedConsents(auth, purposeId) {
+        const [consents, purpose] = await Promise.all([
+            this.getConsentForPurpose(auth, purposeId),
+            this.metadataService.getPurpose(auth, purposeId)
+        ]);
+        return { purpose: purpose, outdated: this.findOutdatedConsents(consents, purpose) };
+    }
+
+    /**
+     * Granted consents in a list that were given to an older purpose version
+     * @param {Array} consents - Consent records from the Privacy API
+     * @param {Object} purpose - Current purpose metadata
+     * @returns {Array<Object>} [{ purposeId, logicalId, attributeId, accessTypeId, consentedVersion }]
+     */
+    findOutdatedConsents(consents, purpose) {
+        if (!purpose) {
+            return [];
+        }
+        return this.attributeResolver.resolveConsents((consents || []).filter(c => c.purposeId === purpose.id)).resolved
+            .filter(entry => this._isGranted(entry) && !this._isCurrentVersion(entry, purpose))
+            .map(entry => ({
+                purposeId: entry.purposeId,
+                logicalId: entry.logicalId,
+                attributeId: entry.attributeId,
+                accessTypeId: entry.accessTypeId,
+                consentedVersion: this._consentedVersion(entry.consent)
+            }));
+    }
+
+    /**
+     * What changed in a purpose since the given version (see PurposeVersionStore.diff)
+     */
+    getPurposeChanges(purpose, fromVersion) {
+        return this.purposeVersions.diff(purpose, fromVersion);
+    }
+
+    /**
+     * Whether a resolved consent meets a requirement: right attribute and
+     * access type, granted, not expired and given to the current purpose version
+     */
+    _satisfies(entry, requirement, purpose) {
+        const { logicalId, accessTypeId } = this.parseRequirement(requirement);
+        return entry.logicalId === logicalId &&
+            (accessTypeId == null || entry.accessTypeId === accessTypeId) &&
+            this._isGranted(entry) &&
+            this._isCurrentVersion(entry, purpose);
+    }
+
+    /**
+     * Whether a consent was given to the purpose's current version
+     * Records without a version, and purposes without versions, are not
+     * treated as outdated. Without the purpose metadata the current version is
+     * unknown, so the consent does not count.
+     */
+    _isCurrentVersion(entry, purpose) {
+        if (!purpose) {
+            return false;
+        }
+        const consentedVersion = this._consentedVersion(entry.consent);
+        if (purpose.version == null || consentedVersion == null) {
+            return true;
+        }
+        return String(consentedVersion) === String(purpose.version);
+    }
+
+    _consentedVersion(consent) {
+        if (!consent) return null;
+        return consent.purposeVersion != null ? consent.purposeVersion : (consent.version != null ? consent.version : null);
+    }
+
     /**
      * Format consent state for display
      * @param {Number} state - Consent state code (1, 2, 3, 4, 5)
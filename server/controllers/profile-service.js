@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const config = require('./config').Config;
+const JsonFileStore = require('./json-file-store');
+const ScimClient = require('./scim-client');
+const NotificationService = require('./notification-service');
+const AuditLog = require('./audit-log');
+const DataMasking = require('./data-masking');
+const OtpService = require('./otp-service');
+const IndianIdentifiers = require('../../public/js/indian-identifiers');
+
+// Verify keeps custom attributes such as mobile_number in this SCIM extension
+const IBM_USER_SCHEMA = 'urn:ietf:params:scim:schemas:extension:ibm:2.0:User';
+
+/**
+ * Correctable profile fields
+ *   attributeId - logical attribute id, for masking and the audit trail
+ *   verifiedVia - OtpService channel a new value must be confirmed on, or null
+ *   otpPurpose  - OtpService purpose of that code
+ */
+const FIELDS = {
+    name: { label: 'Full name', attributeId: 'name', verifiedVia: null },
+    email: { label: 'Email address', attributeId: 'email', verifiedVia: 'email', otpPurpose: 'profile-email' },
+    mobile: { label: 'Mobile number', attributeId: 'mobile_number', verifiedVia: 'sms', otpPurpose: 'profile' }
+};
+
+/**
+ * ProfileService - Right to correction (DPDP Act, section 12): lets a Data
+ * Principal correct their name, email address and mobile number
+ *
+ * The user record is read and updated through the SCIM Users API (see
+ * ScimClient; LocalScimBackend with PRIVACY_BACKEND=local). Name changes are
+ * applied at once. A new email address or mobile number is applied only after
+ * the user enters the code sent to it. The code is an OtpService challenge:
+ * email through NotificationService, SMS through the SMS provider, with its
+ * resend and send limits, valid for PROFILE_VERIFICATION_MINUTES and
+ * PROFILE_VERIFICATION_MAX_ATTEMPTS. The new values waiting for their code are
+ * kept in LOCAL_DATA_DIR/profile-verifications.json, by challenge id:
+ *   { verifications: [{ id, subjectId, field, value, expiresAt }] }
+ *
+ * Every applied correction is logged with masked before/after values in
+ * LOCAL_DATA_DIR/profile-corrections.json and in the audit trail:
+ *   { corrections: [{ id, subjectId, field, before, after, verifiedVia, correctedAt }] }
+ *
+ * Errors carry a code: PROFILE_INVALID (with err.field), VERIFICATION_NOT_FOUND,
+ * the OTP_* and SMS_SEND_FAILED codes of OtpService, and the SCIM_* codes of
+ * ScimClient.
+ */
+class ProfileService {
+    /**
+     * @param {Object} options - Optional: { scimClient, notifications, otpService }
+     */
+    constructor(options = {}) {
+        this.scimClient = options.scimClient || ScimClient.create();
+        this.notifications = options.notifications || new NotificationService();
+        this.otpService = options.otpService || new OtpService({ notifications: this.notifications });
+        this.auditLog = AuditLog.shared();
+        this._verifications = new JsonFileStore('profile-verifications.json', { verifications: [] });
+        this._corrections = new JsonFileStore('profile-corrections.json', { corrections: [] });
+    }
+
+    /**
+     * The user's current profile from the user directory
+     * @param {Object} userPayload - Decoded ID token (sub identifies the SCIM user)
+     * @returns {Promise<Object>} { id, name, email, mobile }
+     */
+    async getProfile(userPayload) {
+        return this._toProfile(await this._getUser(userPayload));
+    }
+
+    /**
+     * Submit corrections; unchanged or empty fields are ignored
+     * @param {Object} userPayload - Decoded ID token
+     * @param {Object} input - { name, email, mobile }
+     * @returns {Promise<Object>} { applied: [correction], pending: [verification] }
+     * @throws {Error} code PROFILE_INVALID (err.field names the field), or
+     *                 OTP_LOCKED | OTP_RESEND_TOO_SOON | OTP_SEND_LIMIT | SMS_SEND_FAILED
+     */
+    async requestCorrections(userPayload, input) {
+        const current = this._toProfile(await this._getUser(userPayload));
+        const changes = Object.keys(FIELDS)
+            .map(field => ({ field: field, value: this._normalize(field, input[field]) }))
+            .filter(change => change.value && change.value !== current[change.field]);
+        changes.forEach(change => this._validate(change.field, change.value));
+
+        const applied = [];
+        const pending = [];
+        for (const change of changes) {
+            if (FIELDS[change.field].verifiedVia) {
+                pending.push(await this._startVerification(userPayload.sub, change.field, change.value));
+            } else {
+                applied.push(await this._apply(userPayload, change.field, change.value, null));
+            }
+        }
+        return { applied, pending };
+    }
+
+    /**
+     * Confirm a pending email or mobile change with the code sent to it
+     * @returns {Promise<Object>} The logged correction
+     * @throws {Error} code VERIFICATION_NOT_FOUND, or OTP_NOT_FOUND | OTP_EXPIRED |
+     *                      OTP_LOCKED | OTP_CODE_INVALID from OtpService
+     */
+    async confirmVerification(userPayload, verificationId, code) {
+        const verification = this._verifications.read().verifications
+            .find(v => v.id === verificationId && v.subjectId === userPayload.sub);
+        if (!verification) {
+            throw this._error('VERIFICATION_NOT_FOUND', 'No pending change with that id');
+        }
+
+        try {
+            this.otpService.verify(verification.id, userPayload.sub, code);
+        } catch (error) {
+            // The code can no longer be entered: the change has to be submitted again
+            if (['OTP_NOT_FOUND', 'OTP_EXPIRED', 'OTP_LOCKED'].indexOf(error.code) !== -1) {
+                this._removeVerification(verification.id);
+            }
+            throw error;
+        }
+
+        const correction = await this._apply(userPayload, verification.field, verification.value, FIELDS[verification.field].verifiedVia);
+        this._removeVerification(verification.id);
+        return correction;
+    }
+
+    /**
+     * Changes waiting for a code, without the new value or the code
+     * @returns {Array<Object>} [{ id, field, label, target (masked), expiresAt }]
+     */
+    listPendingVerifications(subjectId) {
+        const now = Math.floor(Date.now() / 1000);
+        return this._verifications.read().verifications
+            .filter(v => v.subjectId === subjectId && v.expiresAt > now)
+            .map(v => this._summarizeVerification(v));
+    }
+
+    /**
+     * Corrections made by a Data Principal, newest first
+     * @returns {Array<Object>} [{ id, subjectId, field, label, before, after, verifiedVia, correctedAt }]
+     */
+    listCorrections(subjectId) {
+        return this._corrections.read().corrections
+            .filter(c => c.subjectId === subjectId)
+            .map(c => Object.assign({ label: FIELDS[c.field] ? FIELDS[c.field].label : c.field }, c))
+            .sort((a, b) => b.correctedAt - a.correctedAt);
+    }
+
+    /**
+     * Remove a Data Principal's correction log and pending changes
+     * @returns {Number} Entries removed
+     */
+    deleteForSubject(subjectId) {
+        const corrections = this._corrections.update(document => {
+            const before = document.corrections.length;
+            document.corrections = document.corrections.filter(c => c.subjectId !== subjectId);
+            return before - document.corrections.length;
+        });
+        const verifications = this._verifications.update(document => {
+            const before = document.verifications.length;
+            document.verifications = document.verifications.filter(v => v.subjectId !== subjectId);
+            return before - document.verifications.length;
+        });
+        this.otpService.cancelForSubject(subjectId);
+        return corrections + verifications;
+    }
+
+    async _getUser(userPayload) {
+        try {
+            return await this.scimClient.getUser(userPayload.sub);
+        } catch (error) {
+            // The local directory starts empty: add users from their ID token
+            if (error.code === 'SCIM_NOT_FOUND' && config.privacyBackend === 'local') {
+                return this.scimClient.createUser(this._fromClaims(userPayload));
+            }
+            throw error;
+        }
+    }
+
+    async _apply(userPayload, field, value, verifiedVia) {
+        const user = await this._getUser(userPayload);
+        const before = this._toProfile(user)[field];
+        const updated = await this.scimClient.patchUser(userPayload.sub, this._operations(user, field, value));
+
+        const attributeId = FIELDS[field].attributeId;
+        const correction = {
+            id: crypto.randomUUID(),
+            subjectId: userPayload.sub,
+            field: field,
+            before: DataMasking.maskAttribute(attributeId, before),
+            after: DataMasking.maskAttribute(attributeId, this._toProfile(updated)[field]),
+            verifiedVia: verifiedVia,
+            correctedAt: Math.floor(Date.now() / 1000)
+        };
+        this._corrections.update(document => {
+            document.corrections.push(correction);
+        });
+
+        this.auditLog.tryRecord({
+            type: AuditLog.EVENT_TYPES.PROFILE_CORRECTED,
+            subjectId: correction.subjectId,
+            attributes: [attributeId],
+            outcome: 'corrected',
+            details: {
+                correctionId: correction.id,
+                field: field,
+                before: correction.before,
+                after: correction.after,
+                verifiedVia: verifiedVia
+            }
+        });
+        console.log(`[ProfileService] ${field} corrected for ${correction.subjectId}`);
+
+        // Let the old address know, in case the change was not made by its owner
+        if (field === 'email' && before) {
+            this.notifications.send({
+                kind: 'profile.email-changed',
+                subjectId: correction.subjectId,
+                to: before,
+                subject: `${config.dataControllerName}: your email address was changed`,
+                body: `The email address of your account was changed to ${correction.after}. If you did not make this change, contact ${config.dpoEmail}.`
+            });
+        }
+        return correction;
+    }
+
+    /**
+     * SCIM PATCH operations that set a profile field
+     * Other email addresses and custom attributes of the user are kept.
+     */
+    _operations(user, field, value) {
+        if (field === 'name') {
+            const parts = value.split(' ');
+            return [
+                { op: 'replace', path: 'name.givenName', value: parts[0] },
+                { op: 'replace', path: 'name.familyName', value: parts.slice(1).join(' ') },
+                { op: 'replace', path: 'name.formatted', value: value },
+                { op: 'replace', path: 'displayName', value: value }
+            ];
+        }
+        if (field === 'email') {
+            const others = (user.emails || []).filter(e => e !== this._primaryEmail(user));
+            return [{ op: 'replace', path: 'emails', value: [{ type: 'work', value: value, primary: true }].concat(others.map(e => Object.assign({}, e, { primary: false }))) }];
+        }
+        // A new number is applied only once its code was entered, so it is verified as of now
+        const others = this._customAttributes(user).filter(a => a.name !== 'mobile_number' && a.name !== 'mobile_verified_at');
+        return [{ op: 'replace', path: `${IBM_USER_SCHEMA}:customAttributes`, value: others.concat([
+            { name: 'mobile_number', values: [value] },
+            { name: 'mobile_verified_at', values: [new Date().toISOString()] }
+        ]) }];
+    }
+
+    async _startVerification(subjectId, field, value) {
+        const label = FIELDS[field].label.toLowerCase();
+        const challenge = await this.otpService.send({
+            subjectId: subjectId,
+            purpose: FIELDS[field].otpPurpose,
+            channel: FIELDS[field].verifiedVia,
+            to: value,
+            minutes: config.profileVerificationMinutes,
+            maxAttempts: config.profileVerificationMaxAttempts,
+            message: code => ({
+                subject: `${config.dataControllerName}: confirm your new ${label}`,
+                body: `${code} is your ${config.dataControllerName} code to confirm your new ${label}. ` +
+                    `It expires in ${config.profileVerificationMinutes} minutes. If you did not ask for this change, ignore this message.`
+            })
+        });
+        const verification = {
+            id: challenge.id,
+            subjectId: subjectId,
+            field: field,
+            value: value,
+            expiresAt: challenge.expiresAt
+        };
+
+        // A new request for the same field replaces the earlier one, as its code does
+        this._verifications.update(document => {
+            document.verifications = document.verifications.filter(v => !(v.subjectId === subjectId && v.field === field));
+            document.verifications.push(verification);
+        });
+        console.log(`[ProfileService] Verification of new ${field} started for ${subjectId}`);
+        return this._summarizeVerification(verification);
+    }
+
+    _summarizeVerification(verification) {
+        return {
+            id: verification.id,
+            field: verification.field,
+            label: FIELDS[verification.field].label,
+            target: DataMasking.maskAttribute(FIELDS[verification.field].attributeId, verification.value),
+            expiresAt: verification.expiresAt
+        };
+    }
+
+    _removeVerification(verificationId) {
+        this._verifications.update(document => {
+            document.verifications = document.verifications.filter(v => v.id !== verificationId);
+        });
+    }
+
+    _normalize(field, value) {
+        if (typeof value !== 'string') {
+            return '';
+        }
+        if (field === 'email') {
+            return value.trim().toLowerCase();
+        }
+        if (field === 'mobile') {
+            return IndianIdentifiers.validateMobile(value).value || value.replace(/\D/g, '');
+        }
+        return value.trim().replace(/\s+/g, ' ');
+    }
+
+    _validate(field, value) {
+        const valid = {
+            name: value.length >= 2,
+            email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+            mobile: IndianIdentifiers.validateMobile(value).valid
+        }[field];
+        if (!valid) {
+            const messages = {
+                name: 'Please enter your full name',
+                email: 'Please enter a valid email address',
+                mobile: 'Please enter a valid 10-digit Indian mobile number'
+            };
+            const err = this._error('PROFILE_INVALID', messages[field]);
+            err.field = field;
+            throw err;
+        }
+    }
+
+    _toProfile(user) {
+        const name = user.name || {};
+        const email = this._primaryEmail(user);
+        const mobile = this._customAttributes(user).find(a => a.name === 'mobile_number');
+        return {
+            id: user.id,
+            name: name.formatted || user.displayName || [name.givenName, name.familyName].filter(n => n).join(' '),
+            email: email ? email.value : '',
+            mobile: mobile && mobile.values ? mobile.values[0] || '' : ''
+        };
+    }
+
+    _customAttributes(user) {
+        return (user[IBM_USER_SCHEMA] && user[IBM_USER_SCHEMA].customAttributes) || [];
+    }
+
+    _primaryEmail(user) {
+        return (user.emails || []).find(e => e.primary) || (user.emails || [])[0];
+    }
+
+    _fromClaims(userPayload) {
+        const mobile = userPayload.mobile_number || userPayload.phone_number;
+        return {
+            id: userPayload.sub,
+            userName: userPayload.preferred_username || userPayload.email || userPayload.sub,
+            name: {
+                givenName: userPayload.given_name || '',
+                familyName: userPayload.family_name || '',
+                formatted: userPayload.name || ''
+            },
+            displayName: userPayload.name || '',
+            emails: userPayload.email ? [{ type: 'work', value: userPayload.email, primary: true }] : [],
+            [IBM_USER_SCHEMA]: {
+                customAttributes: mobile ? [{ name: 'mobile_number', values: [mobile] }] : []
+            }
+        };
+    }
+
+    _error(code, message) {
+        const err = new Error(message);
+        err.code = code;
+        return err;
+    }
+}
+
+module.exports = ProfileService;
@@ -0,0 +1,161 @@
+const JsonFileStore = require('./json-file-store');
+
+let sharedStore = null;
+
+/**
+ * PurposeVersionStore - Snapshots of every purpose version the app has seen
+ *
+ * Verify only returns the current definition of a purpose, so to show a user
+ * what changed since they consented, MetadataService records a snapshot of
+ * each new version as it is loaded. Snapshots are kept in purpose-versions.json
+ * under LOCAL_DATA_DIR:
+ *   { purposes: { <purposeId>: { <version>: { name, notice, attributes: [{ id, logicalId, label }], recordedAt } } } }
+ *
+ * A snapshot is never overwritten: if a purpose's notice changes without a
+ * version bump, the change is logged and the first snapshot is kept.
+ */
+class PurposeVersionStore {
+    constructor() {
+        this._store = new JsonFileStore('purpose-versions.json', { purposes: {} });
+    }
+
+    /**
+     * Store shared by every MetadataService instance
+     * @returns {PurposeVersionStore}
+     */
+    static shared() {
+        if (!sharedStore) {
+            sharedStore = new PurposeVersionStore();
+        }
+        return sharedStore;
+    }
+
+    /**
+     * Record a snapshot of a purpose's current version, if not yet recorded
+     * @param {Object} purpose - Normalized purpose (see MetadataService)
+     */
+    record(purpose) {
+        if (purpose.version == null) {
+            return;
+        }
+        const version = String(purpose.version);
+        const snapshot = this._snapshot(purpose);
+
+        this._store.update(document => {
+            const versions = document.purposes[purpose.id] = document.purposes[purpose.id] || {};
+            const existing = versions[version];
+            if (!existing) {
+                versions[version] = Object.assign(snapshot, { recordedAt: Math.floor(Date.now() / 1000) });
+                console.log(`[PurposeVersionStore] Recorded ${purpose.id} version ${version}`);
+            } else if (existing.notice !== snapshot.notice || JSON.stringify(existing.attributes) !== JSON.stringify(snapshot.attributes)) {
+                console.warn(`[PurposeVersionStore] ${purpose.id} changed without a version bump (still version ${version}); bump the purpose version so users are asked to consent again`);
+            }
+        });
+    }
+
+    /**
+     * Snapshot of a purpose version
+     * @returns {Object} Snapshot or null if that version was never recorded
+     */
+    get(purposeId, version) {
+        const versions = this._store.read().purposes[purposeId] || {};
+        return versions[String(version)] || null;
+    }
+
+    /**
+     * What changed between a consented version and the current purpose
+     * @param {Object} purpose - Current normalized purpose
+     * @param {String|Number} fromVersion - Version the user consented to
+     * @returns {Object} {
+     *   purposeId, fromVersion, toVersion,
+     *   previousAvailable: false when the old version was never recorded,
+     *   notice: [{ type: 'same'|'added'|'removed', text }],
+     *   attributes: { added: [label], removed: [label], renamed: [{ from, to }] }
+     * }
+     */
+    diff(purpose, fromVersion) {
+        const previous = this.get(purpose.id, fromVersion);
+        const current = this._snapshot(purpose);
+        const result = {
+            purposeId: purpose.id,
+            fromVersion: fromVersion != null ? String(fromVersion) : null,
+            toVersion: purpose.version != null ? String(purpose.version) : null,
+            previousAvailable: previous != null
+        };
+
+        if (!previous) {
+            result.notice = [{ type: 'added', text: current.notice }];
+            result.attributes = { added: current.attributes.map(a => a.label), removed: [], renamed: [] };
+            return result;
+        }
+
+        result.notice = diffWords(previous.notice, current.notice);
+
+        const key = attr => attr.logicalId || attr.id;
+        const before = new Map(previous.attributes.map(a => [key(a), a]));
+        const after = new Map(current.attributes.map(a => [key(a), a]));
+        result.attributes = {
+            added: current.attributes.filter(a => !before.has(key(a))).map(a => a.label),
+            removed: previous.attributes.filter(a => !after.has(key(a))).map(a => a.label),
+            renamed: current.attributes
+                .filter(a => before.has(key(a)) && before.get(key(a)).label !== a.label)
+                .map(a => ({ from: before.get(key(a)).label, to: a.label }))
+        };
+        return result;
+    }
+
+    _snapshot(purpose) {
+        return {
+            name: purpose.name,
+            notice: purpose.notice || '',
+            attributes: (purpose.attributes || []).map(a => ({ id: a.id, logicalId: a.logicalId, label: a.label }))
+        };
+    }
+}
+
+/**
+ * Word-level diff of two texts (longest common subsequence)
+ * Notices are a few sentences long, so the quadratic table is fine.
+ * @returns {Array<Object>} Runs of { type: 'same'|'added'|'removed', text }
+ */
+function diffWords(oldText, newText) {
+    const a = (oldText || '').split(/\s+/).filter(w => w);
+    const b = (newText || '').split(/\s+/).filter(w => w);
+
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const runs = [];
+    const push = (type, word) => {
+        const last = runs[runs.length - 1];
+        if (last && last.type === type) {
+            last.text += ' ' + word;
+        } else {
+            runs.push({ type, text: word });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return runs;
+}
+
+module.exports = PurposeVersionStore;
@@ -0,0 +1,88 @@
+const jwt = require('jsonwebtoken');
+const OAuthController = require('./oauth-controller');
+const ConsentReceiptService = require('./consent-receipt-service');
+
+/**
+ * ReceiptController - Download and verification of consent receipts
+ *
+ * Endpoints:
+ *   GET /receipts/:id - Download a receipt (signed JWS, or ?format=json for the decoded payload)
+ *   POST /receipts/verify - Check a receipt's signature (JSON, no login required)
+ *   GET /receipts/jwks.json - Public receipt key (JWK Set, no login required)
+ */
+class ReceiptController {
+    constructor() {
+        this.receiptService = new ConsentReceiptService();
+    }
+
+    /**
+     * GET /receipts/:id - Download a consent receipt
+     * Receipts can be downloaded by the Data Principal they were issued to, or
+     * from the session that completed registration (before the user has logged in)
+     */
+    downloadReceipt = (req, res) => {
+        try {
+            const receipt = this.receiptService.get(req.params.id);
+            if (!receipt || !this._canDownload(req, receipt)) {
+                return res.status(404).json({ error: 'Receipt not found' });
+            }
+
+            const fileName = `consent-receipt-${receipt.id}`;
+            if (req.query.format === 'json') {
+                res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+                return res.type('application/json').send(JSON.stringify(this.receiptService.decode(receipt.jws), null, 2));
+            }
+
+            res.set('Content-Disposition', `attachment; filename="${fileName}.jws"`);
+            res.type('application/jose').send(receipt.jws);
+        } catch (error) {
+            console.error('[ReceiptController] Error in downloadReceipt:', error);
+            res.status(500).json({ error: 'Server error while loading receipt' });
+        }
+    }
+
+    /**
+     * POST /receipts/verify - Confirm that a receipt is authentic
+     * Request body: { receipt: "<compact JWS>" }, or the JWS itself as text/plain
+     * Returns: { valid: true, receipt, issuedHere } or { valid: false, error }
+     */
+    verifyReceipt = (req, res) => {
+        try {
+            const jws = typeof req.body === 'string' ? req.body : req.body && req.body.receipt;
+            if (!jws) {
+                return res.status(400).json({ error: 'Request body must contain the receipt JWS' });
+            }
+
+            const result = this.receiptService.verify(jws);
+            console.log(`[ReceiptController] Receipt verification: ${result.valid ? 'valid' : 'invalid'}`);
+            res.json(result);
+        } catch (error) {
+            console.error('[ReceiptController] Error in verifyReceipt:', error);
+            res.status(500).json({ error: 'Server error while verifying receipt' });
+        }
+    }
+
+    /**
+     * GET /receipts/jwks.json - Public key for verifying receipts offline
+     */
+    getJwks = (req, res) => {
+        try {
+            res.json(this.receiptService.getPublicJwks());
+        } catch (error) {
+            console.error('[ReceiptController] Error in getJwks:', error);
+            res.status(500).json({ error: 'Server error while loading receipt key' });
+        }
+    }
+
+    _canDownload(req, receipt) {
+        if (OAuthController.isLoggedIn(req)) {
+            const userPayload = jwt.decode(OAuthController.getAuthToken(req).id_token);
+            if (userPayload && userPayload.sub === receipt.subjectId) {
+                return true;
+            }
+        }
+        return (req.session.receiptIds || []).indexOf(receipt.id) !== -1;
+    }
+}
+
+module.exports = ReceiptController;
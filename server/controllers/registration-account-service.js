@@ -0,0 +1,200 @@
+const config = require('./config').Config;
+const JsonFileStore = require('./json-file-store');
+const ScimClient = require('./scim-client');
+const IdentityVault = require('./identity-vault');
+const OtpService = require('./otp-service');
+
+const IBM_USER_SCHEMA = 'urn:ietf:params:scim:schemas:extension:ibm:2.0:User';
+
+/**
+ * RegistrationAccountService - Creates the Verify account of a user who signs up
+ *
+ * The account is created through the Users (SCIM) API with the app's own
+ * token (see ScimClient) as soon as step 1 is submitted, so the password goes
+ * straight to Verify and is never kept in the session. The mobile number is
+ * the mobile_number custom attribute; once the user has entered the code sent
+ * to it, the time is recorded in mobile_verified_at. aadhar_id and pan_id are
+ * added in step 3, once the user has consented to their use, as IdentityVault
+ * tokens.
+ *
+ * Until registration completes the account is pending: it is created
+ * inactive (SCIM active: false), so it cannot be used to log in, and recorded
+ * in pending-registrations.json under LOCAL_DATA_DIR:
+ *   { pending: [{ userId, email, createdAt }] }
+ * A pending account is deleted again, its Aadhaar and PAN shredded in the
+ * vault and any unused mobile code dropped, when a later step fails, when the
+ * user starts over, or once it is older than REGISTRATION_PENDING_MINUTES (see
+ * discardAbandoned, run by RegistrationSweepJob), so abandoned sign-ups do not
+ * leave accounts or numbers behind. complete() activates the account.
+ *
+ * Errors carry a code: REGISTRATION_CONFLICT (with err.field 'email' or
+ * 'mobile') and the SCIM_* codes of ScimClient.
+ */
+class RegistrationAccountService {
+    /**
+     * @param {Object} options - Optional: { scimClient, vault, otpService }
+     */
+    constructor(options = {}) {
+        this.scimClient = options.scimClient || ScimClient.create();
+        this.vault = options.vault || IdentityVault.shared();
+        this.otpService = options.otpService || new OtpService();
+        this._store = new JsonFileStore('pending-registrations.json', { pending: [] });
+    }
+
+    /**
+     * Create the account, after checking the email and mobile are not in use
+     * @param {Object} input - { fullName, email, mobile, password }
+     * @returns {Promise<Object>} Created SCIM user resource
+     * @throws {Error} code REGISTRATION_CONFLICT, or SCIM_* if Verify fails
+     */
+    async create(input) {
+        const email = String(input.email).trim().toLowerCase();
+        if (await this.scimClient.findUserByEmail(email)) {
+            throw this._conflict('email', 'An account with this email address already exists. Please log in instead.');
+        }
+        if (await this.scimClient.findUserByMobile(input.mobile)) {
+            throw this._conflict('mobile', 'This mobile number is already registered to another account.');
+        }
+
+        const names = String(input.fullName).trim().split(/\s+/);
+        let user;
+        try {
+            user = await this.scimClient.createUser({
+                userName: email,
+                name: {
+                    givenName: names[0],
+                    familyName: names.slice(1).join(' '),
+                    formatted: names.join(' ')
+                },
+                displayName: names.join(' '),
+                active: false,
+                emails: [{ type: 'work', value: email, primary: true }],
+                password: input.password,
+                [IBM_USER_SCHEMA]: {
+                    customAttributes: [{ name: 'mobile_number', values: [input.mobile] }]
+                }
+            });
+        } catch (error) {
+            // Someone else registered the same address in the meantime
+            if (error.code === 'SCIM_CONFLICT') {
+                throw this._conflict('email', 'An account with this email address already exists. Please log in instead.');
+            }
+            throw error;
+        }
+
+        this._store.update(document => {
+            document.pending.push({ userId: user.id, email: email, createdAt: Math.floor(Date.now() / 1000) });
+        });
+        console.log(`[RegistrationAccountService] Created pending account ${user.id}`);
+        return user;
+    }
+
+    /**
+     * Record that the user proved they hold their mobile number (see OtpService)
+     * @param {String} userId - SCIM user id
+     * @param {Number} verifiedAt - Epoch seconds
+     * @returns {Promise<Object>} Updated SCIM user resource
+     */
+    async markMobileVerified(userId, verifiedAt) {
+        return this._replaceCustomAttributes(userId, [
+            { name: 'mobile_verified_at', values: [new Date(verifiedAt * 1000).toISOString()] }
+        ]);
+    }
+
+    /**
+     * Add the Aadhaar and PAN the user consented to (step 3)
+     * @param {String} userId - SCIM user id
+     * @param {Object} identity - { aadhaar, pan } vault tokens
+     * @returns {Promise<Object>} Updated SCIM user resource
+     */
+    async addTaxIdentity(userId, identity) {
+        return this._replaceCustomAttributes(userId, [
+            { name: 'aadhar_id', values: [identity.aadhaar] },
+            { name: 'pan_id', values: [identity.pan] }
+        ]);
+    }
+
+    /**
+     * Registration completed: activate the account, which is no longer pending
+     * @param {String} userId - SCIM user id
+     * @returns {Promise<Object>} Updated SCIM user resource
+     * @throws {Error} SCIM_* if Verify fails (the account stays pending)
+     */
+    async complete(userId) {
+        const user = await this.scimClient.patchUser(userId, [{ op: 'replace', path: 'active', value: true }]);
+        this._removePending(userId);
+        console.log(`[RegistrationAccountService] Activated account ${userId}`);
+        return user;
+    }
+
+    /**
+     * Delete a pending account (a later step failed or the user started over)
+     * Completed accounts are never deleted here.
+     * @param {String} userId - SCIM user id
+     * @param {String} reason - For the log
+     * @returns {Promise<Boolean>} true if the account was deleted
+     */
+    async discard(userId, reason) {
+        if (!this._store.read().pending.some(p => p.userId === userId)) {
+            return false;
+        }
+        try {
+            await this.scimClient.deleteUser(userId);
+        } catch (error) {
+            if (error.code !== 'SCIM_NOT_FOUND') {
+                // Keep it pending so the next sweep tries again
+                console.error(`[RegistrationAccountService] Failed to delete pending account ${userId}:`, error);
+                return false;
+            }
+        }
+        this._removePending(userId);
+        this.vault.shred(userId);
+        this.otpService.cancelForSubject(userId);
+        console.log(`[RegistrationAccountService] Deleted pending account ${userId} (${reason})`);
+        return true;
+    }
+
+    /**
+     * Delete accounts left pending for longer than REGISTRATION_PENDING_MINUTES
+     * @returns {Promise<Number>} Number of accounts deleted
+     */
+    async discardAbandoned(now = Math.floor(Date.now() / 1000)) {
+        const cutoff = now - config.registrationPendingMinutes * 60;
+        const abandoned = this._store.read().pending.filter(p => p.createdAt <= cutoff);
+        let deleted = 0;
+        for (const pending of abandoned) {
+            if (await this.discard(pending.userId, 'registration abandoned')) {
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    // Custom attributes are replaced as a whole; keep the ones not being set
+    async _replaceCustomAttributes(userId, attributes) {
+        const user = await this.scimClient.getUser(userId);
+        const names = attributes.map(a => a.name);
+        const others = ((user[IBM_USER_SCHEMA] || {}).customAttributes || [])
+            .filter(a => names.indexOf(a.name) === -1);
+        return this.scimClient.patchUser(userId, [{
+            op: 'replace',
+            path: `${IBM_USER_SCHEMA}:customAttributes`,
+            value: others.concat(attributes)
+        }]);
+    }
+
+    _removePending(userId) {
+        this._store.update(document => {
+            document.pending = document.pending.filter(p => p.userId !== userId);
+        });
+    }
+
+    _conflict(field, message) {
+        const err = new Error(message);
+        err.code = 'REGISTRATION_CONFLICT';
+        err.field = field;
+        return err;
+    }
+}
+
+module.exports = RegistrationAccountService;
@@ -1,20 +1,58 @@
+const config = require('./config').Config;
 const OAuthController = require('./oauth-controller');
 const PrivacyService = require('./privacy-service');
+const ConsentReceiptService = require('./consent-receipt-service');
+const AuditLog = require('./audit-log');
+const DataMasking = require('./data-masking');
+const GuardianConsentService = require('./guardian-consent-service');
+const I18n = require('./i18n');
+const NoticeRegistry = require('./notice-registry');
+const RegistrationAccountService = require('./registration-account-service');
+const AppTokenService = require('./app-token-service');
+const ConsentRecorder = require('./consent-recorder');
+const IdentityVault = require('./identity-vault');
+const OtpService = require('./otp-service');
+const DataPolicy = require('./data-policy');
+const IndianIdentifiers = require('../../public/js/indian-identifiers');
 
 /**
  * RegistrationController - Handles multi-step registration flow for ITR filing
- * Step 1: Collect name, email, mobile, password + DPDP consent capture
- * Step 2: Collect Aadhaar and PAN (stored in session only - demo limitation)
+ * Step 1: Collect name, email, mobile, date of birth, password + DPDP consent capture
+ * Mobile step: confirm the mobile number with a code sent by SMS
+ * Guardian step (minors only): link and verify a parent or guardian account
+ * Step 2: Collect Aadhaar and PAN (encrypted in the IdentityVault)
  * Step 3: Review and confirm consent for ITR filing
  * 
  * Data Flow:
- *   Step 1 -> Create user in Verify, store temp data in session
- *   Step 2 -> Validate Aadhaar/PAN format, store in session
- *   Step 3 -> Create consent records in Verify, clear session, redirect to login
+ *   Step 1 -> Create the user in Verify (see RegistrationAccountService), store
+ *             temp data in session (never the password), send a code to the
+ *             mobile number (see OtpService)
+ *   Mobile -> Check the code, record the verification time on the Verify user
+ *   Guardian -> Send a code to the guardian's account email, store the
+ *               verified guardian in session (see GuardianConsentService)
+ *   Step 2 -> Validate Aadhaar/PAN format, put them in the IdentityVault and
+ *             keep only the tokens and masked values in session
+ *   Step 3 -> Add the Aadhaar/PAN tokens to the Verify user, store the consents in Verify
+ *             with the app's token (the user has no session yet), issue a
+ *             signed consent receipt, clear session, show completion page
+ *             with the receipt and the consents as read back from Verify
+ *
+ * If a step after the account was created fails, or the user starts over, the
+ * half-created account is deleted again, and its Aadhaar and PAN shredded.
+ *
+ * The notices on steps 1 and 3 are registered in the NoticeRegistry as they
+ * were shown, and the receipt and audit entry refer to them by id.
  */
 class RegistrationController {
     constructor() {
         this.privacyService = new PrivacyService();
+        this.receiptService = new ConsentReceiptService();
+        this.auditLog = AuditLog.shared();
+        this.otpService = new OtpService();
+        this.guardianService = new GuardianConsentService({ otpService: this.otpService });
+        this.accountService = new RegistrationAccountService({ otpService: this.otpService });
+        this.vault = IdentityVault.shared();
+        this.consentRecorder = new ConsentRecorder(this.privacyService, this.receiptService, this.auditLog);
     }
 
     /**
@@ -38,12 +76,20 @@ class RegistrationController {
     /**
      * POST /register/step1 - Process registration step 1
      * Creates user in Verify, stores temp data in session
-     * Validates: email, password match, mobile format
-     * Creates consent records in Verify for marketing communications
+     * Validates: email, password match, mobile number (see IndianIdentifiers),
+     * date of birth, and that the email and mobile are not used by another account
+     * Keeps the marketing choices in the session; they are stored with the
+     * other consents on step 3
+     * Sends a code to the mobile number and goes on to the mobile step; if it
+     * cannot be sent, or anything else fails once the account exists, the
+     * account is deleted again
+     * Minors' marketing choices are ignored
      */
     postStep1 = async (req, res) => {
+        // Set once the Verify account exists, so a failure can delete it again
+        let accountId = null;
         try {
-            const { fullName, email, mobile, password, confirmPassword } = req.body;
+            const { fullName, email, mobile, dateOfBirth, password, confirmPassword } = req.body;
 
             // Validation
             if (!fullName || fullName.trim().length < 2) {
@@ -64,11 +110,21 @@ class RegistrationController {
                 });
             }
 
-            if (!this._validateMobile(mobile)) {
+            const mobileCheck = IndianIdentifiers.validateMobile(mobile);
+            if (!mobileCheck.valid) {
                 return res.status(400).render('register-step1', {
                     title: 'Create Account',
                     step: 1,
-                    error: 'Please enter a valid 10-digit mobile number',
+                    fieldErrors: { mobile: mobileCheck },
+                    formData: req.body
+                });
+            }
+
+            if (!this._validateDateOfBirth(dateOfBirth)) {
+                return res.status(400).render('register-step1', {
+                    title: 'Create Account',
+                    step: 1,
+                    error: 'Please enter a valid date of birth',
                     formData: req.body
                 });
             }
@@ -91,34 +147,93 @@ class RegistrationController {
                 });
             }
 
-            // TODO: In production, create user in Verify using Users API
-            // POST /v1/Users with SCIM format
-            // Example:
-            // const newUser = await verifyUsersAPI.createUser({
-            //     name: { givenName: fullName.split(' ')[0], familyName: fullName.split(' ')[1] },
-            //     emails: [{ value: email }],
-            //     attributes: { mobile_number: mobile }
-            // });
+            // Starting over replaces the account created on an earlier attempt,
+            // and sign-ups abandoned by others are cleaned up on the way
+            if (req.session.tempUser && req.session.tempUser.userId) {
+                await this.accountService.discard(req.session.tempUser.userId, 'registration restarted');
+                req.session.tempUser = null;
+            }
+            this.accountService.discardAbandoned().catch(error =>
+                console.error('[RegistrationController] Failed to clean up abandoned registrations:', error));
+
+            let account;
+            try {
+                account = await this.accountService.create({ fullName, email, mobile: mobileCheck.value, password });
+                accountId = account.id;
+            } catch (error) {
+                if (error.code !== 'REGISTRATION_CONFLICT') {
+                    throw error;
+                }
+                return res.status(409).render('register-step1', {
+                    title: 'Create Account',
+                    step: 1,
+                    error: error.message,
+                    formData: req.body
+                });
+            }
+
+            // Children cannot be sent targeted marketing (DPDP Act, section 9),
+            // whatever was ticked
+            const isMinor = GuardianConsentService.isMinorOn(dateOfBirth);
 
-            // For demo, store in session
+            // The password went to Verify and is not kept
             req.session.tempUser = {
+                userId: account.id,
                 fullName,
                 email,
-                mobile,
-                password,
+                mobile: mobileCheck.value,
+                dateOfBirth,
+                isMinor,
                 marketingConsents: {
-                    name: req.body['marketing-name'] === 'on',
-                    email: req.body['marketing-email'] === 'on',
-                    mobile: req.body['marketing-mobile'] === 'on'
-                }
+                    name: !isMinor && req.body['marketing-name'] === 'on',
+                    email: !isMinor && req.body['marketing-email'] === 'on',
+                    mobile: !isMinor && req.body['marketing-mobile'] === 'on'
+                },
+                // Ids of the notices shown, by purpose (see _registerNotices)
+                notices: await this._registerNotices(['MARKETING_COMMUNICATIONS'], req.locale),
+                mobileVerified: false,
+                mobileVerification: null
             };
 
-            console.log('[RegistrationController] Step 1 complete, moving to Step 2');
+            try {
+                req.session.tempUser.mobileVerification = await this.otpService.send({
+                    subjectId: account.id,
+                    purpose: 'registration',
+                    to: mobileCheck.value
+                });
+            } catch (error) {
+                if (error.code !== 'OTP_SEND_LIMIT' && error.code !== 'SMS_SEND_FAILED') {
+                    throw error;
+                }
+                await this.accountService.discard(accountId, 'mobile code not sent');
+                req.session.tempUser = null;
+                req.session.save();
+                return res.status(error.code === 'OTP_SEND_LIMIT' ? 429 : 502).render('register-step1', {
+                    title: 'Create Account',
+                    step: 1,
+                    fieldErrors: {
+                        mobile: {
+                            code: error.code,
+                            message: error.code === 'OTP_SEND_LIMIT'
+                                ? error.message
+                                : 'We could not send a code to this number. Please check it and try again.'
+                        }
+                    },
+                    formData: req.body
+                });
+            }
+
             req.session.save();
 
-            res.redirect('/register/step2');
+            console.log('[RegistrationController] Step 1 complete, confirming the mobile number');
+            res.redirect('/register/mobile');
         } catch (error) {
             console.error('[RegistrationController] Step 1 error:', error);
+            if (accountId) {
+                await this.accountService.discard(accountId, 'registration failed').catch(() => false);
+                req.session.tempUser = null;
+                req.session.save();
+            }
             res.status(500).render('register-step1', {
                 title: 'Create Account',
                 step: 1,
@@ -128,11 +243,218 @@ class RegistrationController {
         }
     }
 
+    /**
+     * GET /register/mobile - Mobile step
+     * Shows the code entry for the code sent after step 1, and a button to
+     * send a new one
+     */
+    getMobile = (req, res) => {
+        if (OAuthController.isLoggedIn(req)) {
+            res.redirect('/dashboard');
+            return;
+        }
+
+        if (!req.session.tempUser || !req.session.tempUser.userId) {
+            res.redirect('/register/step1');
+            return;
+        }
+
+        if (!this._needsMobile(req.session.tempUser)) {
+            res.redirect(req.session.tempUser.isMinor ? '/register/guardian' : '/register/step2');
+            return;
+        }
+
+        this._renderMobile(req, res);
+    }
+
+    /**
+     * POST /register/mobile/verify - Confirm the mobile number with its code
+     * Body: code
+     * Records the verification time on the Verify user, then minors go on to
+     * the guardian step and everyone else to step 2
+     */
+    postMobileVerify = async (req, res) => {
+        const tempUser = req.session.tempUser;
+        if (!tempUser || !tempUser.userId) {
+            res.redirect('/register/step1');
+            return;
+        }
+        if (!tempUser.mobileVerification) {
+            res.redirect('/register/mobile');
+            return;
+        }
+
+        try {
+            const result = this.otpService.verify(tempUser.mobileVerification.id, tempUser.userId, req.body.code);
+            await this.accountService.markMobileVerified(tempUser.userId, result.verifiedAt);
+            tempUser.mobileVerified = true;
+            tempUser.mobileVerifiedAt = result.verifiedAt;
+            tempUser.mobileVerification = null;
+            req.session.save();
+
+            if (tempUser.isMinor) {
+                console.log('[RegistrationController] Mobile number verified for a minor, moving to the guardian step');
+                res.redirect('/register/guardian');
+                return;
+            }
+
+            console.log('[RegistrationController] Mobile number verified, moving to Step 2');
+            res.redirect('/register/step2');
+        } catch (error) {
+            if (error.code === 'OTP_CODE_INVALID') {
+                return this._renderMobile(req, res, error.message, 400);
+            }
+            if (['OTP_NOT_FOUND', 'OTP_EXPIRED', 'OTP_LOCKED'].indexOf(error.code) !== -1) {
+                tempUser.mobileVerification = null;
+                req.session.save();
+                return this._renderMobile(req, res, error.message, error.code === 'OTP_LOCKED' ? 429 : 400);
+            }
+            console.error('[RegistrationController] Mobile verification error:', error);
+            this._renderMobile(req, res, 'An error occurred. Please try again.', 500);
+        }
+    }
+
+    /**
+     * POST /register/mobile/resend - Send a new code to the mobile number
+     * Replaces the previous code; throttled by OtpService
+     */
+    postMobileResend = async (req, res) => {
+        const tempUser = req.session.tempUser;
+        if (!tempUser || !tempUser.userId) {
+            res.redirect('/register/step1');
+            return;
+        }
+        if (!this._needsMobile(tempUser)) {
+            res.redirect('/register/mobile');
+            return;
+        }
+
+        try {
+            tempUser.mobileVerification = await this.otpService.send({
+                subjectId: tempUser.userId,
+                purpose: 'registration',
+                to: tempUser.mobile
+            });
+            req.session.save();
+            res.redirect('/register/mobile');
+        } catch (error) {
+            if (['OTP_LOCKED', 'OTP_RESEND_TOO_SOON', 'OTP_SEND_LIMIT'].indexOf(error.code) !== -1) {
+                return this._renderMobile(req, res, error.message, 429);
+            }
+            if (error.code === 'SMS_SEND_FAILED') {
+                return this._renderMobile(req, res, 'We could not send a code right now. Please try again in a few minutes.', 502);
+            }
+            console.error('[RegistrationController] Mobile code resend error:', error);
+            this._renderMobile(req, res, 'An error occurred. Please try again.', 500);
+        }
+    }
+
+    /**
+     * GET /register/guardian - Guardian step for minors
+     * Shows the guardian form, or the code entry once a code has been sent
+     */
+    getGuardian = (req, res) => {
+        if (OAuthController.isLoggedIn(req)) {
+            res.redirect('/dashboard');
+            return;
+        }
+
+        if (!req.session.tempUser) {
+            res.redirect('/register/step1');
+            return;
+        }
+
+        if (this._needsMobile(req.session.tempUser)) {
+            res.redirect('/register/mobile');
+            return;
+        }
+
+        if (!req.session.tempUser.isMinor) {
+            res.redirect('/register/step2');
+            return;
+        }
+
+        this._renderGuardian(req, res);
+    }
+
+    /**
+     * POST /register/guardian - Send a code to the guardian's account email
+     * Body: guardianEmail, relationship, declaration ('on')
+     */
+    postGuardian = async (req, res) => {
+        try {
+            if (!req.session.tempUser || !req.session.tempUser.isMinor) {
+                res.redirect('/register/step1');
+                return;
+            }
+
+            if (this._needsMobile(req.session.tempUser)) {
+                res.redirect('/register/mobile');
+                return;
+            }
+
+            const verification = await this.guardianService.startVerification({ email: req.session.tempUser.email, subjectId: req.session.tempUser.userId }, req.body);
+            req.session.tempUser.guardianVerification = verification;
+            req.session.tempUser.guardian = null;
+            req.session.save();
+
+            res.redirect('/register/guardian');
+        } catch (error) {
+            if (error.code === 'GUARDIAN_INVALID') {
+                return this._renderGuardian(req, res, error.message, req.body, 400);
+            }
+            if (['OTP_LOCKED', 'OTP_RESEND_TOO_SOON', 'OTP_SEND_LIMIT'].indexOf(error.code) !== -1) {
+                return this._renderGuardian(req, res, error.message, req.body, 429);
+            }
+            console.error('[RegistrationController] Guardian step error:', error);
+            this._renderGuardian(req, res, 'We could not reach your guardian\'s account. Please try again.', req.body, 500);
+        }
+    }
+
+    /**
+     * POST /register/guardian/verify - Confirm the guardian with their code
+     * Body: code
+     */
+    postGuardianVerify = (req, res) => {
+        const tempUser = req.session.tempUser;
+        if (!tempUser || !tempUser.isMinor) {
+            res.redirect('/register/step1');
+            return;
+        }
+        if (this._needsMobile(tempUser)) {
+            res.redirect('/register/mobile');
+            return;
+        }
+        if (!tempUser.guardianVerification) {
+            res.redirect('/register/guardian');
+            return;
+        }
+
+        try {
+            tempUser.guardian = this.guardianService.confirmVerification(tempUser.guardianVerification.id, { email: tempUser.email, subjectId: tempUser.userId }, req.body.code);
+            tempUser.guardianVerification = null;
+            req.session.save();
+
+            console.log('[RegistrationController] Guardian verified, moving to Step 2');
+            res.redirect('/register/step2');
+        } catch (error) {
+            if (error.code === 'OTP_CODE_INVALID') {
+                return this._renderGuardian(req, res, error.message, {}, 400);
+            }
+            if (['VERIFICATION_NOT_FOUND', 'OTP_NOT_FOUND', 'OTP_EXPIRED', 'OTP_LOCKED'].indexOf(error.code) !== -1) {
+                tempUser.guardianVerification = null;
+                req.session.save();
+                return this._renderGuardian(req, res, error.message, {}, error.code === 'OTP_LOCKED' ? 429 : 400);
+            }
+            console.error('[RegistrationController] Guardian verification error:', error);
+            this._renderGuardian(req, res, 'An error occurred. Please try again.', {}, 500);
+        }
+    }
+
     /**
      * GET /register/step2 - Show registration step 2 form
      * Displays: Aadhaar number, PAN number fields
-     * Note: In production, these must be encrypted and stored securely
-     *       This demo stores them in session only for proof-of-concept
+     * The numbers are encrypted in the IdentityVault when submitted (see postStep2)
      */
     getStep2 = (req, res) => {
         if (OAuthController.isLoggedIn(req)) {
@@ -145,6 +467,16 @@ class RegistrationController {
             return;
         }
 
+        if (this._needsMobile(req.session.tempUser)) {
+            res.redirect('/register/mobile');
+            return;
+        }
+
+        if (this._needsGuardian(req.session.tempUser)) {
+            res.redirect('/register/guardian');
+            return;
+        }
+
         res.render('register-step2', {
             title: 'Provide Tax Identity Information',
             step: 2,
@@ -155,15 +487,10 @@ class RegistrationController {
 
     /**
      * POST /register/step2 - Process registration step 2
-     * Validates Aadhaar and PAN format
-     * Stores in session (DEMO ONLY - not for production)
-     * 
-     * SECURITY WARNING: In production:
-     *   - Encrypt Aadhaar/PAN before storing
-     *   - Use secure key management
-     *   - Store in encrypted database, not session
-     *   - Implement audit logging
-     *   - Comply with local data protection regulations
+     * Validates Aadhaar (Verhoeff check digit) and PAN (holder type, and for
+     * individuals the surname initial), see IndianIdentifiers
+     * Encrypts both in the IdentityVault under the new user; the session keeps
+     * only their tokens, which step 3 adds to the Verify user, and masked values
      */
     postStep2 = async (req, res) => {
         try {
@@ -172,35 +499,41 @@ class RegistrationController {
                 return;
             }
 
-            const { aadhaar, pan } = req.body;
+            if (this._needsMobile(req.session.tempUser)) {
+                res.redirect('/register/mobile');
+                return;
+            }
 
-            // Validation
-            if (!this._validateAadhaar(aadhaar)) {
-                return res.status(400).render('register-step2', {
-                    title: 'Provide Tax Identity Information',
-                    step: 2,
-                    error: 'Please enter a valid 12-digit Aadhaar number',
-                    user: req.session.tempUser,
-                    formData: req.body
-                });
+            if (this._needsGuardian(req.session.tempUser)) {
+                res.redirect('/register/guardian');
+                return;
             }
 
-            if (!this._validatePAN(pan)) {
+            const { aadhaar, pan } = req.body;
+
+            // Validation
+            const aadhaarCheck = IndianIdentifiers.validateAadhaar(aadhaar);
+            const panCheck = IndianIdentifiers.validatePAN(pan, { fullName: req.session.tempUser.fullName });
+            if (!aadhaarCheck.valid || !panCheck.valid) {
                 return res.status(400).render('register-step2', {
                     title: 'Provide Tax Identity Information',
                     step: 2,
-                    error: 'Please enter a valid 10-character PAN number',
+                    fieldErrors: {
+                        aadhaar: aadhaarCheck.valid ? null : aadhaarCheck,
+                        pan: panCheck.valid ? null : panCheck
+                    },
                     user: req.session.tempUser,
                     formData: req.body
                 });
             }
 
-            // Store in session temporarily
-            // DEMO ONLY: In production, this would be encrypted and handled differently
-            req.session.tempUser.aadhaar = this._maskAadhaar(aadhaar);
-            req.session.tempUser.aadhaarFull = aadhaar; // Keep full version for consent processing
-            req.session.tempUser.pan = this._maskPAN(pan);
-            req.session.tempUser.panFull = pan; // Keep full version for consent processing
+            // Only the tokens and masked values are kept in the session
+            const aadhaarToken = this.vault.tokenize(req.session.tempUser.userId, 'aadhar_id', aadhaarCheck.value);
+            const panToken = this.vault.tokenize(req.session.tempUser.userId, 'pan_id', panCheck.value);
+            req.session.tempUser.aadhaar = aadhaarToken.masked;
+            req.session.tempUser.aadhaarToken = aadhaarToken.token;
+            req.session.tempUser.pan = panToken.masked;
+            req.session.tempUser.panToken = panToken.token;
 
             console.log('[RegistrationController] Step 2 complete, moving to Step 3');
             req.session.save();
@@ -221,9 +554,10 @@ class RegistrationController {
     /**
      * GET /register/step3 - Show registration step 3 (consent summary)
      * Displays: User info, Aadhaar/PAN (masked), consent confirmation toggles
+     * and the sharing the ITR filing consent includes (see _itrConsents)
      * Requires explicit opt-in for Aadhaar and PAN use in ITR filing
      */
-    getStep3 = (req, res) => {
+    getStep3 = async (req, res) => {
         if (OAuthController.isLoggedIn(req)) {
             res.redirect('/dashboard');
             return;
@@ -234,44 +568,70 @@ class RegistrationController {
             return;
         }
 
-        res.render('register-step3', {
-            title: 'Review Your Information',
-            step: 3,
-            totalSteps: 3,
-            user: req.session.tempUser
-        });
+        if (this._needsMobile(req.session.tempUser)) {
+            res.redirect('/register/mobile');
+            return;
+        }
+
+        if (this._needsGuardian(req.session.tempUser)) {
+            res.redirect('/register/guardian');
+            return;
+        }
+
+        await this._renderStep3(req, res);
     }
 
     /**
      * POST /register/step3 - Complete registration
+     * Adds the Aadhaar and PAN to the Verify user now that their use is consented to
      * Creates consent records in Verify for all collected data
      * Finalizes user registration by storing consents in Verify Privacy API
+     * Stores the consents given during registration for the new subject, on
+     * channel 'registration' against the notices shown, and issues a signed
+     * consent receipt (see ConsentRecorder)
+     * For a minor, the verified guardian is the consenting party: the receipt
+     * and audit entries name them, and the guardian link is stored
      * Clears session temp data
-     * Redirects to login page
+     * Renders the completion page with the receipt download and a summary of
+     * the consents as stored, which are the toggles the first login shows
+     * On failure the account is deleted and the user starts again from step 1
      */
     postStep3 = async (req, res) => {
         try {
-            if (!req.session.tempUser) {
+            if (!req.session.tempUser || !req.session.tempUser.userId) {
                 res.redirect('/register/step1');
                 return;
             }
 
+            if (this._needsMobile(req.session.tempUser)) {
+                res.redirect('/register/mobile');
+                return;
+            }
+
+            if (this._needsGuardian(req.session.tempUser)) {
+                res.redirect('/register/guardian');
+                return;
+            }
+
+            // Nothing is consented to or stored for numbers step 2 never collected
+            if (!req.session.tempUser.aadhaarToken || !req.session.tempUser.panToken) {
+                res.redirect('/register/step2');
+                return;
+            }
+
             const { aadhaarConsent, panConsent } = req.body;
 
             // Validate that both Aadhaar and PAN consents are given
             if (aadhaarConsent !== 'on' || panConsent !== 'on') {
-                return res.status(400).render('register-step3', {
-                    title: 'Review Your Information',
-                    step: 3,
-                    error: 'You must consent to Aadhaar and PAN use for ITR filing',
-                    user: req.session.tempUser
-                });
+                await this._renderStep3(req, res, 'You must consent to Aadhaar and PAN use for ITR filing', 400);
+                return;
             }
 
-            // TODO: Create user in Verify if not already created in Step 1
-            // TODO: Call Verify Privacy API to create consent records
-            
-            // For demo, build consent payload
+            await this.accountService.addTaxIdentity(req.session.tempUser.userId, {
+                aadhaar: req.session.tempUser.aadhaarToken,
+                pan: req.session.tempUser.panToken
+            });
+
             const consents = [
                 // Marketing communications consents
                 {
@@ -288,109 +648,343 @@ class RegistrationController {
                     purposeId: 'MARKETING_COMMUNICATIONS',
                     attributeId: 'mobile_number',
                     state: req.session.tempUser.marketingConsents.mobile ? 1 : 2
-                },
-                // ITR filing consents
-                {
-                    purposeId: 'ITR_FILING',
-                    attributeId: 'name',
-                    state: 1 // Required for ITR filing
-                },
-                {
-                    purposeId: 'ITR_FILING',
-                    attributeId: 'email',
-                    state: 1 // Required for ITR filing
-                },
-                {
-                    purposeId: 'ITR_FILING',
-                    attributeId: 'mobile_number',
-                    state: 1 // Required for ITR filing
-                },
-                {
-                    purposeId: 'ITR_FILING',
-                    attributeId: 'aadhar_id',
-                    state: 1 // Explicitly consented by user
-                },
-                {
-                    purposeId: 'ITR_FILING',
-                    attributeId: 'pan_id',
-                    state: 1 // Explicitly consented by user
                 }
-            ];
+            // ITR filing consents, as the file-itr data policy requires them
+            ].concat(this._itrConsents());
 
             console.log('[RegistrationController] Creating consent records:', consents);
 
-            // TODO: Call Privacy API to create these consents
-            // await this.privacyService.createConsents(auth, consents);
+            // The user has no session yet, so act on their behalf with the app's token.
+            // Nothing is stored unless every consent is (see PrivacyService.createConsents).
+            const auth = await AppTokenService.shared().authFor(req.session.tempUser.userId);
+            await this.privacyService.createConsents(auth, consents);
+
+            const guardian = req.session.tempUser.isMinor ? req.session.tempUser.guardian : null;
+            const consentedBy = guardian ? { id: guardian.guardianId, relationship: guardian.relationship } : null;
+            req.session.tempUser.notices = Object.assign({}, req.session.tempUser.notices,
+                await this._registerNotices(['ITR_FILING'], req.locale, guardian != null, auth));
+            const purposes = await this._purposesShown(auth, req.session.tempUser, consents, req.locale);
+            const receipt = await this.consentRecorder.record(auth, consents, 'registration', {
+                locale: req.locale,
+                purposes: purposes,
+                consentedBy: consentedBy
+            });
+            const recorded = await this._recordedConsents(auth, consents, purposes, req.session.tempUser);
+
+            this.auditLog.tryRecord({
+                type: AuditLog.EVENT_TYPES.REGISTRATION_COMPLETED,
+                subjectId: req.session.tempUser.userId,
+                actor: guardian ? guardian.guardianId : undefined,
+                attributes: Array.from(new Set(consents.filter(c => c.state === 1).map(c => c.attributeId))),
+                outcome: 'completed',
+                details: {
+                    consents: consents.map(c => ({ purposeId: c.purposeId, attributeId: c.attributeId, accessTypeId: c.accessTypeId || 'default', state: c.state })),
+                    receiptId: receipt ? receipt.id : null,
+                    language: req.locale,
+                    notices: req.session.tempUser.notices,
+                    mobileVerifiedAt: req.session.tempUser.mobileVerifiedAt,
+                    consentedBy: consentedBy ? { guardianId: consentedBy.id, relationship: consentedBy.relationship } : undefined
+                }
+            });
 
-            // Clear session temp data after successful registration
+            if (guardian) {
+                this.guardianService.link({
+                    email: req.session.tempUser.email,
+                    subjectId: req.session.tempUser.userId,
+                    dateOfBirth: req.session.tempUser.dateOfBirth
+                }, guardian, receipt ? receipt.id : null);
+            }
+
+            await this.accountService.complete(req.session.tempUser.userId);
+
+            // Clear session temp data after successful registration. The receipt
+            // id stays in the session so it can be downloaded before logging in.
+            const email = req.session.tempUser.email;
             req.session.tempUser = null;
+            if (receipt) {
+                req.session.receiptIds = (req.session.receiptIds || []).concat(receipt.id);
+            }
             req.session.save();
 
-            console.log('[RegistrationController] Registration complete, redirecting to login');
+            console.log('[RegistrationController] Registration complete');
 
-            // Redirect to login with success message
             // In production, might auto-login the user
-            res.redirect('/login?registered=true');
+            res.render('register-complete', {
+                title: 'Registration Complete',
+                email: email,
+                receipt: receipt,
+                recorded: recorded
+            });
 
         } catch (error) {
             console.error('[RegistrationController] Step 3 error:', error);
-            res.status(500).render('register-step3', {
-                title: 'Review Your Information',
-                step: 3,
-                error: 'An error occurred during registration. Please try again.',
-                user: req.session.tempUser
+            // Do not leave a half-created account behind
+            const tempUser = req.session.tempUser || {};
+            await this.accountService.discard(tempUser.userId, 'registration failed').catch(() => false);
+            req.session.tempUser = null;
+            req.session.save();
+            res.status(500).render('register-step1', {
+                title: 'Create Account',
+                step: 1,
+                error: 'An error occurred during registration and your account was not created. Please start again.',
+                formData: { fullName: tempUser.fullName, email: tempUser.email, mobile: tempUser.mobile, dateOfBirth: tempUser.dateOfBirth }
             });
         }
     }
 
     /**
-     * Validation Helpers
+     * Purposes of the registration consents as the user was shown them
+     * The receipt and audit entries carry the registration notices from the
+     * NoticeRegistry rather than the notices from Verify.
+     * @param {Object} auth - App auth for the new subject
+     * @param {Object} tempUser - Session registration data, with notices
+     * @param {Array} consents - Consents given during registration
+     * @param {String} locale - Language the registration pages were shown in
+     * @returns {Promise<Array>} Purposes with name, notice, noticeLanguage and noticeId
      */
+    async _purposesShown(auth, tempUser, consents, locale = I18n.SOURCE_LOCALE) {
+        const purposeIds = Array.from(new Set(consents.map(c => c.purposeId)));
+        const purposes = I18n.shared().localizePurposes(await this._registrationPurposes(purposeIds, auth), locale);
+        const registry = NoticeRegistry.shared();
+        return purposeIds.map(purposeId => {
+            const purpose = purposes.find(p => p.id === purposeId) || { id: purposeId, name: purposeId, attributes: [] };
+            const notice = (tempUser.notices || {})[purposeId] ? registry.get(tempUser.notices[purposeId]) : null;
+            return notice
+                ? Object.assign({}, purpose, { name: notice.name, notice: notice.notice, noticeLanguage: notice.language, noticeId: notice.id })
+                : Object.assign({}, purpose, { noticeId: null });
+        });
+    }
 
-    _validateEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return email && emailRegex.test(email);
+    /**
+     * Read the registration consents back from Verify for the confirmation page
+     * This also refreshes the cached consents of the subject, and the state read
+     * here is what the consent management page shows on first login. Any
+     * difference from what was submitted fails the registration.
+     * @param {Object} auth - App auth for the new subject
+     * @param {Array} consents - Consents as submitted
+     * @param {Array} purposes - Purposes as shown (see _purposesShown)
+     * @param {Object} tempUser - Session registration data, to fill in the labels as shown
+     * @returns {Promise<Array>} [{ id, name, version, noticeId, attributes: [{ id, label, granted, endTime }] }]
+     * @throws {Error} code CONSENT_READBACK_MISMATCH if Verify holds a different state
+     */
+    async _recordedConsents(auth, consents, purposes, tempUser) {
+        const stored = await this.privacyService.getUserConsents(auth, auth.subjectId);
+        const { resolved } = this.privacyService.attributeResolver.resolveConsents(stored);
+        const registry = NoticeRegistry.shared();
+        const details = { name: tempUser.fullName, email: tempUser.email, mobile: tempUser.mobile };
+        const fill = text => String(text).replace(/\{(\w+)\}/g, (placeholder, name) =>
+            details[name] != null ? details[name] : placeholder);
+
+        const mismatched = [];
+        const recorded = purposes.map(purpose => {
+            const notice = purpose.noticeId ? registry.get(purpose.noticeId) : null;
+            const labels = notice ? notice.attributes : purpose.attributes || [];
+            return {
+                id: purpose.id,
+                name: purpose.name,
+                version: purpose.version || null,
+                noticeId: purpose.noticeId || null,
+                attributes: consents.filter(c => c.purposeId === purpose.id).map(c => {
+                    const entry = resolved.find(r => r.purposeId === c.purposeId && r.logicalId === c.attributeId &&
+                        r.accessTypeId === (c.accessTypeId || 'default'));
+                    const granted = entry ? this.privacyService._isGranted(entry) : false;
+                    if (!entry || granted !== (c.state === 1)) {
+                        mismatched.push(`${c.purposeId}/${c.attributeId}/${c.accessTypeId || 'default'}`);
+                    }
+                    const label = labels.find(a => a.id === c.attributeId);
+                    const accessType = c.accessTypeId ? (purpose.accessTypes || []).find(at => at.id === c.accessTypeId) : null;
+                    return {
+                        id: c.attributeId,
+                        label: (label ? fill(label.label || label.name) : c.attributeId) +
+                            (c.accessTypeId ? ` (${accessType ? accessType.name : c.accessTypeId})` : ''),
+                        granted: granted,
+                        endTime: granted ? entry.consent.endTime || null : null
+                    };
+                })
+            };
+        });
+
+        if (mismatched.length > 0) {
+            const err = new Error(`Consents read back from Verify differ from those submitted: ${mismatched.join(', ')}`);
+            err.code = 'CONSENT_READBACK_MISMATCH';
+            throw err;
+        }
+        return recorded;
     }
 
-    _validatePassword(password) {
-        // Min 8 chars, mix of upper, lower, numbers, special chars (optional for demo)
-        return password && password.length >= 8;
+    /**
+     * Register the notices on the sign-up pages as they were shown
+     * Marketing choices are made on step 1; the ITR filing consent is confirmed
+     * on step 3, which adds the Aadhaar and PAN statements to the step 1 notice.
+     * Personal details in the wording are kept as placeholders ({email}, {name}).
+     * A registration failure is logged and does not stop the sign-up.
+     * @param {Array} purposeIds - MARKETING_COMMUNICATIONS and/or ITR_FILING
+     * @param {String} locale - Language of the page
+     * @param {Boolean} byGuardian - Step 3 was worded for a guardian consenting for a minor
+     * @param {Object} auth - Optional: app auth, for the purpose versions (see _registrationPurposes)
+     * @returns {Promise<Object>} { <purposeId>: notice id or null }
+     */
+    async _registerNotices(purposeIds, locale = I18n.SOURCE_LOCALE, byGuardian = false, auth = {}) {
+        const i18n = I18n.shared();
+        const t = key => i18n.t(locale, key);
+        const wording = {
+            MARKETING_COMMUNICATIONS: {
+                name: t('register.marketing.title'),
+                notice: t('register.marketing.notice'),
+                attributes: [
+                    { id: 'name', label: t('register.marketing.name') },
+                    { id: 'email', label: t('register.marketing.email') },
+                    { id: 'mobile_number', label: t('register.marketing.mobile') }
+                ]
+            },
+            ITR_FILING: {
+                name: t('register.itr.title'),
+                notice: [t('register.itr.notice'), t('register.step3.consentIntro')].join('\n\n'),
+                attributes: [
+                    { id: 'name', label: t('register.itr.name') },
+                    { id: 'email', label: t('register.itr.email') },
+                    { id: 'mobile_number', label: t('register.itr.mobile') },
+                    {
+                        id: 'aadhar_id',
+                        label: t(byGuardian ? 'register.step3.aadhaarGuardian' : 'register.step3.aadhaar'),
+                        description: t('register.step3.aadhaarDetail')
+                    },
+                    {
+                        id: 'pan_id',
+                        label: t(byGuardian ? 'register.step3.panGuardian' : 'register.step3.pan'),
+                        description: t('register.step3.panDetail')
+                    }
+                ]
+            }
+        };
+
+        const purposes = await this._registrationPurposes(purposeIds, auth);
+        const notices = {};
+        purposeIds.forEach(purposeId => {
+            const purpose = purposes.find(p => p.id === purposeId);
+            try {
+                notices[purposeId] = NoticeRegistry.shared().register(Object.assign({
+                    purposeId: purposeId,
+                    purposeVersion: purpose ? purpose.version : null,
+                    language: locale,
+                    context: 'registration'
+                }, wording[purposeId])).id;
+            } catch (error) {
+                console.error(`[RegistrationController] Failed to register the ${purposeId} notice:`, error);
+                notices[purposeId] = null;
+            }
+        });
+        return notices;
+    }
+
+    // Purpose names and versions are best-effort: there is no user token to
+    // read metadata from Verify with, and on step 1 no subject for the app's token
+    _registrationPurposes(purposeIds, auth = {}) {
+        return this.privacyService.metadataService.getPurposes(auth, purposeIds).catch(() => []);
+    }
+
+    _renderGuardian(req, res, error, formData = {}, status = 200) {
+        const tempUser = req.session.tempUser;
+        res.status(status).render('register-guardian', {
+            title: 'Parent or Guardian Consent',
+            user: tempUser,
+            verification: tempUser.guardianVerification,
+            relationships: Object.keys(GuardianConsentService.RELATIONSHIPS)
+                .map(id => ({ id: id, label: GuardianConsentService.RELATIONSHIPS[id] })),
+            minorAgeYears: config.minorAgeYears,
+            verificationMinutes: config.guardianVerificationMinutes,
+            formData: formData,
+            error: error
+        });
+    }
+
+    _renderMobile(req, res, error, status = 200) {
+        const tempUser = req.session.tempUser;
+        const verification = tempUser.mobileVerification
+            ? this.otpService.get(tempUser.mobileVerification.id, tempUser.userId)
+            : null;
+        res.status(status).render('register-mobile', {
+            title: 'Confirm Your Mobile Number',
+            step: 1,
+            totalSteps: 3,
+            user: tempUser,
+            target: DataMasking.maskMobile(tempUser.mobile),
+            verification: verification,
+            otpMinutes: config.otpMinutes,
+            resendSeconds: config.otpResendSeconds,
+            error: error
+        });
+    }
+
+    // The step 3 review, listing what the ITR filing consent shares and with whom
+    async _renderStep3(req, res, error, status = 200) {
+        const tempUser = req.session.tempUser;
+        const auth = await AppTokenService.shared().authFor(tempUser.userId).catch(() => ({}));
+        const purposes = I18n.shared().localizePurposes(await this._registrationPurposes(['ITR_FILING'], auth), req.locale);
+        const purpose = purposes.find(p => p.id === 'ITR_FILING') || null;
+        res.status(status).render('register-step3', {
+            title: 'Review Your Information',
+            step: 3,
+            totalSteps: 3,
+            user: tempUser,
+            guardian: this._guardianView(tempUser),
+            sharing: this._itrConsents().filter(c => c.accessTypeId)
+                .map(c => this.privacyService.describeRequirement(purpose, `${c.attributeId}:${c.accessTypeId}`)),
+            error: error
+        });
+    }
+
+    /**
+     * The ITR filing consents registration stores: each attribute and access
+     * type the file-itr data policy requires (see DataPolicy), so the first
+     * assessment after sign-up needs no further consent
+     * @returns {Array} [{ purposeId, attributeId, accessTypeId, state: 1 }], accessTypeId only where the policy names one
+     */
+    _itrConsents() {
+        const policy = DataPolicy.shared().get('file-itr');
+        return policy.attributes.map(a => Object.assign(
+            { purposeId: policy.purposeId, attributeId: a.attribute },
+            a.accessType ? { accessTypeId: a.accessType } : {},
+            { state: 1 }));
     }
 
-    _validateMobile(mobile) {
-        // Simple validation for 10-digit Indian phone number
-        const mobileRegex = /^\d{10}$/;
-        return mobile && mobileRegex.test(mobile.replace(/\D/g, ''));
+    _needsMobile(tempUser) {
+        return !tempUser.mobileVerified;
     }
 
-    _validateAadhaar(aadhaar) {
-        // Aadhaar is 12 digits
-        // In production, use Aadhaar validation algorithm (Verhoef algorithm)
-        const aadhaarRegex = /^\d{12}$/;
-        return aadhaar && aadhaarRegex.test(aadhaar.replace(/\s/g, ''));
+    _needsGuardian(tempUser) {
+        return tempUser.isMinor && !tempUser.guardian;
     }
 
-    _validatePAN(pan) {
-        // PAN format: 10 alphanumeric, specific pattern
-        // Example: ABCDE1234F
-        const panRegex = /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/;
-        return pan && panRegex.test(pan.toUpperCase());
+    // The verified guardian as shown on the review page, or null for adults
+    _guardianView(tempUser) {
+        if (!tempUser || !tempUser.isMinor || !tempUser.guardian) {
+            return null;
+        }
+        return {
+            email: DataMasking.maskEmail(tempUser.guardian.guardianEmail),
+            relationshipLabel: GuardianConsentService.RELATIONSHIPS[tempUser.guardian.relationship]
+        };
     }
 
     /**
-     * Masking helpers for display
+     * Validation Helpers
      */
 
-    _maskAadhaar(aadhaar) {
-        if (!aadhaar) return '';
-        const clean = aadhaar.replace(/\D/g, '');
-        return `${'*'.repeat(8)}${clean.slice(-4)}`;
+    _validateEmail(email) {
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        return email && emailRegex.test(email);
+    }
+
+    _validateDateOfBirth(dateOfBirth) {
+        // YYYY-MM-DD (HTML date input), not in the future and a plausible age
+        const age = GuardianConsentService.ageOn(dateOfBirth);
+        return !isNaN(age) && age >= 0 && age <= 120 && dateOfBirth <= new Date().toISOString().slice(0, 10);
     }
 
-    _maskPAN(pan) {
-        if (!pan) return '';
-        const clean = pan.toUpperCase();
-        return `${clean.slice(0, 5)}${'*'.repeat(4)}${clean.slice(-1)}`;
+    _validatePassword(password) {
+        // Min 8 chars, mix of upper, lower, numbers, special chars (optional for demo)
+        return password && password.length >= 8;
     }
 }
 
@@ -0,0 +1,59 @@
+const config = require('./config').Config;
+const RegistrationAccountService = require('./registration-account-service');
+
+/**
+ * RegistrationSweepJob - Periodically deletes the Verify accounts of sign-ups
+ * left pending for longer than REGISTRATION_PENDING_MINUTES
+ * (see RegistrationAccountService.discardAbandoned)
+ */
+class RegistrationSweepJob {
+    /**
+     * @param {Object} options - Optional: { intervalMinutes, accountService }
+     */
+    constructor(options = {}) {
+        this._intervalMinutes = options.intervalMinutes != null ? options.intervalMinutes : config.registrationSweepMinutes;
+        this._accountService = options.accountService || new RegistrationAccountService();
+        this._timer = null;
+    }
+
+    /**
+     * Run once now, then every intervalMinutes
+     * @returns {Boolean} true if the job was scheduled
+     */
+    start() {
+        if (!(this._intervalMinutes > 0)) {
+            console.log('[RegistrationSweepJob] Disabled (REGISTRATION_SWEEP_INTERVAL_MINUTES=0)');
+            return false;
+        }
+
+        const run = () => this.runOnce().catch(error => {
+            console.error('[RegistrationSweepJob] Run failed:', error && error.message ? error.message : error);
+        });
+        run();
+        this._timer = setInterval(run, this._intervalMinutes * 60 * 1000);
+        // Do not keep the process alive just for the sweep
+        this._timer.unref();
+        return true;
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Delete abandoned pending accounts
+     * @returns {Promise<Number>} Number of accounts deleted
+     */
+    async runOnce() {
+        const deleted = await this._accountService.discardAbandoned();
+        if (deleted > 0) {
+            console.log(`[RegistrationSweepJob] ${deleted} abandoned registration(s) deleted`);
+        }
+        return deleted;
+    }
+}
+
+module.exports = RegistrationSweepJob;
@@ -0,0 +1,156 @@
+const config = require('./config').Config;
+
+// Calls that only read, and so can be retried safely
+const READ_METHODS = ['getUserConsents', 'assess', 'getConsentMetadata'];
+// Calls that change consent records; a retry after a timeout could apply them twice
+const WRITE_METHODS = ['storeConsents'];
+
+/**
+ * Circuit breaker state per backend, shared by every client in the process
+ * Entry shape: { state: 'closed'|'open'|'half-open', failures: Number, openedAt: Number (epoch ms) }
+ */
+const breakers = new Map();
+
+/**
+ * ResilientPrivacyClient - Wraps a privacy client (Verify SDK or local backend)
+ * so that a slow or failing Privacy API degrades predictably
+ *
+ *   Timeout         - every call fails with PRIVACY_TIMEOUT after PRIVACY_TIMEOUT_MS
+ *   Retries         - reads are retried up to PRIVACY_RETRIES times with exponential
+ *                     backoff (PRIVACY_RETRY_BACKOFF_MS, doubled per attempt);
+ *                     writes are never retried
+ *   Circuit breaker - after PRIVACY_BREAKER_THRESHOLD consecutive failed calls
+ *                     the breaker opens and calls fail at once with
+ *                     PRIVACY_UNAVAILABLE. After PRIVACY_BREAKER_RESET_SECONDS one
+ *                     trial call is let through (half-open); its result closes or
+ *                     reopens the breaker.
+ *
+ * Reads that come back with status 'fail' or 'error' count as failures, since
+ * the SDK reports transport and server errors that way instead of throwing.
+ * The wrapper exposes the same methods as the client it wraps.
+ */
+class ResilientPrivacyClient {
+    /**
+     * @param {Object} client - Privacy client (see privacy-backend.js)
+     * @param {String} name - Breaker name, e.g. the backend ('verify', 'local')
+     * @param {Object} options - Optional: { timeoutMs, retries, backoffMs, threshold, resetSeconds }
+     */
+    constructor(client, name, options = {}) {
+        this._client = client;
+        this._name = name;
+        this._timeoutMs = options.timeoutMs != null ? options.timeoutMs : config.privacyTimeoutMs;
+        this._retries = options.retries != null ? options.retries : config.privacyRetries;
+        this._backoffMs = options.backoffMs != null ? options.backoffMs : config.privacyRetryBackoffMs;
+        this._threshold = options.threshold != null ? options.threshold : config.privacyBreakerThreshold;
+        this._resetMs = (options.resetSeconds != null ? options.resetSeconds : config.privacyBreakerResetSeconds) * 1000;
+
+        READ_METHODS.concat(WRITE_METHODS).forEach(method => {
+            this[method] = (...args) => this._call(method, args, READ_METHODS.indexOf(method) !== -1);
+        });
+        // Methods without resilience handling (e.g. findConsentsExpiringBetween on the local backend)
+        Object.getOwnPropertyNames(Object.getPrototypeOf(client))
+            .filter(method => method !== 'constructor' && !method.startsWith('_') && !this[method] && typeof client[method] === 'function')
+            .forEach(method => {
+                this[method] = (...args) => client[method](...args);
+            });
+    }
+
+    /**
+     * Breaker state for a backend, for logging and health checks
+     * @returns {Object} { state, failures, openedAt }
+     */
+    static breakerState(name) {
+        return Object.assign({}, breakers.get(name) || { state: 'closed', failures: 0, openedAt: null });
+    }
+
+    async _call(method, args, retryable) {
+        const attempts = retryable ? this._retries + 1 : 1;
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            this._checkBreaker(method);
+
+            try {
+                const result = await this._withTimeout(this._client[method](...args), method);
+                if (retryable && result && (result.status === 'fail' || result.status === 'error')) {
+                    throw this._error('PRIVACY_REQUEST_FAILED', `Privacy API ${method} returned status '${result.status}': ${JSON.stringify(result.error || result.results || '')}`);
+                }
+                this._recordSuccess();
+                return result;
+            } catch (error) {
+                if (error.code === 'PRIVACY_UNAVAILABLE') {
+                    throw error;
+                }
+                lastError = error;
+                this._recordFailure(method, error);
+
+                if (attempt < attempts) {
+                    const delay = this._backoffMs * Math.pow(2, attempt - 1);
+                    console.warn(`[ResilientPrivacyClient] ${method} failed (attempt ${attempt}/${attempts}), retrying in ${delay}ms: ${error.message}`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    _withTimeout(promise, method) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(this._error('PRIVACY_TIMEOUT', `Privacy API ${method} timed out after ${this._timeoutMs}ms`)), this._timeoutMs);
+        });
+        return Promise.race([Promise.resolve(promise), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    _breaker() {
+        if (!breakers.has(this._name)) {
+            breakers.set(this._name, { state: 'closed', failures: 0, openedAt: null });
+        }
+        return breakers.get(this._name);
+    }
+
+    _checkBreaker(method) {
+        const breaker = this._breaker();
+        // While half-open, only the trial call is let through
+        const waiting = breaker.state === 'half-open' ||
+            (breaker.state === 'open' && Date.now() - breaker.openedAt < this._resetMs);
+        if (waiting) {
+            throw this._error('PRIVACY_UNAVAILABLE', `Privacy API (${this._name}) is unavailable; not calling ${method} until the circuit breaker resets`);
+        }
+        if (breaker.state === 'open') {
+            breaker.state = 'half-open';
+            console.log(`[ResilientPrivacyClient] ${this._name} breaker half-open, trying ${method}`);
+        }
+    }
+
+    _recordSuccess() {
+        const breaker = this._breaker();
+        if (breaker.state !== 'closed') {
+            console.log(`[ResilientPrivacyClient] ${this._name} breaker closed`);
+        }
+        breaker.state = 'closed';
+        breaker.failures = 0;
+        breaker.openedAt = null;
+    }
+
+    _recordFailure(method, error) {
+        const breaker = this._breaker();
+        breaker.failures++;
+        if (breaker.state === 'half-open' || breaker.failures >= this._threshold) {
+            if (breaker.state !== 'open') {
+                console.error(`[ResilientPrivacyClient] ${this._name} breaker open after ${breaker.failures} failures (last: ${method}: ${error.message})`);
+            }
+            breaker.state = 'open';
+            breaker.openedAt = Date.now();
+        }
+    }
+
+    _error(code, message) {
+        const err = new Error(message);
+        err.code = code;
+        return err;
+    }
+}
+
+module.exports = ResilientPrivacyClient;
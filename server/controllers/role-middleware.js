@@ -0,0 +1,80 @@
+const jwt = require('jsonwebtoken');
+const config = require('./config').Config;
+const OAuthController = require('./oauth-controller');
+
+/**
+ * Staff roles and the users who hold them
+ * Users are listed by subject id or email address in DPO_USERS,
+ * OPERATOR_USERS and ADMIN_USERS; admins hold every role.
+ */
+const ROLE_USERS = {
+    dpo: () => config.dpoUsers,
+    operator: () => config.operatorUsers,
+    admin: () => config.adminUsers
+};
+
+/**
+ * Roles held by a user
+ * @param {Object} userPayload - Decoded ID token
+ * @returns {Array<String>} e.g. ['dpo']
+ */
+exports.rolesFor = (userPayload) => {
+    if (!userPayload) {
+        return [];
+    }
+    const identities = [userPayload.sub, userPayload.email]
+        .filter(id => id)
+        .map(id => String(id).toLowerCase());
+    return Object.keys(ROLE_USERS).filter(role =>
+        ROLE_USERS[role]().some(user => identities.indexOf(user.toLowerCase()) !== -1));
+};
+
+/**
+ * Whether a user holds a role (admins hold every role)
+ */
+exports.hasRole = (userPayload, role) => {
+    const roles = exports.rolesFor(userPayload);
+    return roles.indexOf('admin') !== -1 || roles.indexOf(role) !== -1;
+};
+
+/**
+ * Express middleware that only lets staff with one of the roles through
+ *
+ * Usage:
+ *   router.use(requireRole('dpo'));
+ *
+ * The user's roles are available to the handler as req.roles. Users who are
+ * not logged in are sent to the login page (401 for JSON callers); users
+ * without the role get a 403.
+ *
+ * @param {...String} roles - 'dpo', 'operator' or 'admin'
+ * @returns {Function} Express middleware
+ * @throws {Error} code UNKNOWN_ROLE when the route is set up, for a role not listed above
+ */
+exports.requireRole = (...roles) => {
+    roles.forEach(role => {
+        if (!ROLE_USERS[role]) {
+            const err = new Error(`Unknown role '${role}'. Expected one of: ${Object.keys(ROLE_USERS).join(', ')}`);
+            err.code = 'UNKNOWN_ROLE';
+            throw err;
+        }
+    });
+
+    return (req, res, next) => {
+        if (!OAuthController.isLoggedIn(req)) {
+            return req.accepts('html') ? res.redirect('/login') : res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        const userPayload = jwt.decode(OAuthController.getAuthToken(req).id_token);
+        if (!roles.some(role => exports.hasRole(userPayload, role))) {
+            console.log(`[requireRole] ${userPayload && userPayload.sub} denied, needs ${roles.join(' or ')}`);
+            return res.status(403).format({
+                json: () => res.json({ error: 'Forbidden', roles: roles }),
+                default: () => res.send('You do not have access to this page.')
+            });
+        }
+
+        req.roles = exports.rolesFor(userPayload);
+        next();
+    };
+};
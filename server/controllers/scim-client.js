@@ -0,0 +1,172 @@
+const config = require('./config').Config;
+const AppTokenService = require('./app-token-service');
+const LocalScimBackend = require('./local-scim-backend');
+
+const SCIM_CONTENT_TYPE = 'application/scim+json';
+const PATCH_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:PatchOp';
+const IBM_USER_SCHEMA = 'urn:ietf:params:scim:schemas:extension:ibm:2.0:User';
+
+/**
+ * ScimClient - Users API of the Verify tenant (SCIM 2.0, /v2.0/Users)
+ *
+ * Calls are made with the app's own token (see AppTokenService), so the API
+ * client needs the "Manage users" permission. Users are SCIM resources:
+ *   { id, userName, name: { givenName, familyName, formatted }, displayName,
+ *     emails: [{ type, value }], phoneNumbers: [{ type, value }],
+ *     'urn:ietf:params:scim:schemas:extension:ibm:2.0:User': {
+ *       customAttributes: [{ name, values }] }, ... }
+ * The app's own attributes (mobile_number, aadhar_id, pan_id) are custom
+ * attributes of the tenant (see README, "Create Custom Attributes").
+ *
+ * Failures are thrown as errors with code:
+ *   SCIM_NOT_FOUND      - no user with that id
+ *   SCIM_CONFLICT       - the change clashes with another user (e.g. email in use)
+ *   SCIM_INVALID        - the tenant rejected the values
+ *   SCIM_REQUEST_FAILED - anything else, including timeouts
+ *
+ * Use ScimClient.create() to get the client for the configured backend.
+ */
+class ScimClient {
+    /**
+     * @param {Object} options - Optional: { baseUrl, tokenService, timeoutMs }
+     */
+    constructor(options = {}) {
+        this._baseUrl = (options.baseUrl || config.verifyTenantUrl || '').replace(/\/+$/, '');
+        this._tokenService = options.tokenService || AppTokenService.shared();
+        this._timeoutMs = options.timeoutMs || config.scimTimeoutMs;
+    }
+
+    /**
+     * Client for the configured backend
+     * PRIVACY_BACKEND=local also replaces the Users API with LocalScimBackend,
+     * so the app runs offline with both stand-ins.
+     * @returns {ScimClient|LocalScimBackend} Client with getUser, findUserByEmail,
+     *          findUserByMobile, createUser, patchUser and deleteUser
+     */
+    static create() {
+        if (config.privacyBackend === 'local') {
+            return new LocalScimBackend();
+        }
+        return new ScimClient();
+    }
+
+    /**
+     * @param {String} id - SCIM user id (the `sub` of the user's ID token)
+     * @returns {Promise<Object>} SCIM user resource
+     */
+    async getUser(id) {
+        return this._request('GET', `/v2.0/Users/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Find the user with an email address
+     * @param {String} email - Email address (matched case-insensitively)
+     * @returns {Promise<Object>} SCIM user resource, or null if there is none
+     */
+    async findUserByEmail(email) {
+        const filter = `emails.value eq "${String(email).replace(/["\\]/g, '')}"`;
+        const result = await this._request('GET', `/v2.0/Users?filter=${encodeURIComponent(filter)}&count=1`);
+        return result && result.Resources && result.Resources.length > 0 ? result.Resources[0] : null;
+    }
+
+    /**
+     * Find the user with a mobile number (the mobile_number custom attribute)
+     * @param {String} mobile - Mobile number as stored
+     * @returns {Promise<Object>} SCIM user resource, or null if there is none
+     */
+    async findUserByMobile(mobile) {
+        const filter = `${IBM_USER_SCHEMA}:customAttributes.mobile_number eq "${String(mobile).replace(/["\\]/g, '')}"`;
+        const result = await this._request('GET', `/v2.0/Users?filter=${encodeURIComponent(filter)}&count=1`);
+        return result && result.Resources && result.Resources.length > 0 ? result.Resources[0] : null;
+    }
+
+    /**
+     * Create a user
+     * @param {Object} resource - SCIM user; may include `password`, which the
+     *                            tenant stores and never returns
+     * @returns {Promise<Object>} Created SCIM user resource
+     */
+    async createUser(resource) {
+        return this._request('POST', '/v2.0/Users', resource);
+    }
+
+    /**
+     * Apply SCIM PATCH operations to a user
+     * @param {String} id - SCIM user id
+     * @param {Array<Object>} operations - [{ op: 'replace'|'add'|'remove', path, value }]
+     * @returns {Promise<Object>} Updated SCIM user resource
+     */
+    async patchUser(id, operations) {
+        return this._request('PATCH', `/v2.0/Users/${encodeURIComponent(id)}`, {
+            schemas: [PATCH_SCHEMA],
+            Operations: operations
+        });
+    }
+
+    /**
+     * Delete a user
+     * @param {String} id - SCIM user id
+     */
+    async deleteUser(id) {
+        await this._request('DELETE', `/v2.0/Users/${encodeURIComponent(id)}`);
+    }
+
+    async _request(method, resourcePath, body) {
+        const accessToken = await this._tokenService.getAccessToken();
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this._timeoutMs);
+
+        let response;
+        try {
+            response = await fetch(`${this._baseUrl}${resourcePath}`, {
+                method: method,
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': SCIM_CONTENT_TYPE,
+                    'Content-Type': SCIM_CONTENT_TYPE
+                },
+                body: body ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+        } catch (error) {
+            const reason = error && error.name === 'AbortError' ? `timed out after ${this._timeoutMs}ms` : (error && error.message ? error.message : error);
+            throw ScimClient.error('SCIM_REQUEST_FAILED', `SCIM ${method} ${resourcePath} failed: ${reason}`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const text = await response.text();
+        let payload = null;
+        try {
+            payload = text ? JSON.parse(text) : null;
+        } catch (error) {
+            payload = { detail: text };
+        }
+        if (!response.ok) {
+            const detail = payload && payload.detail ? payload.detail : response.statusText;
+            console.error(`[ScimClient] ${method} ${resourcePath} returned ${response.status}: ${detail}`);
+            throw ScimClient.error(ScimClient.codeForStatus(response.status), detail);
+        }
+        return payload;
+    }
+
+    /**
+     * Error code for a failed SCIM response status
+     */
+    static codeForStatus(status) {
+        switch (status) {
+            case 404: return 'SCIM_NOT_FOUND';
+            case 409: return 'SCIM_CONFLICT';
+            case 400: return 'SCIM_INVALID';
+            default: return 'SCIM_REQUEST_FAILED';
+        }
+    }
+
+    static error(code, message) {
+        const err = new Error(message);
+        err.code = code;
+        return err;
+    }
+}
+
+module.exports = ScimClient;
@@ -0,0 +1,38 @@
+const config = require('./config').Config;
+const LocalSmsProvider = require('./local-sms-provider');
+const HttpSmsProvider = require('./http-sms-provider');
+
+/**
+ * SMS provider selection
+ * Text messages (one-time codes, see OtpService) go through a provider
+ * returned by createSmsProvider, so the app can run against a real SMS
+ * gateway or offline.
+ *
+ * Selected with SMS_PROVIDER:
+ *   local - LocalSmsProvider, outbox and console (default, development only)
+ *   http  - HttpSmsProvider, an SMS gateway's HTTP API at SMS_HTTP_URL
+ *
+ * Interface implemented by both:
+ *   send({ to, body, kind, subjectId }) -> Promise<{ provider, messageId }>
+ * `to` is a 10-digit Indian mobile number (see IndianIdentifiers.validateMobile),
+ * `kind` identifies the message template, e.g. 'otp.registration'. A message
+ * that cannot be delivered is an error with code SMS_SEND_FAILED.
+ */
+const PROVIDERS = ['local', 'http'];
+
+if (PROVIDERS.indexOf(config.smsProvider) === -1) {
+    throw new Error(`Unknown SMS_PROVIDER '${config.smsProvider}'. Expected one of: ${PROVIDERS.join(', ')}`);
+}
+
+/**
+ * Create the SMS provider configured with SMS_PROVIDER
+ * @returns {Object} Provider implementing the interface above
+ */
+exports.createSmsProvider = () => {
+    if (config.smsProvider === 'http') {
+        return new HttpSmsProvider();
+    }
+    return new LocalSmsProvider();
+};
+
+exports.PROVIDERS = PROVIDERS;
@@ -1,15 +1,22 @@
 const jwt = require('jsonwebtoken')
 const OAuthController = require('./oauth-controller');
-const Privacy = require('verify-privacy-sdk-js');
+const { createPrivacyClient } = require('./privacy-backend');
+const PrivacyService = require('./privacy-service');
+const ErasureService = require('./erasure-service');
+const ProfileService = require('./profile-service');
+const { hasRole } = require('./role-middleware');
 const config = require('./config').Config;
 
 /**
  * UsersController handles post-login user-related routes
- * Manages dashboard, profile, and consent views
+ * Manages dashboard, profile (with corrections, see ProfileService), and consent views
  */
 class UsersController {
 
-    constructor() {}
+    constructor() {
+        this.privacyService = new PrivacyService();
+        this.profileService = new ProfileService();
+    }
 
     /**
      * Extract user information from the OIDC ID token
@@ -25,14 +32,40 @@ class UsersController {
      * Displays user info and actions (File ITR, Manage Consent)
      * Renamed from getUsersIndex
      */
-    getDashboard = (req, res) => {
+    getDashboard = async (req, res) => {
         if (!OAuthController.isLoggedIn(req)) {
             res.redirect('/');
             return null;
         }
 
+        const user = this.getUserPayload(req);
+        const auth = {
+            accessToken: OAuthController.getAuthToken(req).access_token,
+            subjectId: user.sub
+        };
+
+        // Consents that need renewing; the dashboard still renders if the
+        // Privacy API is unavailable
+        let consentExpiry = null;
+        try {
+            consentExpiry = await this.privacyService.getExpiringConsents(auth, user.sub, config.consentExpiryWarningDays);
+        } catch (error) {
+            console.error('[UsersController] Could not check consent expiry:', error && error.message ? error.message : error);
+        }
+
+        // Pending deletion request, shown so the user can still cancel it
+        const latestErasure = ErasureService.shared().latestForSubject(user.sub);
+        const erasureRequest = latestErasure && latestErasure.status === 'scheduled' ? latestErasure : null;
+
         // Render dashboard with user info
-        res.render('dashboard', { user: this.getUserPayload(req), title: 'ITR Filing Dashboard' });
+        res.render('dashboard', {
+            user: user,
+            consentExpiry: consentExpiry,
+            erasureRequest: erasureRequest,
+            isDpo: hasRole(user, 'dpo'),
+            isOperator: hasRole(user, 'operator'),
+            title: 'ITR Filing Dashboard'
+        });
     }
 
     /**
@@ -44,16 +77,110 @@ class UsersController {
     }
 
     /**
-     * Profile page - Shows detailed user information
+     * Profile page - Shows the user's profile from the user directory, with a
+     * form to correct it, changes waiting for a code and earlier corrections
      */
-    getProfile = (req, res) => {
+    getProfile = async (req, res) => {
         if (!OAuthController.isLoggedIn(req)) {
             res.redirect('/');
             return;
         }
 
-        let idTokenPayload = this.getUserPayload(req);
-        res.render('profile', { user: idTokenPayload, fullJson: JSON.stringify(idTokenPayload, null, 4), title: 'Profile Information' });
+        const messages = {
+            updated: 'Your profile has been updated.',
+            verify: 'We sent a code to confirm your new contact details. Enter it below to apply the change.',
+            unchanged: 'Nothing was changed.'
+        };
+        await this._renderProfile(req, res, { message: messages[req.query.status] || null });
+    }
+
+    /**
+     * POST /users/profile - Correct name, email or mobile
+     * The name is updated at once; a new email or mobile needs a code first
+     */
+    updateProfile = async (req, res) => {
+        if (!OAuthController.isLoggedIn(req)) {
+            res.redirect('/');
+            return;
+        }
+
+        const user = this.getUserPayload(req);
+        const input = { name: req.body.fullName, email: req.body.email, mobile: req.body.mobile };
+        try {
+            const result = await this.profileService.requestCorrections(user, input);
+            const status = result.pending.length > 0 ? 'verify' : (result.applied.length > 0 ? 'updated' : 'unchanged');
+            res.redirect(`/users/profile?status=${status}`);
+        } catch (error) {
+            if (error.code === 'PROFILE_INVALID') {
+                return this._renderProfile(req, res, { error: error.message, formData: input }, 400);
+            }
+            if (['OTP_LOCKED', 'OTP_RESEND_TOO_SOON', 'OTP_SEND_LIMIT'].indexOf(error.code) !== -1) {
+                return this._renderProfile(req, res, { error: error.message, formData: input }, 429);
+            }
+            if (error.code === 'SMS_SEND_FAILED') {
+                return this._renderProfile(req, res, { error: 'We could not send a code right now. Please try again in a few minutes.', formData: input }, 502);
+            }
+            console.error('[UsersController] Error in updateProfile:', error && error.message ? error.message : error);
+            await this._renderProfile(req, res, { error: 'Your profile could not be updated. Please try again later.', formData: input }, 502);
+        }
+    }
+
+    /**
+     * POST /users/profile/verifications/:id - Confirm a new email or mobile with its code
+     */
+    confirmProfileChange = async (req, res) => {
+        if (!OAuthController.isLoggedIn(req)) {
+            res.redirect('/');
+            return;
+        }
+
+        const user = this.getUserPayload(req);
+        try {
+            await this.profileService.confirmVerification(user, req.params.id, req.body.code);
+            res.redirect('/users/profile?status=updated');
+        } catch (error) {
+            const statuses = {
+                VERIFICATION_NOT_FOUND: 404,
+                OTP_NOT_FOUND: 404,
+                OTP_EXPIRED: 410,
+                OTP_LOCKED: 429,
+                OTP_CODE_INVALID: 400,
+                SCIM_CONFLICT: 409
+            };
+            if (statuses[error.code]) {
+                const message = error.code === 'SCIM_CONFLICT' ? 'That email address is already used by another account.' : error.message;
+                return this._renderProfile(req, res, { error: message }, statuses[error.code]);
+            }
+            console.error('[UsersController] Error in confirmProfileChange:', error && error.message ? error.message : error);
+            await this._renderProfile(req, res, { error: 'Your change could not be applied. Please try again later.' }, 502);
+        }
+    }
+
+    async _renderProfile(req, res, extra, status = 200) {
+        const user = this.getUserPayload(req);
+
+        // Fall back to the ID token claims, read-only, if the directory is unavailable
+        let profile = null;
+        let unavailable = false;
+        try {
+            profile = await this.profileService.getProfile(user);
+        } catch (error) {
+            console.error('[UsersController] Could not load profile:', error && error.message ? error.message : error);
+            profile = { id: user.sub, name: user.name, email: user.email, mobile: user.mobile_number || '' };
+            unavailable = true;
+        }
+
+        res.status(status).render('profile', Object.assign({
+            title: 'Profile Information',
+            user: user,
+            profile: profile,
+            formData: profile,
+            unavailable: unavailable,
+            pending: this.profileService.listPendingVerifications(user.sub),
+            corrections: this.profileService.listCorrections(user.sub),
+            verificationMinutes: config.profileVerificationMinutes,
+            fullJson: JSON.stringify(user, null, 4)
+        }, extra));
     }
 
     /**
@@ -71,7 +198,7 @@ class UsersController {
         }
 
         // Create Privacy SDK client and query user's consents from Verify
-        let dpcmClient = new Privacy(config, auth, {})
+        let dpcmClient = createPrivacyClient(auth, { subjectId: idTokenPayload.sub })
         dpcmClient.getUserConsents(auth).then(result => {
             res.render('consents', { user: idTokenPayload, consents: result.consents, title: 'My Consents' });
         }).catch(err => {
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config').Config;
+
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * VaultKeyStore - Key-encryption keys of the IdentityVault, kept in a local
+ * key file as a stand-in for a KMS
+ *
+ * VAULT_KEY_FILE (JSON, readable by the app's user only):
+ *   { currentKeyId, keys: [{ id, key: base64 AES-256 key, createdAt }] }
+ * The file is generated on first use. Like a KMS, the store never hands out
+ * its keys: callers give it data keys to wrap (encrypt) and unwrap. Data keys
+ * are wrapped with the current key; older keys are kept until everything
+ * wrapped with them has been re-wrapped (see IdentityVault.rotateKeys).
+ *
+ * Errors carry a code: VAULT_KEY_MISSING when a data key was wrapped with a
+ * key that is no longer in the file.
+ */
+class VaultKeyStore {
+    /**
+     * @param {String} keyFile - Defaults to VAULT_KEY_FILE
+     */
+    constructor(keyFile = config.vaultKeyFile) {
+        this._path = keyFile;
+    }
+
+    /**
+     * Id of the key new data keys are wrapped with
+     */
+    currentKeyId() {
+        return this._read().currentKeyId;
+    }
+
+    /**
+     * Ids of all keys in the file
+     */
+    keyIds() {
+        return this._read().keys.map(k => k.id);
+    }
+
+    /**
+     * Encrypt a data key with the current key
+     * @param {Buffer} dataKey - Key to protect
+     * @returns {Object} { keyId, iv, tag, data } (base64)
+     */
+    wrap(dataKey) {
+        const keys = this._read();
+        const kek = keys.keys.find(k => k.id === keys.currentKeyId);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(CIPHER, Buffer.from(kek.key, 'base64'), iv);
+        cipher.setAAD(Buffer.from(kek.id));
+        const data = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+        return {
+            keyId: kek.id,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    /**
+     * Decrypt a data key wrapped by wrap()
+     * @param {Object} wrapped - { keyId, iv, tag, data }
+     * @returns {Buffer} Data key
+     * @throws {Error} code VAULT_KEY_MISSING if the key is no longer in the file
+     */
+    unwrap(wrapped) {
+        const kek = this._read().keys.find(k => k.id === wrapped.keyId);
+        if (!kek) {
+            const err = new Error(`Vault key ${wrapped.keyId} is not in ${this._path}`);
+            err.code = 'VAULT_KEY_MISSING';
+            throw err;
+        }
+        const decipher = crypto.createDecipheriv(CIPHER, Buffer.from(kek.key, 'base64'), Buffer.from(wrapped.iv, 'base64'));
+        decipher.setAAD(Buffer.from(kek.id));
+        decipher.setAuthTag(Buffer.from(wrapped.tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(wrapped.data, 'base64')), decipher.final()]);
+    }
+
+    /**
+     * Add a new key and make it the current one
+     * @returns {String} Id of the new key
+     */
+    rotate() {
+        const keys = this._read();
+        const key = this._newKey();
+        keys.keys.push(key);
+        keys.currentKeyId = key.id;
+        this._write(keys);
+        console.log(`[VaultKeyStore] Rotated to key ${key.id}`);
+        return key.id;
+    }
+
+    /**
+     * Destroy a key that is no longer current
+     * Anything still wrapped with it can no longer be decrypted.
+     * @returns {Boolean} true if the key was removed
+     */
+    destroy(keyId) {
+        const keys = this._read();
+        if (keyId === keys.currentKeyId || !keys.keys.some(k => k.id === keyId)) {
+            return false;
+        }
+        keys.keys = keys.keys.filter(k => k.id !== keyId);
+        this._write(keys);
+        console.log(`[VaultKeyStore] Destroyed key ${keyId}`);
+        return true;
+    }
+
+    _read() {
+        if (!fs.existsSync(this._path)) {
+            const key = this._newKey();
+            this._write({ currentKeyId: key.id, keys: [key] });
+            console.log(`[VaultKeyStore] Generated vault key file at ${this._path}`);
+        }
+        return JSON.parse(fs.readFileSync(this._path, 'utf8'));
+    }
+
+    _write(keys) {
+        fs.mkdirSync(path.dirname(this._path), { recursive: true });
+        const tmpPath = `${this._path}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(keys, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, this._path);
+    }
+
+    _newKey() {
+        return {
+            id: `kek-${crypto.randomBytes(6).toString('hex')}`,
+            key: crypto.randomBytes(32).toString('base64'),
+            createdAt: Math.floor(Date.now() / 1000)
+        };
+    }
+}
+
+module.exports = VaultKeyStore;
@@ -0,0 +1,24 @@
+// import dependencies and initialize the express router
+const express = require('express');
+const AdminController = require('../controllers/admin-controller');
+const { requireRole } = require('../controllers/role-middleware');
+
+const adminController = new AdminController();
+const router = express.Router();
+
+/**
+ * Admin Routes - Notice registry
+ *
+ * GET /notices - Registered notices (?purpose=, ?language=)
+ * GET /notices/:id - One notice with its integrity check
+ * GET /consent-notices - Notices a user had agreed to on a date (?subject=, ?date=, ?purpose=)
+ *
+ * All routes require the admin role (ADMIN_USERS)
+ */
+router.use(requireRole('admin'));
+
+router.get('/notices', adminController.getNotices);
+router.get('/notices/:id', adminController.getNotice);
+router.get('/consent-notices', adminController.getConsentNotices);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// import dependencies and initialize the express router
+const express = require('express');
+const AuditController = require('../controllers/audit-controller');
+const OAuthController = require('../controllers/oauth-controller');
+
+const auditController = new AuditController();
+const router = express.Router();
+
+/**
+ * Audit Routes - Query the audit trail
+ *
+ * GET /events - Audit entries about the logged-in user, filtered by purpose,
+ *               type and time range (JSON)
+ *
+ * All routes require authentication
+ */
+
+// Middleware: Ensure user is logged in
+router.use((req, res, next) => {
+    if (!OAuthController.isLoggedIn(req)) {
+        res.status(401).json({ error: 'Not authenticated' });
+        return;
+    }
+    next();
+});
+
+// Query parameters: purpose, type, from, to
+router.get('/events', auditController.getEvents);
+
+module.exports = router;
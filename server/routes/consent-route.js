@@ -14,6 +14,9 @@ const jsonParser = bodyParser.json();
  * GET /management - Render consent management page (two-column layout)
  * GET /state - Get current consent state as JSON (for frontend initialization)
  * POST /update - Update a single consent toggle (AJAX endpoint)
+ * POST /update-batch - Update several consents at once, all-or-nothing (AJAX endpoint)
+ * POST /metadata/refresh - Reload purpose metadata from Verify
+ * GET/POST /reconsent/:purposeId - Review changes to a purpose and consent again
  * 
  * All routes require authentication
  */
@@ -38,4 +41,16 @@ router.get('/state', consentController.getConsentState);
 // Request body: { purposeId, attributeId, state }
 router.post('/update', jsonParser, consentController.updateConsentToggle);
 
+// Update several consents in one all-or-nothing call ("Grant all" / "Withdraw all")
+// Request body: { items: [{ purposeId, attributeId, state }] }
+router.post('/update-batch', jsonParser, consentController.updateConsentBatch);
+
+// Drop cached purpose metadata and reload it from Verify
+router.post('/metadata/refresh', consentController.refreshMetadata);
+
+// Re-consent interstitial, shown when consents were given to an older purpose version
+// Query/form field: returnTo - app path to continue to afterwards
+router.get('/reconsent/:purposeId', consentController.getReconsentPage);
+router.post('/reconsent/:purposeId', consentController.postReconsent);
+
 module.exports = router;
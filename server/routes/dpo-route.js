@@ -0,0 +1,28 @@
+// import dependencies and initialize the express router
+const express = require('express');
+const DpoController = require('../controllers/dpo-controller');
+const { requireRole } = require('../controllers/role-middleware');
+
+const dpoController = new DpoController();
+const router = express.Router();
+
+/**
+ * DPO Routes - Grievance handling by the Data Protection Officer's team
+ *
+ * GET /grievances - Grievance queue (?status=, ?overdue=1, ?mine=1)
+ * GET /grievances/:id - Grievance detail
+ * POST /grievances/:id/assign - Assign a grievance
+ * POST /grievances/:id/respond - Reply to the Data Principal
+ * POST /grievances/:id/resolve - Resolve a grievance
+ *
+ * All routes require the dpo role (DPO_USERS or ADMIN_USERS)
+ */
+router.use(requireRole('dpo'));
+
+router.get('/grievances', dpoController.getQueue);
+router.get('/grievances/:id', dpoController.getGrievance);
+router.post('/grievances/:id/assign', dpoController.assign);
+router.post('/grievances/:id/respond', dpoController.respond);
+router.post('/grievances/:id/resolve', dpoController.resolve);
+
+module.exports = router;
@@ -2,6 +2,7 @@
 const express = require('express');
 const ITRController = require('../controllers/itr-controller');
 const OAuthController = require('../controllers/oauth-controller');
+const { requirePolicy } = require('../controllers/policy-middleware');
 
 const itrController = new ITRController();
 const router = express.Router();
@@ -9,7 +10,8 @@ const router = express.Router();
 /**
  * ITR Filing Routes - Handle ITR filing flow
  * 
- * POST /assess - Main action: assess consents and file ITR
+ * POST /assess - Main action: assess consents ('file-itr' data policy) and file ITR
+ * POST /consent - Grant consents from the just-in-time prompt and file ITR
  * GET /success - Show ITR filing success page
  * GET /blocked - Show consent required page (user needs to grant consents)
  * 
@@ -26,7 +28,10 @@ router.use((req, res, next) => {
 });
 
 // Main ITR filing action - assess consents and file
-router.post('/assess', itrController.assessAndFile);
+router.post('/assess', requirePolicy('file-itr', { onDenied: itrController.handleNotApproved }), itrController.fileITR);
+
+// Just-in-time consent prompt submission - grant and assess again
+router.post('/consent', itrController.postConsent);
 
 // Success page - shown after successful ITR filing
 router.get('/success', itrController.getSuccess);
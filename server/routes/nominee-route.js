@@ -0,0 +1,35 @@
+// import dependencies and initialize the express router
+const express = require('express');
+const config = require('../controllers/config').Config;
+const NomineeController = require('../controllers/nominee-controller');
+
+const nomineeController = new NomineeController();
+const router = express.Router();
+
+/**
+ * Nominee Routes - Pages for nominees, who act for a Data Principal after
+ * their death or incapacity
+ *
+ * GET /accept/:token - Invitation to become a nominee
+ * POST /accept/:token - Accept it
+ * GET /claims/new - Form to start a request
+ * POST /claims - Start a request
+ * GET /claims/:id - A request (?token= from the emailed link)
+ * POST /claims/:id/evidence - Upload an evidence file (raw body, up to NOMINEE_EVIDENCE_MAX_BYTES)
+ * POST /claims/:id/submit - Submit the request for review
+ * GET /claims/:id/download - Data export of an approved access request
+ *
+ * Nominees do not log in: the token in the emailed links stands in for a session
+ */
+router.get('/accept/:token', nomineeController.getInvitation);
+router.post('/accept/:token', nomineeController.acceptInvitation);
+router.get('/claims/new', nomineeController.getNewClaim);
+router.post('/claims', nomineeController.startClaim);
+router.get('/claims/:id', nomineeController.getClaim);
+router.post('/claims/:id/evidence',
+    express.raw({ type: () => true, limit: config.nomineeEvidenceMaxBytes }),
+    nomineeController.uploadEvidence);
+router.post('/claims/:id/submit', nomineeController.submitClaim);
+router.get('/claims/:id/download', nomineeController.downloadExport);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// import dependencies and initialize the express router
+const express = require('express');
+const OperatorController = require('../controllers/operator-controller');
+const { requireRole } = require('../controllers/role-middleware');
+
+const operatorController = new OperatorController();
+const router = express.Router();
+
+/**
+ * Operator Routes - Review of requests made by nominees
+ *
+ * GET /nominee-claims - Request queue (?status=)
+ * GET /nominee-claims/:id - Request detail
+ * GET /nominee-claims/:id/evidence/:evidenceId - View an evidence file
+ * POST /nominee-claims/:id/approve - Approve and carry out the request
+ * POST /nominee-claims/:id/reject - Reject the request
+ *
+ * All routes require the operator role (OPERATOR_USERS or ADMIN_USERS)
+ */
+router.use(requireRole('operator'));
+
+router.get('/nominee-claims', operatorController.getClaimQueue);
+router.get('/nominee-claims/:id', operatorController.getClaim);
+router.get('/nominee-claims/:id/evidence/:evidenceId', operatorController.getEvidence);
+router.post('/nominee-claims/:id/approve', operatorController.approve);
+router.post('/nominee-claims/:id/reject', operatorController.reject);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+// import dependencies and initialize the express router
+const express = require('express');
+const DataExportController = require('../controllers/data-export-controller');
+const ErasureController = require('../controllers/erasure-controller');
+const GrievanceController = require('../controllers/grievance-controller');
+const NomineeController = require('../controllers/nominee-controller');
+const OAuthController = require('../controllers/oauth-controller');
+
+const dataExportController = new DataExportController();
+const erasureController = new ErasureController();
+const grievanceController = new GrievanceController();
+const nomineeController = new NomineeController();
+const router = express.Router();
+
+/**
+ * Privacy Routes - Data Principal rights
+ *
+ * GET /my-data - Right to access: request and download personal data exports
+ * POST /my-data/exports - Start generating an export
+ * GET /my-data/exports/:id - Export status (JSON)
+ * GET /my-data/exports/:id/download - Download an export (?format=json|html)
+ * GET /erasure - Right to erasure: request account deletion
+ * POST /erasure - Queue a deletion request
+ * POST /erasure/:id/cancel - Cancel a deletion request during its grace period
+ * GET /grievances - Grievance redressal: the user's grievances and the form to file one
+ * POST /grievances - File a grievance
+ * GET /grievances/:id - A grievance with its messages
+ * POST /grievances/:id/messages - Add a follow-up message
+ * GET /nominee - Right to nominate: the user's nominee and the form to name one
+ * POST /nominee - Name a nominee
+ * POST /nominee/revoke - Revoke the nomination
+ *
+ * All routes require authentication
+ */
+
+// Middleware: Ensure user is logged in
+router.use((req, res, next) => {
+    if (!OAuthController.isLoggedIn(req)) {
+        return req.accepts('html') ? res.redirect('/login') : res.status(401).json({ error: 'Not authenticated' });
+    }
+    next();
+});
+
+// Right to access
+router.get('/my-data', dataExportController.getMyDataPage);
+router.post('/my-data/exports', dataExportController.requestExport);
+router.get('/my-data/exports/:id', dataExportController.getExportStatus);
+router.get('/my-data/exports/:id/download', dataExportController.downloadExport);
+
+// Right to erasure
+router.get('/erasure', erasureController.getErasurePage);
+router.post('/erasure', erasureController.requestErasure);
+router.post('/erasure/:id/cancel', erasureController.cancelErasure);
+
+// Grievance redressal
+router.get('/grievances', grievanceController.getGrievancesPage);
+router.post('/grievances', grievanceController.fileGrievance);
+router.get('/grievances/:id', grievanceController.getGrievance);
+router.post('/grievances/:id/messages', grievanceController.addMessage);
+
+// Right to nominate
+router.get('/nominee', nomineeController.getNomineePage);
+router.post('/nominee', nomineeController.nominate);
+router.post('/nominee/revoke', nomineeController.revoke);
+
+module.exports = router;
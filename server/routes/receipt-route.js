@@ -0,0 +1,31 @@
+// import dependencies and initialize the express router
+const express = require('express');
+const bodyParser = require('body-parser');
+const ReceiptController = require('../controllers/receipt-controller');
+
+const receiptController = new ReceiptController();
+const router = express.Router();
+const textParser = bodyParser.text({ type: ['text/plain', 'application/jose'] });
+
+/**
+ * Consent Receipt Routes - Download and verify signed consent receipts
+ *
+ * GET /jwks.json - Public receipt key (JWK Set)
+ * POST /verify - Check that a receipt is authentic
+ * GET /:id - Download a receipt (?format=json for the decoded payload)
+ *
+ * Verification is public so auditors can check receipts without an account;
+ * downloads are limited to the receipt's Data Principal (see ReceiptController)
+ */
+
+// Public key for offline verification
+router.get('/jwks.json', receiptController.getJwks);
+
+// Verify a receipt
+// Request body: { receipt } as JSON, or the JWS as text/plain
+router.post('/verify', textParser, receiptController.verifyReceipt);
+
+// Download a receipt
+router.get('/:id', receiptController.downloadReceipt);
+
+module.exports = router;
@@ -9,11 +9,17 @@ const router = express.Router();
  * Registration Routes - Multi-step registration flow for ITR filing
  * 
  * GET/POST /step1 - Account information + Marketing consents
+ * GET /mobile - Enter the code sent to the mobile number
+ * POST /mobile/verify - Confirm the mobile number with its code
+ * POST /mobile/resend - Send a new code
+ * GET/POST /guardian - Parent or guardian consent (minors only)
+ * POST /guardian/verify - Confirm the guardian with the code sent to them
  * GET/POST /step2 - Tax identity (Aadhaar, PAN)
  * GET/POST /step3 - Consent confirmation + Complete registration
  * 
  * Redirects flow:
- *   Step 1 -> Step 2 -> Step 3 -> Login
+ *   Step 1 -> Mobile -> Step 2 -> Step 3 -> Completion page (consent receipt) -> Login
+ *   Minors: Step 1 -> Mobile -> Guardian -> Step 2 -> ...
  * Or if not on valid step, redirects to previous step
  */
 
@@ -21,6 +27,16 @@ const router = express.Router();
 router.get('/step1', registrationController.getStep1);
 router.post('/step1', registrationController.postStep1);
 
+// Mobile step: one-time code sent by SMS
+router.get('/mobile', registrationController.getMobile);
+router.post('/mobile/verify', registrationController.postMobileVerify);
+router.post('/mobile/resend', registrationController.postMobileResend);
+
+// Guardian step: verifiable parental consent for minors
+router.get('/guardian', registrationController.getGuardian);
+router.post('/guardian', registrationController.postGuardian);
+router.post('/guardian/verify', registrationController.postGuardianVerify);
+
 // Step 2: Tax identity information
 router.get('/step2', registrationController.getStep2);
 router.post('/step2', registrationController.postStep2);
@@ -2,6 +2,7 @@
 const express = require('express');
 const OAuthController = require('../controllers/oauth-controller');
 const config = require('../controllers/config').Config;
+const { setLocale } = require('../controllers/locale-middleware');
 
 const oauthController = new OAuthController(config.verifyOidcScope);
 const router = express.Router();
@@ -12,6 +13,7 @@ const router = express.Router();
  * GET /login - Initiate OIDC login flow
  * GET /logout - Clear session and logout
  * GET /auth/callback - OIDC callback from IBM Verify
+ * POST /locale - Switch the language of the notices and consent pages
  */
 
 // Landing page - public
@@ -47,4 +49,7 @@ router.get('/logout', oauthController.logout)
 // OIDC callback from IBM Verify
 router.get('/auth/callback', oauthController.aznCallback);
 
+// Language switcher in the page footer
+router.post('/locale', setLocale);
+
 module.exports = router;
\ No newline at end of file
@@ -12,7 +12,9 @@ const jsonParser = bodyParser.json();
 /**
  * Users Routes - Handle authenticated user pages
  * GET / - Dashboard (renamed from users, shows user info and actions)
- * GET /profile - User profile information
+ * GET /profile - User profile information, with corrections
+ * POST /profile - Correct name, email or mobile
+ * POST /profile/verifications/:id - Confirm a new email or mobile with its code
  * GET /consents - User consent management (legacy, will be replaced)
  * POST /consents - Store consent updates (legacy, will be replaced)
  * GET /cart - ITR assessment flow (legacy, will be replaced)
@@ -23,6 +25,8 @@ router.get('/', userController.getUsersIndex);
 
 // User profile page
 router.get('/profile', userController.getProfile);
+router.post('/profile', userController.updateProfile);
+router.post('/profile/verifications/:id', userController.confirmProfileChange);
 
 // Consents page - shows current consent state
 router.get('/consents', userController.getConsents);
@@ -0,0 +1,71 @@
+/**
+ * Audit log command line tool
+ *
+ * Usage:
+ *   npm run audit-log -- verify
+ *       Check the hash chain; exits with status 1 if entries were altered or removed
+ *   npm run audit-log -- query [--subject <id>] [--purpose <id>] [--type <type>] [--from <date>] [--to <date>]
+ *       Print matching entries as JSON lines; dates are ISO 8601 or epoch seconds
+ */
+const AuditLog = require('../controllers/audit-log');
+
+const parseArgs = (args) => {
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        if (!args[i].startsWith('--') || args[i + 1] === undefined) {
+            throw new Error(`Unexpected argument: ${args[i]}`);
+        }
+        options[args[i].slice(2)] = args[i + 1];
+    }
+    return options;
+};
+
+const parseTime = (value) => {
+    if (value === undefined) return undefined;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    const ms = Date.parse(value);
+    if (isNaN(ms)) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return Math.floor(ms / 1000);
+};
+
+const main = () => {
+    const [command, ...rest] = process.argv.slice(2);
+    const auditLog = new AuditLog();
+
+    if (command === 'verify') {
+        const result = auditLog.verify();
+        if (result.valid) {
+            console.log(`Audit log OK: ${result.entries} entries in ${auditLog.path}`);
+            return 0;
+        }
+        console.error(`Audit log FAILED verification (${auditLog.path}):`);
+        result.problems.forEach(p => {
+            console.error(`  ${p.line ? `line ${p.line}` : 'head'}${p.seq != null ? ` (seq ${p.seq})` : ''}: ${p.problem}`);
+        });
+        return 1;
+    }
+
+    if (command === 'query') {
+        const options = parseArgs(rest);
+        auditLog.query({
+            subjectId: options.subject,
+            purposeId: options.purpose,
+            type: options.type,
+            from: parseTime(options.from),
+            to: parseTime(options.to)
+        }).forEach(entry => console.log(JSON.stringify(entry)));
+        return 0;
+    }
+
+    console.error('Usage: audit-log.js verify | query [--subject <id>] [--purpose <id>] [--type <type>] [--from <date>] [--to <date>]');
+    return 2;
+};
+
+try {
+    process.exitCode = main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+}
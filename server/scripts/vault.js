@@ -0,0 +1,37 @@
+/**
+ * Identity vault command line tool
+ *
+ * Usage:
+ *   npm run vault -- rotate-keys
+ *       Re-wrap every data key with a new key-encryption key and destroy the old ones
+ *   npm run vault -- status
+ *       Print the key ids in VAULT_KEY_FILE and the current one
+ */
+const IdentityVault = require('../controllers/identity-vault');
+
+const main = () => {
+    const [command] = process.argv.slice(2);
+    const vault = IdentityVault.shared();
+
+    if (command === 'rotate-keys') {
+        const result = vault.rotateKeys();
+        console.log(`Vault keys rotated: ${result.rewrapped} data key(s) now wrapped with ${result.keyId}; destroyed ${result.destroyed.join(', ') || 'none'}`);
+        return 0;
+    }
+
+    if (command === 'status') {
+        const current = vault.keyStore.currentKeyId();
+        vault.keyStore.keyIds().forEach(id => console.log(`${id}${id === current ? ' (current)' : ''}`));
+        return 0;
+    }
+
+    console.error('Usage: vault.js rotate-keys | status');
+    return 2;
+};
+
+try {
+    process.exitCode = main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+}
@@ -2,6 +2,19 @@ const PORT = process.env.PORT || 3000;
 
 // Load configuration
 const { Config } = require('./controllers/config');
+const ConsentExpiryJob = require('./controllers/consent-expiry-job');
+const DataPolicy = require('./controllers/data-policy');
+const ErasureJob = require('./controllers/erasure-job');
+const GrievanceSlaJob = require('./controllers/grievance-sla-job');
+const RegistrationSweepJob = require('./controllers/registration-sweep-job');
+const I18n = require('./controllers/i18n');
+const { resolveLocale } = require('./controllers/locale-middleware');
+
+// Validate the data policy file before any route relies on it: an invalid
+// file stops the server instead of leaving gated routes unprotected
+DataPolicy.shared();
+// Likewise for the translation catalogs
+I18n.shared();
 
 // initialize libraries
 const express = require('express');
@@ -9,6 +22,13 @@ const session = require('express-session')
 const handlebars = require('express-handlebars');
 const sessionRoutes = require('./routes/session-route');
 const usersRoutes = require('./routes/users-route');
+const receiptRoutes = require('./routes/receipt-route');
+const auditRoutes = require('./routes/audit-route');
+const privacyRoutes = require('./routes/privacy-route');
+const dpoRoutes = require('./routes/dpo-route');
+const nomineeRoutes = require('./routes/nominee-route');
+const operatorRoutes = require('./routes/operator-route');
+const adminRoutes = require('./routes/admin-route');
 
 // Load optional routes with error handling
 let registrationRoutes, itrRoutes, consentRoutes;
@@ -43,19 +63,29 @@ var hbs = handlebars.create({
 
             return `${purposeName} (Version ${version})`
         },
-        formatDate: function (badDate) {
-            var dMod = new Date(badDate * 1000);
-            return dMod.toLocaleDateString();
+        // Dates, expiry and consent states are shown in the page's language
+        // (res.locals.locale, see locale-middleware)
+        formatDate: function (badDate, options) {
+            return I18n.shared().formatDate(badDate, options.data.root.locale);
         },
-        formatState: function (state) {
-            var stateOpt = {
-                1: "Consent allow",
-                2: "Consent deny",
-                3: "Opt-in",
-                4: "Opt-out",
-                5: "Transparent"
+        formatExpiry: function (endTime, options) {
+            var i18n = I18n.shared();
+            var locale = options.data.root.locale;
+            if (!endTime) {
+                return i18n.t(locale, 'date.never');
+            }
+            var date = i18n.formatDate(endTime, locale);
+            if (endTime * 1000 <= Date.now()) {
+                return i18n.t(locale, 'date.expired', { date: date });
             }
-            return stateOpt[state];
+            return date;
+        },
+        formatState: function (state, options) {
+            return I18n.shared().formatState(state, options.data.root.locale);
+        },
+        // {{t "consent.validUntil" date=(formatDate endTime)}}
+        t: function (key, options) {
+            return I18n.shared().t(options.data.root.locale, key, options.hash);
         },
         formatAccessType: function (accessType) {
             if (accessType == "default") {
@@ -74,6 +104,9 @@ var hbs = handlebars.create({
         'json': function(context) {
             return JSON.stringify(context);
         },
+        'eq': function(a, b) {
+            return a === b;
+        },
         'concat': function(str, suffix) {
             if (typeof str === 'string' && typeof suffix === 'string') {
                 return str + suffix;
@@ -91,6 +124,8 @@ var hbs = handlebars.create({
 const app = express();
 app.set('view engine', 'hbs');
 app.engine('hbs', hbs.engine)
+// Age below which a guardian consents, for the views that name it
+app.locals.minorAgeYears = Config.minorAgeYears;
 
 app.use(session({
     secret: Config.sessionSecret || 'demo-session-secret-change-in-production',
@@ -107,11 +142,19 @@ app.use(session({
 // define routes
 app.use(express.urlencoded({ extended: false }))
 app.use(express.json())
+app.use(resolveLocale)
 
 // define routes
 app.use(express.static(__dirname + '/../public'))
 app.use('/', sessionRoutes);
 app.use('/users', usersRoutes);
+app.use('/receipts', receiptRoutes);
+app.use('/audit', auditRoutes);
+app.use('/privacy', privacyRoutes);
+app.use('/dpo', dpoRoutes);
+app.use('/nominee', nomineeRoutes);
+app.use('/operator', operatorRoutes);
+app.use('/admin', adminRoutes);
 
 // Register optional routes only if they exist
 if (registrationRoutes) {
@@ -139,4 +182,17 @@ if (process.env.NODE_ENV !== 'production') {
 
 app.listen(PORT, () => {
     console.log(`Server started and listening on port ${PORT}`);
+    console.log(`Privacy backend: ${Config.privacyBackend}`);
+
+    // Consent expiry reminders
+    new ConsentExpiryJob().start();
+
+    // Erasure requests whose grace period has ended
+    new ErasureJob().start();
+
+    // Grievances that missed their response or resolution deadline
+    new GrievanceSlaJob().start();
+
+    // Sign-ups abandoned before step 3
+    new RegistrationSweepJob().start();
 });
\ No newline at end of file
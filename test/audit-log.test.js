@@ -0,0 +1,91 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Scratch data directory, set before config.js is loaded
+// (values already set are not taken from .env)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-test-'));
+process.env.LOCAL_DATA_DIR = dataDir;
+
+const AuditLog = require('../server/controllers/audit-log');
+
+const logFile = path.join(dataDir, 'audit-log.jsonl');
+
+const readLines = () => fs.readFileSync(logFile, 'utf8').split('\n').filter(line => line !== '');
+const writeLines = lines => fs.writeFileSync(logFile, lines.map(line => line + '\n').join(''));
+
+describe('AuditLog.verify', () => {
+    beforeEach(() => {
+        fs.rmSync(logFile, { force: true });
+        fs.rmSync(`${logFile}.head.json`, { force: true });
+        const log = new AuditLog(logFile);
+        ['subject-a', 'subject-b', 'subject-c', 'subject-d'].forEach(subjectId => {
+            log.record({ type: AuditLog.EVENT_TYPES.CONSENT_GRANTED, subjectId: subjectId, purposeId: 'ITR_FILING', attributes: ['name'] });
+        });
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('accepts an untouched log', () => {
+        assert.deepStrictEqual(new AuditLog(logFile).verify(), { valid: true, entries: 4, problems: [] });
+    });
+
+    it('detects an edited entry', () => {
+        const lines = readLines();
+        const entry = JSON.parse(lines[1]);
+        entry.attributes = ['name', 'aadhar_id'];
+        lines[1] = JSON.stringify(entry);
+        writeLines(lines);
+
+        const result = new AuditLog(logFile).verify();
+        assert.strictEqual(result.valid, false);
+        assert.deepStrictEqual(result.problems.map(p => [p.line, p.seq]), [[2, 2]]);
+        assert.match(result.problems[0].problem, /altered/);
+    });
+
+    it('detects an edited entry whose hash was recomputed, at the next entry', () => {
+        const lines = readLines();
+        const entry = JSON.parse(lines[1]);
+        entry.subjectId = 'someone-else';
+        entry.hash = new AuditLog(logFile)._hash(entry);
+        lines[1] = JSON.stringify(entry);
+        writeLines(lines);
+
+        const result = new AuditLog(logFile).verify();
+        assert.strictEqual(result.valid, false);
+        assert.deepStrictEqual(result.problems.map(p => [p.line, p.seq]), [[3, 3]]);
+        assert.match(result.problems[0].problem, /prevHash/);
+    });
+
+    it('detects a deleted entry', () => {
+        const lines = readLines();
+        lines.splice(1, 1);
+        writeLines(lines);
+
+        const result = new AuditLog(logFile).verify();
+        assert.strictEqual(result.valid, false);
+        assert.deepStrictEqual(result.problems.map(p => p.seq), [3, 3]);
+        assert.match(result.problems[0].problem, /Expected sequence 2/);
+    });
+
+    it('detects entries deleted from the end against the head file', () => {
+        writeLines(readLines().slice(0, 3));
+
+        const result = new AuditLog(logFile).verify();
+        assert.strictEqual(result.valid, false);
+        assert.deepStrictEqual(result.problems.map(p => [p.line, p.seq]), [[null, 4]]);
+        assert.match(result.problems[0].problem, /ends at sequence 3/);
+    });
+
+    it('detects a missing head file', () => {
+        fs.rmSync(`${logFile}.head.json`);
+
+        const result = new AuditLog(logFile).verify();
+        assert.strictEqual(result.valid, false);
+        assert.match(result.problems[0].problem, /Head file is missing/);
+    });
+});
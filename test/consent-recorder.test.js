@@ -0,0 +1,108 @@
+const { describe, it, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local backend and a scratch data directory, set before config.js is loaded
+// (values already set are not taken from .env)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'consent-recorder-test-'));
+Object.assign(process.env, {
+    LOCAL_DATA_DIR: dataDir,
+    PRIVACY_BACKEND: 'local',
+    AUDIT_LOG_FILE: path.join(dataDir, 'audit-log.jsonl'),
+    CONSENT_RECEIPT_KEY_FILE: path.join(dataDir, 'receipt-key.pem')
+});
+
+const ConsentRecorder = require('../server/controllers/consent-recorder');
+const ConsentReceiptService = require('../server/controllers/consent-receipt-service');
+const PrivacyService = require('../server/controllers/privacy-service');
+
+describe('ConsentRecorder', () => {
+    let now;
+    let privacy;
+    let receipts;
+    let recorder;
+
+    // Stores consents, then fails to read them back, as when the Privacy API
+    // goes down between the two calls
+    const failReadBack = () => {
+        privacy.storeConsentBatch = async (...args) => {
+            const batch = await PrivacyService.prototype.storeConsentBatch.apply(privacy, args);
+            privacy.getUserConsents = async () => {
+                throw new Error('Privacy API unavailable');
+            };
+            return batch;
+        };
+    };
+    const restoreReadBack = () => {
+        delete privacy.storeConsentBatch;
+        delete privacy.getUserConsents;
+    };
+    const grant = async (subjectId, attributeId, state = 1) => {
+        const consents = [{ purposeId: 'ITR_FILING', attributeId: attributeId, state: state }];
+        return recorder.store({ subjectId: subjectId }, consents);
+    };
+
+    beforeEach(() => {
+        ['privacy-consents.json', 'consent-receipts.json', 'pending-receipts.json'].forEach(file => {
+            fs.rmSync(path.join(dataDir, file), { force: true });
+        });
+        now = Date.UTC(2026, 0, 1);
+        mock.method(Date, 'now', () => now);
+        privacy = new PrivacyService();
+        receipts = new ConsentReceiptService();
+        recorder = new ConsentRecorder(privacy, receipts);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('issues a receipt for consents it can read back', async () => {
+        const { batch, receipt } = await grant('subject-a', 'name');
+
+        assert.strictEqual(batch.status, 'success');
+        assert.ok(receipt.id);
+        assert.strictEqual(recorder.hasPending('subject-a'), false);
+    });
+
+    it('queues the receipt when the consents cannot be read back, and issues it later with the original time', async () => {
+        failReadBack();
+        const { batch, receipt } = await grant('subject-b', 'name');
+        assert.strictEqual(batch.status, 'success');
+        assert.strictEqual(receipt, null);
+        assert.strictEqual(recorder.hasPending('subject-b'), true);
+
+        // Still unreadable: the entry stays queued
+        assert.deepStrictEqual(await recorder.reissuePending({ subjectId: 'subject-b' }), []);
+        assert.strictEqual(recorder.hasPending('subject-b'), true);
+
+        restoreReadBack();
+        const consentedAt = Math.floor(now / 1000);
+        now += 60 * 60 * 1000;
+        const issued = await recorder.reissuePending({ subjectId: 'subject-b' });
+
+        assert.strictEqual(issued.length, 1);
+        assert.strictEqual(recorder.hasPending('subject-b'), false);
+        const payload = receipts.decode(receipts.get(issued[0].id).jws);
+        assert.strictEqual(payload.consentTimestamp, consentedAt);
+        assert.strictEqual(payload.collectionMethod, 'consent-management');
+    });
+
+    it('drops a queued receipt whose grant was withdrawn since', async () => {
+        failReadBack();
+        await grant('subject-c', 'email');
+        restoreReadBack();
+        await grant('subject-c', 'email', 2);
+
+        assert.deepStrictEqual(await recorder.reissuePending({ subjectId: 'subject-c' }), []);
+        assert.strictEqual(recorder.hasPending('subject-c'), false);
+        // Only the withdrawal has a receipt
+        assert.strictEqual(receipts.listForSubject('subject-c').length, 1);
+    });
+});
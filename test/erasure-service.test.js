@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local backends and a scratch data directory, set before config.js is loaded
+// (values already set are not taken from .env)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'erasure-service-test-'));
+Object.assign(process.env, {
+    LOCAL_DATA_DIR: dataDir,
+    PRIVACY_BACKEND: 'local',
+    AUDIT_LOG_FILE: path.join(dataDir, 'audit-log.jsonl'),
+    CONSENT_RECEIPT_KEY_FILE: path.join(dataDir, 'receipt-key.pem'),
+    VAULT_KEY_FILE: path.join(dataDir, 'vault-keys.json')
+});
+
+const ErasureService = require('../server/controllers/erasure-service');
+const LocalPrivacyBackend = require('../server/controllers/local-privacy-backend');
+const LocalScimBackend = require('../server/controllers/local-scim-backend');
+const FilingHistory = require('../server/controllers/filing-history');
+const ConsentReceiptService = require('../server/controllers/consent-receipt-service');
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+// Filings are kept for a number of years, receipts and the audit trail indefinitely
+const retention = {
+    'itr-filings': { reason: 'Income-tax Act retention', retentionYears: 8 },
+    'consent-receipts': { reason: 'Proof of consent' },
+    'audit-trail': { reason: 'Accountability' }
+};
+
+describe('ErasureService', () => {
+    const subjectId = 'subject-a';
+    let erasure;
+    let request;
+
+    before(async () => {
+        await new LocalScimBackend().createUser({ id: subjectId, userName: 'asha@example.com', emails: [{ value: 'asha@example.com', primary: true }] });
+        await new LocalPrivacyBackend({}, { subjectId: subjectId }).storeConsents([
+            { purposeId: 'ITR_FILING', attributeId: 'name', state: LocalPrivacyBackend.STATES.ALLOW }
+        ]);
+        new FilingHistory().record(subjectId);
+
+        erasure = new ErasureService(retention);
+        request = erasure.request({ subjectId: subjectId }, { email: 'asha@example.com' });
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('erases the account but keeps the categories under a retention exception', async () => {
+        const outcome = await erasure.processDue(request.scheduledFor);
+        assert.deepStrictEqual(outcome, { completed: [request.id], failed: [] });
+
+        const { result } = erasure.latestForSubject(subjectId);
+        assert.deepStrictEqual(result.retained.map(r => r.category).sort(), ['audit-trail', 'consent-receipts', 'itr-filings']);
+        assert.ok(result.erased.some(e => e.category === 'user-account' && e.items === 1));
+        assert.ok(!result.erased.some(e => retention[e.category]));
+
+        await assert.rejects(new LocalScimBackend().getUser(subjectId), { code: 'SCIM_NOT_FOUND' });
+        const { consents } = await new LocalPrivacyBackend({}, { subjectId: subjectId }).getUserConsents();
+        assert.deepStrictEqual(consents.map(c => c.state), [LocalPrivacyBackend.STATES.DENY]);
+
+        // The retained data is still there, the withdrawal receipt included
+        assert.strictEqual(new FilingHistory().listForSubject(subjectId).length, 1);
+        const receipts = new ConsentReceiptService().listForSubject(subjectId);
+        assert.deepStrictEqual(receipts.map(r => r.id), [result.receiptId]);
+    });
+
+    it('erases a retained category once its retention period is over', async () => {
+        const { result, completedAt } = erasure.latestForSubject(subjectId);
+        const filings = result.retained.find(r => r.category === 'itr-filings');
+        assert.strictEqual(filings.until, completedAt + 8 * SECONDS_PER_YEAR);
+
+        await erasure.processDue(filings.until - 1);
+        assert.strictEqual(new FilingHistory().listForSubject(subjectId).length, 1);
+
+        await erasure.processDue(filings.until);
+        assert.strictEqual(new FilingHistory().listForSubject(subjectId).length, 0);
+        const retained = erasure.latestForSubject(subjectId).result.retained;
+        assert.strictEqual(retained.find(r => r.category === 'itr-filings').erasedAt, filings.until);
+        // Kept without a retention period
+        assert.strictEqual(retained.find(r => r.category === 'consent-receipts').erasedAt, null);
+        assert.strictEqual(new ConsentReceiptService().listForSubject(subjectId).length, 1);
+    });
+});
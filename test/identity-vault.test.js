@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the vault, its key file, the audit log and the local Privacy API
+// backend at a scratch directory before config.js is loaded (values already
+// set are not taken from .env)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'identity-vault-test-'));
+process.env.LOCAL_DATA_DIR = dataDir;
+process.env.PRIVACY_BACKEND = 'local';
+process.env.AUDIT_LOG_FILE = path.join(dataDir, 'audit-log.jsonl');
+process.env.VAULT_KEY_FILE = path.join(dataDir, 'vault-keys.json');
+
+const IdentityVault = require('../server/controllers/identity-vault');
+const VaultKeyStore = require('../server/controllers/vault-key-store');
+const LocalPrivacyBackend = require('../server/controllers/local-privacy-backend');
+
+const storeFile = path.join(dataDir, 'identity-vault.json');
+
+// Consents to everything the file-itr data policy requires, optionally
+// withholding some requirements
+const consentToFiling = (subjectId, withheld = []) => new LocalPrivacyBackend({}, { subjectId: subjectId }).storeConsents([
+    { attributeId: 'name' },
+    { attributeId: 'email' },
+    { attributeId: 'mobile_number' },
+    { attributeId: 'aadhar_id' },
+    { attributeId: 'pan_id', accessTypeId: 'share' }
+].map(consent => Object.assign({ purposeId: 'ITR_FILING' }, consent, {
+    state: withheld.indexOf(consent.attributeId) === -1 ? LocalPrivacyBackend.STATES.ALLOW : LocalPrivacyBackend.STATES.DENY
+})));
+
+const access = subjectId => ({ auth: { subjectId: subjectId }, action: 'file-itr' });
+
+const readStore = () => JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+const writeStore = document => fs.writeFileSync(storeFile, JSON.stringify(document));
+
+describe('IdentityVault', () => {
+    let vault;
+
+    before(() => {
+        vault = new IdentityVault(new VaultKeyStore(process.env.VAULT_KEY_FILE));
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('returns the number behind a token when the subject has consented to the action', async () => {
+        await consentToFiling('subject-a');
+        const { token, masked } = vault.tokenize('subject-a', 'aadhar_id', '234567890124');
+        assert.ok(IdentityVault.isToken(token));
+        assert.notStrictEqual(masked, '234567890124');
+        assert.ok(!fs.readFileSync(storeFile, 'utf8').includes('234567890124'));
+        assert.strictEqual(await vault.detokenize(token, access('subject-a')), '234567890124');
+    });
+
+    it('refuses another subject, or a subject whose consents do not cover the action', async () => {
+        await consentToFiling('subject-b', ['pan_id']);
+        await consentToFiling('subject-c');
+        const { token } = vault.tokenize('subject-b', 'pan_id', 'ABCPR1234F');
+        await assert.rejects(vault.detokenize(token, access('subject-c')), { code: 'VAULT_ACCESS_DENIED' });
+        await assert.rejects(vault.detokenize(token, access('subject-b')), { code: 'VAULT_ACCESS_DENIED' });
+    });
+
+    it('does not trust an assessment handed in by the caller', async () => {
+        await consentToFiling('subject-g', ['aadhar_id']);
+        const { token } = vault.tokenize('subject-g', 'aadhar_id', '234567890124');
+        const forged = {
+            status: 'approved',
+            purpose: { id: 'ITR_FILING' },
+            policy: { action: 'file-itr' },
+            decisions: [{ logicalId: 'aadhar_id', approved: true }]
+        };
+        await assert.rejects(vault.detokenize(token, Object.assign(access('subject-g'), { assessment: forged })), { code: 'VAULT_ACCESS_DENIED' });
+        await assert.rejects(vault.detokenize(token, { subjectId: 'subject-g', assessment: forged }), { code: 'VAULT_ACCESS_DENIED' });
+    });
+
+    it('binds each ciphertext to its token, subject and attribute', async () => {
+        await consentToFiling('subject-d');
+        const aadhaar = vault.tokenize('subject-d', 'aadhar_id', '987654321096');
+        const pan = vault.tokenize('subject-d', 'pan_id', 'ABCPR1234F');
+
+        // Both are encrypted with the subject's data key: only the AAD tells them apart
+        const document = readStore();
+        const aadhaarEntry = document.tokens.find(t => t.token === aadhaar.token);
+        const panEntry = document.tokens.find(t => t.token === pan.token);
+        ['iv', 'tag', 'data'].forEach(field => {
+            panEntry[field] = aadhaarEntry[field];
+        });
+        writeStore(document);
+
+        await assert.rejects(vault.detokenize(pan.token, access('subject-d')), /authenticate/);
+        assert.strictEqual(await vault.detokenize(aadhaar.token, access('subject-d')), '987654321096');
+    });
+
+    it('shreds a subject\'s data key and numbers', async () => {
+        const { token } = vault.tokenize('subject-e', 'aadhar_id', '234567890124');
+        vault.tokenize('subject-e', 'pan_id', 'ABCPR1234F');
+
+        assert.strictEqual(vault.shred('subject-e'), 2);
+        assert.strictEqual(vault.countForSubject('subject-e'), 0);
+        assert.strictEqual(vault.tokenFor('subject-e', 'aadhar_id'), null);
+        assert.ok(!readStore().dataKeys.some(k => k.subjectId === 'subject-e'));
+        await assert.rejects(vault.detokenize(token, access('subject-e')), { code: 'VAULT_TOKEN_UNKNOWN' });
+    });
+
+    it('re-wraps every data key when the keys are rotated, and destroys the old keys', async () => {
+        await consentToFiling('subject-f');
+        const { token } = vault.tokenize('subject-f', 'pan_id', 'ABCPR1234F');
+        const previous = vault.keyStore.keyIds();
+
+        const result = vault.rotateKeys();
+
+        assert.deepStrictEqual(vault.keyStore.keyIds(), [result.keyId]);
+        assert.deepStrictEqual(result.destroyed, previous);
+        assert.strictEqual(result.rewrapped, readStore().dataKeys.length);
+        assert.ok(readStore().dataKeys.every(k => k.keyId === result.keyId));
+        assert.strictEqual(await vault.detokenize(token, access('subject-f')), 'ABCPR1234F');
+    });
+});
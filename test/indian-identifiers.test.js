@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const IndianIdentifiers = require('../public/js/indian-identifiers');
+
+describe('IndianIdentifiers', () => {
+    describe('verhoeffValid', () => {
+        it('accepts numbers ending in their check digit', () => {
+            assert.strictEqual(IndianIdentifiers.verhoeffValid('2363'), true);
+            assert.strictEqual(IndianIdentifiers.verhoeffValid('234567890124'), true);
+            assert.strictEqual(IndianIdentifiers.verhoeffValid('987654321096'), true);
+        });
+
+        it('rejects a changed digit and swapped neighbours', () => {
+            assert.strictEqual(IndianIdentifiers.verhoeffValid('2364'), false);
+            assert.strictEqual(IndianIdentifiers.verhoeffValid('234567890125'), false);
+            assert.strictEqual(IndianIdentifiers.verhoeffValid('324567890124'), false);
+        });
+    });
+
+    describe('validateAadhaar', () => {
+        it('normalizes spaces and hyphens', () => {
+            assert.deepStrictEqual(IndianIdentifiers.validateAadhaar('2345 6789-0124'), { valid: true, value: '234567890124' });
+        });
+
+        it('reports the rule that failed', () => {
+            const code = value => IndianIdentifiers.validateAadhaar(value).code;
+            assert.strictEqual(code('23456789012'), 'AADHAAR_FORMAT');
+            assert.strictEqual(code('12345678901a'), 'AADHAAR_FORMAT');
+            assert.strictEqual(code('134567890124'), 'AADHAAR_LEADING_DIGIT');
+            assert.strictEqual(code('234567890123'), 'AADHAAR_CHECKSUM');
+            assert.strictEqual(IndianIdentifiers.validateAadhaar('234567890123').message, IndianIdentifiers.ERRORS.AADHAAR_CHECKSUM);
+        });
+    });
+
+    describe('validatePAN', () => {
+        it('normalizes case and names the holder type', () => {
+            const result = IndianIdentifiers.validatePAN(' abcpr1234f ', { fullName: 'Asha Kumari Rao' });
+            assert.strictEqual(result.valid, true);
+            assert.strictEqual(result.value, 'ABCPR1234F');
+            assert.deepStrictEqual(result.holderType, { code: 'P', label: 'Individual' });
+        });
+
+        it('rejects the wrong shape and unknown holder types', () => {
+            assert.strictEqual(IndianIdentifiers.validatePAN('ABCP1234F').code, 'PAN_FORMAT');
+            assert.strictEqual(IndianIdentifiers.validatePAN('ABCPR12345').code, 'PAN_FORMAT');
+            assert.strictEqual(IndianIdentifiers.validatePAN('ABCXR1234F').code, 'PAN_HOLDER_TYPE');
+        });
+
+        it('checks an individual\'s 5th character against the surname initial', () => {
+            assert.strictEqual(IndianIdentifiers.validatePAN('ABCPK1234F', { fullName: 'Asha Kumari Rao' }).code, 'PAN_SURNAME_MISMATCH');
+            assert.strictEqual(IndianIdentifiers.validatePAN('ABCPR1234F', { fullName: '  asha   rao ' }).valid, true);
+        });
+
+        it('skips the surname rule for other holders, single names and no name', () => {
+            assert.strictEqual(IndianIdentifiers.validatePAN('ABCCK1234F', { fullName: 'Asha Kumari Rao' }).valid, true);
+            assert.strictEqual(IndianIdentifiers.validatePAN('ABCPK1234F', { fullName: 'Asha' }).valid, true);
+            assert.strictEqual(IndianIdentifiers.validatePAN('ABCPK1234F').valid, true);
+        });
+    });
+
+    describe('surnameOf', () => {
+        it('returns the last word in upper case, or nothing for a single name', () => {
+            assert.strictEqual(IndianIdentifiers.surnameOf('Asha Kumari Rao'), 'RAO');
+            assert.strictEqual(IndianIdentifiers.surnameOf('Asha'), '');
+            assert.strictEqual(IndianIdentifiers.surnameOf(undefined), '');
+        });
+    });
+
+    describe('validateMobile', () => {
+        it('drops a +91, 91 or 0 prefix and separators', () => {
+            ['+91 98765 43210', '+919876543210', '919876543210', '09876543210', '98765-43210', '(98765) 43210'].forEach(value => {
+                assert.deepStrictEqual(IndianIdentifiers.validateMobile(value), { valid: true, value: '9876543210' }, value);
+            });
+        });
+
+        it('reports the rule that failed', () => {
+            assert.strictEqual(IndianIdentifiers.validateMobile('98765').code, 'MOBILE_FORMAT');
+            assert.strictEqual(IndianIdentifiers.validateMobile('+4498765432101').code, 'MOBILE_FORMAT');
+            assert.strictEqual(IndianIdentifiers.validateMobile('5876543210').code, 'MOBILE_PREFIX');
+            assert.strictEqual(IndianIdentifiers.validateMobile('+915876543210').code, 'MOBILE_PREFIX');
+        });
+    });
+});
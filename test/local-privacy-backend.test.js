@@ -0,0 +1,52 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Scratch data directory, set before config.js is loaded
+// (values already set are not taken from .env)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-privacy-backend-test-'));
+process.env.LOCAL_DATA_DIR = dataDir;
+
+const LocalPrivacyBackend = require('../server/controllers/local-privacy-backend');
+
+const { STATES } = LocalPrivacyBackend;
+
+describe('LocalPrivacyBackend', () => {
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('approves only explicitly allowed consents, as PrivacyService._isGranted does', async () => {
+        const backend = new LocalPrivacyBackend({}, { subjectId: 'subject-a' });
+        await backend.storeConsents([
+            { purposeId: 'ITR_FILING', attributeId: 'name', state: STATES.ALLOW },
+            { purposeId: 'ITR_FILING', attributeId: 'email', state: STATES.OPT_IN },
+            { purposeId: 'ITR_FILING', attributeId: 'mobile_number', state: STATES.TRANSPARENT },
+            { purposeId: 'ITR_FILING', attributeId: 'aadhar_id', state: STATES.DENY }
+        ]);
+
+        const { status, assessment } = await backend.assess(['name', 'email', 'mobile_number', 'aadhar_id']
+            .map(attributeId => ({ purposeId: 'ITR_FILING', attributeId: attributeId })));
+
+        assert.deepStrictEqual(assessment.map(a => a.result[0].approved), [true, false, false, false]);
+        assert.strictEqual(status, 'multistatus');
+    });
+
+    it('asks for consent when there is no record or it has expired', async () => {
+        const backend = new LocalPrivacyBackend({}, { subjectId: 'subject-b' });
+        const now = Math.floor(Date.now() / 1000);
+        await backend.storeConsents([
+            { purposeId: 'ITR_FILING', attributeId: 'name', state: STATES.ALLOW, startTime: now - 120, endTime: now - 60 }
+        ]);
+
+        const { status, assessment } = await backend.assess([
+            { purposeId: 'ITR_FILING', attributeId: 'name' },
+            { purposeId: 'ITR_FILING', attributeId: 'email' }
+        ]);
+
+        assert.strictEqual(status, 'consent');
+        assert.deepStrictEqual(assessment.map(a => a.result[0].reason.messageId), ['CONSENT_EXPIRED', 'CONSENT_NOT_FOUND']);
+    });
+});
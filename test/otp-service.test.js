@@ -0,0 +1,174 @@
+const { describe, it, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Limits and a scratch data directory, set before config.js is loaded
+// (values already set are not taken from .env)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'otp-service-test-'));
+Object.assign(process.env, {
+    LOCAL_DATA_DIR: dataDir,
+    AUDIT_LOG_FILE: path.join(dataDir, 'audit-log.jsonl'),
+    SMS_PROVIDER: 'local',
+    OTP_MINUTES: '10',
+    OTP_MAX_ATTEMPTS: '3',
+    OTP_RESEND_SECONDS: '30',
+    OTP_MAX_SENDS: '2',
+    OTP_SEND_WINDOW_MINUTES: '60'
+});
+
+const OtpService = require('../server/controllers/otp-service');
+
+// Records messages instead of sending them
+class FakeSmsProvider {
+    constructor() {
+        this.sent = [];
+    }
+
+    async send(message) {
+        this.sent.push(message);
+        return { provider: 'fake', messageId: String(this.sent.length) };
+    }
+
+    lastCode() {
+        return this.sent[this.sent.length - 1].body.slice(0, 6);
+    }
+}
+
+describe('OtpService', () => {
+    let now;
+    let sms;
+    let otp;
+
+    const advance = seconds => {
+        now += seconds * 1000;
+    };
+    const wrongCode = () => (sms.lastCode() === '000000' ? '111111' : '000000');
+
+    beforeEach(() => {
+        fs.rmSync(path.join(dataDir, 'otp-challenges.json'), { force: true });
+        now = Date.UTC(2026, 0, 1);
+        mock.method(Date, 'now', () => now);
+        sms = new FakeSmsProvider();
+        otp = new OtpService({ smsProvider: sms });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('sends a code through the SMS provider and stores only its hash', async () => {
+        const challenge = await otp.send({ subjectId: 'subject-a', purpose: 'registration', to: '9876543210' });
+
+        assert.strictEqual(sms.sent.length, 1);
+        assert.strictEqual(sms.sent[0].to, '9876543210');
+        assert.strictEqual(sms.sent[0].kind, 'otp.registration');
+        assert.notStrictEqual(challenge.target, '9876543210');
+        const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'otp-challenges.json'), 'utf8'));
+        assert.match(stored.challenges[0].codeHash, /^[0-9a-f]{64}$/);
+        assert.ok(!Object.values(stored.challenges[0]).some(value => value === sms.lastCode() || value === '9876543210'));
+        assert.ok(!JSON.stringify(stored.sends).includes('9876543210'));
+
+        const result = otp.verify(challenge.id, 'subject-a', sms.lastCode());
+        assert.strictEqual(result.purpose, 'registration');
+        assert.throws(() => otp.verify(challenge.id, 'subject-a', sms.lastCode()), { code: 'OTP_NOT_FOUND' });
+    });
+
+    it('counts wrong codes and locks the challenge after OTP_MAX_ATTEMPTS', async () => {
+        const challenge = await otp.send({ subjectId: 'subject-b', purpose: 'registration', to: '9876543211' });
+        const code = sms.lastCode();
+
+        assert.throws(() => otp.verify(challenge.id, 'subject-b', wrongCode()), { code: 'OTP_CODE_INVALID', remainingAttempts: 2 });
+        assert.throws(() => otp.verify(challenge.id, 'subject-b', wrongCode()), { code: 'OTP_CODE_INVALID', remainingAttempts: 1 });
+        assert.throws(() => otp.verify(challenge.id, 'subject-b', wrongCode()), { code: 'OTP_LOCKED', retryAfter: 10 * 60 });
+
+        // The right code no longer helps once the challenge is locked
+        assert.throws(() => otp.verify(challenge.id, 'subject-b', code), { code: 'OTP_LOCKED' });
+        assert.strictEqual(otp.get(challenge.id, 'subject-b'), null);
+    });
+
+    it('sends no new code for a locked challenge until it expires', async () => {
+        const challenge = await otp.send({ subjectId: 'subject-j', purpose: 'registration', to: '9876543218', maxAttempts: 1 });
+        assert.throws(() => otp.verify(challenge.id, 'subject-j', wrongCode()), { code: 'OTP_LOCKED' });
+
+        advance(60);
+        await assert.rejects(otp.send({ subjectId: 'subject-j', purpose: 'registration', to: '9876543218' }),
+            { code: 'OTP_LOCKED', retryAfter: 9 * 60 });
+        assert.strictEqual(sms.sent.length, 1);
+
+        advance(9 * 60);
+        const next = await otp.send({ subjectId: 'subject-j', purpose: 'registration', to: '9876543218' });
+        assert.strictEqual(otp.verify(next.id, 'subject-j', sms.lastCode()).id, next.id);
+    });
+
+    it('lets a caller set its own number of attempts', async () => {
+        const challenge = await otp.send({ subjectId: 'subject-c', purpose: 'profile', to: '9876543212', maxAttempts: 1 });
+        assert.throws(() => otp.verify(challenge.id, 'subject-c', wrongCode()), { code: 'OTP_LOCKED' });
+    });
+
+    it('expires codes after OTP_MINUTES', async () => {
+        const challenge = await otp.send({ subjectId: 'subject-d', purpose: 'registration', to: '9876543213' });
+        advance(10 * 60);
+        assert.throws(() => otp.verify(challenge.id, 'subject-d', sms.lastCode()), { code: 'OTP_EXPIRED' });
+    });
+
+    it('sends a new code at most once every OTP_RESEND_SECONDS, replacing the earlier one', async () => {
+        const first = await otp.send({ subjectId: 'subject-e', purpose: 'registration', to: '9876543214' });
+        const firstCode = sms.lastCode();
+
+        advance(29);
+        await assert.rejects(otp.send({ subjectId: 'subject-e', purpose: 'registration', to: '9876543214' }),
+            { code: 'OTP_RESEND_TOO_SOON', retryAfter: 1 });
+        assert.strictEqual(sms.sent.length, 1);
+
+        // Another purpose has its own challenge
+        await otp.send({ subjectId: 'subject-e', purpose: 'profile', to: '9876543215' });
+
+        advance(1);
+        const second = await otp.send({ subjectId: 'subject-e', purpose: 'registration', to: '9876543214' });
+        assert.throws(() => otp.verify(first.id, 'subject-e', firstCode), { code: 'OTP_NOT_FOUND' });
+        assert.strictEqual(otp.verify(second.id, 'subject-e', sms.lastCode()).id, second.id);
+    });
+
+    it('sends a number at most OTP_MAX_SENDS codes within OTP_SEND_WINDOW_MINUTES, whichever account asks', async () => {
+        await otp.send({ subjectId: 'subject-f', purpose: 'registration', to: '9876543216' });
+        await otp.send({ subjectId: 'subject-g', purpose: 'registration', to: '9876543216' });
+
+        await assert.rejects(otp.send({ subjectId: 'subject-h', purpose: 'registration', to: '9876543216' }),
+            { code: 'OTP_SEND_LIMIT', retryAfter: 60 * 60 });
+        assert.strictEqual(sms.sent.length, 2);
+
+        advance(60 * 60);
+        await otp.send({ subjectId: 'subject-h', purpose: 'registration', to: '9876543216' });
+        assert.strictEqual(sms.sent.length, 3);
+    });
+
+    it('creates a withheld challenge that sends nothing and that no code matches', async () => {
+        const challenge = await otp.send({ subjectId: 'child@example.com', purpose: 'guardian', channel: 'email', to: 'nobody@example.com', deliver: false });
+
+        assert.strictEqual(sms.sent.length, 0);
+        for (const code of ['000000', '123456']) {
+            assert.throws(() => otp.verify(challenge.id, 'child@example.com', code), { code: 'OTP_CODE_INVALID' });
+        }
+        // It still counts towards the address's limit, like a code that was sent
+        await otp.send({ subjectId: 'other@example.com', purpose: 'guardian', channel: 'email', to: 'NOBODY@example.com', deliver: false });
+        await assert.rejects(otp.send({ subjectId: 'third@example.com', purpose: 'guardian', channel: 'email', to: 'nobody@example.com' }),
+            { code: 'OTP_SEND_LIMIT' });
+    });
+
+    it('keeps the challenge out of the store when the provider cannot send', async () => {
+        sms.send = async () => {
+            const err = new Error('gateway down');
+            err.code = 'SMS_SEND_FAILED';
+            throw err;
+        };
+        await assert.rejects(otp.send({ subjectId: 'subject-i', purpose: 'registration', to: '9876543217' }), { code: 'SMS_SEND_FAILED' });
+        const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'otp-challenges.json'), 'utf8'));
+        assert.strictEqual(stored.challenges.length, 0);
+    });
+});
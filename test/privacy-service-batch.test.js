@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local backend and a scratch data directory, set before config.js is loaded
+// (values already set are not taken from .env)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'privacy-service-batch-test-'));
+process.env.LOCAL_DATA_DIR = dataDir;
+process.env.PRIVACY_BACKEND = 'local';
+
+const PrivacyService = require('../server/controllers/privacy-service');
+const LocalPrivacyBackend = require('../server/controllers/local-privacy-backend');
+
+const { STATES } = LocalPrivacyBackend;
+
+/**
+ * Local backend that rejects the listed attributes on the first storeConsents
+ * call (the batch) and, unless told otherwise, accepts the compensation call
+ */
+class PartlyFailingBackend extends LocalPrivacyBackend {
+    constructor(subjectId, failing, options = {}) {
+        super({}, { subjectId: subjectId });
+        this.failing = failing;
+        this.failCompensation = options.failCompensation || false;
+        this.calls = [];
+    }
+
+    async storeConsents(values) {
+        this.calls.push(values);
+        if (this.calls.length > 1 && this.failCompensation) {
+            throw new Error('Privacy API unavailable');
+        }
+        if (this.calls.length > 1) {
+            return super.storeConsents(values);
+        }
+
+        const accepted = values.filter(v => this.failing.indexOf(v.attributeId) === -1);
+        const stored = await super.storeConsents(accepted);
+        let next = 0;
+        return {
+            status: 'fail',
+            results: values.map(v => (this.failing.indexOf(v.attributeId) === -1
+                ? stored.results[next++]
+                : { op: 'add', value: v, result: 'fail', error: { messageDescription: 'rejected' } }))
+        };
+    }
+}
+
+describe('PrivacyService.storeConsentBatch', () => {
+    let service;
+
+    const serviceFor = backend => {
+        const privacy = new PrivacyService();
+        privacy._getPrivacyClient = () => backend;
+        return privacy;
+    };
+    const statesOf = async subjectId => {
+        const { consents } = await new LocalPrivacyBackend({}, { subjectId: subjectId }).getUserConsents();
+        return Object.fromEntries(consents.map(c => [c.attributeId, c.state]));
+    };
+
+    beforeEach(() => {
+        fs.rmSync(path.join(dataDir, 'privacy-consents.json'), { force: true });
+        service = new PrivacyService();
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('stores every item when the Privacy API accepts them all', async () => {
+        const result = await service.storeConsentBatch({ subjectId: 'subject-a' }, [
+            { purposeId: 'ITR_FILING', attributeId: 'name', state: STATES.ALLOW },
+            { purposeId: 'ITR_FILING', attributeId: 'email', state: STATES.ALLOW }
+        ]);
+
+        assert.strictEqual(result.status, 'success');
+        assert.deepStrictEqual(await statesOf('subject-a'), { name: STATES.ALLOW, email: STATES.ALLOW });
+    });
+
+    it('restores prior states, and denies new records, when part of the batch fails', async () => {
+        await new LocalPrivacyBackend({}, { subjectId: 'subject-b' }).storeConsents([
+            { purposeId: 'ITR_FILING', attributeId: 'name', state: STATES.DENY }
+        ]);
+        const backend = new PartlyFailingBackend('subject-b', ['mobile_number']);
+
+        const result = await serviceFor(backend).storeConsentBatch({ subjectId: 'subject-b' }, [
+            { purposeId: 'ITR_FILING', attributeId: 'name', state: STATES.ALLOW },
+            { purposeId: 'ITR_FILING', attributeId: 'email', state: STATES.ALLOW },
+            { purposeId: 'ITR_FILING', attributeId: 'mobile_number', state: STATES.ALLOW }
+        ]);
+
+        assert.strictEqual(result.status, 'fail');
+        assert.strictEqual(result.rolledBack, true);
+        assert.deepStrictEqual(result.results.map(r => [r.success, r.rolledBack]),
+            [[false, true], [false, true], [false, undefined]]);
+        // Only the items that were applied are compensated
+        assert.deepStrictEqual(backend.calls[1].map(v => v.attributeId), ['name', 'email']);
+        assert.deepStrictEqual(await statesOf('subject-b'), { name: STATES.DENY, email: STATES.DENY });
+    });
+
+    it('reports a batch it could not roll back', async () => {
+        const backend = new PartlyFailingBackend('subject-c', ['email'], { failCompensation: true });
+
+        const result = await serviceFor(backend).storeConsentBatch({ subjectId: 'subject-c' }, [
+            { purposeId: 'ITR_FILING', attributeId: 'name', state: STATES.ALLOW },
+            { purposeId: 'ITR_FILING', attributeId: 'email', state: STATES.ALLOW }
+        ]);
+
+        assert.strictEqual(result.status, 'fail');
+        assert.strictEqual(result.rolledBack, false);
+        assert.strictEqual(result.results[0].rolledBack, false);
+        assert.deepStrictEqual(await statesOf('subject-c'), { name: STATES.ALLOW });
+    });
+
+    it('sends nothing when an item fails validation', async () => {
+        const backend = new PartlyFailingBackend('subject-d', []);
+
+        const result = await serviceFor(backend).storeConsentBatch({ subjectId: 'subject-d' }, [
+            { purposeId: 'ITR_FILING', attributeId: 'name', state: STATES.ALLOW },
+            { purposeId: 'ITR_FILING', attributeId: 'name', state: 9 }
+        ]);
+
+        assert.strictEqual(result.status, 'fail');
+        assert.match(result.results[1].error, /state/);
+        assert.strictEqual(backend.calls.length, 0);
+    });
+});
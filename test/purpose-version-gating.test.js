@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local backend and a scratch data directory, set before config.js is loaded
+// (values already set are not taken from .env)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purpose-version-gating-test-'));
+process.env.LOCAL_DATA_DIR = dataDir;
+process.env.PRIVACY_BACKEND = 'local';
+
+const PrivacyService = require('../server/controllers/privacy-service');
+const AssessmentService = require('../server/controllers/assessment-service');
+const LocalPrivacyBackend = require('../server/controllers/local-privacy-backend');
+
+const consentsFile = path.join(dataDir, 'privacy-consents.json');
+const auth = { subjectId: 'subject-a' };
+
+describe('Purpose version gating', () => {
+    let privacy;
+    let assessments;
+
+    // Metadata calls fail the way they do while the Privacy API is down
+    const failMetadata = () => {
+        privacy.metadataService.getPurposes = async () => {
+            const err = new Error('Privacy API unavailable');
+            err.code = 'PRIVACY_UNAVAILABLE';
+            throw err;
+        };
+    };
+    const setConsentedVersion = version => {
+        const document = JSON.parse(fs.readFileSync(consentsFile, 'utf8'));
+        document.consents.forEach(c => {
+            c.purposeVersion = version;
+        });
+        fs.writeFileSync(consentsFile, JSON.stringify(document));
+    };
+
+    beforeEach(async () => {
+        fs.rmSync(consentsFile, { force: true });
+        await new LocalPrivacyBackend({}, auth).storeConsents([
+            { purposeId: 'ITR_FILING', attributeId: 'name', state: LocalPrivacyBackend.STATES.ALLOW }
+        ]);
+        privacy = new PrivacyService();
+        assessments = new AssessmentService(privacy);
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('approves consents given to the current version', async () => {
+        assert.strictEqual(await privacy.hasRequiredConsents(auth, 'ITR_FILING', ['name']), true);
+        assert.strictEqual((await assessments.assess(auth, 'ITR_FILING', ['name'])).status, 'approved');
+    });
+
+    it('asks again for consents given to an older version', async () => {
+        setConsentedVersion('0.1');
+
+        assert.strictEqual(await privacy.hasRequiredConsents(auth, 'ITR_FILING', ['name']), false);
+        assert.deepStrictEqual(await privacy.getMissingRequiredConsents(auth, 'ITR_FILING', ['name']), ['name']);
+        const assessment = await assessments.assess(auth, 'ITR_FILING', ['name']);
+        assert.strictEqual(assessment.status, 'reconsent');
+        assert.strictEqual(assessment.decisions[0].reason, 'PURPOSE_VERSION_CHANGED');
+    });
+
+    it('does not approve anything while the purpose metadata cannot be loaded', async () => {
+        setConsentedVersion('0.1');
+        failMetadata();
+
+        await assert.rejects(privacy.hasRequiredConsents(auth, 'ITR_FILING', ['name']), { code: 'PRIVACY_UNAVAILABLE' });
+        await assert.rejects(privacy.getMissingRequiredConsents(auth, 'ITR_FILING', ['name']), { code: 'PRIVACY_UNAVAILABLE' });
+        await assert.rejects(assessments.assess(auth, 'ITR_FILING', ['name']), { code: 'PRIVACY_UNAVAILABLE' });
+        await assert.rejects(privacy.getOutdatedConsents(auth, 'ITR_FILING'), { code: 'PRIVACY_UNAVAILABLE' });
+    });
+
+    it('treats a consent as outdated when the current version is unknown', () => {
+        const [entry] = privacy.attributeResolver.resolveConsents([
+            { purposeId: 'ITR_FILING', attributeId: 'name', accessTypeId: 'default', state: 1, purposeVersion: '1.0' }
+        ]).resolved;
+        assert.strictEqual(privacy._isCurrentVersion(entry, null), false);
+        assert.strictEqual(privacy._isCurrentVersion(entry, { version: '1.0' }), true);
+    });
+});
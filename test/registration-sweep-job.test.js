@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local backends and a scratch data directory, set before config.js is loaded
+// (values already set are not taken from .env)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registration-sweep-job-test-'));
+Object.assign(process.env, {
+    LOCAL_DATA_DIR: dataDir,
+    PRIVACY_BACKEND: 'local',
+    VAULT_KEY_FILE: path.join(dataDir, 'vault-keys.json'),
+    REGISTRATION_PENDING_MINUTES: '60'
+});
+
+const RegistrationSweepJob = require('../server/controllers/registration-sweep-job');
+const RegistrationAccountService = require('../server/controllers/registration-account-service');
+const LocalScimBackend = require('../server/controllers/local-scim-backend');
+
+describe('RegistrationSweepJob', () => {
+    let now;
+    let accounts;
+    let job;
+
+    const signUp = (email, mobile) => accounts.create({ fullName: 'Asha Rao', email: email, mobile: mobile, password: 'Secret-123' });
+
+    beforeEach(() => {
+        ['scim-users.json', 'pending-registrations.json'].forEach(file => {
+            fs.rmSync(path.join(dataDir, file), { force: true });
+        });
+        now = Date.UTC(2026, 0, 1);
+        mock.method(Date, 'now', () => now);
+        accounts = new RegistrationAccountService();
+        job = new RegistrationSweepJob({ intervalMinutes: 15, accountService: accounts });
+    });
+
+    afterEach(() => {
+        job.stop();
+        mock.restoreAll();
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('creates the account inactive and activates it when registration completes', async () => {
+        const user = await signUp('asha@example.com', '9876543210');
+        assert.strictEqual(user.active, false);
+
+        await accounts.complete(user.id);
+        assert.strictEqual((await new LocalScimBackend().getUser(user.id)).active, true);
+
+        // Completed accounts are never swept
+        now += 2 * 60 * 60 * 1000;
+        assert.strictEqual(await job.runOnce(), 0);
+        await new LocalScimBackend().getUser(user.id);
+    });
+
+    it('deletes accounts left pending for longer than REGISTRATION_PENDING_MINUTES', async () => {
+        const abandoned = await signUp('asha@example.com', '9876543210');
+        now += 45 * 60 * 1000;
+        const recent = await signUp('ravi@example.com', '9876543211');
+
+        now += 15 * 60 * 1000;
+        assert.strictEqual(await job.runOnce(), 1);
+        await assert.rejects(new LocalScimBackend().getUser(abandoned.id), { code: 'SCIM_NOT_FOUND' });
+        await new LocalScimBackend().getUser(recent.id);
+
+        now += 45 * 60 * 1000;
+        assert.strictEqual(await job.runOnce(), 1);
+        await assert.rejects(new LocalScimBackend().getUser(recent.id), { code: 'SCIM_NOT_FOUND' });
+    });
+
+    it('is not scheduled when the interval is 0', () => {
+        const disabled = new RegistrationSweepJob({ intervalMinutes: 0, accountService: accounts });
+        assert.strictEqual(disabled.start(), false);
+    });
+});